@@ -352,7 +352,29 @@ export const API_EFFECTS = {
     plus: {},
   },
   "twilight-sun": {
-    free: {},
+    free: {
+      normal: {
+        particles: [],
+        filters: [
+          {
+            type: "godRays",
+            options: {
+              belowTokens: false,
+              soundFxEnabled: false,
+              color: {
+                apply: true,
+                value: "#ffb36b",
+              },
+              direction: 305,
+              angle: 25,
+              gain: 0.9,
+              lacunarity: 0.4,
+              speed: 0.2,
+            },
+          },
+        ],
+      },
+    },
     plus: {
       normal: {
         particles: [],
@@ -473,7 +495,24 @@ export const API_EFFECTS = {
             },
           },
         ],
-        filters: [],
+        filters: [
+          {
+            type: "lensOverlay",
+            options: {
+              belowTokens: false,
+              soundFxEnabled: false,
+              mode: "frost",
+              color: {
+                apply: false,
+                value: "#e8f6ff",
+              },
+              coverage: 0.45,
+              speed: 0.25,
+              refraction: 0.4,
+              strength: 0.85,
+            },
+          },
+        ],
       },
       topDown: {
         particles: [
@@ -524,7 +563,24 @@ export const API_EFFECTS = {
             },
           },
         ],
-        filters: [],
+        filters: [
+          {
+            type: "lensOverlay",
+            options: {
+              belowTokens: false,
+              soundFxEnabled: false,
+              mode: "frost",
+              color: {
+                apply: false,
+                value: "#e8f6ff",
+              },
+              coverage: 0.45,
+              speed: 0.25,
+              refraction: 0.4,
+              strength: 0.85,
+            },
+          },
+        ],
       },
     },
   },
@@ -614,7 +670,63 @@ export const API_EFFECTS = {
     plus: {},
   },
   "divine-light": {
-    free: {},
+    free: {
+      normal: {
+        particles: [
+          {
+            type: "embers",
+            options: {
+              belowTokens: false,
+              soundFxEnabled: false,
+              tint: {
+                apply: true,
+                value: "#ffea00",
+              },
+              topDown: false,
+              scale: 3.4,
+              speed: 1,
+              lifetime: 4.1,
+              density: 0.2,
+              alpha: 0.5,
+            },
+          },
+          {
+            type: "stars",
+            options: {
+              belowTokens: false,
+              soundFxEnabled: false,
+              tint: {
+                apply: true,
+                value: "#ffea00",
+              },
+              scale: 1.4,
+              speed: 1,
+              lifetime: 1,
+              density: 1,
+              alpha: 0.6,
+            },
+          },
+        ],
+        filters: [
+          {
+            type: "godRays",
+            options: {
+              belowTokens: false,
+              soundFxEnabled: false,
+              color: {
+                apply: true,
+                value: "#ffea00",
+              },
+              direction: 270,
+              angle: 20,
+              gain: 0.7,
+              lacunarity: 0.6,
+              speed: 0.35,
+            },
+          },
+        ],
+      },
+    },
     plus: {
       normal: {
         particles: [
@@ -1375,6 +1487,17 @@ export const API_EFFECTS = {
               soundFxEnabled: false,
             },
           },
+          {
+            type: "chromaticAberration",
+            options: {
+              belowTokens: false,
+              soundFxEnabled: false,
+              mode: "radial",
+              strength: 0.3,
+              angle: 0,
+              jitter: 0.6,
+            },
+          },
         ],
       },
     },
@@ -1549,7 +1672,24 @@ export const API_EFFECTS = {
             },
           },
         ],
-        filters: [],
+        filters: [
+          {
+            type: "lensOverlay",
+            options: {
+              belowTokens: false,
+              soundFxEnabled: false,
+              mode: "rain",
+              color: {
+                apply: false,
+                value: "#d6e6ff",
+              },
+              coverage: 0.5,
+              speed: 0.6,
+              refraction: 0.6,
+              strength: 1,
+            },
+          },
+        ],
       },
     },
     plus: {
@@ -1594,6 +1734,22 @@ export const API_EFFECTS = {
               speed: 0.1,
             },
           },
+          {
+            type: "lensOverlay",
+            options: {
+              belowTokens: false,
+              soundFxEnabled: false,
+              mode: "rain",
+              color: {
+                apply: false,
+                value: "#d6e6ff",
+              },
+              coverage: 0.5,
+              speed: 0.6,
+              refraction: 0.6,
+              strength: 1,
+            },
+          },
         ],
       },
     },
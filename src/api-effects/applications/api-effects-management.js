@@ -1,6 +1,6 @@
 import { FXMasterBaseFormV2 } from "../../base-form.js";
 import { packageId } from "../../constants.js";
-import { deletionUpdate } from "../../utils.js";
+import { deletionUpdate, normalizeEffectUsers } from "../../utils.js";
 import { ApiEffectEditor } from "./api-effect-editor.js";
 import { logger } from "../../logger.js";
 import { getSceneEffectSourceInfo } from "../../common/effect-stack.js";
@@ -41,7 +41,7 @@ function isLegacyOperatorKey(id) {
 /**
  * ApiEffectsManagement
  * --------------------
- * Lists scene-wide particle/filter effects that were added via the API. Provides quick removal per effect, an expandable view of the stored API parameters, and an editor for a single instance.
+ * Lists scene-wide particle/filter effects that were added via the API, including which users each effect is targeted at. Provides quick removal per effect, an expandable view of the stored API parameters, and an editor for a single instance.
  */
 export class ApiEffectsManagement extends FXMasterBaseFormV2 {
   static FXMASTER_DETACHED_WINDOW_FIT = true;
@@ -76,7 +76,7 @@ export class ApiEffectsManagement extends FXMasterBaseFormV2 {
       minimizable: true,
     },
     position: {
-      width: 780,
+      width: 900,
       height: "auto",
     },
   };
@@ -116,6 +116,11 @@ export class ApiEffectsManagement extends FXMasterBaseFormV2 {
       }
     };
 
+    const getTargetLabel = (userIds) => {
+      if (!userIds.length) return game.i18n.localize("FXMASTER.Common.ApiEffectsTargetsEveryone");
+      return userIds.map((userId) => game.users?.get?.(userId)?.name ?? userId).join(", ");
+    };
+
     const addRow = ({ kind, id, info }) => {
       const uid = `${kind}:${id}`;
       const type = String(info?.type ?? "").trim();
@@ -128,6 +133,7 @@ export class ApiEffectsManagement extends FXMasterBaseFormV2 {
       const displayName = canEdit ? getDisplayName(kind, type) : nameFallback;
 
       const sourceInfo = getSceneEffectSourceInfo(id);
+      const userIds = normalizeEffectUsers(info?.options?.users);
       const detailsObj = { uid, kind, id, source: sourceInfo.sourceLabel, ...info };
 
       apiEffects.push({
@@ -140,6 +146,8 @@ export class ApiEffectsManagement extends FXMasterBaseFormV2 {
         effectType: type || nameFallback,
         sourceLabel: sourceInfo.sourceLabel,
         sourceName,
+        targeted: userIds.length > 0,
+        targetLabel: getTargetLabel(userIds),
         apiSource: sourceInfo.apiSource,
         details: safeJSONStringify(detailsObj),
         expanded: this._expandedUids?.has?.(uid) ?? false,
@@ -1,7 +1,7 @@
 /**
  * FXMaster Preset API.
  *
- * Provides an integration API for other modules and macros to apply predefined preset effects by name. Presets are defined in ./api-effects.js.
+ * Provides an integration API for other modules and macros to apply predefined preset effects by name. Built-in presets are defined in ./api-effects.js; GM-authored world presets live in the `worldPresets` setting (./presets/world-presets.js).
  *
  * @example
  * await FXMASTER.api.presets.play("sunshower", { topDown: false, direction: "north", belowTokens: false, belowTiles: false, belowForeground: false, darknessActivationMin: 0, darknessActivationMax: 1, soundFx: false, density: "high", speed: "low" });
@@ -17,7 +17,12 @@
  * const activeOnScene = FXMASTER.api.presets.listActive({ scene: "<sceneUuid>" });
  */
 
-import { API_EFFECT_ID_PREFIX, API_EFFECT_UPDATE_OPTIONS_FLAG, packageId } from "./constants.js";
+import {
+  API_EFFECT_ID_PREFIX,
+  API_EFFECT_UPDATE_OPTIONS_FLAG,
+  REGION_LIVE_UPDATE_OPTION,
+  packageId,
+} from "./constants.js";
 import { API_EFFECTS, API_EFFECT_NAMES } from "./api-effects.js";
 import {
   addDeletionKey,
@@ -26,12 +31,30 @@ import {
   fxmDocumentId,
   collectionValues,
   getSceneLevels,
+  getDocumentAssignedLevelIds,
+  getSelectedSceneLevelIds,
   normalizeDirectionDegrees,
   prepareFilterOptionsForSceneStorage,
+  normalizeEffectUsers,
+  isEffectAddressedToUser,
+  normalizeSceneLevelSelection,
+  isEffectActiveForSceneDarkness,
+  isEffectActiveForCurrentOrVisibleCanvasLevel,
+  applyClientEffectOverride,
 } from "./utils.js";
 import { logger } from "./logger.js";
-import { buildSceneEffectUid, promoteEffectStackUids } from "./common/effect-stack.js";
+import { easeFunctions } from "./ease.js";
+import {
+  buildRegionEffectUid,
+  buildSceneEffectUid,
+  getOrderedEnabledEffectRows,
+  parseEffectUid,
+  promoteEffectStackUids,
+} from "./common/effect-stack.js";
 import { reconcileParticleBackgroundState } from "./particle-effects/backgrounds/background-state.js";
+import { getKeyframeClockMs } from "./common/keyframes.js";
+import { waitForEffectFades } from "./common/effect-events.js";
+import { getWorldPreset, getWorldPresets } from "./presets/world-presets.js";
 
 const FXMASTER_PLUS_ID = "fxmaster-plus";
 const KEY_PREFIX = "apiPreset_";
@@ -75,9 +98,12 @@ const REGION_FILTER_EFFECT_TYPE = `${packageId}.filterEffectsRegion`;
  * @property {boolean} [soundFx] Enable preset-linked Sound FX when FXMaster+ is active.
  * @property {boolean} [windPainting] Enable painted Wind movement masks for Wind filters.
  * @property {PresetLevelsValue} [levels] Scene Level id, Level name, or an array of ids/names used to restrict the preset to specific scene levels. Invalid selections fall back to all levels.
+ * @property {string|User|Array<string|User>} [users] User id, User document, or an array of those. Only the listed users render the preset; omit for everyone.
  * @property {Scene|string} [scene] Scene document or scene UUID to target.
  * @property {boolean} [silent=true] Suppress UI warnings for missing presets or invalid override values.
  * @property {boolean} [skipFading=false] Skip effect fade transitions when applying preset updates.
+ * @property {number} [transitionDuration] {@link switchPreset} only: cross-fade duration in milliseconds. Particle effects shared by both presets cross-fade while their density, speed and direction tween from the outgoing values to the incoming ones; tint, alpha and other options change through the cross-fade. The rest fade out or in over the same duration.
+ * @property {string} [transitionEase="InOutSine"] {@link switchPreset} only: easing curve name from `src/ease.js` (for example `"Linear"`, `"InOutSine"`, `"OutCubic"`).
  */
 
 /**
@@ -90,7 +116,7 @@ const REGION_FILTER_EFFECT_TYPE = `${packageId}.filterEffectsRegion`;
  * @param {any} sceneRef - A Scene document or UUID string.
  * @returns {any|null} The resolved Scene document, or `null`.
  */
-function resolveScene(sceneRef) {
+export function resolveScene(sceneRef) {
   if (!sceneRef) return null;
 
   if (sceneRef?.collectionName === "scenes") return sceneRef;
@@ -423,6 +449,16 @@ function normalizePresetOptionsToCurrentRanges(meta, options = {}, { currentRang
   }
 }
 
+/**
+ * Restart a preset effect's keyframe timeline at the current shared-clock time, so saved keyframes play from the beginning each time the preset is applied.
+ *
+ * @param {object} options
+ */
+function restartPresetKeyframes(options) {
+  const keyframes = options?.keyframes;
+  if (keyframes && typeof keyframes === "object") options.keyframes = { ...keyframes, startedAt: getKeyframeClockMs() };
+}
+
 /**
  * Parse a user-provided hex color string.
  *
@@ -480,16 +516,29 @@ function sunlightAngleFromDirection(directionDeg) {
  */
 
 /**
- * Resolve the preset variant for a given name and options.
+ * Resolve a world preset variant, falling back to the other orientation when the requested one is not authored.
+ *
+ * @param {string} presetName Normalized preset name.
+ * @param {boolean} topDown
+ * @returns {{presetName: string, tier: "world", variant: PresetVariant}|null}
+ */
+function resolveWorldPresetVariant(presetName, topDown) {
+  const preset = getWorldPreset(presetName);
+  const variant = topDown ? preset?.topDown ?? preset?.normal : preset?.normal ?? preset?.topDown;
+  return variant ? { presetName, tier: "world", variant } : null;
+}
+
+/**
+ * Resolve the preset variant for a given name and options. Built-in presets take precedence over world presets.
  *
  * @param {string} name
  * @param {{topDown?: boolean}} [opts]
- * @returns {{presetName: string, tier: "plus"|"free", variant: PresetVariant}|null}
+ * @returns {{presetName: string, tier: "plus"|"free"|"world", variant: PresetVariant}|null}
  */
 export function resolvePresetVariant(name, { topDown = false } = {}) {
   const presetName = normalizePresetName(name);
   const preset = API_EFFECTS?.[presetName] ?? null;
-  if (!preset) return null;
+  if (!preset) return resolveWorldPresetVariant(presetName, topDown);
 
   const plusActive = hasFxmasterPlus();
   const freeActive = hasFxmaster();
@@ -540,7 +589,7 @@ function deepClone(v) {
  * @property {string} [id] Explicit API-managed effect id.
  * @property {string} [effectId] Alternate explicit API-managed effect id.
  * @property {string} type FXMaster effect type.
- * @property {object} [options] Effect options.
+ * @property {object} [options] Effect options. `options.users` limits rendering to the listed User ids.
  */
 
 const MACRO_API_KEY_PREFIX = API_EFFECT_ID_PREFIX;
@@ -782,15 +831,24 @@ function addSceneFlagBucketUpdates(target, flagName, flagUpdate) {
 }
 
 /**
- * Commit API-effect particle/filter flag changes, optionally attaching a one-shot no-fade instruction consumed by updateScene hooks on every client.
+ * Commit API-effect particle/filter flag changes, optionally attaching a one-shot no-fade instruction or preset transition consumed by updateScene hooks on every client.
+ *
+ * The transition is always written (or cleared) so a later update never inherits a stale transition from the stored flag.
  *
  * @param {Scene} scene
- * @param {{particleUpdate?: object, filterUpdate?: object, stack?: Array<{uid:string}>|null, toggleGroupUpdate?: object, skipFading?: boolean}} [opts]
+ * @param {{particleUpdate?: object, filterUpdate?: object, stack?: Array<{uid:string}>|null, toggleGroupUpdate?: object, skipFading?: boolean, transition?: {duration:number, ease:string, pairs:Array<[string, string]>}|null}} [opts]
  * @returns {Promise<boolean>} True when a scene update was committed.
  */
 async function commitApiEffectsSceneUpdate(
   scene,
-  { particleUpdate = {}, filterUpdate = {}, stack = null, toggleGroupUpdate = {}, skipFading = false } = {},
+  {
+    particleUpdate = {},
+    filterUpdate = {},
+    stack = null,
+    toggleGroupUpdate = {},
+    skipFading = false,
+    transition = null,
+  } = {},
 ) {
   if (!scene) return false;
 
@@ -805,6 +863,7 @@ async function commitApiEffectsSceneUpdate(
   if (particlesChanged || filtersChanged) {
     updateData["flags." + packageId + "." + API_EFFECT_UPDATE_OPTIONS_FLAG] = {
       skipFading: skipFading === true,
+      transition: skipFading === true ? null : transition ?? null,
       nonce: createApiEffectsUpdateNonce(),
     };
   }
@@ -814,6 +873,41 @@ async function commitApiEffectsSceneUpdate(
   return true;
 }
 
+/**
+ * Start waiting for API effects to finish fading in or out on this client. Returns null when the Scene is not the one drawn here, since nothing will render.
+ *
+ * @param {Scene} scene
+ * @param {string[]} uids
+ * @param {"in"|"out"} fade
+ * @returns {Promise<boolean>|null}
+ */
+function waitForApiEffectRender(scene, uids, fade) {
+  if (!uids.length || !canvas?.ready || canvas.scene?.id !== scene?.id) return null;
+  return waitForEffectFades(uids, fade, { sceneId: scene.id });
+}
+
+/**
+ * Return whether this client renders a scene effect row, using the same gates as the scene managers: user targeting, darkness range, canvas level, and the client blocklist. Rows it skips never fire fade hooks here, so render waits leave them out.
+ *
+ * @param {"particle"|"filter"} kind
+ * @param {object|null|undefined} info Stored effect row.
+ * @param {Scene} scene
+ * @returns {boolean}
+ */
+function isApiEffectRenderedHere(kind, info, scene) {
+  if (!info || typeof info !== "object") return false;
+  const options = normalizeSceneLevelSelection(
+    info.options && typeof info.options === "object" ? { ...info.options } : {},
+    scene,
+  );
+  return (
+    isEffectAddressedToUser(options) &&
+    isEffectActiveForSceneDarkness(options) &&
+    isEffectActiveForCurrentOrVisibleCanvasLevel(options, scene) &&
+    !!applyClientEffectOverride(kind, info.type, options)
+  );
+}
+
 /**
  * Normalize a generic API effect entry into a scene flag payload.
  *
@@ -847,6 +941,9 @@ function normalizeGenericApiEffectEntry(entry, scene) {
     info.options && typeof info.options === "object" ? { ...info.options } : {},
     scene,
   );
+  const users = normalizeEffectUsers(info.options.users);
+  if (users.length) info.options.users = users;
+  else delete info.options.users;
   if (kind === "filter") {
     info.options = prepareFilterOptionsForSceneStorage(type, info.options, { forceRestart: true });
   } else {
@@ -869,21 +966,41 @@ function arrayifyApiEffectEntryInput(value) {
   return Array.isArray(value) ? value : [value];
 }
 
+/**
+ * Give every entry without its own `options.users` the request-level `users` target list.
+ *
+ * @param {Array<*>} entries
+ * @param {*} users
+ * @returns {Array<*>}
+ */
+function applyDefaultApiEffectUsers(entries, users) {
+  if (users === null || users === undefined) return entries;
+  return entries.map((entry) => {
+    if (!entry || typeof entry !== "object") return entry;
+    const raw = entry.info && typeof entry.info === "object" ? entry.info : entry;
+    if (raw.options?.users !== undefined) return entry;
+    const targeted = { ...raw, options: { ...(raw.options ?? {}), users } };
+    return raw === entry ? targeted : { ...entry, info: targeted };
+  });
+}
+
 /**
  * Build the ordered generic API effect entry list from either an explicit ordered `effects` array or separate particle/filter arrays.
  *
- * @param {{effects?: object|Array<object>, particles?: object|Array<object>, filters?: object|Array<object>}} args
+ * @param {{effects?: object|Array<object>, particles?: object|Array<object>, filters?: object|Array<object>, users?: string|User|Array<string|User>}} args
  * @returns {Array<object>}
  */
 function getGenericApiEffectEntries(args = {}) {
-  if (args?.effects !== null && args?.effects !== undefined) return arrayifyApiEffectEntryInput(args.effects);
+  if (args?.effects !== null && args?.effects !== undefined) {
+    return applyDefaultApiEffectUsers(arrayifyApiEffectEntryInput(args.effects), args?.users);
+  }
 
   const entries = [];
   for (const p of arrayifyApiEffectEntryInput(args?.particles))
     entries.push({ kind: "particle", ...(p && typeof p === "object" ? p : {}) });
   for (const f of arrayifyApiEffectEntryInput(args?.filters))
     entries.push({ kind: "filter", ...(f && typeof f === "object" ? f : {}) });
-  return entries;
+  return applyDefaultApiEffectUsers(entries, args?.users);
 }
 
 /**
@@ -891,21 +1008,27 @@ function getGenericApiEffectEntries(args = {}) {
  *
  * By default, this creates fresh non-core effect ids so identical payloads can be played multiple times. Explicit API-managed ids are preserved when provided, allowing saved macros to reference stable stop ids. Added entries appear in the API Effects management window and do not toggle or replace the built-in scene-manager rows. When an ordered `effects` array is supplied, its order is treated as the requested FX stack order from top to bottom and is preserved when the newly-created API rows are promoted into the scene stack.
  *
- * @param {{effects?: ApiEffectPlayEntry[], particles?: object[], filters?: object[], scene?: Scene|string, skipFading?: boolean, apiToggleKey?: string|null}} [args]
+ * With `awaitRender`, the promise resolves only after the new effects finished fading in on this client instead of once the scene flags are written. Rows replacing an existing id are updated in place and are not waited on, and neither are rows this client does not render: rows targeted at other users, outside their darkness range, on another Level, or blocked in this client's effect settings.
+ *
+ * `users` targets every entry that does not set its own `options.users`: only those clients render the effect. The target list is stored in the scene flags, so no extra socket traffic is needed.
+ *
+ * @param {{effects?: ApiEffectPlayEntry[], particles?: object[], filters?: object[], users?: string|User|Array<string|User>, scene?: Scene|string, skipFading?: boolean, awaitRender?: boolean, apiToggleKey?: string|null}} [args]
  * @returns {Promise<{particles: string[], filters: string[]}|false>} Created ids by kind, or false when no scene is available.
  */
 export async function playApiEffects({
   effects = null,
   particles = [],
   filters = [],
+  users = null,
   scene = null,
   skipFading = false,
+  awaitRender = false,
   apiToggleKey = null,
 } = {}) {
   const sc = scene ? resolveScene(scene) : canvas?.scene;
   if (!sc) return false;
 
-  const entries = getGenericApiEffectEntries({ effects, particles, filters })
+  const entries = getGenericApiEffectEntries({ effects, particles, filters, users })
     .map((entry) => normalizeGenericApiEffectEntry(entry, sc))
     .filter(Boolean);
 
@@ -955,9 +1078,24 @@ export async function playApiEffects({
   }
 
   const toggleGroupUpdate = apiToggleKey ? { [apiToggleKey]: created } : {};
+  const rendered = awaitRender
+    ? waitForApiEffectRender(
+        sc,
+        [
+          ...created.particles
+            .filter((id) => !(id in curParticles) && isApiEffectRenderedHere("particle", particleUpdate[id], sc))
+            .map((id) => buildSceneEffectUid("particle", id)),
+          ...created.filters
+            .filter((id) => !(id in curFilters) && isApiEffectRenderedHere("filter", filterUpdate[id], sc))
+            .map((id) => buildSceneEffectUid("filter", id)),
+        ],
+        "in",
+      )
+    : null;
   await commitApiEffectsSceneUpdate(sc, { particleUpdate, filterUpdate, toggleGroupUpdate, skipFading });
 
   await promoteEffectStackUids(promotedUids, sc);
+  if (rendered) await rendered;
 
   return created;
 }
@@ -1072,13 +1210,21 @@ function collectApiEffectStopIds(args = {}) {
  */
 function buildScopedApiEffectStopArgs(property, value = [], opts = {}) {
   if (value && typeof value === "object" && !Array.isArray(value)) {
-    const hasEnvelope = ["particles", "filters", "effects", "ids", "scene", "skipFading", "toggleGroupUpdate"].some(
-      (key) => key in value,
-    );
+    const hasEnvelope = [
+      "particles",
+      "filters",
+      "effects",
+      "ids",
+      "scene",
+      "skipFading",
+      "awaitRender",
+      "toggleGroupUpdate",
+    ].some((key) => key in value);
     if (hasEnvelope) {
       return {
         scene: opts.scene ?? value.scene,
         skipFading: opts.skipFading ?? value.skipFading,
+        awaitRender: opts.awaitRender ?? value.awaitRender,
         toggleGroupUpdate: opts.toggleGroupUpdate ?? value.toggleGroupUpdate,
         [property]: value[property] ?? value.effects ?? value.ids ?? [],
       };
@@ -1093,14 +1239,17 @@ function buildScopedApiEffectStopArgs(property, value = [], opts = {}) {
  *
  * The expected input is the object returned by `FXMASTER.api.effects.play`, an object containing `particles` and/or `filters` id arrays, or the same effect payload definitions used for `play`/`toggle`.
  *
+ * With `awaitRender`, the promise resolves only after the removed effects finished fading out on this client.
+ *
  * @param {object|string|Array<*>} [args]
- * @param {{scene?: Scene|string, skipFading?: boolean, toggleGroupUpdate?: object}} [opts]
+ * @param {{scene?: Scene|string, skipFading?: boolean, awaitRender?: boolean, toggleGroupUpdate?: object}} [opts]
  * @returns {Promise<{particles: string[], filters: string[]}|false>} Removed ids by kind, or false when no scene is available.
  */
 export async function stopApiEffects(args = {}, opts = {}) {
   const source = typeof args === "string" || Array.isArray(args) ? { effects: args } : args ?? {};
   const scene = opts.scene ?? source.scene ?? null;
   const skipFading = opts.skipFading ?? source.skipFading ?? false;
+  const awaitRender = opts.awaitRender ?? source.awaitRender ?? false;
   const toggleGroupUpdate = opts.toggleGroupUpdate ?? source.toggleGroupUpdate ?? {};
   const sc = scene ? resolveScene(scene) : canvas?.scene;
   if (!sc) return false;
@@ -1169,6 +1318,15 @@ export async function stopApiEffects(args = {}, opts = {}) {
     }
   }
 
+  const renderedUids = [
+    ...removed.particles
+      .filter((id) => isApiEffectRenderedHere("particle", curParticles[id], sc))
+      .map((id) => buildSceneEffectUid("particle", id)),
+    ...removed.filters
+      .filter((id) => isApiEffectRenderedHere("filter", curFilters[id], sc))
+      .map((id) => buildSceneEffectUid("filter", id)),
+  ];
+  const rendered = awaitRender ? waitForApiEffectRender(sc, renderedUids, "out") : null;
   await commitApiEffectsSceneUpdate(sc, {
     particleUpdate,
     filterUpdate,
@@ -1176,6 +1334,7 @@ export async function stopApiEffects(args = {}, opts = {}) {
     toggleGroupUpdate,
     skipFading,
   });
+  if (rendered) await rendered;
   return removed;
 }
 
@@ -1184,14 +1343,15 @@ export async function stopApiEffects(args = {}, opts = {}) {
  *
  * The first call creates a fresh API-effect group. Later calls with the same effect payload, or the same explicit `toggleKey`, remove the ids created for that group.
  *
- * @param {{effects?: ApiEffectPlayEntry[], particles?: object[], filters?: object[], scene?: Scene|string, skipFading?: boolean, toggleKey?: string, key?: string, id?: string, name?: string}} [args]
- * @param {{scene?: Scene|string, skipFading?: boolean, toggleKey?: string, key?: string, id?: string, name?: string}} [opts]
+ * @param {{effects?: ApiEffectPlayEntry[], particles?: object[], filters?: object[], scene?: Scene|string, skipFading?: boolean, awaitRender?: boolean, toggleKey?: string, key?: string, id?: string, name?: string}} [args]
+ * @param {{scene?: Scene|string, skipFading?: boolean, awaitRender?: boolean, toggleKey?: string, key?: string, id?: string, name?: string}} [opts]
  * @returns {Promise<{active: boolean, action: "play"|"stop", particles: string[], filters: string[]}|false>} Toggle result, or false when no scene is available.
  */
 export async function toggleApiEffects(args = {}, opts = {}) {
   const source = typeof args === "string" || Array.isArray(args) ? { effects: args } : args ?? {};
   const scene = opts.scene ?? source.scene ?? null;
   const skipFading = opts.skipFading ?? source.skipFading ?? false;
+  const awaitRender = opts.awaitRender ?? source.awaitRender ?? false;
   const explicitToggleKey =
     opts.toggleKey ??
     opts.key ??
@@ -1219,7 +1379,7 @@ export async function toggleApiEffects(args = {}, opts = {}) {
     const toggleGroupUpdate = {};
     addDeletionKey(toggleGroupUpdate, toggleKey);
     const stopped = await stopApiEffects(
-      { particles: activeIds.particles, filters: activeIds.filters, scene: sc, skipFading },
+      { particles: activeIds.particles, filters: activeIds.filters, scene: sc, skipFading, awaitRender },
       { toggleGroupUpdate },
     );
     return { active: false, action: "stop", particles: stopped?.particles ?? [], filters: stopped?.filters ?? [] };
@@ -1234,7 +1394,7 @@ export async function toggleApiEffects(args = {}, opts = {}) {
     const toggleGroupUpdate = {};
     addDeletionKey(toggleGroupUpdate, toggleKey);
     const stopped = await stopApiEffects(
-      { particles: matchingIds.particles, filters: matchingIds.filters, scene: sc, skipFading },
+      { particles: matchingIds.particles, filters: matchingIds.filters, scene: sc, skipFading, awaitRender },
       { toggleGroupUpdate },
     );
     return { active: false, action: "stop", particles: stopped?.particles ?? [], filters: stopped?.filters ?? [] };
@@ -1244,6 +1404,7 @@ export async function toggleApiEffects(args = {}, opts = {}) {
     effects: denormalizeApiEffectEntries(entries),
     scene: sc,
     skipFading,
+    awaitRender,
     apiToggleKey: toggleKey,
   });
 
@@ -1254,7 +1415,7 @@ export async function toggleApiEffects(args = {}, opts = {}) {
  * Convenience helper for removing API-created particle effects by id.
  *
  * @param {*} [particles]
- * @param {{scene?: Scene|string, skipFading?: boolean}} [opts]
+ * @param {{scene?: Scene|string, skipFading?: boolean, awaitRender?: boolean}} [opts]
  * @returns {Promise<{particles: string[], filters: string[]}|false>}
  */
 export async function stopApiParticleEffects(particles = [], opts = {}) {
@@ -1265,7 +1426,7 @@ export async function stopApiParticleEffects(particles = [], opts = {}) {
  * Convenience helper for removing API-created filter effects by id.
  *
  * @param {*} [filters]
- * @param {{scene?: Scene|string, skipFading?: boolean}} [opts]
+ * @param {{scene?: Scene|string, skipFading?: boolean, awaitRender?: boolean}} [opts]
  * @returns {Promise<{particles: string[], filters: string[]}|false>}
  */
 export async function stopApiFilterEffects(filters = [], opts = {}) {
@@ -1465,6 +1626,7 @@ function buildScopedApiEffectToggleArgs(property, value = [], opts = {}) {
       "ids",
       "scene",
       "skipFading",
+      "awaitRender",
       "toggleKey",
       "key",
       "id",
@@ -1474,6 +1636,7 @@ function buildScopedApiEffectToggleArgs(property, value = [], opts = {}) {
       return {
         scene: opts.scene ?? value.scene,
         skipFading: opts.skipFading ?? value.skipFading,
+        awaitRender: opts.awaitRender ?? value.awaitRender,
         toggleKey: opts.toggleKey ?? value.toggleKey,
         key: opts.key ?? value.key,
         id: opts.id ?? value.id,
@@ -1490,7 +1653,7 @@ function buildScopedApiEffectToggleArgs(property, value = [], opts = {}) {
  * Convenience helper for toggling API-created particle effects.
  *
  * @param {*} [particles]
- * @param {{scene?: Scene|string, skipFading?: boolean, toggleKey?: string, key?: string, id?: string, name?: string}} [opts]
+ * @param {{scene?: Scene|string, skipFading?: boolean, awaitRender?: boolean, toggleKey?: string, key?: string, id?: string, name?: string}} [opts]
  * @returns {Promise<{active: boolean, action: "play"|"stop", particles: string[], filters: string[]}|false>}
  */
 export async function toggleApiParticleEffects(particles = [], opts = {}) {
@@ -1501,13 +1664,335 @@ export async function toggleApiParticleEffects(particles = [], opts = {}) {
  * Convenience helper for toggling API-created filter effects.
  *
  * @param {*} [filters]
- * @param {{scene?: Scene|string, skipFading?: boolean, toggleKey?: string, key?: string, id?: string, name?: string}} [opts]
+ * @param {{scene?: Scene|string, skipFading?: boolean, awaitRender?: boolean, toggleKey?: string, key?: string, id?: string, name?: string}} [opts]
  * @returns {Promise<{active: boolean, action: "play"|"stop", particles: string[], filters: string[]}|false>}
  */
 export async function toggleApiFilterEffects(filters = [], opts = {}) {
   return toggleApiEffects(buildScopedApiEffectToggleArgs("filters", filters, opts));
 }
 
+/**
+ * Resolve an update target to a running scene flag row or Region behavior effect.
+ *
+ * @param {Scene} scene
+ * @param {string} target Scene flag id, scene UID (`scene:<kind>:<id>`), or Region UID (`region:<kind>:<regionId>:<behaviorId>:<type>`).
+ * @returns {{uid:string, scope:"scene"|"region", kind:"particle"|"filter", type:string, options:object, id?:string, behavior?:RegionBehavior}|null}
+ */
+function resolveApiEffectUpdateTarget(scene, target) {
+  const ref = String(target ?? "").trim();
+  if (!ref) return null;
+
+  const parsed = parseEffectUid(ref);
+  if (parsed?.scope === "region") {
+    const kind = normalizeApiEffectKind(parsed.kind);
+    const type = parsed.effectId;
+    const behavior = scene.regions?.get?.(parsed.regionId)?.behaviors?.get?.(parsed.behaviorId);
+    const behaviorType = kind === "particle" ? REGION_PARTICLE_EFFECT_TYPE : REGION_FILTER_EFFECT_TYPE;
+    if (!kind || !behavior || behavior.type !== behaviorType || behavior.disabled) return null;
+
+    const system = behavior.system ?? {};
+    if (!system[`${type}_enabled`]) return null;
+    const options = {};
+    for (const [key, cfg] of Object.entries(getApiEffectParameters(kind, type))) {
+      const field = `${type}_${key}`;
+      if (cfg?.type === "color") options[key] = { value: system[field], apply: !!system[`${field}_apply`] };
+      else if (cfg?.type === "range-dual")
+        options[key] = { min: Number(system[`${field}_min`]), max: Number(system[`${field}_max`]) };
+      else if (field in system) options[key] = system[field];
+    }
+    return {
+      uid: buildRegionEffectUid(kind, parsed.regionId, parsed.behaviorId, type),
+      scope: "region",
+      kind,
+      type,
+      options,
+      behavior,
+    };
+  }
+
+  const candidates =
+    parsed?.scope === "scene"
+      ? [[normalizeApiEffectKind(parsed.kind), parsed.effectId]]
+      : [
+          ["particle", ref],
+          ["filter", ref],
+        ];
+  for (const [kind, id] of candidates) {
+    if (!kind) continue;
+    const row = scene.getFlag?.(packageId, kind === "particle" ? "effects" : "filters")?.[id];
+    if (!row?.type) continue;
+    return {
+      uid: buildSceneEffectUid(kind, id),
+      scope: "scene",
+      kind,
+      type: row.type,
+      options: row.options ?? {},
+      id,
+    };
+  }
+  return null;
+}
+
+/**
+ * Return the registered parameter descriptors for an effect type.
+ *
+ * @param {"particle"|"filter"} kind
+ * @param {string} type
+ * @returns {Record<string, object>}
+ */
+function getApiEffectParameters(kind, type) {
+  const db = kind === "particle" ? CONFIG?.fxmaster?.particleEffects : CONFIG?.fxmaster?.filterEffects;
+  return db?.[type]?.parameters ?? {};
+}
+
+/**
+ * Validate and clamp one patch value against its parameter descriptor.
+ *
+ * @param {"particle"|"filter"} kind
+ * @param {string} type
+ * @param {string} key
+ * @param {*} value
+ * @param {*} current Stored value being replaced.
+ * @returns {*} The stored value to write, or undefined when the value is invalid.
+ */
+function normalizeApiEffectPatchValue(kind, type, key, value, current) {
+  const desc = getRegisteredParamDescriptor({ kind: kind === "particle" ? "particles" : "filters", type }, key);
+  const param = desc?.__fxmParameter;
+  if (!param || value === undefined) return undefined;
+
+  switch (param.type) {
+    case "range":
+    case "number": {
+      const number = Number(value);
+      return value !== null && value !== "" && Number.isFinite(number) ? clampAndQuantize(number, desc) : undefined;
+    }
+    case "number-infinity": {
+      if (value === Infinity || value === null || value === "") return value;
+      const number = Number(value);
+      return Number.isFinite(number) ? number : undefined;
+    }
+    case "range-dual": {
+      const min = Number(value?.min ?? current?.min);
+      const max = Number(value?.max ?? current?.max);
+      if (!Number.isFinite(min) || !Number.isFinite(max)) return undefined;
+      const lo = clampAndQuantize(Math.min(min, max), desc);
+      const hi = clampAndQuantize(Math.max(min, max), desc);
+      return { min: lo, max: hi };
+    }
+    case "checkbox":
+    case "boolean":
+      return typeof value === "boolean" ? value : undefined;
+    case "color": {
+      const next = typeof value === "string" ? { value, apply: true } : value;
+      const color = parseHexColor(next?.value ?? current?.value);
+      if (!color.provided || !color.valid) return undefined;
+      return { value: color.hex, apply: next?.apply ?? current?.apply ?? true };
+    }
+    case "select":
+      return Object.hasOwn(param.options ?? {}, value) ? value : undefined;
+    case "multi-select": {
+      const choices = param.options ?? {};
+      return Array.isArray(value) && value.every((v) => Object.hasOwn(choices, v)) ? [...value] : undefined;
+    }
+    default:
+      return value;
+  }
+}
+
+/**
+ * Add a normalized patch value to a Region behavior update using the behavior's `<type>_<param>` field layout.
+ *
+ * @param {object} update
+ * @param {string} type
+ * @param {string} key
+ * @param {*} value
+ * @param {object} param
+ */
+function addRegionBehaviorPatchValue(update, type, key, value, param) {
+  const field = `system.${type}_${key}`;
+  if (param?.type === "range-dual") {
+    update[`${field}_min`] = String(value.min);
+    update[`${field}_max`] = String(value.max);
+  } else if (param?.type === "color") {
+    update[field] = value.value;
+    update[`${field}_apply`] = !!value.apply;
+  } else if (param?.type === "number-infinity") {
+    update[field] = Number.isFinite(value) ? String(value) : "";
+  } else update[field] = value;
+}
+
+/**
+ * Change options on a running scene, API, or Region effect in place.
+ *
+ * Each patch key must be a registered parameter of the effect type; range values are clamped and quantized to the parameter's UI range. Invalid keys and values are ignored (and reported unless `silent`). Filters apply every key to the running runtime. Particle effects apply `density`, `speed` and `direction` without a rebuild, except Clouds and Leaves with upwind spawning, whose spawn area follows `direction`, so a `direction` change rebuilds them. Rain and Snowstorm apply all three keys to their procedural surface. Any other particle key cross-fades into a rebuilt emitter unless `skipFading` is set. Region effects are saved to their behavior as a live update, which every client applies to the running emitters and filters in place; a change to the mask routing (`belowTokens`, `belowTiles`, `belowForeground`), a darkness activation change that starts or stops an effect, or a particle key that cannot be applied live rebuilds the Region's effects as when their behavior is edited.
+ *
+ * @param {string} target Scene flag id (for example `core_rain` or an id returned by `play`), scene UID, or Region UID.
+ * @param {object} patch Option values keyed by parameter name.
+ * @param {{scene?: Scene|string, skipFading?: boolean, silent?: boolean}} [opts]
+ * @returns {Promise<{uid: string, options: object, ignored: string[]}|false>} The applied options, or false when no scene or running effect matches.
+ */
+export async function updateApiEffect(target, patch = {}, { scene = null, skipFading = false, silent = true } = {}) {
+  const sc = scene ? resolveScene(scene) : canvas?.scene;
+  if (!sc) return false;
+
+  const resolved = resolveApiEffectUpdateTarget(sc, target);
+  if (!resolved) {
+    const msg = game.i18n.format("FXMASTER.API.EffectNotFound", { id: String(target ?? "") });
+    logger.warn(msg);
+    if (!silent) ui?.notifications?.warn?.(msg);
+    return false;
+  }
+
+  const { uid, scope, kind, type, options: current } = resolved;
+  const parameters = getApiEffectParameters(kind, type);
+  const applied = {};
+  const ignored = [];
+  for (const [key, value] of Object.entries(patch ?? {})) {
+    const sceneOnly = scope === "region" && parameters[key]?.sceneOnly;
+    const next = sceneOnly ? undefined : normalizeApiEffectPatchValue(kind, type, key, value, current?.[key]);
+    if (next === undefined) ignored.push(key);
+    else applied[key] = next;
+  }
+
+  if (ignored.length) {
+    const msg = game.i18n.format("FXMASTER.API.InvalidEffectOptions", { type, keys: ignored.join(", ") });
+    logger.warn(msg);
+    if (!silent) ui?.notifications?.warn?.(msg);
+  }
+  if (foundry.utils.isEmpty(applied)) return { uid, options: applied, ignored };
+
+  if (scope === "region") {
+    const update = {};
+    for (const [key, value] of Object.entries(applied))
+      addRegionBehaviorPatchValue(update, type, key, value, parameters[key]);
+    await resolved.behavior.update(update, { [REGION_LIVE_UPDATE_OPTION]: true });
+    return { uid, options: applied, ignored };
+  }
+
+  const merged = { ...current, ...applied };
+  const next =
+    kind === "filter" ? prepareFilterOptionsForSceneStorage(type, merged, { previousOptions: current }) : merged;
+  const optionsUpdate = {};
+  for (const [key, value] of Object.entries(next ?? {})) {
+    if (stableApiEffectStringify(value) !== stableApiEffectStringify(current?.[key])) optionsUpdate[key] = value;
+  }
+  for (const key of Object.keys(current ?? {})) {
+    if (!(key in (next ?? {}))) addDeletionKey(optionsUpdate, key);
+  }
+
+  const rowUpdate = { [resolved.id]: { options: optionsUpdate } };
+  await commitApiEffectsSceneUpdate(sc, {
+    particleUpdate: kind === "particle" ? rowUpdate : {},
+    filterUpdate: kind === "filter" ? rowUpdate : {},
+    skipFading,
+  });
+  return { uid, options: applied, ignored };
+}
+
+/**
+ * An active effect as returned by {@link listApiEffects}.
+ *
+ * @typedef {object} ApiEffectListRow
+ * @property {string} uid Stack UID, accepted by `update` and (for scene rows) `stop`.
+ * @property {"particle"|"filter"} kind
+ * @property {string} type Effect type, e.g. `"rain"`.
+ * @property {"scene"|"region"|"api"|"preset"|"macro"} source Management window row, Region behavior, or API row (generic, preset, or saved macro).
+ * @property {"scene"|"region"} scope
+ * @property {string} effectId Scene flag key, or the effect type for Region rows.
+ * @property {{type: "Scene"|"Region", id: string, name: string|null, behaviorId: string|null}} owner
+ * @property {string[]|null} levels Scene Level ids the effect is limited to, or null for all Levels.
+ * @property {string[]|null} users User ids the effect renders for, or null for everyone.
+ * @property {number} stackIndex Position in the FX stack, `0` being the top row.
+ * @property {object} options Parameter defaults merged with the stored options.
+ */
+
+/**
+ * Map a stack row onto the public list source bucket.
+ *
+ * @param {object} row
+ * @returns {"scene"|"region"|"api"|"preset"|"macro"}
+ */
+function getApiEffectListSource(row) {
+  if (row.scope === "region") return "region";
+  if (row.source !== "api") return "scene";
+  return row.apiSource === "preset" || row.apiSource === "macro" ? row.apiSource : "api";
+}
+
+/**
+ * Merge an effect's parameter defaults with its stored options.
+ *
+ * @param {"particle"|"filter"} kind
+ * @param {string} type
+ * @param {object} options
+ * @returns {object}
+ */
+function getEffectiveApiEffectOptions(kind, type, options = {}) {
+  const effective = {};
+  for (const [key, cfg] of Object.entries(getApiEffectParameters(kind, type))) {
+    if (cfg && "value" in cfg) effective[key] = deepClone(cfg.value);
+  }
+  return Object.assign(effective, deepClone(options ?? {}));
+}
+
+/**
+ * List every active particle and filter effect on a Scene in FX stack order, top first.
+ *
+ * `source` accepts one bucket or an array; `"api"` matches every API row, including preset and macro rows.
+ *
+ * @param {{scene?: Scene|string, kind?: "particle"|"filter", source?: string|string[]}} [opts]
+ * @returns {ApiEffectListRow[]}
+ */
+export function listApiEffects({ scene = null, kind = null, source = null } = {}) {
+  const sc = scene ? resolveScene(scene) : canvas?.scene;
+  if (!sc) return [];
+
+  const kindFilter = kind ? normalizeApiEffectKind(kind) : null;
+  if (kind && !kindFilter) return [];
+  const sourceFilter = source
+    ? new Set(
+        arrayifyApiEffectEntryInput(source).map((value) =>
+          String(value ?? "")
+            .trim()
+            .toLowerCase(),
+        ),
+      )
+    : null;
+
+  const rows = [];
+  getOrderedEnabledEffectRows(sc).forEach((row, stackIndex) => {
+    if (row?.kind !== "particle" && row?.kind !== "filter") return;
+    if (kindFilter && row.kind !== kindFilter) return;
+
+    const rowSource = getApiEffectListSource(row);
+    const apiRow = rowSource === "api" || rowSource === "preset" || rowSource === "macro";
+    if (sourceFilter && !sourceFilter.has(rowSource) && !(apiRow && sourceFilter.has("api"))) return;
+
+    const region = row.scope === "region" ? sc.regions?.get?.(row.ownerId) ?? null : null;
+    const levels = region ? getDocumentAssignedLevelIds(region, sc) : getSelectedSceneLevelIds(row.options?.levels, sc);
+    const users = normalizeEffectUsers(row.options?.users);
+
+    rows.push({
+      uid: row.uid,
+      kind: row.kind,
+      type: row.effectType,
+      source: rowSource,
+      scope: row.scope,
+      effectId: row.effectId,
+      owner: {
+        type: region ? "Region" : "Scene",
+        id: row.ownerId,
+        name: row.ownerName ?? null,
+        behaviorId: row.behaviorId ?? null,
+      },
+      levels: levels?.size ? [...levels] : null,
+      users: users.length ? users : null,
+      stackIndex,
+      options: getEffectiveApiEffectOptions(row.kind, row.effectType, row.options),
+    });
+  });
+  return rows;
+}
+
 function getSceneLevelIds(scene) {
   return Array.from(
     new Set(
@@ -1584,7 +2069,7 @@ function resolvePresetLevelSelection(value, scene) {
  * Apply top-level overrides to a particle or filter options object.
  *
  * @param {object} options
- * @param {{ topDown?: boolean, belowTokens?: boolean, splash?: boolean, background?: boolean, tokenTrails?: boolean, belowTiles?: boolean, belowForeground?: boolean, darknessActivationEnabled?: boolean, darknessActivationMin?: number, darknessActivationMax?: number, directionDeg?: number|null, soundFx?: boolean, windPainting?: boolean, speedScale?: number, densityScale?: number, levels?: PresetLevelsValue, }} overrides
+ * @param {{ topDown?: boolean, belowTokens?: boolean, splash?: boolean, background?: boolean, tokenTrails?: boolean, belowTiles?: boolean, belowForeground?: boolean, darknessActivationEnabled?: boolean, darknessActivationMin?: number, darknessActivationMax?: number, directionDeg?: number|null, soundFx?: boolean, windPainting?: boolean, speedScale?: number, densityScale?: number, levels?: PresetLevelsValue, users?: string|User|Array<string|User>, }} overrides
  * @param {{ plusActive: boolean, scene?: Scene|null }} ctx
  * @param {{kind?: "particles"|"filters", type?: string}} meta
  * @returns {object}
@@ -1621,6 +2106,10 @@ function applyOptionOverrides(options = {}, overrides = {}, { plusActive, scene
   if (resolvedLevels.length) out.levels = resolvedLevels;
   else delete out.levels;
 
+  const users = normalizeEffectUsers(overrides.users);
+  if (users.length) out.users = users;
+  else delete out.users;
+
   const hasExplicitDarknessActivationEnabled = typeof overrides.darknessActivationEnabled === "boolean";
   const hasDarknessActivationMin = Number.isFinite(overrides.darknessActivationMin);
   const hasDarknessActivationMax = Number.isFinite(overrides.darknessActivationMax);
@@ -1802,15 +2291,15 @@ export async function stopPreset(name, { scene = null, skipFading = false } = {}
 }
 
 /**
- * Play (apply) a preset by name onto the current scene.
- *
- * This only manages keys created by this preset API (`apiPreset_*`) and will not modify core FXMaster `core_*` scene effects.
+ * Resolve a preset variant and apply the play overrides to a copy of its particle and filter rows.
  *
+ * @param {Scene} sc
  * @param {string} name
  * @param {PresetPlayOptions} [opts]
- * @returns {Promise<boolean>}
+ * @returns {{resolved: PresetVariant, plusActive: boolean, particles: object[], filters: object[]}|null}
  */
-export async function playPreset(
+function resolvePresetEffects(
+  sc,
   name,
   {
     topDown = false,
@@ -1830,20 +2319,16 @@ export async function playPreset(
     soundFx = undefined,
     windPainting = undefined,
     levels = undefined,
-    scene = null,
+    users = undefined,
     silent = true,
-    skipFading = false,
   } = {},
 ) {
-  const sc = scene ? resolveScene(scene) : canvas?.scene;
-  if (!sc) return false;
-
   const resolved = resolvePresetVariant(name, { topDown });
   if (!resolved) {
     const msg = game.i18n.format("FXMASTER.API.PresetNotFound", { name });
     logger.warn(msg);
     if (!silent) ui?.notifications?.warn?.(msg);
-    return false;
+    return null;
   }
 
   const plusActive = hasFxmasterPlus();
@@ -1889,6 +2374,7 @@ export async function playPreset(
     soundFx,
     windPainting,
     levels,
+    users,
     speedScale: speedScaleInfo.multiplier,
     densityScale: densityScaleInfo.multiplier,
     colorHex: colorInfo.hex,
@@ -1904,6 +2390,7 @@ export async function playPreset(
       { plusActive, scene: sc },
       meta,
     );
+    restartPresetKeyframes(p.options);
   }
   for (const f of filters) {
     if (!f || typeof f !== "object") continue;
@@ -1916,8 +2403,27 @@ export async function playPreset(
       { plusActive, scene: sc },
       meta,
     );
+    restartPresetKeyframes(f.options);
   }
 
+  return { resolved, plusActive, particles, filters };
+}
+
+/**
+ * Resolve a preset variant and build the scene flag rows that play it on a Scene.
+ *
+ * Stale or invalid rows under the preset's own key prefix are queued for deletion so replaying a preset with fewer effects does not leave orphans behind.
+ *
+ * @param {Scene} sc
+ * @param {string} name
+ * @param {PresetPlayOptions} [opts]
+ * @returns {{resolved: PresetVariant, plusActive: boolean, particleUpdate: object, filterUpdate: object, particleKeys: string[], filterKeys: string[]}|null}
+ */
+function buildPresetSceneUpdate(sc, name, opts = {}) {
+  const effects = resolvePresetEffects(sc, name, opts);
+  if (!effects) return null;
+  const { resolved, plusActive, particles, filters } = effects;
+
   const presetName = resolved.presetName;
   const { particlePrefix, filterPrefix } = keyPrefixesForPreset(presetName);
 
@@ -1967,19 +2473,96 @@ export async function playPreset(
     filterUpdate[key] = entry;
   }
 
-  await commitApiEffectsSceneUpdate(sc, { particleUpdate, filterUpdate, skipFading });
+  return {
+    resolved,
+    plusActive,
+    particleUpdate,
+    filterUpdate,
+    particleKeys: particles.map((_, i) => `${particlePrefix}${i}`),
+    filterKeys: filters.map((_, i) => `${filterPrefix}${i}`),
+  };
+}
 
+/**
+ * Expand a preset into Particle and Filter Effects Region behavior data, one behavior per preset row, so the preset renders inside a Region.
+ *
+ * Options the Region behaviors do not store, such as Scene Levels and keyframes, are dropped.
+ *
+ * @param {Scene} sc Scene the Region belongs to.
+ * @param {string} name
+ * @param {PresetPlayOptions} [opts]
+ * @returns {{resolved: PresetVariant, plusActive: boolean, behaviors: Array<{type: string, system: object}>}|null}
+ */
+export function buildPresetRegionBehaviorData(sc, name, opts = {}) {
+  const effects = resolvePresetEffects(sc, name, opts);
+  if (!effects) return null;
+  const { resolved, plusActive, particles, filters } = effects;
+
+  const behaviors = [];
+  const addRow = (kind, row) => {
+    const type = row?.type;
+    const parameters = getApiEffectParameters(kind, type);
+    if (!type || foundry.utils.isEmpty(parameters)) return;
+
+    const update = { [`system.${type}_enabled`]: true };
+    for (const [key, value] of Object.entries(row.options ?? {})) {
+      const param = parameters[key];
+      if (!param || param.sceneOnly || param.type === "filter-actions") continue;
+      const next = normalizeApiEffectPatchValue(kind, type, key, value);
+      if (next !== undefined) addRegionBehaviorPatchValue(update, type, key, next, param);
+    }
+    behaviors.push({
+      type: kind === "particle" ? REGION_PARTICLE_EFFECT_TYPE : REGION_FILTER_EFFECT_TYPE,
+      system: foundry.utils.expandObject(update).system,
+    });
+  };
+  for (const p of particles) addRow("particle", p);
+  for (const f of filters) addRow("filter", f);
+
+  return { resolved, plusActive, behaviors };
+}
+
+/**
+ * Promote freshly played preset rows to the top of the effect stack and warn about inactive FXMaster+ presets.
+ *
+ * @param {Scene} sc
+ * @param {ReturnType<typeof buildPresetSceneUpdate>} built
+ * @param {boolean} silent
+ * @returns {Promise<void>}
+ */
+async function finalizePresetPlay(sc, { resolved, plusActive, particleKeys, filterKeys }, silent) {
   const promotedUids = [
-    ...particles.map((_, i) => buildSceneEffectUid("particle", `${particlePrefix}${i}`)),
-    ...filters.map((_, i) => buildSceneEffectUid("filter", `${filterPrefix}${i}`)),
+    ...particleKeys.map((key) => buildSceneEffectUid("particle", key)),
+    ...filterKeys.map((key) => buildSceneEffectUid("filter", key)),
   ];
   await promoteEffectStackUids(promotedUids, sc);
 
   if (resolved.tier === "plus" && !plusActive) {
-    const msg = game.i18n.format("FXMASTER.API.PlusPresetInactive", { name: presetName });
+    const msg = game.i18n.format("FXMASTER.API.PlusPresetInactive", { name: resolved.presetName });
     logger.warn(msg);
     if (!silent) ui?.notifications?.warn?.(msg);
   }
+}
+
+/**
+ * Play (apply) a preset by name onto the current scene.
+ *
+ * This only manages keys created by this preset API (`apiPreset_*`) and will not modify core FXMaster `core_*` scene effects.
+ *
+ * @param {string} name
+ * @param {PresetPlayOptions} [opts]
+ * @returns {Promise<boolean>}
+ */
+export async function playPreset(name, opts = {}) {
+  const sc = opts?.scene ? resolveScene(opts.scene) : canvas?.scene;
+  if (!sc) return false;
+
+  const built = buildPresetSceneUpdate(sc, name, opts ?? {});
+  if (!built) return false;
+
+  const { particleUpdate, filterUpdate } = built;
+  await commitApiEffectsSceneUpdate(sc, { particleUpdate, filterUpdate, skipFading: opts?.skipFading === true });
+  await finalizePresetPlay(sc, built, opts?.silent !== false);
 
   return true;
 }
@@ -2018,11 +2601,25 @@ export async function togglePreset(name, opts = {}) {
 }
 
 /**
- * List all known preset names.
- * @returns {string[]}
+ * @typedef {object} PresetListEntry
+ * @property {string} name Normalized preset name.
+ * @property {"builtin"|"world"} source Whether the preset ships with FXMaster or was saved in this world.
+ */
+
+/**
+ * List all known presets: built-ins first, then world presets.
+ *
+ * @param {{ withSource?: boolean }} [opts] Pass `withSource: true` to receive {@link PresetListEntry} objects instead of names.
+ * @returns {string[]|PresetListEntry[]}
  */
-export function listPresets() {
-  return [...(API_EFFECT_NAMES ?? [])];
+export function listPresets({ withSource = false } = {}) {
+  const entries = [
+    ...(API_EFFECT_NAMES ?? []).map((name) => ({ name, source: "builtin" })),
+    ...Object.keys(getWorldPresets())
+      .sort()
+      .map((name) => ({ name, source: "world" })),
+  ];
+  return withSource ? entries : entries.map(({ name }) => name);
 }
 
 /**
@@ -2055,39 +2652,128 @@ export function listActivePresets({ scene = null } = {}) {
 }
 
 /**
- * List preset names that are currently valid for this world.
+ * List presets that are currently valid for this world.
  *
- * A preset is considered "valid" if it can be resolved for the current module tier (free/plus) AND all referenced effect types are registered in CONFIG.fxmaster.
+ * A built-in preset is considered "valid" if it can be resolved for the current module tier (free/plus) AND all referenced effect types are registered in CONFIG.fxmaster. World presets only need their effect types to be registered.
  *
  * By default this checks both normal and top-down variants; a preset is included if either is valid.
  *
- * @param {{ topDown?: boolean|null }} [opts]
- * @returns {string[]}
+ * @param {{ topDown?: boolean|null, withSource?: boolean }} [opts] Pass `withSource: true` to receive {@link PresetListEntry} objects instead of names.
+ * @returns {string[]|PresetListEntry[]} Sorted by name.
  */
-export function listValidPresets({ topDown = null } = {}) {
-  const names = new Set();
-  const all = API_EFFECT_NAMES ?? Object.keys(API_EFFECTS ?? {});
-
+export function listValidPresets({ topDown = null, withSource = false } = {}) {
   const isValidFor = (name, td) => {
     const resolved = resolvePresetVariant(name, { topDown: !!td });
     return !!(resolved && isVariantCompatible(resolved.variant));
   };
 
-  for (const n of all) {
-    const presetName = normalizePresetName(n);
-    if (topDown === null) {
-      if (isValidFor(presetName, false) || isValidFor(presetName, true)) names.add(presetName);
-    } else {
-      if (isValidFor(presetName, !!topDown)) names.add(presetName);
+  const entries = listPresets({ withSource: true })
+    .filter(({ name }) =>
+      topDown === null ? isValidFor(name, false) || isValidFor(name, true) : isValidFor(name, !!topDown),
+    )
+    .sort((a, b) => a.name.localeCompare(b.name));
+  return withSource ? entries : entries.map(({ name }) => name);
+}
+
+/**
+ * Resolve the `transitionDuration` / `transitionEase` switch options into a stored transition descriptor.
+ *
+ * @param {PresetPlayOptions} opts
+ * @param {boolean} silent
+ * @returns {{duration: number, ease: string}|null} `null` when no transition was requested or fading is skipped.
+ */
+function resolvePresetTransition(opts, silent) {
+  if (opts?.skipFading === true) return null;
+  const duration = Number(opts?.transitionDuration);
+  if (!Number.isFinite(duration) || duration <= 0) return null;
+
+  let ease = opts?.transitionEase ?? "InOutSine";
+  if (!Object.hasOwn(easeFunctions, ease)) {
+    const msg = game.i18n.format("FXMASTER.API.InvalidTransitionEase", {
+      ease,
+      supported: Object.keys(easeFunctions).join(", "),
+    });
+    logger.warn(msg);
+    if (!silent) ui?.notifications?.warn?.(msg);
+    ease = "InOutSine";
+  }
+
+  return { duration, ease };
+}
+
+/**
+ * Switch to a preset in a single scene update so every client cross-fades between the outgoing and incoming presets.
+ *
+ * Outgoing API preset rows are deleted in the same update that adds the incoming rows. Each incoming row without a live row under its key is paired with the first unused outgoing row of the same kind and effect type; paired rows blend into each other while unpaired rows fade out or in.
+ *
+ * @param {Scene} sc
+ * @param {string} name
+ * @param {PresetPlayOptions} opts
+ * @param {{duration: number, ease: string}} transition
+ * @returns {Promise<boolean>}
+ */
+async function switchPresetWithTransition(sc, name, opts, transition) {
+  const built = buildPresetSceneUpdate(sc, name, opts);
+  if (!built) return false;
+
+  const { particlePrefix, filterPrefix } = keyPrefixesForPreset(built.resolved.presetName);
+  const { particleUpdate, filterUpdate } = built;
+  const removedUids = [];
+  const pairs = [];
+
+  const collectOutgoing = (current, update, prefix, kind) => {
+    const outgoing = [];
+    for (const [rawKey, info] of Object.entries(current)) {
+      const key = rawKey.startsWith("-=") || rawKey.startsWith("==") ? rawKey.slice(2) : rawKey;
+      if (!ACTIVE_KEY_RE.test(key) || key.startsWith(prefix)) continue;
+      addDeletionKey(update, rawKey);
+      removedUids.push(buildSceneEffectUid(kind, key));
+      if (key === rawKey && isValidEffectInfo(info)) outgoing.push({ key, type: info.type });
+    }
+    return outgoing;
+  };
+
+  const pairIncoming = (current, keys, update, outgoing) => {
+    for (const key of keys) {
+      if (isValidEffectInfo(current[key])) continue;
+      const index = outgoing.findIndex((row) => row.type === update[key]?.type);
+      if (index < 0) continue;
+      pairs.push([key, outgoing[index].key]);
+      outgoing.splice(index, 1);
     }
+  };
+
+  const curParticles = sc.getFlag?.(packageId, "effects") ?? {};
+  const curFilters = sc.getFlag?.(packageId, "filters") ?? {};
+  const outgoingParticles = collectOutgoing(curParticles, particleUpdate, particlePrefix, "particle");
+  const outgoingFilters = collectOutgoing(curFilters, filterUpdate, filterPrefix, "filter");
+  pairIncoming(curParticles, built.particleKeys, particleUpdate, outgoingParticles);
+  pairIncoming(curFilters, built.filterKeys, filterUpdate, outgoingFilters);
+
+  let nextStack = null;
+  const currentStack = sc.getFlag?.(packageId, "stack");
+  if (removedUids.length && Array.isArray(currentStack)) {
+    const removeSet = new Set(removedUids);
+    const filtered = currentStack.filter((entry) => !removeSet.has(entry?.uid));
+    if (filtered.length !== currentStack.length) nextStack = filtered;
   }
 
-  return [...names].sort();
+  await commitApiEffectsSceneUpdate(sc, {
+    particleUpdate,
+    filterUpdate,
+    stack: nextStack,
+    transition: { ...transition, pairs },
+  });
+  await finalizePresetPlay(sc, built, opts?.silent !== false);
+
+  return true;
 }
 
 /**
  * Stop any active presets (created by this preset API) and then play the given preset.
  *
+ * Pass `transitionDuration` (and optionally `transitionEase`) to cross-fade instead: the switch is committed as one scene update, effects shared by both presets blend into each other, and the rest fade out or in over the same duration.
+ *
  * @param {string} name
  * @param {PresetPlayOptions} [opts] Same options as {@link playPreset}. If name is falsy, this only stops active presets.
  * @returns {Promise<boolean>}
@@ -2097,6 +2783,7 @@ export async function switchPreset(name, opts = {}) {
   if (!sc) return false;
 
   const silent = opts?.silent !== false;
+  const transition = resolvePresetTransition(opts, silent);
 
   if (name) {
     const topDown = !!opts.topDown;
@@ -2109,6 +2796,8 @@ export async function switchPreset(name, opts = {}) {
     }
   }
 
+  if (name && transition) return await switchPresetWithTransition(sc, name, opts, transition);
+
   const curParticles = sc.getFlag?.(packageId, "effects") ?? {};
   const curFilters = sc.getFlag?.(packageId, "filters") ?? {};
 
@@ -2174,6 +2863,8 @@ export function registerPresetApi() {
       play: playApiEffects,
       stop: stopApiEffects,
       toggle: toggleApiEffects,
+      update: updateApiEffect,
+      list: listApiEffects,
     });
 
     Object.assign(mod.api.effects.particles, {
@@ -0,0 +1,230 @@
+/**
+ * FXMaster: Effect Lifecycle Events
+ *
+ * Local `Hooks.callAll` events fired by the particle and filter managers as scene and Region effects change on this client:
+ *
+ * - `fxmaster.effectStarted` - an effect began rendering (including when the Scene is drawn).
+ * - `fxmaster.effectUpdated` - a running effect received new options.
+ * - `fxmaster.effectStopped` - an effect was removed; its fade-out (if any) has just begun.
+ * - `fxmaster.fadeComplete` - a fade-in after start or a fade-out after stop finished, or the effect started or stopped without a fade. The payload adds `fade: "in" | "out"`.
+ *
+ * Region effects are rebuilt whenever their Region redraws, so the layers report them by diffing each rebuild against the effects last reported with {@link reconcileRegionEffectEvents}.
+ *
+ * ```js
+ * Hooks.on("fxmaster.effectStarted", ({ uid, kind, type, source, options }) => {});
+ * ```
+ *
+ * @module common/effect-events
+ */
+
+import { packageId } from "../constants.js";
+import { logger } from "../logger.js";
+import { buildRegionEffectUid, buildSceneEffectUid, getSceneEffectSourceInfo } from "./effect-stack.js";
+
+/** Lifecycle hook names. */
+export const EFFECT_EVENTS = Object.freeze({
+  started: `${packageId}.effectStarted`,
+  updated: `${packageId}.effectUpdated`,
+  stopped: `${packageId}.effectStopped`,
+  fadeComplete: `${packageId}.fadeComplete`,
+});
+
+/** Upper bound for {@link waitForEffectFades}, so a runtime that never renders (gated, destroyed with the canvas) cannot stall a caller. */
+const EFFECT_FADE_WAIT_TIMEOUT_MS = 30000;
+
+/**
+ * @typedef {object} EffectEventPayload
+ * @property {string} uid Stack UID from {@link buildSceneEffectUid} or {@link buildRegionEffectUid}.
+ * @property {"particle"|"filter"} kind
+ * @property {string} type Effect type, e.g. `"rain"` or `"lightning"`.
+ * @property {"scene"|"api"|"region"} source Whether the row belongs to the management windows, to the API (presets, macros, modules), or to a Region behavior.
+ * @property {"preset"|"macro"|"generic"|null} apiSource
+ * @property {"scene"|"region"} scope
+ * @property {string|null} sceneId
+ * @property {string|null} regionId Region id for Region effects, otherwise `null`.
+ * @property {string|null} behaviorId Region behavior id for Region effects, otherwise `null`.
+ * @property {string} effectId Scene flag key of the effect row, or the effect key within the Region behavior.
+ * @property {object} options Stored effect options.
+ */
+
+/**
+ * Copy stored options without runtime-only `__fxm*` keys.
+ *
+ * @param {object} options
+ * @returns {object}
+ */
+function storedEventOptions(options) {
+  const stored = {};
+  for (const [key, value] of Object.entries(options ?? {})) {
+    if (!key.startsWith("__fxm")) stored[key] = value;
+  }
+  return stored;
+}
+
+/**
+ * Build the lifecycle payload for a scene-scoped effect row.
+ *
+ * @param {"particle"|"filter"} kind
+ * @param {string} effectId
+ * @param {string} type
+ * @param {object} options Stored options; runtime-only `__fxm*` keys are dropped.
+ * @param {Scene|null} [scene=canvas?.scene ?? null]
+ * @returns {EffectEventPayload}
+ */
+export function createSceneEffectEvent(kind, effectId, type, options, scene = canvas?.scene ?? null) {
+  const { source, apiSource } = getSceneEffectSourceInfo(effectId);
+  return {
+    uid: buildSceneEffectUid(kind, effectId),
+    kind,
+    type,
+    source,
+    apiSource,
+    scope: "scene",
+    sceneId: scene?.id ?? null,
+    regionId: null,
+    behaviorId: null,
+    effectId,
+    options: storedEventOptions(options),
+  };
+}
+
+/**
+ * Build the lifecycle payload for an effect run by a Region behavior.
+ *
+ * @param {"particle"|"filter"} kind
+ * @param {string} regionId
+ * @param {string} behaviorId
+ * @param {string} effectId Effect key within the behavior.
+ * @param {string} type
+ * @param {object} options Stored options; runtime-only `__fxm*` keys are dropped.
+ * @param {Scene|null} [scene=canvas?.scene ?? null]
+ * @returns {EffectEventPayload}
+ */
+export function createRegionEffectEvent(
+  kind,
+  regionId,
+  behaviorId,
+  effectId,
+  type,
+  options,
+  scene = canvas?.scene ?? null,
+) {
+  return {
+    uid: buildRegionEffectUid(kind, regionId, behaviorId, effectId),
+    kind,
+    type,
+    source: "region",
+    apiSource: null,
+    scope: "region",
+    sceneId: scene?.id ?? null,
+    regionId,
+    behaviorId,
+    effectId,
+    options: storedEventOptions(options),
+  };
+}
+
+/**
+ * Fire a lifecycle hook. Each call hands listeners their own copy of the options.
+ *
+ * @param {string} hook One of {@link EFFECT_EVENTS}.
+ * @param {EffectEventPayload|null|undefined} payload
+ * @param {object} [extra] Additional payload fields.
+ */
+export function callEffectEvent(hook, payload, extra = {}) {
+  if (!payload) return;
+  try {
+    Hooks.callAll(hook, { ...payload, options: foundry.utils.deepClone(payload.options), ...extra });
+  } catch (err) {
+    logger.debug("FXMaster:", err);
+  }
+}
+
+/**
+ * Return whether two payloads describe different options, so repeated reconciles with unchanged flags do not fire `effectUpdated`.
+ *
+ * @param {EffectEventPayload|null|undefined} prev
+ * @param {EffectEventPayload} next
+ * @returns {boolean}
+ */
+export function effectEventOptionsChanged(prev, next) {
+  if (!prev) return true;
+  try {
+    return JSON.stringify(prev.options) !== JSON.stringify(next.options);
+  } catch (err) {
+    logger.debug("FXMaster:", err);
+    return true;
+  }
+}
+
+/**
+ * Fire lifecycle hooks for a Region whose effects were rebuilt or removed.
+ *
+ * Effects whose UID was not reported before start, reported effects that are gone stop, and effects present in both fire `effectUpdated` when their options changed. Region effects are torn down without a fade-out, so `fadeComplete` with `fade: "out"` follows each stop at once.
+ *
+ * @param {Map<string, EffectEventPayload>|undefined} previous Payloads last reported for the Region, by UID.
+ * @param {Array<{event: EffectEventPayload, fadeIn?: Promise<unknown>|null}>} current Running effects; `fadeIn` settles when a soft fade-in finishes.
+ * @returns {Map<string, EffectEventPayload>} Payloads to report against on the next call.
+ */
+export function reconcileRegionEffectEvents(previous, current) {
+  const next = new Map();
+  for (const { event, fadeIn = null } of current ?? []) {
+    if (!event || next.has(event.uid)) continue;
+    next.set(event.uid, event);
+
+    const prev = previous?.get(event.uid);
+    if (prev) {
+      if (effectEventOptionsChanged(prev, event)) callEffectEvent(EFFECT_EVENTS.updated, event);
+      continue;
+    }
+    callEffectEvent(EFFECT_EVENTS.started, event);
+    if (fadeIn)
+      void Promise.resolve(fadeIn).then(() => callEffectEvent(EFFECT_EVENTS.fadeComplete, event, { fade: "in" }));
+    else callEffectEvent(EFFECT_EVENTS.fadeComplete, event, { fade: "in" });
+  }
+
+  for (const [uid, event] of previous ?? []) {
+    if (next.has(uid)) continue;
+    callEffectEvent(EFFECT_EVENTS.stopped, event);
+    callEffectEvent(EFFECT_EVENTS.fadeComplete, event, { fade: "out" });
+  }
+
+  return next;
+}
+
+/**
+ * Resolve once every listed effect finished fading in or out on this client.
+ *
+ * Register before committing the scene update that starts or stops the effects; the managers may fire before the update promise settles. For `"in"`, an effect stopped before its fade-in finished also counts as settled.
+ *
+ * @param {Iterable<string>} uids Effect stack UIDs.
+ * @param {"in"|"out"} fade
+ * @param {{sceneId?: string|null, timeoutMs?: number}} [options]
+ * @returns {Promise<boolean>} False when the wait timed out.
+ */
+export function waitForEffectFades(uids, fade, { sceneId = null, timeoutMs = EFFECT_FADE_WAIT_TIMEOUT_MS } = {}) {
+  const pending = new Set(uids);
+  if (!pending.size) return Promise.resolve(true);
+
+  return new Promise((resolve) => {
+    const hookIds = [];
+    let timer = null;
+    const finish = (completed) => {
+      Hooks.off(EFFECT_EVENTS.fadeComplete, hookIds[0]);
+      if (hookIds[1] !== undefined) Hooks.off(EFFECT_EVENTS.stopped, hookIds[1]);
+      clearTimeout(timer);
+      resolve(completed);
+    };
+    const settle = (payload) => {
+      if (!payload || (sceneId && payload.sceneId !== sceneId) || !pending.delete(payload.uid)) return;
+      if (!pending.size) finish(true);
+    };
+
+    hookIds.push(Hooks.on(EFFECT_EVENTS.fadeComplete, (payload) => payload?.fade === fade && settle(payload)));
+    if (fade === "in") hookIds.push(Hooks.on(EFFECT_EVENTS.stopped, settle));
+    timer = setTimeout(() => {
+      logger.debug(`FXMaster: timed out waiting for effects to fade ${fade}`, [...pending]);
+      finish(false);
+    }, timeoutMs);
+  });
+}
@@ -1,11 +1,18 @@
 import { FXMasterBaseFormV2 } from "../base-form.js";
 import { packageId } from "../constants.js";
 import { logger } from "../logger.js";
+import { clientEffectOverrides } from "../settings-access.js";
+import { getClientEffectOverride } from "../utils.js";
 
 /**
  * @typedef {"particle" | "filter"} EffectVisibilityKind
  */
 
+/**
+ * @typedef {"picker" | "client"} EffectVisibilityScope
+ * `picker` hides effects from the GM management lists. `client` blocks or scales effects on this client's canvas.
+ */
+
 /**
  * @typedef {object} EffectVisibilityItem
  * @property {string} type
@@ -14,6 +21,9 @@ import { logger } from "../logger.js";
  * @property {string|null} iconClass
  * @property {boolean} isHidden
  * @property {boolean} isActive
+ * @property {EffectVisibilityKind} [kind] Effect kind (client scope).
+ * @property {boolean} [isBlocked] Whether this client blocks the effect (client scope).
+ * @property {number} [intensity] This client's intensity override, 0..1 (client scope).
  */
 
 /**
@@ -25,7 +35,8 @@ import { logger } from "../logger.js";
 
 export class EffectsVisibilityManagerApp extends FXMasterBaseFormV2 {
   /**
-   * @type {Map<EffectVisibilityKind, EffectsVisibilityManagerApp>}
+   * Open windows keyed by {@link EffectsVisibilityManagerApp#instanceKey}.
+   * @type {Map<string, EffectsVisibilityManagerApp>}
    */
   static #instances = new Map();
 
@@ -39,6 +50,7 @@ export class EffectsVisibilityManagerApp extends FXMasterBaseFormV2 {
     position: { width: 520, height: getVisibilityManagerHeight(), zIndex: 103 },
     actions: {
       toggle: EffectsVisibilityManagerApp.toggle,
+      toggleBlocked: EffectsVisibilityManagerApp.toggleBlocked,
     },
   };
 
@@ -47,6 +59,7 @@ export class EffectsVisibilityManagerApp extends FXMasterBaseFormV2 {
   /**
    * @param {object} [options={}]
    * @param {EffectVisibilityKind} [options.kind="particle"]
+   * @param {EffectVisibilityScope} [options.scope="picker"]
    * @param {Function|null} [options.onChange=null]
    */
   constructor(options = {}) {
@@ -55,21 +68,33 @@ export class EffectsVisibilityManagerApp extends FXMasterBaseFormV2 {
     /** @type {EffectVisibilityKind} */
     this.kind = options.kind ?? "particle";
 
+    /** @type {EffectVisibilityScope} */
+    this.scope = options.scope === "client" ? "client" : "picker";
+
     /** @type {Function|null} */
     this.onChange = typeof options.onChange === "function" ? options.onChange : null;
 
-    EffectsVisibilityManagerApp.#instances.set(this.kind, this);
+    EffectsVisibilityManagerApp.#instances.set(this.instanceKey, this);
+  }
+
+  /**
+   * Key of this window in the open-instance map. The client window lists both kinds, so there is only one.
+   * @returns {string}
+   */
+  get instanceKey() {
+    return getInstanceKey(this.kind, this.scope);
   }
 
   /**
    * Open (or focus) the visibility manager for a given kind.
    * @param {object} options
-   * @param {EffectVisibilityKind} options.kind
+   * @param {EffectVisibilityKind} [options.kind]
+   * @param {EffectVisibilityScope} [options.scope="picker"]
    * @param {Function|null} [options.onChange]
    * @returns {EffectsVisibilityManagerApp}
    */
-  static open({ kind, onChange = null }) {
-    const existing = EffectsVisibilityManagerApp.#instances.get(kind);
+  static open({ kind, scope = "picker", onChange = null }) {
+    const existing = EffectsVisibilityManagerApp.#instances.get(getInstanceKey(kind, scope));
     if (existing) {
       if (typeof onChange === "function") existing.onChange = onChange;
       try {
@@ -81,11 +106,12 @@ export class EffectsVisibilityManagerApp extends FXMasterBaseFormV2 {
       return existing;
     }
 
-    const cfg = getKindConfig(kind);
+    const cfg = scope === "client" ? getClientConfig() : getKindConfig(kind);
 
     const inst = new EffectsVisibilityManagerApp({
       id: cfg.dialogId,
       kind,
+      scope,
       onChange,
       window: { title: cfg.dialogTitle },
       position: { height: getVisibilityManagerHeight() },
@@ -106,42 +132,73 @@ export class EffectsVisibilityManagerApp extends FXMasterBaseFormV2 {
     } catch (err) {
       logger.debug("FXMaster:", err);
     }
+
+    if (this.scope === "client") this._wireIntensityInputs();
   }
 
   /** @override */
   async close(options) {
-    EffectsVisibilityManagerApp.#instances.delete(this.kind);
+    EffectsVisibilityManagerApp.#instances.delete(this.instanceKey);
     return super.close(options);
   }
 
   /** @override */
   async _prepareContext() {
+    if (this.scope === "client") {
+      /** @type {EffectVisibilityGroup[]} */
+      const groups = ["particle", "filter"].flatMap((kind) =>
+        buildGroups({ kind, hidden: new Set(), active: getActiveEffectTypes(kind) }).map((group) => ({
+          ...group,
+          effects: group.effects.map((effect) => {
+            const { blocked, intensity } = getClientEffectOverride(kind, effect.type);
+            return { ...effect, kind, isBlocked: blocked, intensity };
+          }),
+        })),
+      );
+
+      return {
+        instanceKey: this.instanceKey,
+        isClient: true,
+        hintKey: "FXMASTER.Common.ClientEffectsHint",
+        groups,
+      };
+    }
+
     const cfg = getKindConfig(this.kind);
 
     const hiddenRaw = game.user.getFlag(packageId, cfg.hiddenFlagKey);
     const hidden = new Set(Array.isArray(hiddenRaw) ? hiddenRaw : []);
 
-    /** @type {Set<string>} */
-    const active = new Set();
-
-    if (this.kind === "particle") {
-      const current = canvas.scene?.getFlag(packageId, "effects") ?? {};
-      for (const ef of Object.values(current)) active.add(ef.type);
-    } else {
-      const current = canvas.scene?.getFlag(packageId, "filters") ?? {};
-      for (const ef of Object.values(current)) active.add(ef.type);
-    }
-
     /** @type {EffectVisibilityGroup[]} */
-    const groups = buildGroups({ kind: this.kind, hidden, active });
+    const groups = buildGroups({ kind: this.kind, hidden, active: getActiveEffectTypes(this.kind) });
 
     return {
-      kind: this.kind,
+      instanceKey: this.instanceKey,
+      isClient: false,
       hintKey: "FXMASTER.Common.HiddenEffectsHint",
       groups,
     };
   }
 
+  /**
+   * Save intensity sliders on release and mirror their value into the adjacent output while dragging.
+   * @returns {void}
+   * @private
+   */
+  _wireIntensityInputs() {
+    const inputs = this.element?.querySelectorAll?.("input.fxmaster-visibility-intensity") ?? [];
+    for (const input of inputs) {
+      input.addEventListener("input", () => FXMasterBaseFormV2.updateRangeOutput(input));
+      input.addEventListener("change", () => {
+        const { kind, type } = input.dataset;
+        if (!kind || !type) return;
+        setClientEffectOverride(kind, type, { intensity: Number(input.value) }).catch((err) =>
+          logger.debug("FXMaster:", err),
+        );
+      });
+    }
+  }
+
   /**
    * Toggle the hidden state of a single effect.
    * @param {Event} event
@@ -152,8 +209,8 @@ export class EffectsVisibilityManagerApp extends FXMasterBaseFormV2 {
     event?.preventDefault?.();
     event?.stopPropagation?.();
 
-    const kind = button?.closest?.("[data-fxm-kind]")?.dataset?.fxmKind;
-    const inst = kind ? EffectsVisibilityManagerApp.#instances.get(kind) : null;
+    const key = button?.closest?.("[data-fxm-instance]")?.dataset?.fxmInstance;
+    const inst = key ? EffectsVisibilityManagerApp.#instances.get(key) : null;
     if (!inst) return;
 
     const cfg = getKindConfig(inst.kind);
@@ -178,6 +235,25 @@ export class EffectsVisibilityManagerApp extends FXMasterBaseFormV2 {
 
     updateVisibilityRow(button, wantsHide);
   }
+
+  /**
+   * Toggle whether this client blocks a single effect type.
+   * @param {Event} event
+   * @param {HTMLElement} button
+   * @returns {Promise<void>}
+   */
+  static async toggleBlocked(event, button) {
+    event?.preventDefault?.();
+    event?.stopPropagation?.();
+
+    const { kind, type } = button?.dataset ?? {};
+    if (!kind || !type) return;
+
+    const wantsBlock = button.dataset.mode === "block";
+    await setClientEffectOverride(kind, type, { blocked: wantsBlock });
+
+    updateVisibilityRow(button, wantsBlock, { hideMode: "block", unhideMode: "unblock" });
+  }
 }
 
 /**
@@ -191,13 +267,43 @@ export function openEffectsVisibilityManager({ kind, onChange = null }) {
   return EffectsVisibilityManagerApp.open({ kind, onChange });
 }
 
+/**
+ * Open this client's effect blocklist and intensity overrides.
+ * @returns {EffectsVisibilityManagerApp}
+ */
+export function openClientEffectOverrides() {
+  return EffectsVisibilityManagerApp.open({ scope: "client" });
+}
+
+/**
+ * Merge changes into this client's override for one effect type. Entries that match the authored effect are removed.
+ * @param {EffectVisibilityKind} kind
+ * @param {string} type
+ * @param {{blocked?: boolean, intensity?: number}} changes
+ * @returns {Promise<void>}
+ */
+async function setClientEffectOverride(kind, type, changes) {
+  const overrides = foundry.utils.deepClone(clientEffectOverrides());
+  const byKind = (overrides[kind] ??= {});
+  const entry = { ...(byKind[type] ?? {}), ...changes };
+
+  if (entry.blocked !== true) delete entry.blocked;
+  if (!(Number(entry.intensity) < 1)) delete entry.intensity;
+
+  if (Object.keys(entry).length) byKind[type] = entry;
+  else delete byKind[type];
+
+  await game.settings.set(packageId, "clientEffectOverrides", overrides);
+}
+
 /**
  * Update a single visibility row and its toggle button without re-rendering the window.
  * @param {HTMLElement} button
  * @param {boolean} isHidden
+ * @param {{hideMode?: string, unhideMode?: string}} [modes] Button modes for the next click.
  * @returns {void}
  */
-function updateVisibilityRow(button, isHidden) {
+function updateVisibilityRow(button, isHidden, { hideMode = "hide", unhideMode = "unhide" } = {}) {
   const row = button?.closest?.(".fxmaster-visibility-row");
   if (row) {
     row.classList.toggle("fxmaster-visibility-row--inactive", isHidden);
@@ -205,7 +311,7 @@ function updateVisibilityRow(button, isHidden) {
   }
 
   try {
-    button.dataset.mode = isHidden ? "unhide" : "hide";
+    button.dataset.mode = isHidden ? unhideMode : hideMode;
   } catch (err) {
     logger.debug("FXMaster:", err);
   }
@@ -230,6 +336,35 @@ export function getHiddenEffectsCount(kind) {
   return new Set(list.filter((t) => allowed.has(t))).size;
 }
 
+/**
+ * @param {EffectVisibilityKind} kind
+ * @param {EffectVisibilityScope} scope
+ * @returns {string}
+ */
+function getInstanceKey(kind, scope) {
+  return scope === "client" ? "client" : kind ?? "particle";
+}
+
+/**
+ * @returns {{dialogId: string, dialogTitle: string}}
+ */
+function getClientConfig() {
+  return {
+    dialogId: "fxmaster-client-effect-overrides",
+    dialogTitle: "FXMASTER.Settings.ClientEffectOverridesName",
+  };
+}
+
+/**
+ * Collect the effect types currently stored on the viewed scene.
+ * @param {EffectVisibilityKind} kind
+ * @returns {Set<string>}
+ */
+function getActiveEffectTypes(kind) {
+  const current = canvas.scene?.getFlag(packageId, kind === "filter" ? "filters" : "effects") ?? {};
+  return new Set(Object.values(current).map((ef) => ef?.type));
+}
+
 /**
  * @param {EffectVisibilityKind} kind
  * @returns {{dialogId: string, dialogTitle: string, hiddenFlagKey: string}}
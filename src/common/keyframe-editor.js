@@ -0,0 +1,473 @@
+import { FXMasterBaseFormV2 } from "../base-form.js";
+import { packageId } from "../constants.js";
+import { easeFunctions } from "../ease.js";
+import { logger } from "../logger.js";
+import { resetFlag } from "../utils.js";
+import {
+  KEYFRAME_LOOP_MODES,
+  getKeyframeClockMs,
+  getKeyframeParameters,
+  normalizeKeyframes,
+  resolveKeyframeTrackTime,
+} from "./keyframes.js";
+
+/**
+ * @typedef {"particle" | "filter"} KeyframeEditorKind
+ */
+
+/**
+ * @typedef {object} KeyframeDraftTrack
+ * @property {string} param
+ * @property {"none"|"loop"|"pingpong"} loop
+ * @property {Array<{time: number, value: number|string, ease: string}>} points
+ */
+
+/** Milliseconds between playhead refreshes while the editor is open. */
+const PLAYHEAD_INTERVAL_MS = 250;
+
+/**
+ * KeyframeEditorApp
+ * -----------------
+ * Small timeline editor for the keyframes of one scene-level core effect (`core_<type>`). Tracks are kept as an unsaved draft until the GM saves, which restarts the timeline at the current shared-clock time.
+ */
+export class KeyframeEditorApp extends FXMasterBaseFormV2 {
+  /**
+   * @type {Map<string, KeyframeEditorApp>}
+   */
+  static #instances = new Map();
+
+  static DEFAULT_OPTIONS = {
+    tag: "section",
+    classes: ["fxmaster", "fxmaster-keyframe-editor", "form-v2"],
+    window: {
+      minimizable: true,
+      resizable: true,
+    },
+    position: { width: 560, height: "auto", zIndex: 103 },
+    actions: {
+      addTrack: KeyframeEditorApp.addTrack,
+      removeTrack: KeyframeEditorApp.removeTrack,
+      addPoint: KeyframeEditorApp.addPoint,
+      removePoint: KeyframeEditorApp.removePoint,
+      saveKeyframes: KeyframeEditorApp.saveKeyframes,
+      clearKeyframes: KeyframeEditorApp.clearKeyframes,
+    },
+  };
+
+  static PARTS = [{ template: `modules/${packageId}/templates/keyframe-editor.hbs` }];
+
+  /**
+   * @param {object} [options={}]
+   * @param {KeyframeEditorKind} [options.kind="particle"]
+   * @param {string} options.type
+   */
+  constructor(options = {}) {
+    super(options);
+
+    /** @type {KeyframeEditorKind} */
+    this.kind = options.kind === "filter" ? "filter" : "particle";
+
+    /** @type {string} */
+    this.type = String(options.type ?? "");
+
+    /** @type {{tracks: KeyframeDraftTrack[]}|null} */
+    this._draft = null;
+
+    /** @type {number|null} */
+    this._playheadTimer = null;
+
+    KeyframeEditorApp.#instances.set(instanceKey(this.kind, this.type), this);
+  }
+
+  /**
+   * Open (or focus) the keyframe editor for one effect type.
+   * @param {object} options
+   * @param {KeyframeEditorKind} options.kind
+   * @param {string} options.type
+   * @returns {KeyframeEditorApp|null}
+   */
+  static open({ kind, type }) {
+    const EffectClass = getEffectClass(kind, type);
+    if (!EffectClass) return null;
+
+    const existing = KeyframeEditorApp.#instances.get(instanceKey(kind, type));
+    if (existing) {
+      existing.render(true);
+      return existing;
+    }
+
+    const inst = new KeyframeEditorApp({
+      id: `fxmaster-keyframes-${kind}-${type}`,
+      kind,
+      type,
+      window: {
+        title: game.i18n.format("FXMASTER.Keyframes.Title", { effect: game.i18n.localize(EffectClass.label ?? type) }),
+      },
+    });
+
+    inst.render(true);
+    return inst;
+  }
+
+  /** @returns {typeof import("../particle-effects/effects/effect.js").FXMasterParticleEffect|null} */
+  get effectClass() {
+    return getEffectClass(this.kind, this.type);
+  }
+
+  /**
+   * Return the stored core row this editor edits, or `null` when the effect is not enabled on the current scene.
+   * @returns {{type: string, options: object}|null}
+   */
+  _getStoredRow() {
+    const rows = canvas?.scene?.getFlag(packageId, flagKeyForKind(this.kind)) ?? {};
+    return rows[`core_${this.type}`] ?? null;
+  }
+
+  /**
+   * Lazily seed the draft from the stored keyframes.
+   * @returns {{tracks: KeyframeDraftTrack[]}}
+   */
+  _getDraft() {
+    if (!this._draft) {
+      const timeline = normalizeKeyframes(this._getStoredRow()?.options?.keyframes);
+      this._draft = {
+        tracks: Object.entries(timeline?.tracks ?? {}).map(([param, track]) => ({
+          param,
+          loop: track.loop,
+          points: track.points.map((point) => ({ ...point })),
+        })),
+      };
+    }
+    return this._draft;
+  }
+
+  /**
+   * Copy the current form values back into the draft so re-renders keep unsaved edits.
+   * @returns {{tracks: KeyframeDraftTrack[]}}
+   */
+  _syncDraftFromForm() {
+    const element = this.element;
+    const draft = this._getDraft();
+    if (!element?.querySelector) return draft;
+
+    draft.tracks = Array.from(element.querySelectorAll(".fxmaster-keyframe-track[data-track]")).map((row) => ({
+      param: row.querySelector('[name="param"]')?.value ?? "",
+      loop: row.querySelector('[name="loop"]')?.value ?? "none",
+      points: Array.from(row.querySelectorAll(".fxmaster-keyframe-point[data-point]")).map((point) => {
+        const valueInput = point.querySelector('[name="value"]');
+        return {
+          time: Number(point.querySelector('[name="time"]')?.value ?? 0),
+          value: valueInput?.type === "color" ? valueInput.value : Number(valueInput?.value ?? 0),
+          ease: point.querySelector('[name="ease"]')?.value ?? "Linear",
+        };
+      }),
+    }));
+    return draft;
+  }
+
+  /** @override */
+  async _prepareContext() {
+    const EffectClass = this.effectClass;
+    const parameters = EffectClass?.parameters ?? {};
+    const names = getKeyframeParameters(this.kind, EffectClass);
+    const draft = this._getDraft();
+    const row = this._getStoredRow();
+    const easeNames = Object.keys(easeFunctions);
+
+    const tracks = draft.tracks.map((track, index) => {
+      const cfg = parameters[track.param] ?? {};
+      const duration = Math.max(0, ...track.points.map((point) => Number(point.time) || 0));
+      return {
+        index,
+        isColor: cfg.type === "color",
+        min: cfg.min,
+        max: cfg.max,
+        step: cfg.step ?? "any",
+        duration,
+        parameters: names.map((name) => ({
+          name,
+          label: parameters[name]?.label ?? name,
+          selected: name === track.param,
+        })),
+        loops: KEYFRAME_LOOP_MODES.map((mode) => ({
+          value: mode,
+          label: `FXMASTER.Keyframes.Loop.${mode}`,
+          selected: mode === track.loop,
+        })),
+        points: track.points.map((point, pointIndex) => ({
+          index: pointIndex,
+          time: point.time,
+          value: point.value,
+          percent: duration > 0 ? Math.min(100, Math.max(0, (point.time / duration) * 100)) : 0,
+          eases: easeNames.map((name) => ({ name, selected: name === point.ease })),
+        })),
+      };
+    });
+
+    return {
+      kind: this.kind,
+      type: this.type,
+      isActive: !!row,
+      tracks,
+      canAddTrack: draft.tracks.length < names.length,
+      hasSavedKeyframes: !!row?.options?.keyframes,
+    };
+  }
+
+  /** @override */
+  async _onRender(...args) {
+    await super._onRender(...args);
+
+    const element = this.element;
+    if (!element?.querySelectorAll) return;
+
+    for (const select of element.querySelectorAll('select[name="param"]')) {
+      select.addEventListener("change", () => {
+        const draft = this._syncDraftFromForm();
+        const track = draft.tracks[Number(select.closest("[data-track]")?.dataset?.track)];
+        if (track) track.points = track.points.map((point) => ({ ...point, value: this._defaultValue(track.param) }));
+        this.render(false);
+      });
+    }
+
+    this._refreshPlayheads();
+    if (this._playheadTimer === null) {
+      this._playheadTimer = setInterval(() => this._refreshPlayheads(), PLAYHEAD_INTERVAL_MS);
+    }
+  }
+
+  /** @override */
+  async _onClose(...args) {
+    super._onClose(...args);
+    if (this._playheadTimer !== null) {
+      clearInterval(this._playheadTimer);
+      this._playheadTimer = null;
+    }
+    KeyframeEditorApp.#instances.delete(instanceKey(this.kind, this.type));
+  }
+
+  /**
+   * Move each track's playhead to the saved timeline's current position.
+   */
+  _refreshPlayheads() {
+    const element = this.element;
+    if (!element?.querySelectorAll) return;
+
+    const startedAt = Number(this._getStoredRow()?.options?.keyframes?.startedAt);
+    const elapsed = Number.isFinite(startedAt) ? (getKeyframeClockMs() - startedAt) / 1000 : null;
+    const draft = this._getDraft();
+
+    for (const bar of element.querySelectorAll(".fxmaster-keyframe-bar[data-track]")) {
+      const playhead = bar.querySelector(".fxmaster-keyframe-playhead");
+      if (!playhead) continue;
+
+      const track = draft.tracks[Number(bar.dataset.track)];
+      const points = [...(track?.points ?? [])].sort((a, b) => a.time - b.time);
+      const duration = points.at(-1)?.time ?? 0;
+      if (elapsed === null || !(duration > 0)) {
+        playhead.hidden = true;
+        continue;
+      }
+
+      const t = resolveKeyframeTrackTime({ loop: track.loop, points }, elapsed);
+      playhead.hidden = false;
+      playhead.style.left = `${Math.min(100, Math.max(0, (t / duration) * 100))}%`;
+    }
+  }
+
+  /**
+   * Return the value a new keyframe of a parameter starts at: the effect's stored value, else the parameter default.
+   * @param {string} param
+   * @returns {number|string}
+   */
+  _defaultValue(param) {
+    const cfg = this.effectClass?.parameters?.[param] ?? {};
+    const stored = this._getStoredRow()?.options?.[param];
+    const raw = stored && typeof stored === "object" && "value" in stored ? stored.value : stored;
+    const fallback = cfg.value && typeof cfg.value === "object" && "value" in cfg.value ? cfg.value.value : cfg.value;
+    const value = raw ?? fallback;
+    if (cfg.type === "color") return typeof value === "string" ? value : "#ffffff";
+    return Number.isFinite(Number(value)) ? Number(value) : 0;
+  }
+
+  static addTrack(event) {
+    event?.preventDefault?.();
+    const draft = this._syncDraftFromForm();
+    const used = new Set(draft.tracks.map((track) => track.param));
+    const param = getKeyframeParameters(this.kind, this.effectClass).find((name) => !used.has(name));
+    if (!param) return;
+
+    const value = this._defaultValue(param);
+    draft.tracks.push({
+      param,
+      loop: "none",
+      points: [
+        { time: 0, value, ease: "Linear" },
+        { time: 60, value, ease: "InOutSine" },
+      ],
+    });
+    this.render(false);
+  }
+
+  static removeTrack(event, button) {
+    event?.preventDefault?.();
+    const index = Number(button?.closest?.("[data-track]")?.dataset?.track);
+    const draft = this._syncDraftFromForm();
+    if (!Number.isInteger(index)) return;
+    draft.tracks.splice(index, 1);
+    this.render(false);
+  }
+
+  static addPoint(event, button) {
+    event?.preventDefault?.();
+    const index = Number(button?.closest?.("[data-track]")?.dataset?.track);
+    const draft = this._syncDraftFromForm();
+    const track = draft.tracks[index];
+    if (!track) return;
+
+    const last = [...track.points].sort((a, b) => a.time - b.time).at(-1);
+    track.points.push({
+      time: (last?.time ?? 0) + 30,
+      value: last?.value ?? this._defaultValue(track.param),
+      ease: last?.ease ?? "Linear",
+    });
+    this.render(false);
+  }
+
+  static removePoint(event, button) {
+    event?.preventDefault?.();
+    const trackIndex = Number(button?.closest?.("[data-track]")?.dataset?.track);
+    const pointIndex = Number(button?.closest?.("[data-point]")?.dataset?.point);
+    const draft = this._syncDraftFromForm();
+    const track = draft.tracks[trackIndex];
+    if (!track || !Number.isInteger(pointIndex)) return;
+    track.points.splice(pointIndex, 1);
+    this.render(false);
+  }
+
+  static async saveKeyframes(event) {
+    event?.preventDefault?.();
+    const draft = this._syncDraftFromForm();
+    const parameters = this.effectClass?.parameters ?? {};
+
+    const tracks = {};
+    for (const track of draft.tracks) {
+      if (!track.param) continue;
+      if (track.param in tracks) {
+        ui.notifications?.warn?.(game.i18n.format("FXMASTER.Keyframes.DuplicateTrack", { param: track.param }));
+      }
+      const cfg = parameters[track.param] ?? {};
+      tracks[track.param] = {
+        loop: track.loop,
+        points: track.points.map((point) => ({ ...point, value: clampParameterValue(cfg, point.value) })),
+      };
+    }
+
+    await this._writeKeyframes(normalizeKeyframes({ startedAt: getKeyframeClockMs(), tracks }));
+  }
+
+  static async clearKeyframes(event) {
+    event?.preventDefault?.();
+    this._draft = { tracks: [] };
+    await this._writeKeyframes(null);
+  }
+
+  /**
+   * Store a keyframe timeline on the edited core row, or remove it when `keyframes` is `null`.
+   * @param {import("./keyframes.js").KeyframeTimeline|null} keyframes
+   * @returns {Promise<void>}
+   */
+  async _writeKeyframes(keyframes) {
+    const scene = canvas?.scene;
+    if (!scene) return;
+
+    const flagKey = flagKeyForKind(this.kind);
+    const current = foundry.utils.duplicate(scene.getFlag(packageId, flagKey) ?? {});
+    const row = current[`core_${this.type}`];
+    if (!row) {
+      ui.notifications?.warn?.(game.i18n.localize("FXMASTER.Keyframes.EffectInactive"));
+      return;
+    }
+
+    row.options = row.options && typeof row.options === "object" ? row.options : {};
+    if (keyframes) row.options.keyframes = keyframes;
+    else delete row.options.keyframes;
+
+    try {
+      await resetFlag(scene, flagKey, current);
+      this._draft = null;
+    } catch (err) {
+      logger.debug("FXMaster:", err);
+    }
+
+    this.render(false);
+  }
+}
+
+/**
+ * Open the keyframe editor for one scene-level effect type.
+ * @param {object} options
+ * @param {KeyframeEditorKind} options.kind
+ * @param {string} options.type
+ * @returns {KeyframeEditorApp|null}
+ */
+export function openKeyframeEditor({ kind, type }) {
+  return KeyframeEditorApp.open({ kind, type });
+}
+
+/**
+ * Return the effect types of a kind that expose at least one keyframeable parameter.
+ * @param {KeyframeEditorKind} kind
+ * @returns {Record<string, boolean>}
+ */
+export function getKeyframeableEffectTypes(kind) {
+  const registry = kind === "filter" ? CONFIG.fxmaster.filterEffects : CONFIG.fxmaster.particleEffects;
+  return Object.fromEntries(
+    Object.entries(registry ?? {})
+      .filter(([, cls]) => getKeyframeParameters(kind, cls).length > 0)
+      .map(([type]) => [type, true]),
+  );
+}
+
+/**
+ * @param {KeyframeEditorKind} kind
+ * @param {string} type
+ * @returns {string}
+ */
+function instanceKey(kind, type) {
+  return `${kind}:${type}`;
+}
+
+/**
+ * @param {KeyframeEditorKind} kind
+ * @returns {"filters"|"effects"}
+ */
+function flagKeyForKind(kind) {
+  return kind === "filter" ? "filters" : "effects";
+}
+
+/**
+ * @param {KeyframeEditorKind} kind
+ * @param {string} type
+ * @returns {Function|null}
+ */
+function getEffectClass(kind, type) {
+  const registry = kind === "filter" ? CONFIG.fxmaster?.filterEffects : CONFIG.fxmaster?.particleEffects;
+  return registry?.[type] ?? null;
+}
+
+/**
+ * Clamp a numeric keyframe value to its parameter's range. Colors pass through.
+ * @param {object} cfg Parameter descriptor.
+ * @param {number|string} value
+ * @returns {number|string}
+ */
+function clampParameterValue(cfg, value) {
+  if (typeof value !== "number") return value;
+  const min = Number(cfg?.min);
+  const max = Number(cfg?.max);
+  let out = value;
+  if (Number.isFinite(min)) out = Math.max(min, out);
+  if (Number.isFinite(max)) out = Math.min(max, out);
+  return out;
+}
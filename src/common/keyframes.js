@@ -0,0 +1,260 @@
+/**
+ * FXMaster: Parameter Keyframes
+ *
+ * Keyframed parameter animation for running scene effects. Keyframes live in an effect's stored options under `keyframes`:
+ *
+ * ```js
+ * keyframes: {
+ *   startedAt: 1718000000000, // game.time.serverTime when the timeline (re)started
+ *   tracks: {
+ *     density: {
+ *       loop: "none", // "none" | "loop" | "pingpong"
+ *       points: [
+ *         { time: 0, value: 0.1 },
+ *         { time: 120, value: 1.5, ease: "InOutSine" }, // ease shapes the segment ending at this point
+ *       ],
+ *     },
+ *   },
+ * }
+ * ```
+ *
+ * Every client evaluates the timeline against `game.time.serverTime`, which Foundry keeps synchronized with the server clock, so animated parameters stay in step without any socket traffic.
+ *
+ * @module common/keyframes
+ */
+
+import { easeFunctions } from "../ease.js";
+import { logger } from "../logger.js";
+
+/** Stored option key holding an effect's keyframe timeline. */
+export const KEYFRAMES_OPTION_KEY = "keyframes";
+
+/** Supported track loop modes. */
+export const KEYFRAME_LOOP_MODES = ["none", "loop", "pingpong"];
+
+/** Particle parameters that can be animated without rebuilding emitters. */
+export const PARTICLE_KEYFRAME_PARAMETERS = ["density", "speed"];
+
+const HEX_COLOR_RE = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/**
+ * @typedef {object} KeyframePoint
+ * @property {number} time Seconds since the timeline start.
+ * @property {number|string} value Numeric value or `#RRGGBB` color.
+ * @property {string} [ease="Linear"] Easing name from `src/ease.js` for the segment ending at this point.
+ */
+
+/**
+ * @typedef {object} KeyframeTrack
+ * @property {"none"|"loop"|"pingpong"} loop
+ * @property {KeyframePoint[]} points Sorted by time.
+ */
+
+/**
+ * @typedef {object} KeyframeTimeline
+ * @property {number} startedAt Shared-clock timestamp in milliseconds.
+ * @property {Record<string, KeyframeTrack>} tracks
+ */
+
+/**
+ * Return the shared keyframe clock in milliseconds.
+ *
+ * @returns {number}
+ */
+export function getKeyframeClockMs() {
+  try {
+    const serverTime = Number(game?.time?.serverTime);
+    if (Number.isFinite(serverTime)) return serverTime;
+  } catch (err) {
+    logger.debug("FXMaster:", err);
+  }
+  return Date.now();
+}
+
+/**
+ * Interpolate between two option values. Numbers and hex colors blend, `{ value }` wrappers blend their inner value, and anything else snaps to the target.
+ *
+ * @param {*} from
+ * @param {*} to
+ * @param {number} k Eased progress.
+ * @returns {*}
+ */
+export function interpolateOptionValue(from, to, k) {
+  if (typeof from === "number" && typeof to === "number" && Number.isFinite(from) && Number.isFinite(to)) {
+    return from + (to - from) * k;
+  }
+
+  if (typeof from === "string" && typeof to === "string" && HEX_COLOR_RE.test(from) && HEX_COLOR_RE.test(to)) {
+    try {
+      const Color = foundry.utils.Color;
+      return Color.from(from).mix(Color.from(to), Math.min(1, Math.max(0, k))).css;
+    } catch (err) {
+      logger.debug("FXMaster:", err);
+      return to;
+    }
+  }
+
+  const isWrapper = (v) => !!v && typeof v === "object" && !Array.isArray(v) && "value" in v;
+  if (isWrapper(from) && isWrapper(to)) return { ...to, value: interpolateOptionValue(from.value, to.value, k) };
+
+  return to;
+}
+
+/**
+ * Normalize one keyframe point, or return `null` when it has no usable time or value.
+ *
+ * @param {unknown} point
+ * @returns {KeyframePoint|null}
+ */
+function normalizeKeyframePoint(point) {
+  if (!point || typeof point !== "object") return null;
+
+  const time = Number(point.time);
+  if (!Number.isFinite(time) || time < 0) return null;
+
+  let value = point.value;
+  if (typeof value === "string" && HEX_COLOR_RE.test(value.trim())) value = value.trim().toLowerCase();
+  else value = Number(value);
+  if (typeof value === "number" && !Number.isFinite(value)) return null;
+
+  const ease = Object.hasOwn(easeFunctions, point.ease) ? point.ease : "Linear";
+  return { time, value, ease };
+}
+
+/**
+ * Normalize a stored keyframe timeline. Tracks without points are dropped.
+ *
+ * @param {unknown} raw
+ * @returns {KeyframeTimeline|null} `null` when there is nothing to animate.
+ */
+export function normalizeKeyframes(raw) {
+  if (!raw || typeof raw !== "object") return null;
+
+  const tracks = {};
+  for (const [param, track] of Object.entries(raw.tracks ?? {})) {
+    if (!param || !track || typeof track !== "object") continue;
+    const rawPoints = Array.isArray(track.points) ? track.points : Object.values(track.points ?? {});
+    const points = rawPoints
+      .map(normalizeKeyframePoint)
+      .filter(Boolean)
+      .sort((a, b) => a.time - b.time);
+    if (!points.length) continue;
+
+    const loop = KEYFRAME_LOOP_MODES.includes(track.loop) ? track.loop : "none";
+    tracks[param] = { loop, points };
+  }
+
+  if (!Object.keys(tracks).length) return null;
+
+  const startedAt = Number(raw.startedAt);
+  return { startedAt: Number.isFinite(startedAt) ? startedAt : 0, tracks };
+}
+
+/**
+ * Map elapsed timeline seconds into a track's local time according to its loop mode.
+ *
+ * @param {KeyframeTrack} track
+ * @param {number} elapsed
+ * @returns {number}
+ */
+export function resolveKeyframeTrackTime(track, elapsed) {
+  const duration = track.points.at(-1).time;
+  if (!(duration > 0)) return 0;
+
+  const t = Math.max(0, elapsed);
+  if (track.loop === "loop") return t % duration;
+  if (track.loop === "pingpong") {
+    const m = t % (duration * 2);
+    return m <= duration ? m : duration * 2 - m;
+  }
+  return Math.min(t, duration);
+}
+
+/**
+ * Evaluate a single track at an elapsed time.
+ *
+ * @param {KeyframeTrack} track
+ * @param {number} elapsed Seconds since the timeline start.
+ * @returns {number|string}
+ */
+export function evaluateKeyframeTrack(track, elapsed) {
+  const { points } = track;
+  const t = resolveKeyframeTrackTime(track, elapsed);
+
+  if (t <= points[0].time) return points[0].value;
+
+  for (let i = 1; i < points.length; i++) {
+    const next = points[i];
+    if (t > next.time) continue;
+
+    const prev = points[i - 1];
+    const span = next.time - prev.time;
+    const u = span > 0 ? (t - prev.time) / span : 1;
+    const k = (easeFunctions[next.ease] ?? easeFunctions.Linear)(u);
+    return interpolateOptionValue(prev.value, next.value, k);
+  }
+
+  return points.at(-1).value;
+}
+
+/**
+ * Evaluate every track of a timeline against the shared clock.
+ *
+ * @param {KeyframeTimeline} timeline
+ * @param {number} [nowMs=getKeyframeClockMs()]
+ * @returns {Record<string, number|string>}
+ */
+export function evaluateKeyframes(timeline, nowMs = getKeyframeClockMs()) {
+  const elapsed = (nowMs - (timeline?.startedAt ?? 0)) / 1000;
+  const values = {};
+  for (const [param, track] of Object.entries(timeline?.tracks ?? {})) {
+    values[param] = evaluateKeyframeTrack(track, elapsed);
+  }
+  return values;
+}
+
+/**
+ * Return whether every track of a timeline has finished and holds its final value.
+ *
+ * @param {KeyframeTimeline} timeline
+ * @param {number} [nowMs=getKeyframeClockMs()]
+ * @returns {boolean}
+ */
+export function keyframesSettled(timeline, nowMs = getKeyframeClockMs()) {
+  const elapsed = (nowMs - (timeline?.startedAt ?? 0)) / 1000;
+  return Object.values(timeline?.tracks ?? {}).every(
+    (track) => track.loop === "none" && elapsed >= track.points.at(-1).time,
+  );
+}
+
+/**
+ * Replace a stored option value with a keyframed value, preserving `{ value, apply }` wrappers.
+ *
+ * @param {*} stored
+ * @param {number|string} value
+ * @returns {*}
+ */
+export function withKeyframedValue(stored, value) {
+  if (stored && typeof stored === "object" && !Array.isArray(stored) && "value" in stored) return { ...stored, value };
+  return value;
+}
+
+/**
+ * Return the parameter names of an effect class that accept keyframes.
+ *
+ * Filters accept any numeric range or color parameter. Particle effects only accept {@link PARTICLE_KEYFRAME_PARAMETERS} (or the class's `keyframeParameters` override) because other particle options are baked into emitter configs.
+ *
+ * @param {"particle"|"filter"} kind
+ * @param {Function|null|undefined} EffectClass
+ * @returns {string[]}
+ */
+export function getKeyframeParameters(kind, EffectClass) {
+  const parameters = EffectClass?.parameters ?? {};
+  if (kind === "particle") {
+    const allowed = EffectClass?.keyframeParameters ?? PARTICLE_KEYFRAME_PARAMETERS;
+    return allowed.filter((name) => parameters[name]?.type === "range");
+  }
+  return Object.entries(parameters)
+    .filter(([, param]) => param?.type === "range" || param?.type === "color")
+    .map(([name]) => name);
+}
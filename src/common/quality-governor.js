@@ -0,0 +1,250 @@
+/**
+ * FXMaster: Adaptive Quality Governor
+ *
+ * Watches this client's real frame time and steps FXMaster's rendering cost down while the canvas runs under the target frame rate, then back up once there is headroom again. One quality level drives:
+ *
+ * - particle density, on top of Foundry's performance mode,
+ * - particle background surface resolution,
+ * - filter effect resolution.
+ *
+ * Density follows the quality level directly. Resolutions follow its square root, so the number of shaded pixels follows the same curve. Consumers poll the level every frame, so a change reaches running effects without rebuilding them.
+ *
+ * @module common/quality-governor
+ */
+
+import { packageId } from "../constants.js";
+import { logger } from "../logger.js";
+import { adaptiveQualitySettings } from "../settings-access.js";
+
+/** Quality levels, from full quality down to the lowest level the minimum quality setting can allow. */
+const QUALITY_LEVELS = Object.freeze([1, 0.85, 0.7, 0.55, 0.4, 0.25]);
+
+/** How often the smoothed frame time is compared with the target. */
+const EVALUATE_INTERVAL_MS = 2000;
+
+/** Frames slower than this (Scene loads, a backgrounded tab) are stalls, not steady rendering. */
+const MAX_SAMPLE_FRAME_MS = 250;
+
+/** Weight of each new frame in the smoothed frame time. */
+const FRAME_SMOOTHING = 0.05;
+
+/** Frame rate, relative to the target, under which quality is lowered. */
+const LOWER_RATIO = 0.95;
+
+/** Frame rate, relative to the target, that counts as headroom. */
+const HEADROOM_RATIO = 1.2;
+
+/** Sustained headroom needed before quality is raised one step. */
+const RAISE_AFTER_MS = 8000;
+
+/**
+ * Per-client frame time governor for FXMaster's particle density and render resolutions.
+ */
+export class QualityGovernor {
+  /** @type {QualityGovernor|undefined} */
+  static #instance;
+
+  /**
+   * Return the shared governor singleton.
+   *
+   * @returns {QualityGovernor}
+   */
+  static get instance() {
+    if (!this.#instance) this.#instance = new this();
+    return this.#instance;
+  }
+
+  constructor() {
+    this.levelIndex = 0;
+    this.fps = null;
+    this._ticker = null;
+    this._frameMs = null;
+    this._sinceEvaluateMs = 0;
+    this._headroomMs = 0;
+    this._readout = null;
+  }
+
+  /**
+   * Current quality level, 1 at full quality.
+   *
+   * @returns {number}
+   */
+  get quality() {
+    return QUALITY_LEVELS[this.levelIndex] ?? 1;
+  }
+
+  /**
+   * Start or stop watching frame time to match this client's settings. Safe to call repeatedly.
+   *
+   * @returns {void}
+   */
+  refresh() {
+    const settings = adaptiveQualitySettings();
+    const ticker = globalThis.canvas?.app?.ticker ?? null;
+
+    if (!settings.enabled || !ticker) {
+      this._detach();
+      this._setLevel(0);
+      this._syncReadout(settings);
+      return;
+    }
+
+    if (this._ticker !== ticker) {
+      this._detach();
+      ticker.add(this._onTick, this, PIXI.UPDATE_PRIORITY.UTILITY);
+      this._ticker = ticker;
+    }
+
+    this._setLevel(Math.min(this.levelIndex, this._floorIndex(settings)));
+    this._syncReadout(settings);
+  }
+
+  /**
+   * Forget frame samples so stalls while a Scene is drawn do not count against the target.
+   *
+   * @returns {void}
+   */
+  resetSamples() {
+    this._frameMs = null;
+    this._sinceEvaluateMs = 0;
+    this._headroomMs = 0;
+  }
+
+  /**
+   * Stop sampling the ticker.
+   *
+   * @returns {void}
+   * @private
+   */
+  _detach() {
+    try {
+      this._ticker?.remove(this._onTick, this);
+    } catch (err) {
+      logger.debug("FXMaster:", err);
+    }
+    this._ticker = null;
+    this.fps = null;
+    this.resetSamples();
+  }
+
+  /**
+   * Index of the lowest quality level the minimum quality setting allows.
+   *
+   * @param {{minimumQuality: number}} settings
+   * @returns {number}
+   * @private
+   */
+  _floorIndex(settings) {
+    let index = 0;
+    while (index + 1 < QUALITY_LEVELS.length && QUALITY_LEVELS[index + 1] >= settings.minimumQuality - 1e-6) index++;
+    return index;
+  }
+
+  /**
+   * Sample one frame and evaluate the smoothed frame time every {@link EVALUATE_INTERVAL_MS}.
+   *
+   * @returns {void}
+   * @private
+   */
+  _onTick() {
+    const ms = Number(this._ticker?.elapsedMS);
+    if (!(ms > 0) || ms > MAX_SAMPLE_FRAME_MS || document.hidden) return;
+
+    this._frameMs = this._frameMs === null ? ms : this._frameMs + (ms - this._frameMs) * FRAME_SMOOTHING;
+    this._sinceEvaluateMs += ms;
+    if (this._sinceEvaluateMs < EVALUATE_INTERVAL_MS) return;
+
+    const elapsedMs = this._sinceEvaluateMs;
+    this._sinceEvaluateMs = 0;
+    this._evaluate(elapsedMs);
+  }
+
+  /**
+   * Step quality down one level when the frame rate is under the target, or up one level after sustained headroom. The target is capped at Foundry's frame rate limit so a capped client can still recover.
+   *
+   * @param {number} elapsedMs Time since the last evaluation.
+   * @returns {void}
+   * @private
+   */
+  _evaluate(elapsedMs) {
+    const settings = adaptiveQualitySettings();
+    const maxFps = Number(this._ticker?.maxFPS) > 0 ? Number(this._ticker.maxFPS) : Infinity;
+    const target = Math.min(settings.targetFps, maxFps);
+    const fps = 1000 / Math.max(1, this._frameMs);
+    this.fps = fps;
+
+    if (fps < target * LOWER_RATIO && this.levelIndex < this._floorIndex(settings)) {
+      this._headroomMs = 0;
+      this._frameMs = null;
+      this._setLevel(this.levelIndex + 1);
+    } else if (fps >= Math.min(target * HEADROOM_RATIO, maxFps * 0.97) && this.levelIndex > 0) {
+      this._headroomMs += elapsedMs;
+      if (this._headroomMs >= RAISE_AFTER_MS) {
+        this._headroomMs = 0;
+        this._frameMs = null;
+        this._setLevel(this.levelIndex - 1);
+      }
+    } else {
+      this._headroomMs = 0;
+    }
+
+    this._syncReadout(settings);
+  }
+
+  /**
+   * @param {number} index
+   * @returns {void}
+   * @private
+   */
+  _setLevel(index) {
+    const next = Math.max(0, Math.min(QUALITY_LEVELS.length - 1, index | 0));
+    if (next === this.levelIndex) return;
+    this.levelIndex = next;
+    logger.debug(`FXMaster: adaptive quality ${Math.round(this.quality * 100)}%`);
+  }
+
+  /**
+   * Create, update, or remove the status readout.
+   *
+   * @param {{enabled: boolean, showReadout: boolean}} settings
+   * @returns {void}
+   * @private
+   */
+  _syncReadout(settings) {
+    if (!settings.enabled || !settings.showReadout) {
+      this._readout?.remove();
+      this._readout = null;
+      return;
+    }
+
+    if (!this._readout?.isConnected) {
+      this._readout = document.createElement("div");
+      this._readout.id = `${packageId}-quality-readout`;
+      this._readout.classList.add("fxmaster-quality-readout");
+      document.body.append(this._readout);
+    }
+
+    this._readout.textContent = game.i18n.format("FXMASTER.Settings.AdaptiveQualityReadout", {
+      quality: Math.round(this.quality * 100),
+      fps: this.fps === null ? "-" : Math.round(this.fps),
+    });
+  }
+}
+
+/**
+ * Particle density multiplier from the adaptive quality governor.
+ *
+ * @returns {number}
+ */
+export function adaptiveDensityScale() {
+  return QualityGovernor.instance.quality;
+}
+
+/**
+ * Render resolution multiplier from the adaptive quality governor.
+ *
+ * @returns {number}
+ */
+export function adaptiveResolutionScale() {
+  return Math.sqrt(QualityGovernor.instance.quality);
+}
@@ -0,0 +1,53 @@
+/**
+ * FXMaster: Region Conditions
+ *
+ * Behavior-level conditions for the particle and filter Region behaviors: a scene darkness range, like the darkness activation of scene effects, and a world-time window, like the Weather Schedule's time-of-day windows. Effects in the Region only show while every configured condition holds.
+ *
+ * Conditions are evaluated with the visibility gate every frame, so a darkness transition or a world time change shows or hides the effects without another write.
+ *
+ * @module common/region-conditions
+ */
+
+import { getSceneDarknessLevel, isDarknessRangeActive } from "../utils/darkness.js";
+import { getCalendarDayMetrics, getTimeOfDaySeconds, parseScheduleTime } from "../weather/time-of-day.js";
+
+/**
+ * Return whether the time of day falls inside a window. Windows may wrap past midnight; a window whose start and end match covers the whole day.
+ *
+ * @param {number} timeOfDay - Seconds since the start of the day.
+ * @param {number} start - Window start, in seconds since the start of the day.
+ * @param {number} end - Window end, in seconds since the start of the day.
+ * @returns {boolean}
+ */
+function isTimeOfDayInWindow(timeOfDay, start, end) {
+  if (start === end) return true;
+  if (start < end) return timeOfDay >= start && timeOfDay < end;
+  return timeOfDay >= start || timeOfDay < end;
+}
+
+/**
+ * Return whether a Region behavior's conditions currently hold.
+ *
+ * @param {{darknessRange: {min:number, max:number}|null, timeWindow: {start:string, end:string}|null}|null} conditions - From {@link fxmGetRegionBehaviorConditions}.
+ * @param {{darknessLevel?: number, worldTime?: number}} [context] - Current scene darkness and world time. Both default to the live values.
+ * @returns {boolean}
+ */
+export function regionConditionsPass(conditions, { darknessLevel, worldTime } = {}) {
+  if (!conditions) return true;
+
+  if (conditions.darknessRange) {
+    if (!isDarknessRangeActive(conditions.darknessRange, darknessLevel ?? getSceneDarknessLevel())) return false;
+  }
+
+  if (conditions.timeWindow) {
+    const start = parseScheduleTime(conditions.timeWindow.start);
+    const end = parseScheduleTime(conditions.timeWindow.end);
+    if (start !== null && end !== null) {
+      const { secondsPerDay } = getCalendarDayMetrics();
+      const timeOfDay = getTimeOfDaySeconds(worldTime ?? game?.time?.worldTime ?? 0) % secondsPerDay;
+      if (!isTimeOfDayInWindow(timeOfDay, start, end)) return false;
+    }
+  }
+
+  return true;
+}
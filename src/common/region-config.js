@@ -7,6 +7,7 @@ import { refreshSceneParticlesSuppressionMasks } from "../particle-effects/parti
 import { getRegionPlaceableOrDocumentAdapter, resolveDarknessActivationEnabled } from "../utils.js";
 import { configureNormalizedRegionRangeInputs } from "../utils/region-schema.js";
 import { configureCompassDirectionInputs, wireCompassDirectionOutputs } from "./compass-direction.js";
+import { REGION_TRIGGER_EVENT_FIELDS } from "./region-triggers.js";
 import { wireMinuteLabelOutputs } from "./parameter-label-output.js";
 
 function isColorPickerEditEvent(event) {
@@ -150,6 +151,9 @@ export class CommonRegionBehaviorConfig extends foundry.applications.sheets.Regi
     this._wireMinuteLabelOutputs(rendered.form);
 
     this._wireElevationGateVisibility(rendered.form);
+    this._wireFalloffVisibility(rendered.form);
+    this._wireRegionDarknessVisibility(rendered.form);
+    this._wireTriggerVisibility(rendered.form);
     this._wireFxmasterConditionalVisibility(rendered.form);
     this._wireLivePreview(rendered.form);
 
@@ -1202,15 +1206,23 @@ export class CommonRegionBehaviorConfig extends foundry.applications.sheets.Regi
       form.querySelector('select[name="system._elev_gateMode"]') ||
       form.querySelector('[name="system._elev_gateMode"]');
 
-    const targetsGroup = findGroupByName("_elev_tokenTargets");
+    const modeGroups = {
+      targets: findGroupByName("_elev_tokenTargets"),
+      disposition: findGroupByName("_elev_dispositions"),
+      actorType: findGroupByName("_elev_actorTypes"),
+      ownership: findGroupByName("_elev_ownership"),
+      status: findGroupByName("_elev_statuses"),
+    };
     const gmAlwaysGroup = findGroupByName("_elev_gmAlwaysVisible");
 
     if (!gateModeInput) return;
 
     const applyVisibility = () => {
       const mode = gateModeInput.value;
-      if (targetsGroup) targetsGroup.style.display = mode === "targets" ? "" : "none";
-      if (gmAlwaysGroup) gmAlwaysGroup.style.display = mode === "targets" || mode === "pov" ? "" : "none";
+      for (const [groupMode, group] of Object.entries(modeGroups)) {
+        if (group) group.style.display = mode === groupMode ? "" : "none";
+      }
+      if (gmAlwaysGroup) gmAlwaysGroup.style.display = mode && mode !== "none" ? "" : "none";
     };
 
     applyVisibility();
@@ -1218,6 +1230,92 @@ export class CommonRegionBehaviorConfig extends foundry.applications.sheets.Regi
     gateModeInput.addEventListener("input", applyVisibility);
   }
 
+  /**
+   * Show the falloff source and fringe intensity only while a falloff mode is selected.
+   *
+   * @param {HTMLFormElement|HTMLElement|null} form
+   * @returns {void}
+   */
+  _wireFalloffVisibility(form) {
+    const modeInput = form?.querySelector('[name="system._falloffMode"]');
+    if (!modeInput) return;
+
+    const groups = ["_falloffSource", "_falloffMinimum"]
+      .map((name) => form.querySelector(`.form-group [name="system.${name}"]`)?.closest(".form-group"))
+      .filter(Boolean);
+
+    const applyVisibility = () => {
+      const active = modeInput.value === "center" || modeInput.value === "boundary";
+      for (const group of groups) group.style.display = active ? "" : "none";
+    };
+
+    applyVisibility();
+    modeInput.addEventListener("change", applyVisibility);
+    modeInput.addEventListener("input", applyVisibility);
+  }
+
+  /**
+   * Show the behavior's darkness range only while its darkness activation is enabled.
+   *
+   * @param {HTMLFormElement|HTMLElement|null} form
+   * @returns {void}
+   */
+  _wireRegionDarknessVisibility(form) {
+    const toggle = form?.querySelector('[name="system._region_darknessActivationEnabled"]');
+    if (!toggle) return;
+
+    const groups = ["_region_darknessActivationRange_min", "_region_darknessActivationRange_max"]
+      .map((name) => form.querySelector(`.form-group [name="system.${name}"]`)?.closest(".form-group"))
+      .filter(Boolean);
+
+    const applyVisibility = () => {
+      for (const group of groups) group.style.display = toggle.checked ? "" : "none";
+    };
+
+    applyVisibility();
+    toggle.addEventListener("change", applyVisibility);
+  }
+
+  /**
+   * Show each trigger action only while its event is selected, and the pulse duration only while a shown action pulses.
+   *
+   * @param {HTMLFormElement|HTMLElement|null} form
+   * @returns {void}
+   */
+  _wireTriggerVisibility(form) {
+    const eventsControl = form?.querySelector('[name="system.events"]');
+    if (!eventsControl) return;
+
+    const groupFor = (name) =>
+      form.querySelector(`.form-group [name="system.${name}"]`)?.closest(".form-group") ?? null;
+    const triggers = Object.entries(REGION_TRIGGER_EVENT_FIELDS)
+      .map(([key, field]) => ({ eventName: CONST.REGION_EVENTS[key], field, group: groupFor(field) }))
+      .filter((trigger) => trigger.eventName && trigger.group);
+    const pulseGroup = groupFor("_triggerPulseSeconds");
+    if (!triggers.length) return;
+
+    const selectedEvents = () => {
+      const value = eventsControl.value;
+      if (Array.isArray(value)) return new Set(value);
+      if (eventsControl.selectedOptions) return new Set(Array.from(eventsControl.selectedOptions, (o) => o.value));
+      return new Set(Array.from(form.querySelectorAll('[name="system.events"]:checked'), (input) => input.value));
+    };
+
+    const applyVisibility = () => {
+      const events = selectedEvents();
+      let anyPulse = false;
+      for (const { eventName, field, group } of triggers) {
+        const active = events.has(eventName);
+        group.style.display = active ? "" : "none";
+        if (active && form.querySelector(`[name="system.${field}"]`)?.value === "pulse") anyPulse = true;
+      }
+      if (pulseGroup) pulseGroup.style.display = anyPulse ? "" : "none";
+    };
+
+    applyVisibility();
+    form.addEventListener("change", applyVisibility);
+  }
+
   _wireFxmasterConditionalVisibility(form) {
     if (!form) return;
 
@@ -0,0 +1,49 @@
+/**
+ * FXMaster: Region Intensity Falloff
+ *
+ * Runtime side of the Region behaviors' intensity gradient: resolves the viewpoint (camera or token) and turns {@link regionFalloffAt} into an intensity between the behavior's fringe minimum and 1.
+ *
+ * @module common/region-falloff
+ */
+
+import { buildPolygonEdges, estimateRegionInradius, regionFalloffAt } from "../utils/geometry.js";
+
+/** Intensity steps, so a moving camera or token only touches effects when the level visibly changes. */
+const INTENSITY_STEP = 0.05;
+
+/**
+ * Return the world point the gradient is measured from. The token source uses the first controlled token, then the user's assigned character on this Scene, and falls back to the camera.
+ *
+ * @param {"camera"|"token"} source
+ * @returns {{x:number, y:number}}
+ */
+export function regionFalloffViewpoint(source) {
+  if (source === "token") {
+    const token = canvas?.tokens?.controlled?.[0] ?? game.user?.character?.getActiveTokens?.(false, false)?.[0] ?? null;
+    const center = token?.center;
+    if (Number.isFinite(center?.x) && Number.isFinite(center?.y)) return { x: center.x, y: center.y };
+  }
+  const pivot = canvas?.stage?.pivot;
+  return { x: Number(pivot?.x) || 0, y: Number(pivot?.y) || 0 };
+}
+
+/**
+ * Compute a Region effect's intensity for the current viewpoint, quantized to {@link INTENSITY_STEP}.
+ *
+ * @param {PlaceableObject} placeable
+ * @param {{mode:"center"|"boundary", source:"camera"|"token", minimum:number}} falloff - From {@link fxmGetRegionBehaviorFalloff}.
+ * @param {{edges?: Float32Array, inradius?: number}} [state] - Per-effect cache for the Region's boundary edges and inradius. Runtimes are rebuilt when the Region changes, so the cache lives as long as the effect.
+ * @returns {number} Intensity in [falloff.minimum..1].
+ */
+export function regionFalloffIntensity(placeable, falloff, state = {}) {
+  if (falloff.mode === "boundary") {
+    state.edges ??= buildPolygonEdges(placeable);
+    state.inradius ??= estimateRegionInradius(placeable);
+  }
+  const gradient = regionFalloffAt(placeable, regionFalloffViewpoint(falloff.source), falloff.mode, {
+    edges: state.edges ?? null,
+    inradius: state.inradius ?? null,
+  });
+  const intensity = falloff.minimum + (1 - falloff.minimum) * gradient;
+  return Math.round(intensity / INTENSITY_STEP) * INTENSITY_STEP;
+}
@@ -0,0 +1,123 @@
+/**
+ * FXMaster: Region Token Gates
+ *
+ * Token rules for the Region behaviors' visibility gate. Besides the token POV and the hand-maintained token list, a behavior can show its effects only to tokens with a given disposition, actor type, actor ownership, or status effect.
+ *
+ * The rules filter the viewer's controlled tokens each frame, so a status applied mid-scene shows or hides the effects without another write. The same rules decide which tokens count toward enter/exit latching.
+ *
+ * @module common/region-token-gates
+ */
+
+/** Disposition choices, mapped to their CONST.TOKEN_DISPOSITIONS key. */
+export const REGION_GATE_DISPOSITIONS = Object.freeze({
+  friendly: "FRIENDLY",
+  neutral: "NEUTRAL",
+  hostile: "HOSTILE",
+  secret: "SECRET",
+});
+
+/** Ownership choices: actors with a player owner, or actors only the GM owns. */
+export const REGION_GATE_OWNERSHIP = Object.freeze(["player", "gm"]);
+
+/**
+ * Normalize a list setting into lower-case, trimmed strings.
+ *
+ * @param {Iterable<string>|string|null|undefined} value
+ * @returns {string[]}
+ */
+function normalizeGateList(value) {
+  const list = typeof value === "string" ? value.split(",") : Array.from(value ?? []);
+  return list
+    .map((entry) =>
+      String(entry ?? "")
+        .trim()
+        .toLowerCase(),
+    )
+    .filter(Boolean);
+}
+
+/**
+ * Return whether a token's actor has one of the named status effects. Names match a status id, or the localized name of a configured status effect.
+ *
+ * @param {TokenDocument} doc
+ * @param {string[]} statuses - Lower-case status ids or names.
+ * @returns {boolean}
+ */
+function tokenHasStatus(doc, statuses) {
+  const active = doc?.actor?.statuses;
+  if (!active?.size) return false;
+
+  for (const id of active) {
+    if (statuses.includes(String(id).toLowerCase())) return true;
+    const effect = CONFIG.statusEffects?.find?.((status) => status.id === id);
+    const name = effect?.name ? game.i18n.localize(effect.name).toLowerCase() : "";
+    if (name && statuses.includes(name)) return true;
+  }
+  return false;
+}
+
+/**
+ * Build the token rule for a behavior's gate mode, or null when the mode does not filter tokens.
+ *
+ * @param {{gateMode?: string, tokenTargets?: string[], tokenGate?: object}} runtime - Runtime state from {@link fxmReadRegionBehaviorRuntimeState}.
+ * @returns {((token: Token|TokenDocument) => boolean)|null} Predicate accepting a Token or TokenDocument.
+ */
+export function regionTokenGatePredicate(runtime = {}) {
+  const gate = runtime.tokenGate ?? {};
+  const docOf = (token) => token?.document ?? token ?? null;
+
+  switch (runtime.gateMode) {
+    case "targets": {
+      const ids = runtime.tokenTargets ?? [];
+      return (token) => {
+        const doc = docOf(token);
+        return ids.includes(doc?.id) || ids.includes(doc?.uuid);
+      };
+    }
+    case "disposition": {
+      const dispositions = normalizeGateList(gate.dispositions)
+        .map((key) => CONST.TOKEN_DISPOSITIONS?.[REGION_GATE_DISPOSITIONS[key]])
+        .filter((value) => value !== undefined);
+      return (token) => dispositions.includes(docOf(token)?.disposition);
+    }
+    case "actorType": {
+      const types = normalizeGateList(gate.actorTypes);
+      return (token) => types.includes(String(docOf(token)?.actor?.type ?? "").toLowerCase());
+    }
+    case "ownership": {
+      const playerOwned = gate.ownership !== "gm";
+      return (token) => {
+        const actor = docOf(token)?.actor;
+        return !!actor && !!actor.hasPlayerOwner === playerOwned;
+      };
+    }
+    case "status": {
+      const statuses = normalizeGateList(gate.statuses);
+      return (token) => tokenHasStatus(docOf(token), statuses);
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Return whether a gate mode's token rule has nothing configured, so no token can pass it.
+ *
+ * @param {{gateMode?: string, tokenTargets?: string[], tokenGate?: object}} runtime
+ * @returns {boolean}
+ */
+export function regionTokenGateEmpty(runtime = {}) {
+  const gate = runtime.tokenGate ?? {};
+  switch (runtime.gateMode) {
+    case "targets":
+      return !runtime.tokenTargets?.length;
+    case "disposition":
+      return !normalizeGateList(gate.dispositions).length;
+    case "actorType":
+      return !normalizeGateList(gate.actorTypes).length;
+    case "status":
+      return !normalizeGateList(gate.statuses).length;
+    default:
+      return false;
+  }
+}
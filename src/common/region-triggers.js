@@ -0,0 +1,122 @@
+/**
+ * FXMaster: Region Trigger Events
+ *
+ * Region events beyond token enter/exit - movement within the Region, combat turns and rounds, and behavior activation - each run a configurable action on the behavior's event gate: show, hide, toggle, or pulse the effects for a few seconds.
+ *
+ * The gate lives in the behavior's `eventGate` flag. Actions set `latched`; a pulse sets `pulseUntil` to a server timestamp, so every client ends the pulse at the same moment without another write.
+ *
+ * @module common/region-triggers
+ */
+
+import { regionTokenGateEmpty, regionTokenGatePredicate } from "./region-token-gates.js";
+
+/** REGION_EVENTS keys that run a trigger action, mapped to the behavior field that holds the action. */
+export const REGION_TRIGGER_EVENT_FIELDS = Object.freeze({
+  TOKEN_MOVE_WITHIN: "_trigger_moveWithin",
+  TOKEN_TURN_START: "_trigger_turnStart",
+  TOKEN_TURN_END: "_trigger_turnEnd",
+  TOKEN_ROUND_START: "_trigger_roundStart",
+  TOKEN_ROUND_END: "_trigger_roundEnd",
+  BEHAVIOR_ACTIVATED: "_trigger_activated",
+});
+
+/** Actions a trigger event can run. */
+export const REGION_TRIGGER_ACTIONS = Object.freeze(["show", "hide", "pulse", "toggle"]);
+
+/**
+ * Return the trigger event names this Foundry version defines.
+ *
+ * @returns {string[]}
+ */
+export function regionTriggerEventNames() {
+  const events = globalThis.CONST?.REGION_EVENTS ?? {};
+  return Object.keys(REGION_TRIGGER_EVENT_FIELDS)
+    .map((key) => events[key])
+    .filter(Boolean);
+}
+
+/**
+ * Return the behavior field holding the action for a Region event, or null when the event is not a trigger event.
+ *
+ * @param {string} eventName
+ * @returns {string|null}
+ */
+export function regionTriggerField(eventName) {
+  const events = globalThis.CONST?.REGION_EVENTS ?? {};
+  for (const [key, field] of Object.entries(REGION_TRIGGER_EVENT_FIELDS)) {
+    if (events[key] && events[key] === eventName) return field;
+  }
+  return null;
+}
+
+/**
+ * Return whether a set of selected Region events includes any trigger event.
+ *
+ * @param {Set<string>} events
+ * @returns {boolean}
+ */
+export function hasRegionTriggerEvents(events) {
+  return regionTriggerEventNames().some((name) => events.has(name));
+}
+
+/**
+ * Return whether an event gate's pulse is still running.
+ *
+ * @param {{pulseUntil?: number}|null|undefined} gate
+ * @returns {boolean}
+ */
+export function regionEventGatePulsing(gate) {
+  const until = Number(gate?.pulseUntil);
+  return Number.isFinite(until) && until > (game.time?.serverTime ?? Date.now());
+}
+
+/**
+ * Return whether an event gate currently shows its effects.
+ *
+ * @param {{latched?: boolean, pulseUntil?: number}|null|undefined} gate
+ * @returns {boolean}
+ */
+export function regionEventGateVisible(gate) {
+  return !!gate?.latched || regionEventGatePulsing(gate);
+}
+
+/**
+ * Resolve the event gate after a trigger event, or null when the event does not change it. Token events from tokens the behavior's token gate rejects are ignored.
+ *
+ * @param {object} system - The behavior's system data.
+ * @param {{name: string, data?: {token?: TokenDocument}}} event - Foundry Region event payload.
+ * @param {{mode: string, latched?: boolean, pulseUntil?: number}} gate - Current event gate.
+ * @param {{gateMode?: string, tokenTargets?: string[], tokenGate?: object}} [runtime] - Runtime state from {@link fxmReadRegionBehaviorRuntimeState}.
+ * @returns {{mode: string, latched: boolean, pulseUntil: number}|null}
+ */
+export function resolveRegionTriggerGate(system, event, gate, runtime = {}) {
+  const field = regionTriggerField(event?.name);
+  if (!field) return null;
+
+  const token = event.data?.token ?? null;
+  const matchesGate = regionTokenGateEmpty(runtime) ? null : regionTokenGatePredicate(runtime);
+  if (token && matchesGate && !matchesGate(token)) return null;
+
+  const action = REGION_TRIGGER_ACTIONS.includes(system?.[field]) ? system[field] : "pulse";
+  const visible = regionEventGateVisible(gate);
+  const next = { mode: gate.mode, latched: !!gate.latched, pulseUntil: 0 };
+
+  switch (action) {
+    case "show":
+      next.latched = true;
+      break;
+    case "hide":
+      next.latched = false;
+      break;
+    case "toggle":
+      next.latched = !visible;
+      break;
+    case "pulse": {
+      const seconds = Math.max(0.5, Number(system?._triggerPulseSeconds) || 3);
+      next.pulseUntil = (game.time?.serverTime ?? Date.now()) + seconds * 1000;
+      break;
+    }
+  }
+
+  return next;
+}
@@ -3,3 +3,7 @@ export const MAX_EDGES = 64;
 export const ALL_LEVELS_SELECTION = "__fxmaster_all_levels__";
 export const API_EFFECT_ID_PREFIX = "apiMacro_";
 export const API_EFFECT_UPDATE_OPTIONS_FLAG = "_apiEffectsUpdateOptions";
+export const REGION_LIVE_UPDATE_OPTION = "fxmasterLiveUpdate";
+export const WEATHER_SCHEDULE_FLAG = "weatherSchedule";
+export const WEATHER_GENERATOR_FLAG = "weatherGenerator";
+export const PRESET_SOURCE_FLAG = "presetSource";
@@ -4,6 +4,8 @@ import { ApiEffectsManagement } from "./api-effects/applications/api-effects-man
 import { saveParticleAndFilterEffectsAsMacro } from "./macro.js";
 import { FxLayersManagement } from "./stack/fx-layers-management.js";
 import { FxMasterInfo } from "./applications/fxmaster-info.js";
+import { WeatherScheduleManagement } from "./weather/applications/weather-schedule-management.js";
+import { PresetManagement } from "./presets/applications/preset-management.js";
 import { stopRegionEffects, stopSceneEffects } from "./api.js";
 import { updateSceneControlHighlights } from "./utils.js";
 
@@ -171,6 +173,30 @@ function getSceneControlButtons(t) {
       },
       visible: game.user.isGM,
     },
+    "weather-schedule": {
+      name: "weather-schedule",
+      title: "FXMASTER.Weather.Title",
+      icon: "fas fa-clock",
+      order: 49,
+      button: true,
+      [onEvent]: (_event, active) => {
+        if (!shouldHandleToolActivation(active)) return;
+        return new WeatherScheduleManagement().render(true);
+      },
+      visible: game.user.isGM,
+    },
+    presets: {
+      name: "presets",
+      title: "FXMASTER.Presets.Title",
+      icon: "fas fa-swatchbook",
+      order: 50,
+      button: true,
+      [onEvent]: (_event, active) => {
+        if (!shouldHandleToolActivation(active)) return;
+        return new PresetManagement().render(true);
+      },
+      visible: game.user.isGM,
+    },
     layers: {
       name: "layers",
       title: "FXMASTER.Layers.Title",
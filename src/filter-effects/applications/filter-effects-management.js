@@ -3,6 +3,7 @@ import { packageId } from "../../constants.js";
 import { prepareFilterOptionsForSceneStorage, resetFlag, updateSceneControlHighlights } from "../../utils.js";
 import { logger } from "../../logger.js";
 import { getHiddenEffectsCount, openEffectsVisibilityManager } from "../../common/effects-visibility-manager.js";
+import { getKeyframeableEffectTypes, openKeyframeEditor } from "../../common/keyframe-editor.js";
 import { buildSceneEffectUid, promoteEffectStackUids } from "../../common/effect-stack.js";
 import { FilterEffectsSceneManager } from "../filter-effects-scene-manager.js";
 
@@ -50,6 +51,7 @@ export class FilterEffectsManagement extends FXMasterBaseFormV2 {
       updateParam: FilterEffectsManagement.updateParam,
       filterEffectAction: FilterEffectsManagement.filterEffectAction,
       openHideEffects: FilterEffectsManagement.openHideEffects,
+      openKeyframes: FilterEffectsManagement.openKeyframes,
     },
     window: {
       title: "FXMASTER.Common.FilterEffectsManagementTitle",
@@ -105,6 +107,7 @@ export class FilterEffectsManagement extends FXMasterBaseFormV2 {
       filters,
       activeFilters,
       passiveFilters,
+      keyframeTypes: getKeyframeableEffectTypes("filter"),
     };
   }
 
@@ -119,6 +122,19 @@ export class FilterEffectsManagement extends FXMasterBaseFormV2 {
     });
   }
 
+  /**
+   * Open the keyframe timeline editor for the effect row that owns the clicked button.
+   * @param {PointerEvent} event
+   * @param {HTMLElement} button
+   * @returns {void}
+   */
+  static openKeyframes(event, button) {
+    event?.preventDefault?.();
+    event?.stopPropagation?.();
+    const type = button?.dataset?.effectType;
+    if (type) openKeyframeEditor({ kind: "filter", type });
+  }
+
   /**
    * Invoke a filter effect-provided action from an effect option row.
    *
@@ -415,6 +431,7 @@ export class FilterEffectsManagement extends FXMasterBaseFormV2 {
         if (!cur[`core_${type}`]) return;
 
         const prev = cur[`core_${type}`]?.options ?? {};
+        if (prev.keyframes) options.keyframes = prev.keyframes;
         const a = foundry.utils.diffObject(prev, options);
         const b = foundry.utils.diffObject(options, prev);
         const shouldRefresh = refresh && canvas?.scene?.id === sceneId;
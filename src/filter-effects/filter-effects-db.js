@@ -1,22 +1,34 @@
 import { BloomFilter } from "./filters/bloom.js";
+import { ChromaticAberrationFilter } from "./filters/chromatic-aberration.js";
 import { ColorFilter } from "./filters/color.js";
 import { FogFilter } from "./filters/fog.js";
+import { GodRaysFilter } from "./filters/god-rays.js";
+import { HeatHazeFilter } from "./filters/heat-haze.js";
+import { LensOverlayFilter } from "./filters/lens-overlay.js";
 import { LightningFilter } from "./filters/lightning.js";
 import { OldFilmFilter } from "./filters/old-film.js";
 import { ScreenShakeFilter } from "./filters/screen-shake.js";
 import { PredatorFilter } from "./filters/predator.js";
 import { UnderwaterFilter } from "./filters/underwater.js";
+import { VignetteFilter } from "./filters/vignette.js";
+import { VisionModeFilter } from "./filters/vision-mode.js";
 
 /** @typedef {Record<string, PIXI.Filter} FilterEffects */
 
 /** @type {FilterEffects} */
 export const filterEffects = {
   bloom: BloomFilter,
+  chromaticAberration: ChromaticAberrationFilter,
   color: ColorFilter,
   fog: FogFilter,
+  godRays: GodRaysFilter,
+  heatHaze: HeatHazeFilter,
+  lensOverlay: LensOverlayFilter,
   lightning: LightningFilter,
   oldfilm: OldFilmFilter,
   predator: PredatorFilter,
   screenShake: ScreenShakeFilter,
   underwater: UnderwaterFilter,
+  vignette: VignetteFilter,
+  visionMode: VisionModeFilter,
 };
@@ -46,6 +46,9 @@ import {
   getSceneRegionDocumentById,
   regionDocumentCanApplyInCurrentView,
   isEffectActiveForSceneDarkness,
+  applyClientEffectOverride,
+  blendEffectOptionsTowardNeutral,
+  fxmGetRegionBehaviorFalloff,
   getRegionFilterEffectDefinitions,
   buildBelowTokenMaskCoverageSignature,
   buildBelowTileMaskCoverageSignature,
@@ -53,6 +56,8 @@ import {
 import { BaseEffectsLayer } from "../common/base-effects-layer.js";
 import { SceneMaskManager } from "../common/base-effects-scene-manager.js";
 import { buildRegionEffectUid, normalizeBehaviorDocs } from "../common/effect-stack.js";
+import { createRegionEffectEvent, reconcileRegionEffectEvents } from "../common/effect-events.js";
+import { regionFalloffIntensity } from "../common/region-falloff.js";
 
 const FILTER_TYPE = `${packageId}.filterEffectsRegion`;
 /**
@@ -562,6 +567,8 @@ export class FilterEffectsLayer extends BaseEffectsLayer {
   constructor() {
     super();
     this.regionMasks = new Map();
+    /** Lifecycle payloads last reported per Region, keyed by stack UID. */
+    this._regionEffectEvents = new Map();
     this._sdfCache = new Map();
     this._gatePassCache = new Map();
     this.stackEntries = new Map();
@@ -839,6 +846,7 @@ export class FilterEffectsLayer extends BaseEffectsLayer {
     this._lastRegionMaskMatrix = null;
 
     this._destroyRegionMasks();
+    this._regionEffectEvents.clear();
 
     try {
       for (const e of this._sdfCache.values()) {
@@ -884,7 +892,19 @@ export class FilterEffectsLayer extends BaseEffectsLayer {
    * @param {{ soft?: boolean, behaviorDocs?: Iterable<foundry.documents.RegionBehavior>|foundry.documents.RegionBehavior[]|null }} [options]
    * @returns {Promise<void>}
    */
-  async drawRegionFilterEffects(placeable, { soft = false, behaviorDocs = null } = {}) {
+  async drawRegionFilterEffects(placeable, options = {}) {
+    await this._buildRegionFilterEffects(placeable, options);
+    this._syncRegionEffectEvents(placeable.id);
+  }
+
+  /**
+   * Replace a Region's filter runtimes with ones built from its current behaviors. See {@link drawRegionFilterEffects}.
+   *
+   * @param {PlaceableObject} placeable
+   * @param {{ soft?: boolean, behaviorDocs?: Iterable<foundry.documents.RegionBehavior>|foundry.documents.RegionBehavior[]|null }} [options]
+   * @returns {Promise<void>}
+   */
+  async _buildRegionFilterEffects(placeable, { soft = false, behaviorDocs = null } = {}) {
     const regionId = placeable.id;
     this._destroyRegionMasks(regionId);
 
@@ -908,7 +928,9 @@ export class FilterEffectsLayer extends BaseEffectsLayer {
 
       for (const [id, { type, options: rawOptions }] of Object.entries(filterDefs)) {
         if (!isEffectActiveForSceneDarkness(rawOptions, darknessLevel)) continue;
-        activeFilterSpecs.push({ behavior, id, type, rawOptions });
+        const clientOptions = applyClientEffectOverride("filter", type, rawOptions ?? {});
+        if (!clientOptions) continue;
+        activeFilterSpecs.push({ behavior, id, type, rawOptions: clientOptions, storedOptions: rawOptions ?? {} });
         if (!activeBehaviorIds.has(behavior.id)) {
           activeBehaviorIds.add(behavior.id);
           activeBehaviors.push(behavior);
@@ -1098,14 +1120,18 @@ export class FilterEffectsLayer extends BaseEffectsLayer {
     const defaultSmoothK = Math.max(2.0 * worldPerCss, 1e-6);
     const appliedFilters = [];
 
-    for (const { behavior, id, type, rawOptions } of activeFilterSpecs) {
+    for (const { behavior, id, type, rawOptions, storedOptions } of activeFilterSpecs) {
       const FilterClass = CONFIG.fxmaster.filterEffects[type];
       if (!FilterClass) {
         logger.warn(game.i18n.format("FXMASTER.Filters.TypeErrors.TypeUnknown", { id, type }));
         continue;
       }
 
-      const options = normalize(rawOptions ?? {});
+      const falloff = fxmGetRegionBehaviorFalloff(behavior);
+      const falloffState = {};
+      const intensity = falloff ? regionFalloffIntensity(placeable, falloff, falloffState) : 1;
+      const playOptions = blendEffectOptionsTowardNeutral("filter", type, rawOptions ?? {}, intensity);
+      const options = normalize(playOptions);
       const runtimeContext = {
         scope: "region",
         sceneId: canvas?.scene?.id ?? null,
@@ -1124,6 +1150,10 @@ export class FilterEffectsLayer extends BaseEffectsLayer {
       filter.__fxmBelowForeground = wantBelowForeground;
       filter.__fxmStackUid = uid;
       filter.__fxmRuntimeContext = runtimeContext;
+      filter.__fxmEvent = createRegionEffectEvent("filter", regionId, behavior.id, id, type, storedOptions);
+      if (falloff) {
+        filter.__fxmFalloff = { ...falloff, type, options: rawOptions ?? {}, state: falloffState, intensity };
+      }
       filter.onFXMasterRuntimeContext?.(runtimeContext);
 
       if (filter.uniforms) {
@@ -1231,7 +1261,7 @@ export class FilterEffectsLayer extends BaseEffectsLayer {
       }
 
       try {
-        filter.play({ ...(rawOptions ?? {}), skipFading: !!soft });
+        filter.play({ ...playOptions, skipFading: !!soft });
       } catch {
         try {
           filter.enabled = true;
@@ -1316,11 +1346,84 @@ export class FilterEffectsLayer extends BaseEffectsLayer {
     this._coalescedRefreshAll();
   }
 
+  /**
+   * Apply updated behavior options to a Region's running filters without rebuilding them or their masks.
+   *
+   * Only succeeds when the behavior still drives the same filters with the same mask routing and none of them is mid-fade; otherwise the caller should redraw the Region.
+   *
+   * @param {string} regionId
+   * @param {foundry.documents.RegionBehavior} behavior
+   * @returns {boolean} True when every running filter of the behavior was updated in place.
+   */
+  updateRegionFilterOptions(regionId, behavior) {
+    if (!behavior || behavior.type !== FILTER_TYPE || behavior.disabled) return false;
+    const filters = (this.regionMasks.get(regionId)?.filters ?? []).filter(
+      (filter) => filter?.__fxmRuntimeContext?.behaviorId === behavior.id,
+    );
+    if (!filters.length) return false;
+
+    const darknessLevel = getSceneDarknessLevel();
+    const specs = new Map();
+    for (const [id, { type, options: rawOptions }] of Object.entries(
+      getRegionFilterEffectDefinitions(behavior) ?? {},
+    )) {
+      if (!isEffectActiveForSceneDarkness(rawOptions, darknessLevel)) continue;
+      const clientOptions = applyClientEffectOverride("filter", type, rawOptions ?? {});
+      if (!clientOptions) continue;
+      specs.set(id, { type, clientOptions, storedOptions: rawOptions ?? {} });
+    }
+    if (specs.size !== filters.length) return false;
+
+    for (const filter of filters) {
+      const spec = specs.get(filter.__fxmRuntimeContext.effectId);
+      if (!spec || spec.type !== filter.__fxmRuntimeContext.type || filter.isFading) return false;
+      if (
+        filter.__fxmBelowTokens !== _belowTokensEnabled(spec.clientOptions.belowTokens) ||
+        filter.__fxmBelowTiles !== _belowTilesEnabled(spec.clientOptions.belowTiles) ||
+        filter.__fxmBelowForeground !== _belowForegroundEnabled(spec.clientOptions.belowForeground)
+      )
+        return false;
+    }
+
+    for (const filter of filters) {
+      const { effectId: id, type } = filter.__fxmRuntimeContext;
+      const { clientOptions, storedOptions } = specs.get(id);
+      const falloff = filter.__fxmFalloff;
+      const intensity = falloff?.intensity ?? 1;
+      try {
+        filter.configure?.(blendEffectOptionsTowardNeutral("filter", type, clientOptions, intensity));
+        if (typeof filter.uniforms?.strength === "number") filter.__fxmBaseStrength = filter.uniforms.strength;
+      } catch (err) {
+        logger.debug("FXMaster:", err);
+        return false;
+      }
+      if (falloff) falloff.options = clientOptions;
+      filter.__fxmEvent = createRegionEffectEvent("filter", regionId, behavior.id, id, type, storedOptions);
+    }
+
+    this._syncRegionEffectEvents(regionId);
+    return true;
+  }
+
   destroyRegionFilterEffects(regionId) {
     this._destroyRegionMasks(regionId);
+    this._syncRegionEffectEvents(regionId);
     this._updateRegionBelowTokensNeeded();
   }
 
+  /**
+   * Fire lifecycle hooks for the difference between a Region's running filters and the ones last reported for it.
+   *
+   * @param {string} regionId
+   * @returns {void}
+   */
+  _syncRegionEffectEvents(regionId) {
+    const current = (this.regionMasks.get(regionId)?.filters ?? []).map((filter) => ({ event: filter.__fxmEvent }));
+    const next = reconcileRegionEffectEvents(this._regionEffectEvents.get(regionId), current);
+    if (next.size) this._regionEffectEvents.set(regionId, next);
+    else this._regionEffectEvents.delete(regionId);
+  }
+
   _refreshEnvFilterArea() {
     if (this.regionMasks.size === 0) return;
 
@@ -1835,7 +1938,9 @@ export class FilterEffectsLayer extends BaseEffectsLayer {
     }
 
     for (const reg of getRegionEffectPlaceablesForCurrentView(canvas?.scene ?? null)) {
-      if (this.regionMasks.has(reg.id)) this._applyElevationGate(reg);
+      if (!this.regionMasks.has(reg.id)) continue;
+      this._applyElevationGate(reg);
+      this._applyRegionFalloff(reg);
     }
 
     this._refreshEnvFilterArea();
@@ -1912,4 +2017,29 @@ export class FilterEffectsLayer extends BaseEffectsLayer {
 
     this._gatePassCache.set(placeable.id, pass);
   }
+
+  /**
+   * Update the intensity falloff of a Region's filters for the current camera or token position. Filters hidden by the elevation gate or still fading are left alone, so neither fights over the strength uniform.
+   *
+   * @param {PlaceableObject} placeable
+   * @returns {void}
+   */
+  _applyRegionFalloff(placeable) {
+    const entry = this.regionMasks.get(placeable.id);
+    if (!entry || this._gatePassCache.get(placeable.id) === false) return;
+
+    for (const f of entry.filters ?? []) {
+      const falloff = f?.__fxmFalloff;
+      if (!falloff || f.isFading) continue;
+      try {
+        const intensity = regionFalloffIntensity(placeable, falloff, falloff.state);
+        if (intensity === falloff.intensity) continue;
+        falloff.intensity = intensity;
+        f.configure?.(blendEffectOptionsTowardNeutral("filter", falloff.type, falloff.options, intensity));
+        if (typeof f.uniforms?.strength === "number") f.__fxmBaseStrength = f.uniforms.strength;
+      } catch (err) {
+        logger.debug("FXMaster:", err);
+      }
+    }
+  }
 }
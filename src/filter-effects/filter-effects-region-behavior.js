@@ -5,8 +5,23 @@ import {
   normalizeDarknessActivationRange,
   prepareFilterOptionsForSceneStorage,
 } from "../utils.js";
-import { packageId } from "../constants.js";
-import { applyLegacyRangeTolerance, createRegionNumberField } from "../utils/region-schema.js";
+import { packageId, REGION_LIVE_UPDATE_OPTION } from "../constants.js";
+import { regionTokenGateEmpty, regionTokenGatePredicate } from "../common/region-token-gates.js";
+import {
+  applyLegacyRangeTolerance,
+  createRegionConditionFields,
+  createRegionFalloffFields,
+  createRegionNumberField,
+  createRegionTokenGateFields,
+  createRegionTriggerFields,
+  REGION_TOKEN_GATE_CHOICES,
+} from "../utils/region-schema.js";
+import {
+  hasRegionTriggerEvents,
+  regionTriggerEventNames,
+  regionTriggerField,
+  resolveRegionTriggerGate,
+} from "../common/region-triggers.js";
 import { buildRegionEffectUid, promoteEffectStackUids } from "../common/effect-stack.js";
 
 /**
@@ -31,6 +46,7 @@ export class FilterRegionBehaviorType extends foundry.data.regionBehaviors.Regio
    * Build the editable schema for this region behavior, including:
    * - Region event gating controls
    * - Elevation visibility controls
+   * - Intensity falloff controls
    * - Per-filter parameters plus region-only options (e.g., fadePercent)
    * @returns {object} Schema definition object for Foundry VTT forms.
    */
@@ -38,7 +54,7 @@ export class FilterRegionBehaviorType extends foundry.data.regionBehaviors.Regio
     const schema = {};
 
     schema.events = this._createEventsField({
-      events: [CONST.REGION_EVENTS.TOKEN_ENTER, CONST.REGION_EVENTS.TOKEN_EXIT],
+      events: [CONST.REGION_EVENTS.TOKEN_ENTER, CONST.REGION_EVENTS.TOKEN_EXIT, ...regionTriggerEventNames()],
     });
 
     schema._elev_gateMode = new foundry.data.fields.StringField({
@@ -49,6 +65,7 @@ export class FilterRegionBehaviorType extends foundry.data.regionBehaviors.Regio
         none: "FXMASTER.Regions.ElevationVisibility.None",
         pov: "FXMASTER.Regions.ElevationVisibility.POV",
         targets: "FXMASTER.Regions.ElevationVisibility.Targets",
+        ...REGION_TOKEN_GATE_CHOICES,
       },
       label: "FXMASTER.Regions.ElevationVisibility.Label",
       localize: true,
@@ -65,6 +82,8 @@ export class FilterRegionBehaviorType extends foundry.data.regionBehaviors.Regio
       localize: true,
     });
 
+    Object.assign(schema, createRegionTokenGateFields());
+
     schema._elev_gmAlwaysVisible = new foundry.data.fields.BooleanField({
       required: false,
       nullable: false,
@@ -73,6 +92,15 @@ export class FilterRegionBehaviorType extends foundry.data.regionBehaviors.Regio
       localize: true,
     });
 
+    /** Region-only: scale filter strength by the camera's or a token's distance to the Region center or boundary. */
+    Object.assign(schema, createRegionFalloffFields());
+
+    /** Region-only: show the effects only within a scene darkness range and a world-time window. */
+    Object.assign(schema, createRegionConditionFields());
+
+    /** Actions run by the trigger events beyond token enter/exit. */
+    Object.assign(schema, createRegionTriggerFields());
+
     for (const [type, cls] of Object.entries(CONFIG.fxmaster.filterEffects).sort(([, a], [, b]) => {
       const labelA = game.i18n.localize(a.label);
       const labelB = game.i18n.localize(b.label);
@@ -218,13 +246,15 @@ export class FilterRegionBehaviorType extends foundry.data.regionBehaviors.Regio
     try {
       await super._onUpdate(changed, options, userId);
 
-      await this._applyFilters();
+      await this._applyFilters(
+        options?.[REGION_LIVE_UPDATE_OPTION] ? { [REGION_LIVE_UPDATE_OPTION]: true } : undefined,
+      );
 
       const mode = this._getEventModeFromSelection();
       const prevEG = this.parent.getFlag(packageId, "eventGate") || {};
       let latched = false;
 
-      if (!this.disabled && (mode === "enter" || mode === "enterExit")) {
+      if (!this.disabled && (mode === "enter" || mode === "enterExit" || mode === "trigger")) {
         if (prevEG?.mode === mode) latched = !!prevEG.latched;
       }
       if ((prevEG.mode !== mode || !!prevEG.latched !== !!latched) && game.user.isGM) {
@@ -255,8 +285,9 @@ export class FilterRegionBehaviorType extends foundry.data.regionBehaviors.Regio
 
   /**
    * Collect enabled filters for this region, merge base filter parameters with region-only options, persist flags, and request redraw.
+   * @param {object} [updateOptions] - Options for the filters flag write, e.g. a live update marker.
    */
-  async _applyFilters() {
+  async _applyFilters(updateOptions = undefined) {
     const system = this.toObject();
 
     const prevFilters = this.parent.getFlag(packageId, "filters") ?? {};
@@ -308,7 +339,7 @@ export class FilterRegionBehaviorType extends foundry.data.regionBehaviors.Regio
     const diff1 = foundry.utils.diffObject(prevFilters, nextFilters);
     const diff2 = foundry.utils.diffObject(nextFilters, prevFilters);
     if ((!foundry.utils.isEmpty(diff1) || !foundry.utils.isEmpty(diff2)) && game.user.isGM) {
-      if (Object.keys(nextFilters).length) await resetFlag(this.parent, "filters", nextFilters);
+      if (Object.keys(nextFilters).length) await resetFlag(this.parent, "filters", nextFilters, updateOptions);
       else await this.parent.unsetFlag(packageId, "filters");
 
       const regionId = this.parent?.parent?.id ?? this.parent?.region?.id ?? null;
@@ -360,7 +391,7 @@ export class FilterRegionBehaviorType extends foundry.data.regionBehaviors.Regio
 
   /**
    * Derive the current event gate mode from the selected events.
-   * @returns {"enterExit"|"enter"|"exitOnly"|"none"} The gate mode.
+   * @returns {"enterExit"|"enter"|"trigger"|"exitOnly"|"none"} The gate mode.
    */
   _getEventModeFromSelection() {
     const evs = this.events instanceof Set ? this.events : new Set();
@@ -368,13 +399,14 @@ export class FilterRegionBehaviorType extends foundry.data.regionBehaviors.Regio
     const hasExit = evs.has(CONST.REGION_EVENTS.TOKEN_EXIT);
     if (hasEnter && hasExit) return "enterExit";
     if (hasEnter) return "enter";
+    if (hasRegionTriggerEvents(evs)) return "trigger";
     if (hasExit) return "exitOnly";
     return "none";
   }
 
   /**
    * Persist event gate mode and latched state on the region document.
-   * @param {"enterExit"|"enter"|"exitOnly"|"none"} mode - Gate mode.
+   * @param {"enterExit"|"enter"|"trigger"|"exitOnly"|"none"} mode - Gate mode.
    * @param {boolean} latched - Whether visibility is currently latched on.
    */
   async _writeEventGate(mode, latched) {
@@ -383,12 +415,20 @@ export class FilterRegionBehaviorType extends foundry.data.regionBehaviors.Regio
   }
 
   /**
-   * Handle region token enter/exit events and update visibility gating.
+   * Handle region events and update visibility gating. Token enter/exit track token presence; trigger events run their configured action.
    * @param {object} event - Foundry region event payload.
    */
   async _handleRegionEvent(event) {
     if (!this.events?.size) return;
     const evt = event.name;
+    if (regionTriggerField(evt)) {
+      const runtime = fxmReadRegionBehaviorRuntimeState(this.parent, packageId);
+      const gate = { ...(runtime.eventGate ?? {}), mode: this._getEventModeFromSelection() };
+      const next = resolveRegionTriggerGate(this, event, gate, runtime);
+      if (next && game.user.isGM) await this.parent.setFlag(packageId, "eventGate", next);
+      return;
+    }
+
     const mode = this._getEventModeFromSelection();
     if (mode === "none" || mode === "exitOnly") return;
 
@@ -396,25 +436,15 @@ export class FilterRegionBehaviorType extends foundry.data.regionBehaviors.Regio
     const prev = runtimeGate.eventGate || { mode, latched: false };
     let latched = !!prev.latched;
 
-    const fxGateMode = runtimeGate.gateMode;
-    const targetIds = new Set(runtimeGate.tokenTargets ?? []);
     const tokensInRegion = Array.from(event.region?.tokens ?? []);
-    const isTargetToken = (t) => targetIds.has(t.document.id) || targetIds.has(t.document.uuid);
-
-    const countTargets = () => {
-      if (fxGateMode !== "targets" || targetIds.size === 0) return null;
-      let n = 0;
-      for (const t of tokensInRegion) if (isTargetToken(t)) n++;
-      return n;
-    };
+    const matchesGate = regionTokenGateEmpty(runtimeGate) ? null : regionTokenGatePredicate(runtimeGate);
+    const occupied = matchesGate ? tokensInRegion.some(matchesGate) : tokensInRegion.length > 0;
 
     if (mode === "enterExit") {
-      latched =
-        fxGateMode === "targets" && targetIds.size > 0 ? (countTargets() ?? 0) > 0 : (tokensInRegion.length ?? 0) > 0;
+      latched = occupied;
     } else if (mode === "enter") {
       if (evt !== CONST.REGION_EVENTS.TOKEN_ENTER) return;
-      latched =
-        fxGateMode === "targets" && targetIds.size > 0 ? (countTargets() ?? 0) > 0 : (tokensInRegion.length ?? 0) > 0;
+      latched = occupied;
     }
 
     if (prev.mode !== mode || !!prev.latched !== !!latched) {
@@ -5,6 +5,7 @@
  * - Creates, updates, and destroys scene filter instances from scene flags.
  * - Maintains suppression masks and viewport uniforms.
  * - Exposes live runtime lookups for the global compositor stack.
+ * - Fires the effect lifecycle hooks from `common/effect-events.js`.
  */
 import { packageId } from "../constants.js";
 import { logger } from "../logger.js";
@@ -23,6 +24,8 @@ import {
   getSceneDarknessLevel,
   isEffectActiveForSceneDarkness,
   isEffectActiveForCurrentOrVisibleCanvasLevel,
+  isEffectAddressedToUser,
+  applyClientEffectOverride,
   getCanvasLiveLevelSurfaceState,
   buildBelowTokenMaskCoverageSignature,
   buildBelowTileMaskCoverageSignature,
@@ -40,6 +43,20 @@ import {
   hasStackedSuppressionAffectingSceneRows,
   promoteEffectStackUids,
 } from "../common/effect-stack.js";
+import {
+  evaluateKeyframes,
+  getKeyframeClockMs,
+  interpolateOptionValue,
+  keyframesSettled,
+  normalizeKeyframes,
+  withKeyframedValue,
+} from "../common/keyframes.js";
+import {
+  EFFECT_EVENTS,
+  callEffectEvent,
+  createSceneEffectEvent,
+  effectEventOptionsChanged,
+} from "../common/effect-events.js";
 
 function isBelowTokensFilter(f) {
   return _belowTokensEnabled(f?.__fxmBelowTokens ?? f?.options?.belowTokens);
@@ -142,6 +159,23 @@ function _sceneFilterSuppressionCanUseCompositor(
   }
 }
 
+/**
+ * Interpolate the options shared by two stored filter option sets.
+ *
+ * @param {object} from
+ * @param {object} to
+ * @param {number} k Eased progress.
+ * @returns {object}
+ * @private
+ */
+function _interpolateFilterOptions(from, to, k) {
+  const out = {};
+  for (const [key, value] of Object.entries(to ?? {})) {
+    out[key] = key in (from ?? {}) ? interpolateOptionValue(from[key], value, k) : value;
+  }
+  return out;
+}
+
 export class FilterEffectsSceneManager {
   constructor() {
     this.filters = {};
@@ -161,6 +195,12 @@ export class FilterEffectsSceneManager {
     this._runtimeFilterScratch = [];
     this._timedRemovalPending = new Set();
 
+    /**
+     * In-flight preset transition option morphs keyed by scene filter id.
+     * @type {Map<string, {from: object, to: object, elapsed: number, duration: number, ease: (t:number)=>number}>}
+     */
+    this._optionMorphs = new Map();
+
     /** @type {Function|null} */
     this._coalescedBindSceneMask = null;
   }
@@ -240,6 +280,7 @@ export class FilterEffectsSceneManager {
     this._dyingFilters.clear();
     this._lastSuppressionOverlaySignature = "";
     this._timedRemovalPending.clear();
+    this._optionMorphs.clear();
 
     try {
       canvas?.app?.ticker?.remove?.(this.#animate, this);
@@ -260,7 +301,17 @@ export class FilterEffectsSceneManager {
     }
   }
 
-  async update({ skipFading = false } = {}) {
+  /**
+   * Reconcile scene filter runtimes with the scene `filters` flag.
+   *
+   * Rows whose `users` option does not include the current user are skipped, so targeted effects only render on the addressed clients. Types this client has blocked are skipped too, and the client's intensity override blends options toward the filter's neutral values.
+   *
+   * A preset `transition` (`{duration, ease, pairs}`) hands each paired outgoing filter (incoming id → outgoing id of the same type) over to its incoming id and morphs its numeric and color options toward the new values, instead of fading one filter out and another in. Unpaired filters fade in or out over the transition duration with the transition ease. A handed-off filter fires `effectStopped` and `fadeComplete` for its outgoing row, then `effectStarted` and `fadeComplete` for its incoming row.
+   *
+   * @param {{ skipFading?: boolean, transition?: {duration:number, ease:(t:number)=>number, pairs:Record<string,string>}|null }} [options]
+   * @returns {Promise<void>}
+   */
+  async update({ skipFading = false, transition = null } = {}) {
     if (!canvas.scene) return;
 
     const darknessLevel = getSceneDarknessLevel();
@@ -275,12 +326,17 @@ export class FilterEffectsSceneManager {
           info.options && typeof info.options === "object" ? { ...info.options } : {},
           canvas?.scene,
         );
+        if (!isEffectAddressedToUser(options)) return [];
         if (!isEffectActiveForSceneDarkness(options, darknessLevel)) return [];
         if (!isEffectActiveForCurrentOrVisibleCanvasLevel(options, canvas?.scene)) return [];
-        return [[id, { ...info, options }]];
+        const clientOptions = applyClientEffectOverride("filter", info.type, options);
+        if (!clientOptions) return [];
+        return [[id, { ...info, options: clientOptions }]];
       }),
     );
 
+    if (transition && !skipFading) this.#handOffPairedFilters(filterInfos, transition.pairs);
+
     const createKeys = Object.keys(filterInfos).filter((k) => !(k in this.filters));
     const updateKeys = Object.keys(filterInfos).filter((k) => k in this.filters);
     const deleteKeys = Object.keys(this.filters).filter((k) => !(k in filterInfos));
@@ -304,22 +360,41 @@ export class FilterEffectsSceneManager {
       this.filters[key] = filter;
       filter.play?.({ ...(options ?? {}), skipFading: true });
 
+      const event = (filter.__fxmEvent = createSceneEffectEvent("filter", key, type, options));
+      callEffectEvent(EFFECT_EVENTS.started, event);
+
+      let fading = false;
       try {
         const strength = filter?.uniforms?.strength;
         if (!skipFading && filter?.constructor?.skipInitialFade !== true && typeof strength === "number") {
           const configuredDuration = Number(filter?.constructor?.initialFadeDurationMs);
-          const durationMs = Number.isFinite(configuredDuration) && configuredDuration >= 0 ? configuredDuration : 3000;
-          filter.fadeUniformTo?.("strength", strength, { from: 0, durationMs });
+          const durationMs = transition
+            ? transition.duration
+            : Number.isFinite(configuredDuration) && configuredDuration >= 0
+            ? configuredDuration
+            : 3000;
+          fading = typeof filter.fadeUniformTo === "function";
+          filter.fadeUniformTo?.("strength", strength, {
+            from: 0,
+            durationMs,
+            easing: transition?.ease,
+            onDone: () => callEffectEvent(EFFECT_EVENTS.fadeComplete, event, { fade: "in" }),
+          });
         }
       } catch (err) {
         logger.debug("FXMaster:", err);
       }
+      if (!fading) callEffectEvent(EFFECT_EVENTS.fadeComplete, event, { fade: "in" });
     }
 
     for (const key of updateKeys) {
       const { options } = filterInfos[key];
       const f = this.filters[key];
-      f.configure?.(options);
+      if (transition && !skipFading) this.#startOptionMorph(key, f, options, transition);
+      else {
+        this._optionMorphs.delete(key);
+        f.configure?.(options);
+      }
       f.__fxmBelowTokens = _belowTokensEnabled(options?.belowTokens);
       f.__fxmBelowTiles = _belowTilesEnabled(options?.belowTiles);
       f.__fxmBelowForeground = _belowForegroundEnabled(options?.belowForeground);
@@ -333,11 +408,19 @@ export class FilterEffectsSceneManager {
       };
       f.__fxmRuntimeContext = runtimeContext;
       f.onFXMasterRuntimeContext?.(runtimeContext);
+
+      const event = createSceneEffectEvent("filter", key, runtimeContext.type, options);
+      if (f.__fxmEvent && f.__fxmEvent.effectId !== key) {
+        callEffectEvent(EFFECT_EVENTS.started, event);
+        callEffectEvent(EFFECT_EVENTS.fadeComplete, event, { fade: "in" });
+      } else if (effectEventOptionsChanged(f.__fxmEvent, event)) callEffectEvent(EFFECT_EVENTS.updated, event);
+      f.__fxmEvent = event;
     }
 
     for (const key of deleteKeys) {
       const f = this.filters[key];
       delete this.filters[key];
+      this._optionMorphs.delete(key);
       if (!f) continue;
 
       const uid = buildSceneEffectUid("filter", key);
@@ -353,9 +436,14 @@ export class FilterEffectsSceneManager {
       });
 
       this._dyingFilters.add(f);
-      Promise.resolve(f.stop?.({ skipFading }))
+      callEffectEvent(EFFECT_EVENTS.stopped, f.__fxmEvent);
+      const stopOptions = transition
+        ? { skipFading, durationMs: transition.duration, easing: transition.ease }
+        : { skipFading };
+      Promise.resolve(f.stop?.(stopOptions))
         .catch(() => {})
         .finally(() => {
+          callEffectEvent(EFFECT_EVENTS.fadeComplete, f.__fxmEvent, { fade: "out" });
           this.#removeFromEnvFilters([f]);
           try {
             f.destroy?.();
@@ -372,6 +460,137 @@ export class FilterEffectsSceneManager {
     this.#refreshSceneFilterSuppressionMasks(true);
   }
 
+  /**
+   * Move paired outgoing filter runtimes to their incoming ids so a preset transition morphs them in place.
+   *
+   * @param {Record<string, {type: string, options: object}>} filterInfos Active filter rows for this update.
+   * @param {Record<string, string>} [pairs] Incoming id → outgoing id.
+   */
+  #handOffPairedFilters(filterInfos, pairs = {}) {
+    for (const [nextKey, prevKey] of Object.entries(pairs ?? {})) {
+      const filter = this.filters[prevKey];
+      if (!filter || prevKey in filterInfos || nextKey in this.filters) continue;
+      if (filterInfos[nextKey]?.type !== filter.__fxmRuntimeContext?.type) continue;
+
+      delete this.filters[prevKey];
+      this._optionMorphs.delete(prevKey);
+      this.filters[nextKey] = filter;
+      filter.id = nextKey;
+      callEffectEvent(EFFECT_EVENTS.stopped, filter.__fxmEvent);
+      callEffectEvent(EFFECT_EVENTS.fadeComplete, filter.__fxmEvent, { fade: "out" });
+
+      const prevUid = buildSceneEffectUid("filter", prevKey);
+      const prevOrder = this._lastKnownOrder.get(prevUid);
+      this._lastKnownOrder.delete(prevUid);
+      if (prevOrder !== undefined) this._lastKnownOrder.set(buildSceneEffectUid("filter", nextKey), prevOrder);
+    }
+  }
+
+  /**
+   * Begin morphing a live filter's options toward a new option set.
+   *
+   * @param {string} key
+   * @param {PIXI.Filter} filter
+   * @param {object} options Target options.
+   * @param {{duration:number, ease:(t:number)=>number}} transition
+   */
+  #startOptionMorph(key, filter, options, transition) {
+    const current = this._optionMorphs.get(key);
+    const from = current
+      ? _interpolateFilterOptions(
+          current.from,
+          current.to,
+          current.ease(Math.min(1, current.elapsed / current.duration)),
+        )
+      : filter?.__fxmOptions ?? filter?.options ?? {};
+
+    if (!(transition.duration > 0)) {
+      this._optionMorphs.delete(key);
+      filter.configure?.(options);
+      return;
+    }
+
+    this._optionMorphs.set(key, {
+      from,
+      to: options,
+      elapsed: 0,
+      duration: transition.duration,
+      ease: transition.ease,
+    });
+  }
+
+  /**
+   * Advance in-flight option morphs by one ticker frame.
+   */
+  #stepOptionMorphs() {
+    if (!this._optionMorphs.size) return;
+    const dt = canvas?.app?.ticker?.deltaMS ?? 16.6;
+
+    for (const [key, morph] of this._optionMorphs) {
+      const filter = this.filters[key];
+      if (!filter) {
+        this._optionMorphs.delete(key);
+        continue;
+      }
+
+      morph.elapsed += dt;
+      const t = Math.min(1, morph.elapsed / morph.duration);
+      try {
+        filter.configure?.(t >= 1 ? morph.to : _interpolateFilterOptions(morph.from, morph.to, morph.ease(t)));
+      } catch (err) {
+        logger.debug("FXMaster:", err);
+      }
+      if (t >= 1) this._optionMorphs.delete(key);
+    }
+  }
+
+  /**
+   * Apply keyframed option values to scene filters whose options carry a `keyframes` timeline. Filters that are mid-morph are left to the morph, and a filter is only reconfigured when its evaluated values change.
+   */
+  #stepKeyframes() {
+    let now = null;
+
+    for (const key in this.filters) {
+      if (!Object.prototype.hasOwnProperty.call(this.filters, key)) continue;
+      const filter = this.filters[key];
+      const options = filter?.__fxmOptions;
+      if (!options?.keyframes) continue;
+
+      if (this._optionMorphs.has(key)) {
+        filter.__fxmKeyframeState = null;
+        continue;
+      }
+
+      let state = filter.__fxmKeyframeState;
+      if (!state || state.options !== options) {
+        state = filter.__fxmKeyframeState = {
+          options,
+          timeline: normalizeKeyframes(options.keyframes),
+          signature: "",
+          settled: false,
+        };
+      }
+      if (!state.timeline || state.settled) continue;
+
+      now ??= getKeyframeClockMs();
+      try {
+        const values = evaluateKeyframes(state.timeline, now);
+        const signature = JSON.stringify(values);
+        if (signature !== state.signature) {
+          state.signature = signature;
+          filter.configure?.(
+            Object.fromEntries(
+              Object.entries(values).map(([param, value]) => [param, withKeyframedValue(options[param], value)]),
+            ),
+          );
+        }
+        state.settled = keyframesSettled(state.timeline, now);
+      } catch (err) {
+        logger.debug("FXMaster:", err);
+      }
+    }
+  }
+
   refreshViewMaskGeometry() {
     this.#refreshSceneFilterSuppressionMasks(true);
   }
@@ -733,6 +952,8 @@ export class FilterEffectsSceneManager {
 
   #animate() {
     this.#pruneExpiredTimedFilters();
+    this.#stepOptionMorphs();
+    this.#stepKeyframes();
 
     for (const key in this.filters) {
       if (!Object.prototype.hasOwnProperty.call(this.filters, key)) continue;
@@ -121,8 +121,8 @@ export class BloomFilter extends FXMasterFilterEffectMixin(PIXI.Filter) {
    * Stop the effect immediately; cancels fades and neutralizes mask.
    * @returns {Promise<any>} Return value from base stop.
    */
-  stop({ durationMs = 3000, skipFading } = {}) {
-    return this.stopWithUniformFade({ uniformKey: "strength", durationMs, skipFading });
+  stop({ durationMs = 3000, skipFading, easing } = {}) {
+    return this.stopWithUniformFade({ uniformKey: "strength", durationMs, skipFading, easing });
   }
 
   /**
@@ -0,0 +1,256 @@
+import { FXMasterFilterEffectMixin, preprocessShader } from "./mixins/filter.js";
+import fragment from "./shaders/chromatic-aberration.frag";
+import { MAX_EDGES } from "../../constants.js";
+import { clamp01, clampRange } from "../../utils.js";
+
+const SPLIT_MODE_OPTIONS = {
+  radial: "FXMASTER.ChromaticAberration.Mode.Radial",
+  directional: "FXMASTER.ChromaticAberration.Mode.Directional",
+};
+
+/** Red/blue channel offset in CSS px at strength 1. */
+const MAX_SPLIT_PX = 18;
+
+/** Largest jitter swing of the split angle, in radians. */
+const MAX_JITTER_ANGLE = 0.8;
+
+/**
+ * Sample a smooth, non-repeating wobble in roughly -1..1 by summing incommensurate sines.
+ *
+ * @param {number} t Time in seconds.
+ * @param {number} seed Per-instance phase offset.
+ * @returns {number}
+ */
+function wobble(t, seed) {
+  return Math.sin(t * 1.7 + seed) * 0.5 + Math.sin(t * 3.1 + seed * 2.3) * 0.3 + Math.sin(t * 7.3 + seed * 0.7) * 0.2;
+}
+
+/**
+ * ChromaticAberrationFilter
+ * -------------------------
+ * Smooth RGB channel split for psychic, arcane-surge, and teleport moments.
+ * - Radial mode pushes red and blue outward from the view center; directional mode splits along an angle.
+ * - Jitter drifts the split amount and angle smoothly over time instead of glitching.
+ * - Region masks and analytic/polygon edge fades shared with the other filters.
+ */
+export class ChromaticAberrationFilter extends FXMasterFilterEffectMixin(PIXI.Filter) {
+  /**
+   * Construct a ChromaticAberrationFilter and initialize uniforms.
+   *
+   * @param {object} [options={}] Initial filter options.
+   * @param {string} [id] Stable id for filter instances.
+   */
+  constructor(options = {}, id) {
+    super(options, id, PIXI.Filter.defaultVertex, preprocessShader(fragment));
+
+    const u = (this.uniforms ??= {});
+    this.initMaskUniforms(u, { withStrength: true, strengthDefault: 0.35 });
+    this.initFadeUniforms(u);
+    this.initRegionFadeUniforms(u, { maxEdges: MAX_EDGES });
+    this.ensureVec2Uniform("camFrac", [0, 0]);
+    this.ensureVec4Uniform("outputFrame", [0, 0, 1, 1]);
+
+    u.splitPx = typeof u.splitPx === "number" ? u.splitPx : MAX_SPLIT_PX;
+    u.splitAngle = typeof u.splitAngle === "number" ? u.splitAngle : 0.0;
+    u.radial = typeof u.radial === "number" ? u.radial : 1.0;
+
+    this._seed = Math.random() * 1000;
+    this._elapsedMs = 0;
+
+    this.configure(options);
+  }
+
+  /** i18n label key used by UI. */
+  static label = "FXMASTER.Filters.Effects.ChromaticAberration";
+
+  /** FontAwesome icon class used by UI. */
+  static icon = "fas fa-layer-group";
+
+  static initialFadeDurationMs = 1000;
+
+  static fadeOutDurationMs = 1000;
+
+  /**
+   * Parameter schema exposed to configuration UIs.
+   *
+   * @returns {Record<string, object>} Parameter descriptors.
+   */
+  static get parameters() {
+    return {
+      belowTokens: { label: "FXMASTER.Params.BelowTokens", type: "checkbox", value: false },
+      belowTiles: { label: "FXMASTER.Params.BelowTiles", type: "checkbox", value: false },
+      soundFxEnabled: { label: "FXMASTER.Params.SoundFxEnabled", type: "checkbox", value: false },
+      mode: {
+        label: "FXMASTER.Params.SplitMode",
+        type: "select",
+        value: "radial",
+        options: SPLIT_MODE_OPTIONS,
+        tooltip: "FXMASTER.ParamTooltips.ChromaticAberrationMode",
+      },
+      strength: {
+        label: "FXMASTER.Params.Strength",
+        type: "range",
+        max: 1,
+        min: 0,
+        step: 0.01,
+        value: 0.35,
+        tooltip: "FXMASTER.ParamTooltips.ChromaticAberrationStrength",
+      },
+      angle: {
+        label: "FXMASTER.Params.SplitAngle",
+        type: "range",
+        max: 360,
+        min: 0,
+        step: 1,
+        value: 0,
+        tooltip: "FXMASTER.ParamTooltips.ChromaticAberrationAngle",
+        showWhen: { mode: "directional" },
+      },
+      jitter: {
+        label: "FXMASTER.Params.Jitter",
+        type: "range",
+        max: 1,
+        min: 0,
+        step: 0.01,
+        value: 0.2,
+        tooltip: "FXMASTER.ParamTooltips.ChromaticAberrationJitter",
+      },
+    };
+  }
+
+  /**
+   * Neutral option values.
+   *
+   * @returns {{strength:number}}
+   */
+  static get neutral() {
+    return { strength: 0 };
+  }
+
+  /**
+   * Configure runtime state from options.
+   *
+   * @param {object} [options={}] Options payload.
+   */
+  configure(options = {}) {
+    super.configure(options);
+    this._applySplitOptions(this.options);
+  }
+
+  /**
+   * Apply options to uniforms and runtime state.
+   *
+   * @param {object} [options=this.options] Options payload.
+   */
+  applyOptions(options = this.options) {
+    this._applySplitOptions(options);
+    super.applyOptions(options);
+  }
+
+  /**
+   * Begin playing the effect and install the jitter ticker.
+   *
+   * @param {object} [opts={}] Options payload.
+   * @returns {this}
+   */
+  play(opts = {}) {
+    this.configure(opts);
+    super.play?.({ skipFading: true, ...opts });
+    this.enabled = true;
+
+    if (!this._splitTick) {
+      this._splitTick = this.addFilterTicker((deltaMS) => this._updateSplit(deltaMS));
+    }
+
+    this._updateSplit(0);
+    return this;
+  }
+
+  /**
+   * Fade out the effect and remove the ticker.
+   *
+   * @param {{durationMs?: number, skipFading?: boolean, easing?: Function}} [opts={}] Stop options.
+   * @returns {Promise<any>} Awaitable stop result.
+   */
+  stop({ durationMs = this.constructor.fadeOutDurationMs, skipFading, easing } = {}) {
+    return this.stopWithUniformFade({
+      uniformKey: "strength",
+      durationMs,
+      skipFading,
+      easing,
+      onDone: () => {
+        this._splitTick = null;
+      },
+    });
+  }
+
+  /**
+   * Apply the filter with scene-rect locking.
+   *
+   * @param {PIXI.FilterSystem} filterSystem Filter system.
+   * @param {PIXI.RenderTexture} input Input texture.
+   * @param {PIXI.RenderTexture} output Output texture.
+   * @param {PIXI.CLEAR_MODES|boolean} clear Clear flag.
+   * @param {object} currentState Current filter state.
+   * @returns {void}
+   */
+  apply(filterSystem, input, output, clear, currentState) {
+    return this.applyWithLock(filterSystem, input, output, clear, currentState, {
+      area: "sceneRect",
+      setDeviceToCss: false,
+    });
+  }
+
+  /**
+   * Apply and clamp Chromatic Aberration options.
+   *
+   * @param {object} [options={}] Options payload.
+   * @returns {void}
+   * @private
+   */
+  _applySplitOptions(options = {}) {
+    const source = options && typeof options === "object" ? options : {};
+    const defaults = this.constructor.default;
+
+    if (source.mode !== undefined || !this._mode) {
+      this._mode = Object.hasOwn(SPLIT_MODE_OPTIONS, source.mode) ? source.mode : defaults.mode ?? "radial";
+    }
+    if (source.angle !== undefined || this._angleRad === undefined) {
+      this._angleRad = (clampRange(source.angle, 0, 360, defaults.angle ?? 0) * Math.PI) / 180;
+    }
+    if (source.jitter !== undefined || this._jitter === undefined) {
+      this._jitter = clamp01(source.jitter, defaults.jitter ?? 0.2);
+    }
+
+    const u = this.uniforms;
+    if (!u) return;
+    if (source.strength !== undefined) u.strength = clamp01(source.strength, defaults.strength ?? 0.35);
+    u.radial = this._mode === "radial" ? 1.0 : 0.0;
+
+    this.applyMaskOptionsFrom(source);
+    this.applyFadeOptionsFrom(source);
+    this._updateSplit(0);
+  }
+
+  /**
+   * Drift the split amount and angle by the jitter amount.
+   *
+   * @param {number} [deltaMS=16.6] Frame delta in milliseconds.
+   * @returns {void}
+   * @private
+   */
+  _updateSplit(deltaMS = 16.6) {
+    const u = this.uniforms;
+    if (!u) return;
+
+    const dt = Number.isFinite(Number(deltaMS)) ? Math.max(0, Number(deltaMS)) : 16.6;
+    this._elapsedMs = ((this._elapsedMs ?? 0) + dt) % 3.6e6;
+
+    const jitter = this._jitter ?? 0;
+    const t = this._elapsedMs * 0.001 * (1 + jitter * 3);
+    const seed = this._seed ?? 0;
+    u.splitPx = MAX_SPLIT_PX * Math.max(0, 1 + jitter * 0.75 * wobble(t, seed));
+    const baseAngle = this._mode === "directional" ? this._angleRad ?? 0 : 0;
+    u.splitAngle = baseAngle + jitter * MAX_JITTER_ANGLE * wobble(t, seed + 17.3);
+  }
+}
@@ -361,11 +361,11 @@ export class ColorFilter extends FXMasterFilterEffectMixin(PIXI.Filter) {
 
   /**
    * Stop the effect, fading the strength uniform unless skipFading is true.
-   * @param {{durationMs?:number,skipFading?:boolean}} [opts]
+   * @param {{durationMs?:number,skipFading?:boolean,easing?:Function}} [opts]
    * @returns {Promise<any>} Awaitable stop result.
    */
-  stop({ durationMs = 3000, skipFading } = {}) {
-    return this.stopWithUniformFade({ uniformKey: "strength", durationMs, skipFading });
+  stop({ durationMs = 3000, skipFading, easing } = {}) {
+    return this.stopWithUniformFade({ uniformKey: "strength", durationMs, skipFading, easing });
   }
 
   /**
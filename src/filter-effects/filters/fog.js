@@ -851,12 +851,12 @@ export class FogFilter extends FXMasterFilterEffectMixin(PIXI.Filter) {
 
   /**
    * Stop the effect, fading the strength uniform unless skipFading is true.
-   * @param {{durationMs?:number,skipFading?:boolean}} [opts]
+   * @param {{durationMs?:number,skipFading?:boolean,easing?:Function}} [opts]
    * @returns {Promise<any>} Awaitable stop result.
    */
-  stop({ durationMs = 3000, skipFading } = {}) {
+  stop({ durationMs = 3000, skipFading, easing } = {}) {
     this._resetFogTrailRuntime();
-    return this.stopWithUniformFade({ uniformKey: "strength", durationMs, skipFading });
+    return this.stopWithUniformFade({ uniformKey: "strength", durationMs, skipFading, easing });
   }
 
   /** @override */
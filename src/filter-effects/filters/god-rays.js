@@ -0,0 +1,301 @@
+import { FXMasterFilterEffectMixin, preprocessShader } from "./mixins/filter.js";
+import fragment from "./shaders/god-rays.frag";
+import { MAX_EDGES } from "../../constants.js";
+import { clamp01, clampRange, geometricDirectionToCanvasVector, normalizeDirectionDegrees } from "../../utils.js";
+
+/** Light color used while the tint is not applied. */
+const DEFAULT_RAY_COLOR = "#fff2c4";
+
+/** Base shaft width in grid units. */
+const RAY_WIDTH_GRID = 0.6;
+
+/** Octave frequency ratio at lacunarity 0 and 1. */
+const LACUNARITY_MIN = 1.6;
+const LACUNARITY_MAX = 3.6;
+
+/**
+ * GodRaysFilter
+ * -------------
+ * Volumetric light shafts that travel in a compass direction.
+ * - Shafts start at the upstream edge of the Scene (or Region bounds) and fade out along their length, so a Region can stand in for a window or a hole in a cave ceiling.
+ * - A spread angle fans the shafts out from a virtual light source instead of keeping them parallel.
+ * - Region masks and analytic/polygon edge fades shared with the other filters.
+ */
+export class GodRaysFilter extends FXMasterFilterEffectMixin(PIXI.Filter) {
+  /**
+   * Construct a GodRaysFilter and initialize uniforms.
+   *
+   * @param {object} [options={}] Initial filter options.
+   * @param {string} [id] Stable id for filter instances.
+   */
+  constructor(options = {}, id) {
+    super(options, id, PIXI.Filter.defaultVertex, preprocessShader(fragment));
+
+    const u = (this.uniforms ??= {});
+    this.initMaskUniforms(u, { withStrength: true, strengthDefault: 1.0 });
+    this.initFadeUniforms(u);
+    this.initRegionFadeUniforms(u, { maxEdges: MAX_EDGES });
+    this.ensureVec2Uniform("camFrac", [0, 0]);
+    this.ensureVec4Uniform("outputFrame", [0, 0, 1, 1]);
+    this.ensureVec2Uniform("rayOrigin", [0, 0]);
+    this.ensureVec2Uniform("rayDir", [0, 1]);
+
+    u.rayLength = typeof u.rayLength === "number" ? u.rayLength : 1.0;
+    u.sourceDist = typeof u.sourceDist === "number" ? u.sourceDist : 1e7;
+    u.rayWorld = typeof u.rayWorld === "number" ? u.rayWorld : 60.0;
+    u.lacunarity = typeof u.lacunarity === "number" ? u.lacunarity : 2.6;
+    u.gain = typeof u.gain === "number" ? u.gain : 0.6;
+    u.rayColor = u.rayColor instanceof Float32Array ? u.rayColor : new Float32Array([1.0, 0.95, 0.77]);
+    u.time = 0.0;
+
+    this._regionId = null;
+
+    this.configure(options);
+  }
+
+  /** i18n label key used by UI. */
+  static label = "FXMASTER.Filters.Effects.GodRays";
+
+  /** FontAwesome icon class used by UI. */
+  static icon = "fas fa-sun";
+
+  static initialFadeDurationMs = 2000;
+
+  static fadeOutDurationMs = 2000;
+
+  /**
+   * Parameter schema exposed to configuration UIs.
+   *
+   * @returns {Record<string, object>} Parameter descriptors.
+   */
+  static get parameters() {
+    return {
+      belowTokens: { label: "FXMASTER.Params.BelowTokens", type: "checkbox", value: false },
+      belowTiles: { label: "FXMASTER.Params.BelowTiles", type: "checkbox", value: false },
+      soundFxEnabled: { label: "FXMASTER.Params.SoundFxEnabled", type: "checkbox", value: false },
+      color: {
+        label: "FXMASTER.Params.Tint",
+        type: "color",
+        value: { value: DEFAULT_RAY_COLOR, apply: false },
+        tooltip: "FXMASTER.ParamTooltips.GodRaysColor",
+        skipInitialAnimation: true,
+      },
+      direction: {
+        label: "FXMASTER.Params.Direction",
+        type: "range",
+        min: 0,
+        value: 270,
+        max: 360,
+        step: 5,
+        decimals: 0,
+        compassDirection: true,
+        tooltip: "FXMASTER.ParamTooltips.GodRaysDirection",
+      },
+      angle: {
+        label: "FXMASTER.Params.SpreadAngle",
+        type: "range",
+        min: 0,
+        value: 15,
+        max: 60,
+        step: 1,
+        decimals: 0,
+        tooltip: "FXMASTER.ParamTooltips.GodRaysAngle",
+      },
+      gain: {
+        label: "FXMASTER.Params.Gain",
+        type: "range",
+        min: 0,
+        value: 0.6,
+        max: 2,
+        step: 0.01,
+        tooltip: "FXMASTER.ParamTooltips.Gain",
+      },
+      lacunarity: {
+        label: "FXMASTER.Params.Lacunarity",
+        type: "range",
+        min: 0,
+        value: 0.5,
+        max: 1,
+        step: 0.01,
+        tooltip: "FXMASTER.ParamTooltips.Lacunarity",
+      },
+      speed: {
+        label: "FXMASTER.Params.Speed",
+        type: "range",
+        min: 0,
+        value: 0.3,
+        max: 1,
+        step: 0.01,
+        tooltip: "FXMASTER.ParamTooltips.Speed",
+      },
+    };
+  }
+
+  /**
+   * Neutral option values.
+   *
+   * @returns {{gain:number}}
+   */
+  static get neutral() {
+    return { gain: 0 };
+  }
+
+  /**
+   * Configure runtime state from options.
+   *
+   * @param {object} [options={}] Options payload.
+   */
+  configure(options = {}) {
+    super.configure(options);
+    this._applyRayOptions(this.options);
+  }
+
+  /**
+   * Apply options to uniforms and runtime state.
+   *
+   * @param {object} [options=this.options] Options payload.
+   */
+  applyOptions(options = this.options) {
+    this._applyRayOptions(options);
+    super.applyOptions(options);
+  }
+
+  /**
+   * Track the owning Region so the shafts start at its edge instead of the Scene's.
+   *
+   * @param {{scope?: string, regionId?: string|null}} context
+   */
+  onFXMasterRuntimeContext(context) {
+    this._regionId = context?.scope === "region" ? context.regionId ?? null : null;
+    this._syncRayGeometry();
+  }
+
+  /**
+   * Begin playing the effect and install the animation ticker.
+   *
+   * @param {object} [opts={}] Options payload.
+   * @returns {this}
+   */
+  play(opts = {}) {
+    this.configure(opts);
+    super.play?.({ skipFading: true, ...opts });
+    this.enabled = true;
+    this._syncRayGeometry();
+
+    if (!this._raysTick) {
+      this._raysTick = this.addFilterTicker((deltaMS) => {
+        const dt = (deltaMS ?? 16.6) / 1000;
+        this.uniforms.time = (this.uniforms.time + dt * (0.05 + (this._speed ?? 0.3) * 1.2)) % 4096;
+      });
+    }
+    return this;
+  }
+
+  /**
+   * Fade out the effect and remove the ticker.
+   *
+   * @param {{durationMs?: number, skipFading?: boolean, easing?: Function}} [opts={}] Stop options.
+   * @returns {Promise<any>} Awaitable stop result.
+   */
+  stop({ durationMs = this.constructor.fadeOutDurationMs, skipFading, easing } = {}) {
+    return this.stopWithUniformFade({
+      uniformKey: "strength",
+      durationMs,
+      skipFading,
+      easing,
+      onDone: () => {
+        this._raysTick = null;
+      },
+    });
+  }
+
+  /**
+   * Apply the filter with scene-rect locking.
+   *
+   * @param {PIXI.FilterSystem} filterSystem Filter system.
+   * @param {PIXI.RenderTexture} input Input texture.
+   * @param {PIXI.RenderTexture} output Output texture.
+   * @param {PIXI.CLEAR_MODES|boolean} clear Clear flag.
+   * @param {object} currentState Current filter state.
+   * @returns {void}
+   */
+  apply(filterSystem, input, output, clear, currentState) {
+    return this.applyWithLock(filterSystem, input, output, clear, currentState, {
+      area: "sceneRect",
+      setDeviceToCss: false,
+    });
+  }
+
+  /**
+   * Apply and clamp God Rays options.
+   *
+   * @param {object} [options={}] Options payload.
+   * @returns {void}
+   * @private
+   */
+  _applyRayOptions(options = {}) {
+    const source = options && typeof options === "object" ? options : {};
+    const defaults = this.constructor.default;
+
+    if (source.direction !== undefined || this._direction === undefined) {
+      this._direction = normalizeDirectionDegrees(source.direction, defaults.direction ?? 270);
+    }
+    if (source.angle !== undefined || this._spread === undefined) {
+      this._spread = clampRange(source.angle, 0, 60, defaults.angle ?? 15);
+    }
+    if (source.speed !== undefined || this._speed === undefined) {
+      this._speed = clamp01(source.speed, defaults.speed ?? 0.3);
+    }
+
+    const u = this.uniforms;
+    if (!u) return;
+    if (source.gain !== undefined) u.gain = clampRange(source.gain, 0, 2, defaults.gain ?? 0.6);
+    if (source.lacunarity !== undefined) {
+      const t = clamp01(source.lacunarity, defaults.lacunarity ?? 0.5);
+      u.lacunarity = LACUNARITY_MIN + (LACUNARITY_MAX - LACUNARITY_MIN) * t;
+    }
+    if (source.color !== undefined) {
+      const rgb =
+        this.parseColorOption(source.color, { defaultHex: DEFAULT_RAY_COLOR }) ??
+        this.parseColorOption(DEFAULT_RAY_COLOR);
+      const target = u.rayColor instanceof Float32Array ? u.rayColor : new Float32Array(3);
+      target.set(Array.from(rgb).slice(0, 3));
+      u.rayColor = target;
+    }
+
+    this.applyMaskOptionsFrom(source);
+    this.applyFadeOptionsFrom(source);
+    this._syncRayGeometry();
+  }
+
+  /**
+   * Place the shaft origin on the upstream edge of the Region bounds (or the Scene rectangle) and size the shafts to the grid.
+   *
+   * @returns {void}
+   * @private
+   */
+  _syncRayGeometry() {
+    const u = this.uniforms;
+    if (!u?.rayOrigin || !u?.rayDir) return;
+
+    const bounds = this._regionId ? canvas?.regions?.get?.(this._regionId)?.bounds : canvas?.dimensions?.sceneRect;
+    if (!bounds || !(bounds.width > 0) || !(bounds.height > 0)) return;
+
+    const dir = geometricDirectionToCanvasVector(this._direction ?? 270);
+    const halfExtent = (Math.abs(dir.x) * bounds.width + Math.abs(dir.y) * bounds.height) / 2;
+    const cx = bounds.x + bounds.width / 2;
+    const cy = bounds.y + bounds.height / 2;
+
+    u.rayDir[0] = dir.x;
+    u.rayDir[1] = dir.y;
+    u.rayOrigin[0] = cx - dir.x * halfExtent;
+    u.rayOrigin[1] = cy - dir.y * halfExtent;
+    u.rayLength = Math.max(1, halfExtent * 2);
+
+    const spreadTan = Math.tan(((this._spread ?? 0) * Math.PI) / 180);
+    u.sourceDist = spreadTan > 1e-3 ? Math.min(1e7, u.rayLength / spreadTan) : 1e7;
+
+    const grid = Math.max(1, Number(canvas?.dimensions?.size) || 100);
+    u.rayWorld = grid * RAY_WIDTH_GRID;
+  }
+}
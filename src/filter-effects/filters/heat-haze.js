@@ -0,0 +1,237 @@
+import { FXMasterFilterEffectMixin, preprocessShader } from "./mixins/filter.js";
+import fragment from "./shaders/heat-haze.frag";
+import { MAX_EDGES } from "../../constants.js";
+import { clampRange, num } from "../../utils.js";
+
+/** Largest shimmer displacement in CSS px, reached at strength 1 near the ground. */
+const MAX_DISPLACEMENT_PX = 14.0;
+
+/** Noise cell size in grid units at scale 0 and 1. */
+const CELL_GRID_MIN = 0.25;
+const CELL_GRID_MAX = 2.5;
+
+/** Rise rate in noise cells per second at speed 0 and 1. */
+const RISE_MIN = 0.05;
+const RISE_MAX = 2.0;
+
+/**
+ * HeatHazeFilter
+ * --------------
+ * Rising, shimmering refraction over hot ground.
+ * - Procedural world-locked noise scrolls upward, so the haze stays put while the camera pans.
+ * - Vertical falloff weakens the distortion toward the top of the Scene (or Region bounds).
+ * - Region masks and analytic/polygon edge fades shared with the other filters.
+ */
+export class HeatHazeFilter extends FXMasterFilterEffectMixin(PIXI.Filter) {
+  /**
+   * Construct a HeatHazeFilter and initialize uniforms.
+   * @param {object} [options={}] - Initial filter options.
+   * @param {string} [id] - Stable id for filter instances.
+   */
+  constructor(options = {}, id) {
+    super(options, id, PIXI.Filter.defaultVertex, preprocessShader(fragment));
+
+    const u = (this.uniforms ??= {});
+    this.initMaskUniforms(u, { withStrength: true, strengthDefault: 0.5 });
+    this.initFadeUniforms(u);
+    this.initRegionFadeUniforms(u, { maxEdges: MAX_EDGES });
+
+    this.ensureVec2Uniform("camFrac", [0, 0]);
+    this.ensureVec4Uniform("outputFrame", [0, 0, 1, 1]);
+
+    u.tokenSampler = u.tokenSampler || PIXI.Texture.EMPTY;
+    u.hasTokenMask = typeof u.hasTokenMask === "number" ? u.hasTokenMask : 0.0;
+    u.time = 0.0;
+    u.cellWorld = 100.0;
+    u.falloff = 0.7;
+    u.maxDisplacementPx = MAX_DISPLACEMENT_PX;
+    u.groundRect = new Float32Array([0, 0, 1, 1]);
+
+    this._scale = 0.35;
+    this._rise = RISE_MIN;
+    this._regionId = null;
+
+    this.configure(options);
+  }
+
+  /** i18n label key used by UI. */
+  static label = "FXMASTER.Filters.Effects.HeatHaze";
+
+  /** FontAwesome icon class used by UI. */
+  static icon = "fas fa-temperature-high";
+
+  static initialFadeDurationMs = 2000;
+
+  static fadeOutDurationMs = 2000;
+
+  /**
+   * Parameter schema exposed to configuration UIs.
+   * @returns {Record<string, object>} Parameter descriptors.
+   */
+  static get parameters() {
+    return {
+      belowTokens: { label: "FXMASTER.Params.BelowTokens", type: "checkbox", value: false },
+      belowTiles: { label: "FXMASTER.Params.BelowTiles", type: "checkbox", value: false },
+      soundFxEnabled: { label: "FXMASTER.Params.SoundFxEnabled", type: "checkbox", value: false },
+      strength: {
+        label: "FXMASTER.Params.Strength",
+        type: "range",
+        max: 1,
+        min: 0,
+        step: 0.01,
+        value: 0.5,
+        tooltip: "FXMASTER.ParamTooltips.HeatHazeStrength",
+      },
+      scale: {
+        label: "FXMASTER.Params.Scale",
+        type: "range",
+        max: 1,
+        min: 0,
+        step: 0.01,
+        value: 0.35,
+        tooltip: "FXMASTER.ParamTooltips.HeatHazeScale",
+      },
+      speed: {
+        label: "FXMASTER.Params.Speed",
+        type: "range",
+        max: 1,
+        min: 0,
+        step: 0.01,
+        value: 0.4,
+        tooltip: "FXMASTER.ParamTooltips.HeatHazeSpeed",
+      },
+      falloff: {
+        label: "FXMASTER.Params.VerticalFalloff",
+        type: "range",
+        max: 1,
+        min: 0,
+        step: 0.01,
+        value: 0.7,
+        tooltip: "FXMASTER.ParamTooltips.HeatHazeFalloff",
+      },
+    };
+  }
+
+  /**
+   * Neutral (no-op) option values.
+   * @returns {{strength:number}}
+   */
+  static get neutral() {
+    return { strength: 0 };
+  }
+
+  /** @param {number} v Overall distortion in [0,1]; drives the fadeable `strength` uniform. */ set strength(v) {
+    this.uniforms.strength = clampRange(num(v, 0.5), 0, 1);
+  }
+
+  /** @param {number} v Noise size in [0,1]. */ set scale(v) {
+    this._scale = clampRange(num(v, 0.35), 0, 1);
+    this._syncCellSize();
+  }
+
+  /** @param {number} v Rise speed in [0,1]. */ set speed(v) {
+    const t = clampRange(num(v, 0.4), 0, 1);
+    this._rise = RISE_MIN + (RISE_MAX - RISE_MIN) * t * t;
+  }
+
+  /** @param {number} v How strongly the distortion fades with height, in [0,1]. */ set falloff(v) {
+    this.uniforms.falloff = clampRange(num(v, 0.7), 0, 1);
+  }
+
+  /**
+   * Configure uniforms from options. Accepts direct values or { value } wrappers.
+   * @param {object} [options={}] - Options payload.
+   */
+  configure(options = {}) {
+    super.configure(options);
+    this.applyOptions(this.options);
+    this.applyFadeOptionsFrom(this.options);
+    this.applyMaskOptionsFrom(this.options);
+  }
+
+  /**
+   * Track the owning Region so the falloff follows its bounds instead of the Scene's.
+   * @param {{scope?: string, regionId?: string|null}} context
+   */
+  onFXMasterRuntimeContext(context) {
+    this._regionId = context?.scope === "region" ? context.regionId ?? null : null;
+    this._syncGroundRect();
+  }
+
+  /**
+   * Begin playing the effect; installs a ticker that advances the rising noise.
+   * @param {{skipFading?:boolean}} [opts] - Options and play flags.
+   * @returns {this} The filter instance.
+   */
+  play({ skipFading = true, ...opts } = {}) {
+    this.configure(opts);
+    super.play?.({ skipFading, ...opts });
+    this._syncCellSize();
+    this._syncGroundRect();
+
+    if (!this._hazeTick) {
+      this._hazeTick = this.addFilterTicker((deltaMS) => {
+        const dt = (deltaMS ?? 16.6) / 1000.0;
+        this.uniforms.time = (this.uniforms.time + dt * this._rise) % 4096.0;
+      });
+    }
+    return this;
+  }
+
+  /**
+   * Fade the distortion out, then remove the ticker.
+   * @param {{durationMs?: number, skipFading?: boolean, easing?: Function}} [opts]
+   * @returns {Promise<any>} Awaitable stop result.
+   */
+  stop({ durationMs = this.constructor.fadeOutDurationMs, skipFading, easing } = {}) {
+    return this.stopWithUniformFade({
+      uniformKey: "strength",
+      durationMs,
+      skipFading,
+      easing,
+      onDone: () => {
+        this._hazeTick = null;
+      },
+    });
+  }
+
+  /**
+   * Run the filter with FXMaster's lock and scene-rect area.
+   * @param {PIXI.FilterSystem} filterSystem - Filter system.
+   * @param {PIXI.RenderTexture} input - Input texture.
+   * @param {PIXI.RenderTexture} output - Output texture.
+   * @param {PIXI.CLEAR_MODES|boolean} clear - Clear flag.
+   * @param {object} currentState - Filter state.
+   * @returns {void}
+   */
+  apply(filterSystem, input, output, clear, currentState) {
+    return this.applyWithLock(filterSystem, input, output, clear, currentState, {
+      area: "sceneRect",
+      setDeviceToCss: false,
+    });
+  }
+
+  /**
+   * Derive the world-space noise cell size from the scale option and the Scene grid.
+   * @private
+   */
+  _syncCellSize() {
+    const grid = Math.max(1, Number(canvas?.dimensions?.size) || 100);
+    const t = this._scale ?? 0.35;
+    this.uniforms.cellWorld = grid * (CELL_GRID_MIN + (CELL_GRID_MAX - CELL_GRID_MIN) * t);
+  }
+
+  /**
+   * Point the vertical falloff at the Region bounds, or the Scene rectangle for scene-wide filters.
+   * @private
+   */
+  _syncGroundRect() {
+    const bounds = this._regionId ? canvas?.regions?.get?.(this._regionId)?.bounds : canvas?.dimensions?.sceneRect;
+    if (!bounds || !(bounds.width > 0) || !(bounds.height > 0)) return;
+    const rect = this.uniforms.groundRect;
+    rect[0] = bounds.x;
+    rect[1] = bounds.y;
+    rect[2] = bounds.width;
+    rect[3] = bounds.height;
+  }
+}
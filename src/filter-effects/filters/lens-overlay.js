@@ -0,0 +1,261 @@
+import { FXMasterFilterEffectMixin, preprocessShader } from "./mixins/filter.js";
+import fragment from "./shaders/lens-overlay.frag";
+import { MAX_EDGES } from "../../constants.js";
+import { clamp01 } from "../../utils.js";
+
+const LENS_MODE_OPTIONS = {
+  frost: "FXMASTER.LensOverlay.Mode.Frost",
+  rain: "FXMASTER.LensOverlay.Mode.Rain",
+};
+
+/** Overlay color used per mode while the tint is not applied. */
+const DEFAULT_MODE_TINT = {
+  frost: "#e8f6ff",
+  rain: "#d6e6ff",
+};
+
+/**
+ * LensOverlayFilter
+ * -----------------
+ * Screen-space weather on a virtual lens, so the camera feels inside the storm.
+ * - Frost mode creeps crystalline frost in from the screen edges at the growth speed.
+ * - Rain mode runs refracting droplets and trails down the view, with beads that come and go.
+ * - Region masks and analytic/polygon edge fades shared with the other filters.
+ */
+export class LensOverlayFilter extends FXMasterFilterEffectMixin(PIXI.Filter) {
+  /**
+   * Construct a LensOverlayFilter and initialize uniforms.
+   *
+   * @param {object} [options={}] Initial filter options.
+   * @param {string} [id] Stable id for filter instances.
+   */
+  constructor(options = {}, id) {
+    super(options, id, PIXI.Filter.defaultVertex, preprocessShader(fragment));
+
+    const u = (this.uniforms ??= {});
+    this.initMaskUniforms(u, { withStrength: true, strengthDefault: 1.0 });
+    this.initFadeUniforms(u);
+    this.initRegionFadeUniforms(u, { maxEdges: MAX_EDGES });
+    this.ensureVec2Uniform("camFrac", [0, 0]);
+    this.ensureVec4Uniform("outputFrame", [0, 0, 1, 1]);
+
+    u.lensMode = typeof u.lensMode === "number" ? u.lensMode : 0.0;
+    u.coverage = typeof u.coverage === "number" ? u.coverage : 0.5;
+    u.refraction = typeof u.refraction === "number" ? u.refraction : 0.5;
+    u.tint = u.tint instanceof Float32Array ? u.tint : new Float32Array([0.91, 0.96, 1.0]);
+    u.grow = 0.0;
+    u.time = 0.0;
+
+    this.configure(options);
+  }
+
+  /** i18n label key used by UI. */
+  static label = "FXMASTER.Filters.Effects.LensOverlay";
+
+  /** FontAwesome icon class used by UI. */
+  static icon = "fas fa-glasses";
+
+  static initialFadeDurationMs = 2000;
+
+  static fadeOutDurationMs = 3000;
+
+  /**
+   * Parameter schema exposed to configuration UIs.
+   *
+   * @returns {Record<string, object>} Parameter descriptors.
+   */
+  static get parameters() {
+    return {
+      belowTokens: { label: "FXMASTER.Params.BelowTokens", type: "checkbox", value: false },
+      belowTiles: { label: "FXMASTER.Params.BelowTiles", type: "checkbox", value: false },
+      soundFxEnabled: { label: "FXMASTER.Params.SoundFxEnabled", type: "checkbox", value: false },
+      mode: {
+        label: "FXMASTER.Params.LensMode",
+        type: "select",
+        value: "frost",
+        options: LENS_MODE_OPTIONS,
+        tooltip: "FXMASTER.ParamTooltips.LensOverlayMode",
+      },
+      color: {
+        label: "FXMASTER.Params.Tint",
+        type: "color",
+        value: { value: DEFAULT_MODE_TINT.frost, apply: false },
+        tooltip: "FXMASTER.ParamTooltips.LensOverlayTint",
+        skipInitialAnimation: true,
+      },
+      coverage: {
+        label: "FXMASTER.Params.Coverage",
+        type: "range",
+        max: 1,
+        min: 0,
+        step: 0.01,
+        value: 0.5,
+        tooltip: "FXMASTER.ParamTooltips.LensOverlayCoverage",
+      },
+      speed: {
+        label: "FXMASTER.Params.GrowthSpeed",
+        type: "range",
+        max: 1,
+        min: 0,
+        step: 0.01,
+        value: 0.4,
+        tooltip: "FXMASTER.ParamTooltips.LensOverlaySpeed",
+      },
+      refraction: {
+        label: "FXMASTER.Params.Refraction",
+        type: "range",
+        max: 1,
+        min: 0,
+        step: 0.01,
+        value: 0.5,
+        tooltip: "FXMASTER.ParamTooltips.LensOverlayRefraction",
+      },
+      strength: {
+        label: "FXMASTER.Params.Opacity",
+        type: "range",
+        max: 1,
+        min: 0,
+        step: 0.01,
+        value: 1,
+        tooltip: "FXMASTER.ParamTooltips.LensOverlayStrength",
+      },
+    };
+  }
+
+  /**
+   * Neutral option values.
+   *
+   * @returns {{strength:number}}
+   */
+  static get neutral() {
+    return { strength: 0 };
+  }
+
+  /**
+   * Configure runtime state from options.
+   *
+   * @param {object} [options={}] Options payload.
+   */
+  configure(options = {}) {
+    super.configure(options);
+    this._applyLensOptions(this.options);
+  }
+
+  /**
+   * Apply options to uniforms and runtime state.
+   *
+   * @param {object} [options=this.options] Options payload.
+   */
+  applyOptions(options = this.options) {
+    this._applyLensOptions(options);
+    super.applyOptions(options);
+  }
+
+  /**
+   * Begin playing the effect and install the growth ticker. Frost restarts from clear glass each time the filter is played.
+   *
+   * @param {object} [opts={}] Options payload.
+   * @returns {this}
+   */
+  play(opts = {}) {
+    this.configure(opts);
+    super.play?.({ skipFading: true, ...opts });
+    this.enabled = true;
+
+    if (!this._lensTick) {
+      if (this.uniforms) this.uniforms.grow = 0;
+      this._lensTick = this.addFilterTicker((deltaMS) => this._updateLens(deltaMS));
+    }
+    return this;
+  }
+
+  /**
+   * Fade out the effect and remove the ticker.
+   *
+   * @param {{durationMs?: number, skipFading?: boolean, easing?: Function}} [opts={}] Stop options.
+   * @returns {Promise<any>} Awaitable stop result.
+   */
+  stop({ durationMs = this.constructor.fadeOutDurationMs, skipFading, easing } = {}) {
+    return this.stopWithUniformFade({
+      uniformKey: "strength",
+      durationMs,
+      skipFading,
+      easing,
+      onDone: () => {
+        this._lensTick = null;
+      },
+    });
+  }
+
+  /**
+   * Apply the filter with scene-rect locking.
+   *
+   * @param {PIXI.FilterSystem} filterSystem Filter system.
+   * @param {PIXI.RenderTexture} input Input texture.
+   * @param {PIXI.RenderTexture} output Output texture.
+   * @param {PIXI.CLEAR_MODES|boolean} clear Clear flag.
+   * @param {object} currentState Current filter state.
+   * @returns {void}
+   */
+  apply(filterSystem, input, output, clear, currentState) {
+    return this.applyWithLock(filterSystem, input, output, clear, currentState, {
+      area: "sceneRect",
+      setDeviceToCss: false,
+    });
+  }
+
+  /**
+   * Apply and clamp Lens Overlay options.
+   *
+   * @param {object} [options={}] Options payload.
+   * @returns {void}
+   * @private
+   */
+  _applyLensOptions(options = {}) {
+    const source = options && typeof options === "object" ? options : {};
+    const defaults = this.constructor.default;
+    const u = this.uniforms;
+
+    if (source.mode !== undefined || !this._mode) {
+      this._mode = Object.hasOwn(LENS_MODE_OPTIONS, source.mode) ? source.mode : defaults.mode ?? "frost";
+    }
+    if (source.speed !== undefined || this._speed === undefined) {
+      this._speed = clamp01(source.speed, defaults.speed ?? 0.4);
+    }
+
+    if (!u) return;
+    u.lensMode = this._mode === "rain" ? 1.0 : 0.0;
+    if (source.strength !== undefined) u.strength = clamp01(source.strength, defaults.strength ?? 1);
+    if (source.coverage !== undefined) u.coverage = clamp01(source.coverage, defaults.coverage ?? 0.5);
+    if (source.refraction !== undefined) u.refraction = clamp01(source.refraction, defaults.refraction ?? 0.5);
+    if (source.color !== undefined || source.mode !== undefined) {
+      const color = source.color ?? this.options?.color;
+      const rgb =
+        this.parseColorOption(color, { defaultHex: DEFAULT_MODE_TINT[this._mode] }) ??
+        this.parseColorOption(DEFAULT_MODE_TINT[this._mode]);
+      const target = u.tint instanceof Float32Array ? u.tint : new Float32Array(3);
+      target.set(Array.from(rgb).slice(0, 3));
+      u.tint = target;
+    }
+
+    this.applyMaskOptionsFrom(source);
+    this.applyFadeOptionsFrom(source);
+  }
+
+  /**
+   * Advance frost growth and droplet time.
+   *
+   * @param {number} [deltaMS=16.6] Frame delta in milliseconds.
+   * @returns {void}
+   * @private
+   */
+  _updateLens(deltaMS = 16.6) {
+    const u = this.uniforms;
+    if (!u) return;
+
+    const dt = (Number.isFinite(Number(deltaMS)) ? Math.max(0, Number(deltaMS)) : 16.6) / 1000;
+    const speed = this._speed ?? 0.4;
+    u.grow = Math.min(1, u.grow + dt * (0.01 + speed * 0.2));
+    u.time = (u.time + dt * (0.2 + speed * 1.8)) % 4096;
+  }
+}
@@ -1,14 +1,26 @@
 import { FXMasterFilterEffectMixin, preprocessShader } from "./mixins/filter.js";
+import { AUDIO_CHANNEL_OPTIONS, BassBeatDetector, normalizeAudioChannels } from "./mixins/audio-trigger.js";
 import fragment from "./shaders/lightning.frag";
 import { packageId, MAX_EDGES } from "../../constants.js";
 import { easeFunctions } from "../../ease.js";
 import { logger } from "../../logger.js";
+import { reducedMotion } from "../../settings-access.js";
+
+/** Largest brightness gain above 1.0 a flash may reach while reduced motion is on. */
+const REDUCED_MOTION_MAX_FLASH = 0.2;
+
+/** Shortest flash rise while reduced motion is on, in milliseconds. */
+const REDUCED_MOTION_MIN_ATTACK_MS = 250;
+
+/** Shortest gap between flash starts while reduced motion is on, in milliseconds. */
+const REDUCED_MOTION_MIN_INTERVAL_MS = 2000;
 
 /**
  * LightningFilter
  * ---------------
  * Scene/region lightning flashes.
  * - Procedural flashes driven by a ticker using randomized intervals.
+ * - Reduced motion caps flash brightness, softens the strike, spaces flashes out, and ignores audio triggers.
  */
 export class LightningFilter extends FXMasterFilterEffectMixin(PIXI.Filter) {
   /**
@@ -37,6 +49,7 @@ export class LightningFilter extends FXMasterFilterEffectMixin(PIXI.Filter) {
     this._flashGeneration = 0;
     this._activeAnimations = new Set();
     this._pendingFlashTimeouts = new Set();
+    this._bassDetector = new BassBeatDetector();
 
     this.configure(options);
     this._nextMS = this._sampleIntervalMS();
@@ -87,11 +100,7 @@ export class LightningFilter extends FXMasterFilterEffectMixin(PIXI.Filter) {
         label: "FXMASTER.Params.AudioChannels",
         type: "multi-select",
         tooltip: "FXMASTER.ParamTooltips.AudioChannels",
-        options: {
-          music: "FXMASTER.Common.Music",
-          environment: "FXMASTER.Common.Environment",
-          interface: "FXMASTER.Common.Interface",
-        },
+        options: AUDIO_CHANNEL_OPTIONS,
         value: ["environment"],
         showWhen: { audioAware: true },
       },
@@ -195,12 +204,12 @@ export class LightningFilter extends FXMasterFilterEffectMixin(PIXI.Filter) {
   }
 
   /**
-   * Return the active driver mode implied by the current options.
+   * Return the active driver mode implied by the current options. Reduced motion always uses the time driver so bass peaks cannot strobe.
    *
    * @returns {"time"|"audio"}
    */
   _getConfiguredDriverMode() {
-    return this.audioAware ? "audio" : "time";
+    return this.audioAware && !reducedMotion() ? "audio" : "time";
   }
 
   /**
@@ -224,9 +233,7 @@ export class LightningFilter extends FXMasterFilterEffectMixin(PIXI.Filter) {
     this._cancelFlashWork();
     this._accumMS = 0;
     this._nextMS = 0;
-    this._audioPrevLevel = 0;
-    this._audioWarmFrames = 0;
-    this._lastPatternTime = 0;
+    this._bassDetector.reset();
     this._audioCooldownMS = this._sampleAudioCooldownMS();
     this.brightness = 1.0;
 
@@ -342,15 +349,7 @@ export class LightningFilter extends FXMasterFilterEffectMixin(PIXI.Filter) {
 
   /** @returns {string[]} Selected audio channels. */
   get audioChannels() {
-    try {
-      const channel = this.options?.audioChannels;
-      const arr = Array.isArray(channel) ? channel : channel ? [channel] : [];
-      const valid = ["music", "environment", "interface"];
-      const out = arr.filter((c) => valid.includes(c));
-      return out.length ? out : ["environment"];
-    } catch {
-      return ["environment"];
-    }
+    return normalizeAudioChannels(this.options?.audioChannels, "environment");
   }
   /** @param {string[]|string} v */
   set audioChannels(v) {
@@ -425,7 +424,8 @@ export class LightningFilter extends FXMasterFilterEffectMixin(PIXI.Filter) {
     const mean = Math.max(50, this.frequency);
     const u = Math.random();
     const exp = -Math.log(1 - u) * mean;
-    return Math.max(60, exp + (Math.random() - 0.5) * 0.15 * mean);
+    const minimum = reducedMotion() ? REDUCED_MOTION_MIN_INTERVAL_MS : 60;
+    return Math.max(minimum, exp + (Math.random() - 0.5) * 0.15 * mean);
   }
 
   /** Mean cooldown around current frequency with ±35% jitter (audio mode). */
@@ -442,17 +442,21 @@ export class LightningFilter extends FXMasterFilterEffectMixin(PIXI.Filter) {
   _flashOnce(generation = this._flashGeneration) {
     if (!this._isFlashGenerationActive(generation)) return Promise.resolve(false);
 
+    const reduced = reducedMotion();
     const basePeak = this.options?.brightness ?? 1.3;
-    const peak = basePeak * (0.85 + Math.random() * 0.3);
+    const rawPeak = basePeak * (0.85 + Math.random() * 0.3);
+    const peak = reduced ? Math.min(rawPeak, 1.0 + REDUCED_MOTION_MAX_FLASH) : rawPeak;
     const baseDur = this.spark_duration;
     const dur = Math.max(60, baseDur * (0.9 + Math.random() * 0.2));
-    const attackDur = Math.max(20, Math.min(45, dur * 0.12));
+    const strikeDur = Math.max(20, Math.min(45, dur * 0.12));
+    const attackDur = reduced ? Math.max(REDUCED_MOTION_MIN_ATTACK_MS, strikeDur) : strikeDur;
     const decayDur = Math.max(30, Math.min(140, dur * 0.22));
     const tailDur = Math.max(30, dur - attackDur - decayDur);
     const flash = Math.max(0, peak - 1.0);
     const afterglow = 1.0 + flash * 0.12;
 
-    return this._animateBrightness(peak, attackDur, easeFunctions.OutCubic, generation)
+    const attackEase = reduced ? easeFunctions.InOutSine : easeFunctions.OutCubic;
+    return this._animateBrightness(peak, attackDur, attackEase, generation)
       .then((advanced) => {
         if (!advanced) return false;
         return this._animateBrightness(afterglow, decayDur, easeFunctions.OutCirc, generation);
@@ -487,48 +491,23 @@ export class LightningFilter extends FXMasterFilterEffectMixin(PIXI.Filter) {
 
   /** Start audio-driven ticker (bass-reactive across selected channels) */
   _startAudioTicker() {
-    this._audioPrevLevel = 0;
-    this._audioWarmFrames = 0;
-    this._lastPatternTime = 0;
+    this._bassDetector.reset();
     this._audioCooldownMS = this._sampleAudioCooldownMS();
 
-    const IGNORE_VOL = true;
     const t = canvas?.app?.ticker ?? PIXI.Ticker.shared;
 
     this._animating = false;
     this._tickerFn = () => {
       if (!this._animating && this.brightness !== 1.0) this.brightness = 1.0;
 
-      const channels = this.audioChannels;
-      const threshold = this.audioBassThreshold;
-
-      let level = 0;
-      try {
-        for (const ctx of channels) {
-          const v = game.audio.getBandLevel(ctx, "bass", { ignoreVolume: IGNORE_VOL }) || 0;
-          if (v > level) level = v;
-        }
-      } catch {
-        level = 0;
-      }
-
-      if (this._audioWarmFrames < 2) {
-        this._audioWarmFrames++;
-        this._audioPrevLevel = level;
-        return;
-      }
-
       const now = t.lastTime ?? performance.now();
-      const rising = this._audioPrevLevel < threshold && level >= threshold;
-      const cooled = now - this._lastPatternTime >= this._audioCooldownMS;
-
-      if (!this._animating && rising && cooled) {
-        this._lastPatternTime = now;
-        this._audioCooldownMS = this._sampleAudioCooldownMS();
-        this._triggerFlashPattern();
-      }
+      /** A beat heard mid-pattern does not flash, so it starts no cooldown either. */
+      const cooldownMs = this._animating ? 0 : this._audioCooldownMS;
+      if (!this._bassDetector.update(this.audioChannels, this.audioBassThreshold, now, cooldownMs)) return;
+      if (this._animating) return;
 
-      this._audioPrevLevel = level;
+      this._audioCooldownMS = this._sampleAudioCooldownMS();
+      this._triggerFlashPattern();
     };
     t.add(this._tickerFn);
   }
@@ -597,9 +576,7 @@ export class LightningFilter extends FXMasterFilterEffectMixin(PIXI.Filter) {
     this._removeTicker();
     this._accumMS = 0;
     this._animating = false;
-    this._audioPrevLevel = 0;
-    this._audioWarmFrames = 0;
-    this._lastPatternTime = 0;
+    this._bassDetector.reset();
 
     this.cancelUniformFade?.();
     this.neutralizeMask();
@@ -0,0 +1,87 @@
+/**
+ * FXMaster: Audio Trigger
+ *
+ * Bass beat detection shared by the audio-aware filters. The detector samples the bass band of the selected Foundry audio channels each frame and reports a beat when the level rises through a threshold.
+ *
+ * @module filter-effects/filters/mixins/audio-trigger
+ */
+
+/** Audio channels offered by the audio-aware filters' channel selector. */
+export const AUDIO_CHANNEL_OPTIONS = {
+  music: "FXMASTER.Common.Music",
+  environment: "FXMASTER.Common.Environment",
+  interface: "FXMASTER.Common.Interface",
+};
+
+const VALID_AUDIO_CHANNELS = Object.keys(AUDIO_CHANNEL_OPTIONS);
+const AUDIO_IGNORE_VOLUME = true;
+
+/** Frames sampled before beats are reported, so playback already loud on start does not trigger one. */
+const AUDIO_WARM_FRAMES = 2;
+
+/**
+ * Return sanitized audio channels for audio-aware mode.
+ *
+ * @param {string[]|string|null|undefined} value Channel selection.
+ * @param {string} fallback Channel used when the selection has no valid channel.
+ * @returns {string[]} Sanitized channels.
+ */
+export function normalizeAudioChannels(value, fallback) {
+  const array = Array.isArray(value) ? value : value ? [value] : [];
+  const out = array.map(String).filter((channel) => VALID_AUDIO_CHANNELS.includes(channel));
+  return out.length ? out : [fallback];
+}
+
+/**
+ * Detects bass rising edges on a set of audio channels.
+ */
+export class BassBeatDetector {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Clear the sampled level, warm-up and cooldown.
+   *
+   * @returns {void}
+   */
+  reset() {
+    this._prevLevel = 0;
+    this._warmFrames = 0;
+    this._cooldownUntil = 0;
+  }
+
+  /**
+   * Sample the channels and report whether a beat starts this frame.
+   *
+   * @param {string[]} channels Channels to sample; the loudest bass level wins.
+   * @param {number} threshold Bass level a beat must rise through, from 0 to 1.
+   * @param {number} currentTime Current wall-clock time in milliseconds.
+   * @param {number} cooldownMs Minimum gap between beats in milliseconds.
+   * @returns {boolean} True on a rising edge outside the cooldown.
+   */
+  update(channels, threshold, currentTime, cooldownMs) {
+    let level = 0;
+
+    try {
+      for (const channel of channels) {
+        const value = game?.audio?.getBandLevel?.(channel, "bass", { ignoreVolume: AUDIO_IGNORE_VOLUME }) ?? 0;
+        if (value > level) level = value;
+      }
+    } catch {
+      level = 0;
+    }
+
+    const prevLevel = this._prevLevel;
+    this._prevLevel = level;
+
+    if (this._warmFrames < AUDIO_WARM_FRAMES) {
+      this._warmFrames++;
+      return false;
+    }
+
+    if (prevLevel >= threshold || level < threshold || currentTime < this._cooldownUntil) return false;
+    this._cooldownUntil = currentTime + cooldownMs;
+    return true;
+  }
+}
@@ -6,6 +6,8 @@ import {
   safeResolutionForCssArea,
 } from "../../../utils.js";
 import { MAX_EDGES } from "../../../constants.js";
+import { KEYFRAMES_OPTION_KEY } from "../../../common/keyframes.js";
+import { adaptiveResolutionScale } from "../../../common/quality-governor.js";
 
 /**
  * FXMasterFilterEffectMixin
@@ -106,7 +108,7 @@ export function FXMasterFilterEffectMixin(Base) {
       const runtimeOptions = this.normalizeOptionsForRuntime(options);
       const normalized = normalize(runtimeOptions) || {};
       for (const [key, val] of Object.entries(normalized)) {
-        if (key.startsWith?.("__fxm")) continue;
+        if (key.startsWith?.("__fxm") || key === KEYFRAMES_OPTION_KEY) continue;
         this.optionContext[key] = val;
       }
     }
@@ -292,10 +294,17 @@ export function FXMasterFilterEffectMixin(Base) {
         const wCSS = Math.max(1, Number(area.width) || 1);
         const hCSS = Math.max(1, Number(area.height) || 1);
 
-        const safe = safeResolutionForCssArea(wCSS, hCSS);
-        if (!Number.isFinite(this.resolution) || this.resolution > safe || this.resolution <= 0) {
+        const quality = adaptiveResolutionScale();
+        const safe = Math.max(0.5, safeResolutionForCssArea(wCSS, hCSS) * quality);
+        if (
+          !Number.isFinite(this.resolution) ||
+          this.resolution > safe ||
+          this.resolution <= 0 ||
+          (this._fxmQualityLimited && this.resolution < safe)
+        ) {
           this.resolution = safe;
         }
+        this._fxmQualityLimited = quality < 1;
       } catch (err) {
         logger.debug("FXMaster:", err);
       }
@@ -456,6 +465,15 @@ export function FXMasterFilterEffectMixin(Base) {
       super.destroy?.(options);
     }
 
+    /**
+     * Whether a uniform fade started by {@link fadeUniformTo} is still running.
+     *
+     * @returns {boolean}
+     */
+    get isFading() {
+      return !!this._fadeCancel;
+    }
+
     cancelUniformFade() {
       try {
         this._fadeCancel?.();
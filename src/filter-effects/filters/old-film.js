@@ -189,8 +189,8 @@ export class OldFilmFilter extends FXMasterFilterEffectMixin(PIXI.Filter) {
    * - Immediately disable the filter (enabled=false) when it hits 0
    * - Then run the normal teardown (removes tickers, neutralizes mask, etc.)
    */
-  stop({ durationMs = 3000, skipFading } = {}) {
-    return this.stopWithUniformFade({ uniformKey: "strength", durationMs, skipFading });
+  stop({ durationMs = 3000, skipFading, easing } = {}) {
+    return this.stopWithUniformFade({ uniformKey: "strength", durationMs, skipFading, easing });
   }
 
   /**
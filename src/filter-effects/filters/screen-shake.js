@@ -2,6 +2,8 @@ import { FXMasterFilterEffectMixin, preprocessShader } from "./mixins/filter.js"
 import fragment from "./shaders/screen-shake.frag";
 import { MAX_EDGES } from "../../constants.js";
 import { clamp01, clampRange } from "../../utils.js";
+import { reducedMotion } from "../../settings-access.js";
+import { AUDIO_CHANNEL_OPTIONS, BassBeatDetector, normalizeAudioChannels } from "./mixins/audio-trigger.js";
 
 const SHAKE_AXIS_OPTIONS = {
   both: "FXMASTER.ScreenShake.Axis.Both",
@@ -11,13 +13,10 @@ const SHAKE_AXIS_OPTIONS = {
 
 const MAX_DISPLACEMENT_PX = 48;
 const MAX_BLUR_OFFSET_PX = 16;
-const AUDIO_CHANNEL_OPTIONS = {
-  music: "FXMASTER.Common.Music",
-  environment: "FXMASTER.Common.Environment",
-  interface: "FXMASTER.Common.Interface",
-};
-const VALID_AUDIO_CHANNELS = Object.keys(AUDIO_CHANNEL_OPTIONS);
-const AUDIO_IGNORE_VOLUME = true;
+/** Displacement at strength 1 while FXMaster reduced motion is on. */
+const REDUCED_MOTION_MAX_DISPLACEMENT_PX = 4;
+/** Fastest shake frequency while FXMaster reduced motion is on. */
+const REDUCED_MOTION_MAX_SPEED_HZ = 4;
 
 /**
  * Return the current wall-clock time in milliseconds.
@@ -107,9 +106,7 @@ export class ScreenShakeFilter extends FXMasterFilterEffectMixin(PIXI.Filter) {
     this._expiresAt = 0;
     this._optionsSnapshot = {};
     this._lastBlurDirection = [1, 0];
-    this._audioPrevLevel = 0;
-    this._audioWarmFrames = 0;
-    this._audioCooldownUntil = 0;
+    this._bassDetector = new BassBeatDetector();
     this._burstStartedAt = 0;
     this._burstExpiresAt = 0;
 
@@ -406,14 +403,12 @@ export class ScreenShakeFilter extends FXMasterFilterEffectMixin(PIXI.Filter) {
     if (!(this._axis in SHAKE_AXIS_OPTIONS)) this._axis = "both";
     this._edgeProtection = clamp01(source.edgeProtection, this.constructor.default.edgeProtection);
     this._audioAware = source.audioAware === true;
-    this._audioChannels = this._normalizeAudioChannels(source.audioChannels);
+    this._audioChannels = normalizeAudioChannels(source.audioChannels, "environment");
     this._audioBassThreshold = clamp01(source.audioBassThreshold, this.constructor.default.audioBassThreshold ?? 0.75);
     this._timed = source.timed !== false && !this._audioAware;
 
     if (!this._audioAware) {
-      this._audioPrevLevel = 0;
-      this._audioWarmFrames = 0;
-      this._audioCooldownUntil = 0;
+      this._bassDetector.reset();
       this._burstStartedAt = 0;
       this._burstExpiresAt = 0;
     }
@@ -446,12 +441,19 @@ export class ScreenShakeFilter extends FXMasterFilterEffectMixin(PIXI.Filter) {
       return;
     }
 
+    const reduced = reducedMotion();
+
     const currentTime = nowMs();
     const durationMs = Math.max(100, this._duration * 1000);
     let elapsedMs = this._startedAt ? Math.max(0, currentTime - this._startedAt) : this._elapsedMs;
     let envelopeActive = this._timed;
 
     if (this._audioAware) {
+      if (reduced) {
+        this._setShakeOffset(0, 0, 1, 0, 0, 0);
+        return;
+      }
+
       this._updateAudioTrigger(currentTime, durationMs);
       if (!this._burstStartedAt || currentTime >= this._burstExpiresAt) {
         this._setShakeOffset(0, 0, 1, 0, 0, 0);
@@ -477,7 +479,8 @@ export class ScreenShakeFilter extends FXMasterFilterEffectMixin(PIXI.Filter) {
       return;
     }
 
-    const speedHz = 1.5 + this._speed * 22.5;
+    const fullSpeedHz = 1.5 + this._speed * 22.5;
+    const speedHz = reduced ? Math.min(REDUCED_MOTION_MAX_SPEED_HZ, fullSpeedHz) : fullSpeedHz;
     const smoothFactor = 1.25 - this._smoothness * 0.95;
     const t =
       (this._audioAware && this._burstStartedAt
@@ -489,7 +492,8 @@ export class ScreenShakeFilter extends FXMasterFilterEffectMixin(PIXI.Filter) {
       smoothFactor;
     const decayPower = 0.35 + this._decay * 2.65;
     const decayFactor = envelopeActive ? Math.pow(Math.max(0, 1 - progress), decayPower) : 1;
-    const amplitude = this._strength * MAX_DISPLACEMENT_PX * decayFactor;
+    const amplitude =
+      this._strength * (reduced ? REDUCED_MOTION_MAX_DISPLACEMENT_PX : MAX_DISPLACEMENT_PX) * decayFactor;
 
     let x = smoothNoise(t, this._seed) * amplitude;
     let y = smoothNoise(t + 41.37, this._seed + 19.11) * amplitude;
@@ -500,7 +504,8 @@ export class ScreenShakeFilter extends FXMasterFilterEffectMixin(PIXI.Filter) {
     const offsetLength = Math.hypot(x, y);
     if (offsetLength > 0.001) this._lastBlurDirection = [x / offsetLength, y / offsetLength];
 
-    const blurDistance = this._blur > 0 ? Math.min(MAX_BLUR_OFFSET_PX, amplitude * 0.35) * this._blur : 0;
+    const blur = reduced ? 0 : this._blur;
+    const blurDistance = blur > 0 ? Math.min(MAX_BLUR_OFFSET_PX, amplitude * 0.35) * blur : 0;
     const [blurDirX, blurDirY] = this._lastBlurDirection;
     const maxOffset = Math.max(Math.abs(x), Math.abs(y)) + blurDistance * 2;
     const viewportMin = Math.max(
@@ -508,20 +513,7 @@ export class ScreenShakeFilter extends FXMasterFilterEffectMixin(PIXI.Filter) {
       Math.min(canvas?.app?.renderer?.screen?.width ?? 1, canvas?.app?.renderer?.screen?.height ?? 1),
     );
     const edgeZoom = 1 + this._edgeProtection * (maxOffset / viewportMin) * 3;
-    this._setShakeOffset(x, y, edgeZoom, blurDirX * blurDistance, blurDirY * blurDistance, this._blur * decayFactor);
-  }
-
-  /**
-   * Return sanitized audio channels for audio-aware mode.
-   *
-   * @param {string[]|string|null|undefined} value Channel selection.
-   * @returns {string[]} Sanitized channels.
-   * @private
-   */
-  _normalizeAudioChannels(value) {
-    const array = Array.isArray(value) ? value : value ? [value] : [];
-    const out = array.map(String).filter((channel) => VALID_AUDIO_CHANNELS.includes(channel));
-    return out.length ? out : ["environment"];
+    this._setShakeOffset(x, y, edgeZoom, blurDirX * blurDistance, blurDirY * blurDistance, blur * decayFactor);
   }
 
   /**
@@ -533,35 +525,14 @@ export class ScreenShakeFilter extends FXMasterFilterEffectMixin(PIXI.Filter) {
    * @private
    */
   _updateAudioTrigger(currentTime, durationMs) {
-    let level = 0;
-
-    try {
-      for (const channel of this._audioChannels ?? ["environment"]) {
-        const value = game?.audio?.getBandLevel?.(channel, "bass", { ignoreVolume: AUDIO_IGNORE_VOLUME }) ?? 0;
-        if (value > level) level = value;
-      }
-    } catch {
-      level = 0;
-    }
-
-    if (this._audioWarmFrames < 2) {
-      this._audioWarmFrames++;
-      this._audioPrevLevel = level;
+    const cooldownMs = Math.max(250, durationMs * 0.7);
+    if (!this._bassDetector.update(this._audioChannels, this._audioBassThreshold ?? 0.75, currentTime, cooldownMs)) {
       return;
     }
 
-    const threshold = this._audioBassThreshold ?? 0.75;
-    const rising = this._audioPrevLevel < threshold && level >= threshold;
-    const cooled = currentTime >= (this._audioCooldownUntil ?? 0);
-
-    if (rising && cooled) {
-      this._seed = Math.random() * 10000;
-      this._burstStartedAt = currentTime;
-      this._burstExpiresAt = currentTime + durationMs;
-      this._audioCooldownUntil = currentTime + Math.max(250, durationMs * 0.7);
-    }
-
-    this._audioPrevLevel = level;
+    this._seed = Math.random() * 10000;
+    this._burstStartedAt = currentTime;
+    this._burstExpiresAt = currentTime + durationMs;
   }
 
   /**
@@ -0,0 +1,232 @@
+/**
+ * SPDX-FileCopyrightText: 2026 Gambit
+ */
+
+#ifdef GL_FRAGMENT_PRECISION_HIGH
+precision highp float;
+precision highp int;
+#else
+precision mediump float;
+precision mediump int;
+#endif
+
+uniform sampler2D uSampler;
+uniform sampler2D maskSampler;
+
+/** ---- Pixi pipeline frames (match Color) ---- */
+uniform vec2  viewSize;     /** CSS viewport size */
+uniform vec4  inputSize;    /** xy: input size in CSS px; zw: 1/size */
+uniform vec4  outputFrame;  /** xy: offset in CSS px;    zw: size */
+
+uniform vec2  camFrac;
+
+uniform float hasMask;
+uniform float maskReady;
+uniform float invertMask;
+uniform float maskSoft;
+uniform float maskWorldReady;
+uniform mat3  uMaskUvFromWorld;
+uniform vec2  maskTexelUV;
+uniform float feather;      /** optional mask feather (CSS px) */
+uniform float strength;     /** 0..1 overall effect strength */
+
+/** -------- God rays -------- */
+uniform vec2  rayOrigin;     /** upstream edge center of the Scene/Region bounds (world px) */
+uniform vec2  rayDir;        /** unit travel direction (world, y down) */
+uniform float rayLength;     /** bounds extent along rayDir (world px) */
+uniform float sourceDist;    /** distance of the virtual source behind rayOrigin; >= 1e6 => parallel */
+uniform float rayWorld;      /** base shaft width (world px) */
+uniform float lacunarity;    /** octave frequency ratio */
+uniform float gain;          /** intensity multiplier */
+uniform vec3  rayColor;
+uniform float time;
+
+varying vec2 vTextureCoord;
+
+/** -------- Region fade (same schema as other filters) -------- */
+uniform int   uRegionShape;
+uniform mat3  uCssToWorld;
+
+uniform vec2  uCenter;
+uniform vec2  uHalfSize;
+uniform float uRotation;
+
+uniform sampler2D uSdf;
+uniform mat3  uUvFromWorld;    /** world -> SDF UV */
+uniform vec2  uSdfScaleOff;    /** [scale, offset] for decode */
+uniform float uSdfInsideMax;   /** inradius (world px) */
+uniform vec2  uSdfTexel;       /** 1/texture size (UV texel) */
+
+uniform float uFadeWorld;      /** world px */
+uniform float uFadePx;         /** CSS px */
+
+uniform float uUsePct;         /** 1 => use uFadePct */
+uniform float uFadePct;        /** 0..1 */
+
+/** SDF-backed polygon % fades (used for multi-shape regions) */
+uniform float uUseSdf;        /** 1 => use SDF for polygon % fades */
+
+#define MAX_EDGES 64
+uniform float uEdgeCount;
+uniform vec4  uEdges[MAX_EDGES]; /** (Ax,Ay,Bx,By) world units */
+uniform float uSmoothKWorld;     /** world-px smoothing radius */
+
+/** ====================== Main ====================== */
+
+/** Shared region fade infrastructure */
+#include <region-fade-common>
+
+vec2 fxmMaskUvFromCss(vec2 cssPx) {
+  if (maskWorldReady > 0.5) {
+    vec2 world = applyCssToWorld(cssPx);
+    return (uMaskUvFromWorld * vec3(world, 1.0)).xy;
+  }
+  return cssPx / max(viewSize, vec2(1.0));
+}
+
+float fxmMaskSampleUv(vec2 uv) {
+  if (maskWorldReady > 0.5 && (uv.x < 0.0 || uv.x > 1.0 || uv.y < 0.0 || uv.y > 1.0)) return 0.0;
+  return clamp(texture2D(maskSampler, clamp(uv, vec2(0.0), vec2(1.0))).r, 0.0, 1.0);
+}
+
+float fxmMaskSample(vec2 cssPx) {
+  return fxmMaskSampleUv(fxmMaskUvFromCss(cssPx));
+}
+
+vec2 fxmMaskTexel() {
+  return (maskWorldReady > 0.5) ? maskTexelUV : (1.0 / max(viewSize, vec2(1.0)));
+}
+
+/** ---------- Noise ---------- */
+
+float hash12(vec2 p) {
+  vec3 p3 = fract(vec3(p.xyx) * 0.1031);
+  p3 += dot(p3, p3.yzx + 33.33);
+  return fract((p3.x + p3.y) * p3.z);
+}
+
+float valueNoise(vec2 p) {
+  vec2 i = floor(p);
+  vec2 f = fract(p);
+  vec2 u = f * f * (3.0 - 2.0 * f);
+  float a = hash12(i);
+  float b = hash12(i + vec2(1.0, 0.0));
+  float c = hash12(i + vec2(0.0, 1.0));
+  float d = hash12(i + vec2(1.0, 1.0));
+  return mix(mix(a, b, u.x), mix(c, d, u.x), u.y);
+}
+
+/** Shaft pattern across the beam; octaves are spaced by `lacunarity` and drift slowly with time. */
+float shaftNoise(float across) {
+  float v = 0.0;
+  float a = 0.5;
+  float f = 1.0;
+  for (int i = 0; i < 4; ++i) {
+    v += a * valueNoise(vec2(across * f, time * 0.35 * f + float(i) * 7.3));
+    f *= lacunarity;
+    a *= 0.5;
+  }
+  return v / 0.9375;
+}
+
+void main(void) {
+  vec4 src = texture2D(uSampler, vTextureCoord);
+
+  /** SCREEN position in CSS px (match Color) */
+  vec2 screenPx = outputFrame.xy + vTextureCoord * outputFrame.zw;
+  vec2 snapPx   = screenPx - camFrac;
+
+  /** ---- Region/suppression mask ---- */
+  float inMask = src.a;
+  if (hasMask > 0.5) {
+    bool maskUsable = (maskReady > 0.5) &&
+                      (viewSize.x >= 1.0) &&
+                      (viewSize.y >= 1.0);
+    if (maskUsable) {
+      vec2 samplePx = (uRegionShape < 0) ? screenPx : snapPx;
+
+      vec2 maskPx = floor(samplePx) + 0.5;
+      vec2 maskUV = fxmMaskUvFromCss(maskPx);
+      float a = fxmMaskSampleUv(maskUV);
+
+      if (feather > 0.5) {
+        vec2 px = fxmMaskTexel();
+        vec2 o  = px * feather;
+        float s = 0.0;
+        s += fxmMaskSampleUv(maskUV + vec2(-o.x, -o.y));
+        s += fxmMaskSampleUv(maskUV + vec2( 0.0, -o.y));
+        s += fxmMaskSampleUv(maskUV + vec2( o.x, -o.y));
+        s += fxmMaskSampleUv(maskUV + vec2(-o.x,  0.0));
+        s += a;
+        s += fxmMaskSampleUv(maskUV + vec2( o.x,  0.0));
+        s += fxmMaskSampleUv(maskUV + vec2(-o.x,  o.y));
+        s += fxmMaskSampleUv(maskUV + vec2( 0.0,  o.y));
+        s += fxmMaskSampleUv(maskUV + vec2( o.x,  o.y));
+        a = clamp(s / 9.0, 0.0, 1.0);
+      }
+
+      float m = (maskSoft > 0.5) ? a : ((uRegionShape < 0) ? step(0.5, a) : smoothstep(0.49, 0.51, a));
+      if (invertMask > 0.5) m = 1.0 - m;
+      inMask *= m;
+    }
+  }
+
+  /** ---- Region edge fade (percent or absolute) ---- */
+  float fadeEdge = 1.0;
+  vec2  pW       = applyCssToWorld((uRegionShape < 0) ? screenPx : snapPx);
+
+  if (uUsePct > 0.5) {
+    float pct = clamp(uFadePct, 0.0, 1.0);
+    if (pct > 0.0) {
+      if      (uRegionShape == 1) fadeEdge = fadePctRect(pW, pct);
+      else if (uRegionShape == 2) fadeEdge = fadePctEllipse(pW, pct);
+      else if (uRegionShape == 0) {
+        fadeEdge = (uUseSdf > 0.5) ? fadePctPoly_sdf(pW, pct) : fadePctPoly_edges(pW, pct);
+      }
+    }
+  } else {
+    float fw = (uFadeWorld > 0.0) ? uFadeWorld
+             : (uFadePx > 0.0   ? uFadePx * worldPerCss() : 0.0);
+    if (fw > 0.0) {
+      if      (uRegionShape == 1 || uRegionShape == 2) {
+        float sd = (uRegionShape == 1)
+          ? sdRect(pW, uCenter, uHalfSize, uRotation)
+          : sdEllipse(pW, uCenter, uHalfSize, uRotation);
+        fadeEdge = 1.0 - smoothstep(0.0, fw, sd + fw);
+      } else if (uRegionShape == 0) {
+        float d = sdPolySmooth(pW);
+        fadeEdge = 1.0 - smoothstep(0.0, fw, d + fw);
+      }
+    }
+  }
+
+  /** ---- Final weight = mask * fade ---- */
+  float weight = clamp(inMask * fadeEdge, 0.0, 1.0);
+  if (weight <= 0.0001 || strength <= 0.0) { gl_FragColor = src; return; }
+
+  /** ---- Beam coordinates: distance along the light and position across it ---- */
+  vec2  rel    = pW - rayOrigin;
+  vec2  perp   = vec2(-rayDir.y, rayDir.x);
+  float along  = dot(rel, rayDir);
+  float across = dot(rel, perp);
+  if (along <= 0.0) { gl_FragColor = src; return; }
+
+  /** Fanned shafts measure their angle from the virtual source instead of the straight offset. */
+  float u = (sourceDist >= 1.0e6)
+    ? across / max(rayWorld, 1.0)
+    : atan(across, along + sourceDist) * sourceDist / max(rayWorld, 1.0);
+
+  float shaft   = pow(smoothstep(0.35, 0.85, shaftNoise(u)), 1.5);
+  float shimmer = 0.85 + 0.15 * valueNoise(vec2(u * 0.5, along / max(rayWorld * 6.0, 1.0) - time * 0.5));
+
+  float t       = along / max(rayLength, 1.0);
+  float fadeIn  = smoothstep(0.0, 0.08, t);
+  float fadeOut = 1.0 - smoothstep(0.35, 1.0, t);
+
+  float intensity = shaft * shimmer * fadeIn * fadeOut * gain * strength * weight;
+  if (intensity <= 0.0001) { gl_FragColor = src; return; }
+
+  /** Screen blend so shafts lighten without clipping. */
+  vec3 light = clamp(rayColor * intensity, 0.0, 1.0) * src.a;
+  gl_FragColor = vec4(src.rgb + light - src.rgb * light, src.a);
+}
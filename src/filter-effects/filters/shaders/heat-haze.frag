@@ -0,0 +1,244 @@
+/**
+ * SPDX-FileCopyrightText: 2026 Gambit
+ */
+
+#ifdef GL_FRAGMENT_PRECISION_HIGH
+precision highp float;
+precision highp int;
+#else
+precision mediump float;
+precision mediump int;
+#endif
+
+uniform sampler2D uSampler;
+uniform sampler2D maskSampler;
+
+/** ---- Pixi pipeline frames (match Color) ---- */
+uniform vec2  viewSize;     /** CSS viewport size */
+uniform vec4  inputSize;    /** xy: input size in CSS px; zw: 1/size */
+uniform vec4  outputFrame;  /** xy: offset in CSS px;    zw: size */
+
+uniform vec2  camFrac;
+
+uniform float hasMask;
+uniform float maskReady;
+uniform float invertMask;
+uniform float maskSoft;
+uniform float maskWorldReady;
+uniform mat3  uMaskUvFromWorld;
+uniform vec2  maskTexelUV;
+uniform float feather;      /** optional mask feather (CSS px) */
+uniform float strength;     /** 0..1 overall effect strength */
+
+/** -------- Heat haze -------- */
+uniform float time;              /** noise rise offset (cells) */
+uniform float cellWorld;         /** noise cell size (world px) */
+uniform float falloff;           /** 0 => uniform, 1 => fades fully toward the top */
+uniform float maxDisplacementPx; /** shimmer amplitude at strength 1 (CSS px) */
+uniform vec4  groundRect;        /** falloff bounds (world x, y, w, h) */
+
+/** -------- Tokens-only mask for belowTokens -------- */
+uniform sampler2D tokenSampler;  /** tokens mask alpha */
+uniform float     hasTokenMask;  /** 1 when provided, else 0 */
+
+varying vec2 vTextureCoord;
+
+/** -------- Region fade (same schema as other filters) -------- */
+uniform int   uRegionShape;
+uniform mat3  uCssToWorld;
+
+uniform vec2  uCenter;
+uniform vec2  uHalfSize;
+uniform float uRotation;
+
+uniform sampler2D uSdf;
+uniform mat3  uUvFromWorld;    /** world -> SDF UV */
+uniform vec2  uSdfScaleOff;    /** [scale, offset] for decode */
+uniform float uSdfInsideMax;   /** inradius (world px) */
+uniform vec2  uSdfTexel;       /** 1/texture size (UV texel) */
+
+uniform float uFadeWorld;      /** world px */
+uniform float uFadePx;         /** CSS px */
+
+uniform float uUsePct;         /** 1 => use uFadePct */
+uniform float uFadePct;        /** 0..1 */
+
+/** SDF-backed polygon % fades (used for multi-shape regions) */
+uniform float uUseSdf;        /** 1 => use SDF for polygon % fades */
+
+#define MAX_EDGES 64
+uniform float uEdgeCount;
+uniform vec4  uEdges[MAX_EDGES]; /** (Ax,Ay,Bx,By) world units */
+uniform float uSmoothKWorld;     /** world-px smoothing radius */
+
+/** ====================== Helpers ====================== */
+
+float hash12(vec2 p) {
+  vec3 p3 = fract(vec3(p.xyx) * 0.1031);
+  p3 += dot(p3, p3.yzx + 33.33);
+  return fract((p3.x + p3.y) * p3.z);
+}
+
+float valueNoise(vec2 p) {
+  vec2 i = floor(p);
+  vec2 f = fract(p);
+  vec2 u = f * f * (3.0 - 2.0 * f);
+  float a = hash12(i);
+  float b = hash12(i + vec2(1.0, 0.0));
+  float c = hash12(i + vec2(0.0, 1.0));
+  float d = hash12(i + vec2(1.0, 1.0));
+  return mix(mix(a, b, u.x), mix(c, d, u.x), u.y);
+}
+
+/** Three-octave fbm in [0,1]; each octave rises a little faster than the last. */
+float fbm(vec2 p) {
+  float v = 0.0;
+  float a = 0.5;
+  for (int i = 0; i < 3; ++i) {
+    v += a * valueNoise(p + vec2(0.0, time * (1.0 + 0.35 * float(i))));
+    p = p * 2.03 + vec2(17.1, 9.7);
+    a *= 0.5;
+  }
+  return v / 0.875;
+}
+
+/** ====================== Main ====================== */
+
+/** Shared region fade infrastructure */
+#include <region-fade-common>
+
+vec2 fxmMaskUvFromCss(vec2 cssPx) {
+  if (maskWorldReady > 0.5) {
+    vec2 world = applyCssToWorld(cssPx);
+    return (uMaskUvFromWorld * vec3(world, 1.0)).xy;
+  }
+  return cssPx / max(viewSize, vec2(1.0));
+}
+
+float fxmMaskSampleUv(vec2 uv) {
+  if (maskWorldReady > 0.5 && (uv.x < 0.0 || uv.x > 1.0 || uv.y < 0.0 || uv.y > 1.0)) return 0.0;
+  return clamp(texture2D(maskSampler, clamp(uv, vec2(0.0), vec2(1.0))).r, 0.0, 1.0);
+}
+
+float fxmMaskSample(vec2 cssPx) {
+  return fxmMaskSampleUv(fxmMaskUvFromCss(cssPx));
+}
+
+vec2 fxmMaskTexel() {
+  return (maskWorldReady > 0.5) ? maskTexelUV : (1.0 / max(viewSize, vec2(1.0)));
+}
+
+float fxmTokenMaskAlphaSampleUv(vec2 uv) {
+  if (maskWorldReady > 0.5 && (uv.x < 0.0 || uv.x > 1.0 || uv.y < 0.0 || uv.y > 1.0)) return 0.0;
+  return clamp(texture2D(tokenSampler, clamp(uv, vec2(0.0), vec2(1.0))).a, 0.0, 1.0);
+}
+
+void main(void) {
+  vec4 src = texture2D(uSampler, vTextureCoord);
+
+  /** SCREEN position in CSS px (match Color) */
+  vec2 screenPx = outputFrame.xy + vTextureCoord * outputFrame.zw;
+  vec2 snapPx   = screenPx - camFrac;
+
+  /** ---- Region/suppression mask ---- */
+  float inMask = src.a;
+  if (hasMask > 0.5) {
+    bool maskUsable = (maskReady > 0.5) &&
+                      (viewSize.x >= 1.0) &&
+                      (viewSize.y >= 1.0);
+    if (maskUsable) {
+      vec2 samplePx = (uRegionShape < 0) ? screenPx : snapPx;
+
+      vec2 maskPx = floor(samplePx) + 0.5;
+      vec2 maskUV = fxmMaskUvFromCss(maskPx);
+      float a = fxmMaskSampleUv(maskUV);
+
+      if (feather > 0.5) {
+        vec2 px = fxmMaskTexel();
+        vec2 o  = px * feather;
+        float s = 0.0;
+        s += fxmMaskSampleUv(maskUV + vec2(-o.x, -o.y));
+        s += fxmMaskSampleUv(maskUV + vec2( 0.0, -o.y));
+        s += fxmMaskSampleUv(maskUV + vec2( o.x, -o.y));
+        s += fxmMaskSampleUv(maskUV + vec2(-o.x,  0.0));
+        s += a;
+        s += fxmMaskSampleUv(maskUV + vec2( o.x,  0.0));
+        s += fxmMaskSampleUv(maskUV + vec2(-o.x,  o.y));
+        s += fxmMaskSampleUv(maskUV + vec2( 0.0,  o.y));
+        s += fxmMaskSampleUv(maskUV + vec2( o.x,  o.y));
+        a = clamp(s / 9.0, 0.0, 1.0);
+      }
+
+      float m = (maskSoft > 0.5) ? a : ((uRegionShape < 0) ? step(0.5, a) : smoothstep(0.49, 0.51, a));
+      if (invertMask > 0.5) m = 1.0 - m;
+      inMask *= m;
+    }
+  }
+
+  /** ---- Region edge fade (percent or absolute) ---- */
+  float fadeEdge = 1.0;
+  vec2  pW       = applyCssToWorld((uRegionShape < 0) ? screenPx : snapPx);
+
+  if (uUsePct > 0.5) {
+    float pct = clamp(uFadePct, 0.0, 1.0);
+    if (pct > 0.0) {
+      if      (uRegionShape == 1) fadeEdge = fadePctRect(pW, pct);
+      else if (uRegionShape == 2) fadeEdge = fadePctEllipse(pW, pct);
+      else if (uRegionShape == 0) {
+        fadeEdge = (uUseSdf > 0.5) ? fadePctPoly_sdf(pW, pct) : fadePctPoly_edges(pW, pct);
+      }
+    }
+  } else {
+    float fw = (uFadeWorld > 0.0) ? uFadeWorld
+             : (uFadePx > 0.0   ? uFadePx * worldPerCss() : 0.0);
+    if (fw > 0.0) {
+      if      (uRegionShape == 1 || uRegionShape == 2) {
+        float sd = (uRegionShape == 1)
+          ? sdRect(pW, uCenter, uHalfSize, uRotation)
+          : sdEllipse(pW, uCenter, uHalfSize, uRotation);
+        fadeEdge = 1.0 - smoothstep(0.0, fw, sd + fw);
+      } else if (uRegionShape == 0) {
+        float d = sdPolySmooth(pW);
+        fadeEdge = 1.0 - smoothstep(0.0, fw, d + fw);
+      }
+    }
+  }
+
+  /** ---- Final weight = mask * fade; strength scales the displacement ---- */
+  float weight = clamp(inMask * fadeEdge, 0.0, 1.0);
+  if (weight <= 0.0001 || strength <= 0.0) { gl_FragColor = src; return; }
+
+  /** ---- Vertical falloff: strongest at the bottom of the ground rect ---- */
+  float h    = clamp((groundRect.y + groundRect.w - pW.y) / max(groundRect.w, 1.0), 0.0, 1.0);
+  float vert = mix(1.0, pow(1.0 - h, 1.5), falloff);
+
+  /** ---- World-locked rising shimmer ---- */
+  vec2 q   = pW / max(cellWorld, 1.0);
+  float nx = fbm(q);
+  float ny = fbm(q + vec2(5.2, 1.3));
+  float wobble = sin(q.y * 6.2831 + time * 4.0 + nx * 3.0);
+  vec2 disp = vec2((nx - 0.5) * 2.0 + 0.25 * wobble, (ny - 0.5) * 0.8);
+
+  vec2 dispPx   = disp * maxDisplacementPx * strength * vert * weight;
+  vec2 uvOffset = dispPx / max(viewSize, vec2(1.0));
+  vec2 duv      = vTextureCoord + uvOffset;
+
+  vec4 displaced = texture2D(uSampler, duv);
+
+  float tokenA = 0.0;
+  if (hasTokenMask > 0.5) {
+    vec2 displacedScreenPx = screenPx + dispPx;
+    vec2 tokenUV = fxmMaskUvFromCss(displacedScreenPx);
+    vec2 cssPx = fxmMaskTexel();
+    for (int dy = -1; dy <= 1; ++dy) {
+      for (int dx = -1; dx <= 1; ++dx) {
+        vec2 off = vec2(float(dx), float(dy)) * cssPx;
+        tokenA = max(tokenA, fxmTokenMaskAlphaSampleUv(tokenUV + off));
+      }
+    }
+  }
+
+  vec3 refracted = mix(displaced.rgb, src.rgb, tokenA);
+
+  gl_FragColor = vec4(refracted, src.a);
+}
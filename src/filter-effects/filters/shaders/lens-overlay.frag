@@ -0,0 +1,291 @@
+/**
+ * SPDX-FileCopyrightText: 2026 Gambit
+ */
+
+#ifdef GL_FRAGMENT_PRECISION_HIGH
+precision highp float;
+precision highp int;
+#else
+precision mediump float;
+precision mediump int;
+#endif
+
+uniform sampler2D uSampler;
+uniform sampler2D maskSampler;
+
+/** ---- Pixi pipeline frames (match Color) ---- */
+uniform vec2  viewSize;     /** CSS viewport size */
+uniform vec4  inputSize;    /** xy: input size in CSS px; zw: 1/size */
+uniform vec4  outputFrame;  /** xy: offset in CSS px;    zw: size */
+
+uniform vec2  camFrac;
+
+uniform float hasMask;
+uniform float maskReady;
+uniform float invertMask;
+uniform float maskSoft;
+uniform float maskWorldReady;
+uniform mat3  uMaskUvFromWorld;
+uniform vec2  maskTexelUV;
+uniform float feather;      /** optional mask feather (CSS px) */
+uniform float strength;     /** 0..1 overall effect strength */
+
+/** -------- Lens overlay -------- */
+uniform float lensMode;      /** 0 => frost, 1 => rain */
+uniform float coverage;      /** 0..1 frost reach / droplet count */
+uniform float refraction;    /** 0..1 distortion through frost or droplets */
+uniform vec3  tint;          /** frost color / droplet highlight */
+uniform float grow;          /** 0..1 frost growth since play */
+uniform float time;          /** droplet time (s, scaled by speed) */
+
+varying vec2 vTextureCoord;
+
+/** -------- Region fade (same schema as other filters) -------- */
+uniform int   uRegionShape;
+uniform mat3  uCssToWorld;
+
+uniform vec2  uCenter;
+uniform vec2  uHalfSize;
+uniform float uRotation;
+
+uniform sampler2D uSdf;
+uniform mat3  uUvFromWorld;    /** world -> SDF UV */
+uniform vec2  uSdfScaleOff;    /** [scale, offset] for decode */
+uniform float uSdfInsideMax;   /** inradius (world px) */
+uniform vec2  uSdfTexel;       /** 1/texture size (UV texel) */
+
+uniform float uFadeWorld;      /** world px */
+uniform float uFadePx;         /** CSS px */
+
+uniform float uUsePct;         /** 1 => use uFadePct */
+uniform float uFadePct;        /** 0..1 */
+
+/** SDF-backed polygon % fades (used for multi-shape regions) */
+uniform float uUseSdf;        /** 1 => use SDF for polygon % fades */
+
+#define MAX_EDGES 64
+uniform float uEdgeCount;
+uniform vec4  uEdges[MAX_EDGES]; /** (Ax,Ay,Bx,By) world units */
+uniform float uSmoothKWorld;     /** world-px smoothing radius */
+
+/** ====================== Main ====================== */
+
+/** Shared region fade infrastructure */
+#include <region-fade-common>
+
+vec2 fxmMaskUvFromCss(vec2 cssPx) {
+  if (maskWorldReady > 0.5) {
+    vec2 world = applyCssToWorld(cssPx);
+    return (uMaskUvFromWorld * vec3(world, 1.0)).xy;
+  }
+  return cssPx / max(viewSize, vec2(1.0));
+}
+
+float fxmMaskSampleUv(vec2 uv) {
+  if (maskWorldReady > 0.5 && (uv.x < 0.0 || uv.x > 1.0 || uv.y < 0.0 || uv.y > 1.0)) return 0.0;
+  return clamp(texture2D(maskSampler, clamp(uv, vec2(0.0), vec2(1.0))).r, 0.0, 1.0);
+}
+
+float fxmMaskSample(vec2 cssPx) {
+  return fxmMaskSampleUv(fxmMaskUvFromCss(cssPx));
+}
+
+vec2 fxmMaskTexel() {
+  return (maskWorldReady > 0.5) ? maskTexelUV : (1.0 / max(viewSize, vec2(1.0)));
+}
+
+/** ---------- Noise ---------- */
+
+float hash12(vec2 p) {
+  vec3 p3 = fract(vec3(p.xyx) * 0.1031);
+  p3 += dot(p3, p3.yzx + 33.33);
+  return fract((p3.x + p3.y) * p3.z);
+}
+
+float valueNoise(vec2 p) {
+  vec2 i = floor(p);
+  vec2 f = fract(p);
+  vec2 u = f * f * (3.0 - 2.0 * f);
+  float a = hash12(i);
+  float b = hash12(i + vec2(1.0, 0.0));
+  float c = hash12(i + vec2(0.0, 1.0));
+  float d = hash12(i + vec2(1.0, 1.0));
+  return mix(mix(a, b, u.x), mix(c, d, u.x), u.y);
+}
+
+float fbm(vec2 p) {
+  float v = 0.0;
+  float a = 0.5;
+  for (int i = 0; i < 4; ++i) {
+    v += a * valueNoise(p);
+    p = p * 2.07 + vec2(13.7, 5.3);
+    a *= 0.5;
+  }
+  return v / 0.9375;
+}
+
+/** ---------- Frost: returns (offset px, coverage) ---------- */
+
+vec3 frostLayer(vec2 px) {
+  float reach = coverage * grow * 0.5;
+  if (reach <= 0.0) return vec3(0.0);
+
+  float minDim = max(min(viewSize.x, viewSize.y), 1.0);
+  float dEdge  = min(min(px.x, viewSize.x - px.x), min(px.y, viewSize.y - px.y)) / minDim;
+
+  float broad  = fbm(px / 140.0);
+  float detail = fbm(px / 26.0 + 11.0);
+  float edge   = dEdge + (broad - 0.5) * 0.18 + (detail - 0.5) * 0.05;
+  float frost  = 1.0 - smoothstep(reach * 0.55, reach, edge);
+  if (frost <= 0.0) return vec3(0.0);
+
+  /** Crystalline ridges brighten; their gradient bends the view behind the frost. */
+  float ridge = pow(1.0 - abs(detail * 2.0 - 1.0), 6.0);
+  vec2 grad = vec2(
+    fbm((px + vec2(3.0, 0.0)) / 26.0 + 11.0) - detail,
+    fbm((px + vec2(0.0, 3.0)) / 26.0 + 11.0) - detail
+  );
+
+  return vec3(grad * 160.0 * frost, frost * (0.3 + 0.55 * ridge));
+}
+
+/** ---------- Rain: returns (offset px, wetness) ---------- */
+
+vec3 runningDrops(vec2 px, float cellPx, float seed) {
+  vec2 cellSize = vec2(cellPx, cellPx * 3.0);
+  vec2 g  = px / cellSize;
+  vec2 id = floor(g);
+  vec2 f  = fract(g);
+
+  float h = hash12(id + seed);
+  if (h > coverage) return vec3(0.0);
+
+  float h2 = hash12(id + seed + 7.1);
+  float y  = fract(h2 * 3.0 + time * (0.3 + h2) * 0.25);
+  float x  = 0.25 + 0.5 * hash12(id + seed + 3.3) + 0.04 * sin(time * 2.0 + h * 20.0);
+
+  vec2  d    = (f - vec2(x, y)) * cellSize;
+  float r    = cellPx * (0.12 + 0.08 * h2);
+  float drop = 1.0 - smoothstep(0.8, 1.0, length(d * vec2(1.0, 0.8)) / r);
+
+  /** Thin wet trail left above the drop, fading with distance. */
+  float trailW = 1.0 - smoothstep(0.5, 1.0, abs(d.x) / (r * 0.35));
+  float trail  = trailW * step(f.y, y) * smoothstep(y - 0.6, y, f.y);
+
+  vec2 off = -d * drop * 0.9 + vec2(d.x * 0.3, 0.0) * trail;
+  return vec3(off, max(drop, trail * 0.35));
+}
+
+vec3 beadDrops(vec2 px, float cellPx, float seed) {
+  vec2 g  = px / cellPx;
+  vec2 id = floor(g);
+  vec2 f  = fract(g);
+
+  float h = hash12(id + seed);
+  if (h > coverage * 0.6) return vec3(0.0);
+
+  vec2  c    = vec2(0.3 + 0.4 * hash12(id + seed + 1.7), 0.3 + 0.4 * hash12(id + seed + 4.1));
+  vec2  d    = (f - c) * cellPx;
+  float r    = cellPx * (0.08 + 0.08 * hash12(id + seed + 9.2));
+  float life = 0.5 + 0.5 * sin(time * 0.35 + h * 6.2831);
+  float bead = (1.0 - smoothstep(0.75, 1.0, length(d) / r)) * smoothstep(0.2, 0.6, life);
+
+  return vec3(-d * bead * 0.8, bead * 0.6);
+}
+
+vec3 rainLayer(vec2 px) {
+  if (coverage <= 0.0) return vec3(0.0);
+  vec3 a = runningDrops(px, 70.0, 0.0);
+  vec3 b = runningDrops(px + vec2(31.0, 0.0), 46.0, 19.0);
+  vec3 c = beadDrops(px, 28.0, 41.0);
+  return vec3(a.xy + b.xy + c.xy, max(a.z, max(b.z, c.z)));
+}
+
+void main(void) {
+  vec4 src = texture2D(uSampler, vTextureCoord);
+
+  /** SCREEN position in CSS px (match Color) */
+  vec2 screenPx = outputFrame.xy + vTextureCoord * outputFrame.zw;
+  vec2 snapPx   = screenPx - camFrac;
+
+  /** ---- Region/suppression mask ---- */
+  float inMask = src.a;
+  if (hasMask > 0.5) {
+    bool maskUsable = (maskReady > 0.5) &&
+                      (viewSize.x >= 1.0) &&
+                      (viewSize.y >= 1.0);
+    if (maskUsable) {
+      vec2 samplePx = (uRegionShape < 0) ? screenPx : snapPx;
+
+      vec2 maskPx = floor(samplePx) + 0.5;
+      vec2 maskUV = fxmMaskUvFromCss(maskPx);
+      float a = fxmMaskSampleUv(maskUV);
+
+      if (feather > 0.5) {
+        vec2 px = fxmMaskTexel();
+        vec2 o  = px * feather;
+        float s = 0.0;
+        s += fxmMaskSampleUv(maskUV + vec2(-o.x, -o.y));
+        s += fxmMaskSampleUv(maskUV + vec2( 0.0, -o.y));
+        s += fxmMaskSampleUv(maskUV + vec2( o.x, -o.y));
+        s += fxmMaskSampleUv(maskUV + vec2(-o.x,  0.0));
+        s += a;
+        s += fxmMaskSampleUv(maskUV + vec2( o.x,  0.0));
+        s += fxmMaskSampleUv(maskUV + vec2(-o.x,  o.y));
+        s += fxmMaskSampleUv(maskUV + vec2( 0.0,  o.y));
+        s += fxmMaskSampleUv(maskUV + vec2( o.x,  o.y));
+        a = clamp(s / 9.0, 0.0, 1.0);
+      }
+
+      float m = (maskSoft > 0.5) ? a : ((uRegionShape < 0) ? step(0.5, a) : smoothstep(0.49, 0.51, a));
+      if (invertMask > 0.5) m = 1.0 - m;
+      inMask *= m;
+    }
+  }
+
+  /** ---- Region edge fade (percent or absolute) ---- */
+  float fadeEdge = 1.0;
+  vec2  pW       = applyCssToWorld((uRegionShape < 0) ? screenPx : snapPx);
+
+  if (uUsePct > 0.5) {
+    float pct = clamp(uFadePct, 0.0, 1.0);
+    if (pct > 0.0) {
+      if      (uRegionShape == 1) fadeEdge = fadePctRect(pW, pct);
+      else if (uRegionShape == 2) fadeEdge = fadePctEllipse(pW, pct);
+      else if (uRegionShape == 0) {
+        fadeEdge = (uUseSdf > 0.5) ? fadePctPoly_sdf(pW, pct) : fadePctPoly_edges(pW, pct);
+      }
+    }
+  } else {
+    float fw = (uFadeWorld > 0.0) ? uFadeWorld
+             : (uFadePx > 0.0   ? uFadePx * worldPerCss() : 0.0);
+    if (fw > 0.0) {
+      if      (uRegionShape == 1 || uRegionShape == 2) {
+        float sd = (uRegionShape == 1)
+          ? sdRect(pW, uCenter, uHalfSize, uRotation)
+          : sdEllipse(pW, uCenter, uHalfSize, uRotation);
+        fadeEdge = 1.0 - smoothstep(0.0, fw, sd + fw);
+      } else if (uRegionShape == 0) {
+        float d = sdPolySmooth(pW);
+        fadeEdge = 1.0 - smoothstep(0.0, fw, d + fw);
+      }
+    }
+  }
+
+  /** ---- Final weight = mask * fade ---- */
+  float weight = clamp(inMask * fadeEdge, 0.0, 1.0);
+  if (weight <= 0.0001 || strength <= 0.0) { gl_FragColor = src; return; }
+
+  /** ---- Screen-space lens layer ---- */
+  vec3 layer = (lensMode > 0.5) ? rainLayer(screenPx) : frostLayer(screenPx);
+  float amount = clamp(layer.z, 0.0, 1.0) * strength * weight;
+  if (amount <= 0.0001) { gl_FragColor = src; return; }
+
+  vec2 offPx = layer.xy * refraction * strength * weight;
+  vec4 seen  = texture2D(uSampler, vTextureCoord + offPx / max(viewSize, vec2(1.0)));
+
+  /** Frost covers with its color; droplets only catch a faint highlight. */
+  float cover = (lensMode > 0.5) ? amount * 0.15 : amount;
+  vec3 rgb = mix(seen.rgb, tint * src.a, cover);
+  gl_FragColor = vec4(rgb, src.a);
+}
@@ -0,0 +1,368 @@
+import { FXMasterFilterEffectMixin, preprocessShader } from "./mixins/filter.js";
+import fragment from "./shaders/vignette.frag";
+import { MAX_EDGES } from "../../constants.js";
+import { clamp01, clampRange } from "../../utils.js";
+import { reducedMotion } from "../../settings-access.js";
+import { AUDIO_CHANNEL_OPTIONS, BassBeatDetector, normalizeAudioChannels } from "./mixins/audio-trigger.js";
+
+/** Length of one audio-triggered heartbeat, in milliseconds. */
+const AUDIO_BEAT_MS = 900;
+
+/** Minimum gap between audio-triggered heartbeats, in milliseconds. */
+const AUDIO_BEAT_COOLDOWN_MS = 350;
+
+/**
+ * Return the current wall-clock time in milliseconds.
+ *
+ * @returns {number}
+ */
+function nowMs() {
+  return Date.now?.() ?? Math.round(performance?.now?.() ?? 0);
+}
+
+/**
+ * Sample a "lub-dub" heartbeat envelope.
+ *
+ * @param {number} phase Position within one beat cycle, 0..1.
+ * @returns {number} Envelope in 0..1.
+ */
+function heartbeatEnvelope(phase) {
+  const beat = (center, width) => Math.exp(-(((phase - center) / width) ** 2));
+  return Math.min(1, beat(0.08, 0.06) + 0.6 * beat(0.3, 0.07));
+}
+
+/**
+ * VignetteFilter
+ * --------------
+ * Lens-style vignette that darkens (or tints) the edges of the view.
+ * - Inner/outer radius and softness shape the falloff from the viewport center.
+ * - Optional heartbeat pulse at a fixed rate, or on bass peaks in audio-aware mode (fixed rate under reduced motion).
+ * - Region masks and analytic/polygon edge fades shared with the other filters.
+ */
+export class VignetteFilter extends FXMasterFilterEffectMixin(PIXI.Filter) {
+  /**
+   * Construct a VignetteFilter and initialize uniforms.
+   *
+   * @param {object} [options={}] Initial filter options.
+   * @param {string} [id] Stable id for filter instances.
+   */
+  constructor(options = {}, id) {
+    super(options, id, PIXI.Filter.defaultVertex, preprocessShader(fragment));
+
+    const u = (this.uniforms ??= {});
+    this.initMaskUniforms(u, { withStrength: true, strengthDefault: 0.7 });
+    this.initFadeUniforms(u);
+    this.initRegionFadeUniforms(u, { maxEdges: MAX_EDGES });
+    this.ensureVec2Uniform("camFrac", [0, 0]);
+    this.ensureVec4Uniform("outputFrame", [0, 0, 1, 1]);
+
+    u.innerRadius = typeof u.innerRadius === "number" ? u.innerRadius : 0.35;
+    u.outerRadius = typeof u.outerRadius === "number" ? u.outerRadius : 0.85;
+    u.softness = typeof u.softness === "number" ? u.softness : 0.5;
+    u.vignetteColor = u.vignetteColor instanceof Float32Array ? u.vignetteColor : new Float32Array([0, 0, 0]);
+    u.pulse = 0.0;
+
+    this._pulseElapsedMs = 0;
+    this._bassDetector = new BassBeatDetector();
+    this._beatStartedAt = 0;
+
+    this.configure(options);
+  }
+
+  /** i18n label key used by UI. */
+  static label = "FXMASTER.Filters.Effects.Vignette";
+
+  /** FontAwesome icon class used by UI. */
+  static icon = "fas fa-circle-dot";
+
+  static initialFadeDurationMs = 1500;
+
+  static fadeOutDurationMs = 1500;
+
+  /**
+   * Parameter schema exposed to configuration UIs.
+   *
+   * @returns {Record<string, object>} Parameter descriptors.
+   */
+  static get parameters() {
+    return {
+      belowTokens: { label: "FXMASTER.Params.BelowTokens", type: "checkbox", value: false },
+      belowTiles: { label: "FXMASTER.Params.BelowTiles", type: "checkbox", value: false },
+      soundFxEnabled: { label: "FXMASTER.Params.SoundFxEnabled", type: "checkbox", value: false },
+      color: {
+        label: "FXMASTER.Params.Tint",
+        type: "color",
+        value: { value: "#000000", apply: false },
+        tooltip: "FXMASTER.ParamTooltips.VignetteColor",
+        skipInitialAnimation: true,
+      },
+      strength: {
+        label: "FXMASTER.Params.Strength",
+        type: "range",
+        max: 1,
+        min: 0,
+        step: 0.01,
+        value: 0.7,
+        tooltip: "FXMASTER.ParamTooltips.VignetteStrength",
+      },
+      innerRadius: {
+        label: "FXMASTER.Params.InnerRadius",
+        type: "range",
+        max: 1,
+        min: 0,
+        step: 0.01,
+        value: 0.35,
+        tooltip: "FXMASTER.ParamTooltips.VignetteInnerRadius",
+      },
+      outerRadius: {
+        label: "FXMASTER.Params.OuterRadius",
+        type: "range",
+        max: 1.5,
+        min: 0,
+        step: 0.01,
+        value: 0.85,
+        tooltip: "FXMASTER.ParamTooltips.VignetteOuterRadius",
+      },
+      softness: {
+        label: "FXMASTER.Params.Softness",
+        type: "range",
+        max: 1,
+        min: 0,
+        step: 0.01,
+        value: 0.5,
+        tooltip: "FXMASTER.ParamTooltips.VignetteSoftness",
+      },
+      pulse: {
+        label: "FXMASTER.Params.Pulse",
+        type: "checkbox",
+        value: false,
+        tooltip: "FXMASTER.ParamTooltips.VignettePulse",
+      },
+      pulseRate: {
+        label: "FXMASTER.Params.PulseRate",
+        type: "range",
+        max: 180,
+        min: 30,
+        step: 1,
+        value: 70,
+        tooltip: "FXMASTER.ParamTooltips.VignettePulseRate",
+        showWhen: ({ get }) => get("pulse") === true && get("audioAware") !== true,
+      },
+      pulseDepth: {
+        label: "FXMASTER.Params.PulseDepth",
+        type: "range",
+        max: 1,
+        min: 0,
+        step: 0.01,
+        value: 0.4,
+        tooltip: "FXMASTER.ParamTooltips.VignettePulseDepth",
+        showWhen: { pulse: true },
+      },
+      audioAware: {
+        label: "FXMASTER.Params.AudioAware",
+        type: "checkbox",
+        value: false,
+        tooltip: "FXMASTER.ParamTooltips.VignetteAudioAware",
+        showWhen: { pulse: true },
+      },
+      audioChannels: {
+        label: "FXMASTER.Params.AudioChannels",
+        type: "multi-select",
+        tooltip: "FXMASTER.ParamTooltips.AudioChannels",
+        options: AUDIO_CHANNEL_OPTIONS,
+        value: ["music"],
+        showWhen: ({ get }) => get("pulse") === true && get("audioAware") === true,
+      },
+      audioBassThreshold: {
+        label: "FXMASTER.Params.AudioBassThreshold",
+        type: "range",
+        tooltip: "FXMASTER.ParamTooltips.AudioBassThreshold",
+        max: 1,
+        min: 0,
+        step: 0.01,
+        value: 0.75,
+        showWhen: ({ get }) => get("pulse") === true && get("audioAware") === true,
+      },
+    };
+  }
+
+  /**
+   * Neutral option values.
+   *
+   * @returns {{strength:number}}
+   */
+  static get neutral() {
+    return { strength: 0 };
+  }
+
+  /**
+   * Configure runtime state from options.
+   *
+   * @param {object} [options={}] Options payload.
+   */
+  configure(options = {}) {
+    super.configure(options);
+    this._applyVignetteOptions(this.options);
+  }
+
+  /**
+   * Apply options to uniforms and runtime state.
+   *
+   * @param {object} [options=this.options] Options payload.
+   */
+  applyOptions(options = this.options) {
+    this._applyVignetteOptions(options);
+    super.applyOptions(options);
+  }
+
+  /**
+   * Begin playing the effect and install the pulse ticker.
+   *
+   * @param {object} [opts={}] Options payload.
+   * @returns {this}
+   */
+  play(opts = {}) {
+    this.configure(opts);
+    super.play?.({ skipFading: true, ...opts });
+    this.enabled = true;
+
+    if (!this._vignetteTick) {
+      this._vignetteTick = this.addFilterTicker((deltaMS) => this._updatePulse(deltaMS));
+    }
+
+    this._updatePulse(0);
+    return this;
+  }
+
+  /**
+   * Fade out the effect and remove the ticker.
+   *
+   * @param {{durationMs?: number, skipFading?: boolean, easing?: Function}} [opts={}] Stop options.
+   * @returns {Promise<any>} Awaitable stop result.
+   */
+  stop({ durationMs = this.constructor.fadeOutDurationMs, skipFading, easing } = {}) {
+    return this.stopWithUniformFade({
+      uniformKey: "strength",
+      durationMs,
+      skipFading,
+      easing,
+      onDone: () => {
+        this._vignetteTick = null;
+        if (this.uniforms) this.uniforms.pulse = 0;
+      },
+    });
+  }
+
+  /**
+   * Apply the filter with scene-rect locking.
+   *
+   * @param {PIXI.FilterSystem} filterSystem Filter system.
+   * @param {PIXI.RenderTexture} input Input texture.
+   * @param {PIXI.RenderTexture} output Output texture.
+   * @param {PIXI.CLEAR_MODES|boolean} clear Clear flag.
+   * @param {object} currentState Current filter state.
+   * @returns {void}
+   */
+  apply(filterSystem, input, output, clear, currentState) {
+    return this.applyWithLock(filterSystem, input, output, clear, currentState, {
+      area: "sceneRect",
+      setDeviceToCss: false,
+    });
+  }
+
+  /**
+   * Apply and clamp Vignette options.
+   *
+   * @param {object} [options={}] Options payload.
+   * @returns {void}
+   * @private
+   */
+  _applyVignetteOptions(options = {}) {
+    const source = options && typeof options === "object" ? options : {};
+    const defaults = this.constructor.default;
+    const u = this.uniforms;
+
+    if (source.pulse !== undefined) this._pulseEnabled = source.pulse === true;
+    if (source.pulseRate !== undefined || this._pulseRate === undefined) {
+      this._pulseRate = clampRange(source.pulseRate, 30, 180, defaults.pulseRate ?? 70);
+    }
+    if (source.pulseDepth !== undefined || this._pulseDepth === undefined) {
+      this._pulseDepth = clamp01(source.pulseDepth, defaults.pulseDepth ?? 0.4);
+    }
+    if (source.audioAware !== undefined) this._audioAwareOption = source.audioAware === true;
+    if (source.audioChannels !== undefined || !this._audioChannels) {
+      this._audioChannels = normalizeAudioChannels(source.audioChannels, "music");
+    }
+    if (source.audioBassThreshold !== undefined || this._audioBassThreshold === undefined) {
+      this._audioBassThreshold = clamp01(source.audioBassThreshold, defaults.audioBassThreshold ?? 0.75);
+    }
+    this._audioAware = this._pulseEnabled === true && this._audioAwareOption === true && !reducedMotion();
+
+    if (!this._audioAware) {
+      this._bassDetector.reset();
+      this._beatStartedAt = 0;
+    }
+
+    if (!u) return;
+    if (source.strength !== undefined) u.strength = clamp01(source.strength, defaults.strength ?? 0.7);
+    if (source.innerRadius !== undefined) u.innerRadius = clamp01(source.innerRadius, defaults.innerRadius ?? 0.35);
+    if (source.outerRadius !== undefined) {
+      u.outerRadius = clampRange(source.outerRadius, 0, 1.5, defaults.outerRadius ?? 0.85);
+    }
+    if (source.softness !== undefined) u.softness = clamp01(source.softness, defaults.softness ?? 0.5);
+    if (source.color !== undefined) {
+      const rgb = this.parseColorOption(source.color, { defaultHex: "#000000" }) ?? [0, 0, 0];
+      const target = u.vignetteColor instanceof Float32Array ? u.vignetteColor : new Float32Array(3);
+      target.set(rgb.slice(0, 3));
+      u.vignetteColor = target;
+    }
+    if (!this._pulseEnabled) u.pulse = 0;
+
+    this.applyMaskOptionsFrom(source);
+    this.applyFadeOptionsFrom(source);
+  }
+
+  /**
+   * Advance the heartbeat envelope for the current frame.
+   *
+   * @param {number} [deltaMS=16.6] Frame delta in milliseconds.
+   * @returns {void}
+   * @private
+   */
+  _updatePulse(deltaMS = 16.6) {
+    const u = this.uniforms;
+    if (!u) return;
+
+    const dt = Number.isFinite(Number(deltaMS)) ? Math.max(0, Number(deltaMS)) : 16.6;
+    if (!this._pulseEnabled || !this.enabled) {
+      u.pulse = 0;
+      return;
+    }
+
+    if (this._audioAware) {
+      const currentTime = nowMs();
+      this._updateAudioTrigger(currentTime);
+      const elapsed = this._beatStartedAt ? currentTime - this._beatStartedAt : Infinity;
+      u.pulse = elapsed < AUDIO_BEAT_MS ? heartbeatEnvelope(elapsed / AUDIO_BEAT_MS) * this._pulseDepth : 0;
+      return;
+    }
+
+    const periodMs = 60000 / this._pulseRate;
+    this._pulseElapsedMs = (this._pulseElapsedMs + dt) % periodMs;
+    u.pulse = heartbeatEnvelope(this._pulseElapsedMs / periodMs) * this._pulseDepth;
+  }
+
+  /**
+   * Sample the configured audio channels and start a heartbeat on a bass rising edge.
+   *
+   * @param {number} currentTime Current wall-clock time in milliseconds.
+   * @returns {void}
+   * @private
+   */
+  _updateAudioTrigger(currentTime) {
+    const threshold = this._audioBassThreshold ?? 0.75;
+    if (this._bassDetector.update(this._audioChannels, threshold, currentTime, AUDIO_BEAT_COOLDOWN_MS)) {
+      this._beatStartedAt = currentTime;
+    }
+  }
+}
@@ -0,0 +1,263 @@
+import { FXMasterFilterEffectMixin, preprocessShader } from "./mixins/filter.js";
+import fragment from "./shaders/vision-mode.frag";
+import { MAX_EDGES } from "../../constants.js";
+import { clamp01, clampRange } from "../../utils.js";
+
+const VISION_LOOK_VALUES = Object.freeze({
+  nightVision: 0,
+  thermal: 1,
+  darkvision: 2,
+});
+
+const VISION_LOOK_OPTIONS = {
+  nightVision: "FXMASTER.VisionMode.Look.NightVision",
+  thermal: "FXMASTER.VisionMode.Look.Thermal",
+  darkvision: "FXMASTER.VisionMode.Look.Darkvision",
+};
+
+/** Monochrome tint per look while the tint is not applied. Thermal uses its own palette. */
+const DEFAULT_LOOK_TINT = {
+  nightVision: "#55ff66",
+  thermal: "#ffffff",
+  darkvision: "#ffffff",
+};
+
+/**
+ * VisionModeFilter
+ * ----------------
+ * Configurable post-process "vision" looks for goggles, senses, and magical sight.
+ * - Night-vision green, thermal false-color, and grayscale darkvision looks.
+ * - Scanlines, animated sensor noise, and a goggle vignette on top of any look.
+ * - Region masks and analytic/polygon edge fades shared with the other filters.
+ */
+export class VisionModeFilter extends FXMasterFilterEffectMixin(PIXI.Filter) {
+  /**
+   * Construct a VisionModeFilter and initialize uniforms.
+   *
+   * @param {object} [options={}] Initial filter options.
+   * @param {string} [id] Stable id for filter instances.
+   */
+  constructor(options = {}, id) {
+    super(options, id, PIXI.Filter.defaultVertex, preprocessShader(fragment));
+
+    const u = (this.uniforms ??= {});
+    this.initMaskUniforms(u, { withStrength: true, strengthDefault: 1.0 });
+    this.initFadeUniforms(u);
+    this.initRegionFadeUniforms(u, { maxEdges: MAX_EDGES });
+    this.ensureVec2Uniform("camFrac", [0, 0]);
+    this.ensureVec4Uniform("outputFrame", [0, 0, 1, 1]);
+
+    u.look = typeof u.look === "number" ? u.look | 0 : VISION_LOOK_VALUES.nightVision;
+    u.lookTint = u.lookTint instanceof Float32Array ? u.lookTint : new Float32Array([0.33, 1.0, 0.4]);
+    u.gain = typeof u.gain === "number" ? u.gain : 1.0;
+    u.scanlines = typeof u.scanlines === "number" ? u.scanlines : 0.3;
+    u.noiseAmt = typeof u.noiseAmt === "number" ? u.noiseAmt : 0.25;
+    u.vignette = typeof u.vignette === "number" ? u.vignette : 0.4;
+    u.seed = 0.0;
+
+    this.configure(options);
+  }
+
+  /** i18n label key used by UI. */
+  static label = "FXMASTER.Filters.Effects.VisionMode";
+
+  /** FontAwesome icon class used by UI. */
+  static icon = "fas fa-eye";
+
+  static initialFadeDurationMs = 1000;
+
+  static fadeOutDurationMs = 1000;
+
+  /**
+   * Parameter schema exposed to configuration UIs.
+   *
+   * @returns {Record<string, object>} Parameter descriptors.
+   */
+  static get parameters() {
+    return {
+      belowTokens: { label: "FXMASTER.Params.BelowTokens", type: "checkbox", value: false },
+      belowTiles: { label: "FXMASTER.Params.BelowTiles", type: "checkbox", value: false },
+      soundFxEnabled: { label: "FXMASTER.Params.SoundFxEnabled", type: "checkbox", value: false },
+      look: {
+        label: "FXMASTER.Params.VisionLook",
+        type: "select",
+        value: "nightVision",
+        options: VISION_LOOK_OPTIONS,
+        tooltip: "FXMASTER.ParamTooltips.VisionModeLook",
+      },
+      color: {
+        label: "FXMASTER.Params.Tint",
+        type: "color",
+        value: { value: DEFAULT_LOOK_TINT.nightVision, apply: false },
+        tooltip: "FXMASTER.ParamTooltips.VisionModeTint",
+        skipInitialAnimation: true,
+        hideWhen: { look: "thermal" },
+      },
+      strength: {
+        label: "FXMASTER.Params.Strength",
+        type: "range",
+        max: 1,
+        min: 0,
+        step: 0.01,
+        value: 1,
+        tooltip: "FXMASTER.ParamTooltips.VisionModeStrength",
+      },
+      brightness: {
+        label: "FXMASTER.Params.Brightness",
+        type: "range",
+        max: 2,
+        min: 0,
+        step: 0.05,
+        value: 1,
+        tooltip: "FXMASTER.ParamTooltips.VisionModeBrightness",
+      },
+      scanlines: {
+        label: "FXMASTER.Params.Scanlines",
+        type: "range",
+        max: 1,
+        min: 0,
+        step: 0.01,
+        value: 0.3,
+        tooltip: "FXMASTER.ParamTooltips.VisionModeScanlines",
+      },
+      noise: {
+        label: "FXMASTER.Params.SensorNoise",
+        type: "range",
+        max: 1,
+        min: 0,
+        step: 0.01,
+        value: 0.25,
+        tooltip: "FXMASTER.ParamTooltips.VisionModeNoise",
+      },
+      vignette: {
+        label: "FXMASTER.Params.GoggleVignette",
+        type: "range",
+        max: 1,
+        min: 0,
+        step: 0.01,
+        value: 0.4,
+        tooltip: "FXMASTER.ParamTooltips.VisionModeVignette",
+      },
+    };
+  }
+
+  /**
+   * Neutral option values.
+   *
+   * @returns {{strength:number}}
+   */
+  static get neutral() {
+    return { strength: 0 };
+  }
+
+  /**
+   * Configure runtime state from options.
+   *
+   * @param {object} [options={}] Options payload.
+   */
+  configure(options = {}) {
+    super.configure(options);
+    this._applyVisionOptions(this.options);
+  }
+
+  /**
+   * Apply options to uniforms and runtime state.
+   *
+   * @param {object} [options=this.options] Options payload.
+   */
+  applyOptions(options = this.options) {
+    this._applyVisionOptions(options);
+    super.applyOptions(options);
+  }
+
+  /**
+   * Begin playing the effect and install the sensor-noise ticker.
+   *
+   * @param {object} [opts={}] Options payload.
+   * @returns {this}
+   */
+  play(opts = {}) {
+    this.configure(opts);
+    super.play?.({ skipFading: true, ...opts });
+    this.enabled = true;
+
+    if (!this._visionTick) {
+      this._visionTick = this.addFilterTicker(() => {
+        this.uniforms.seed = (this.uniforms.seed + 17.31) % 1000.0;
+      });
+    }
+    return this;
+  }
+
+  /**
+   * Fade out the effect and remove the ticker.
+   *
+   * @param {{durationMs?: number, skipFading?: boolean, easing?: Function}} [opts={}] Stop options.
+   * @returns {Promise<any>} Awaitable stop result.
+   */
+  stop({ durationMs = this.constructor.fadeOutDurationMs, skipFading, easing } = {}) {
+    return this.stopWithUniformFade({
+      uniformKey: "strength",
+      durationMs,
+      skipFading,
+      easing,
+      onDone: () => {
+        this._visionTick = null;
+      },
+    });
+  }
+
+  /**
+   * Apply the filter with scene-rect locking.
+   *
+   * @param {PIXI.FilterSystem} filterSystem Filter system.
+   * @param {PIXI.RenderTexture} input Input texture.
+   * @param {PIXI.RenderTexture} output Output texture.
+   * @param {PIXI.CLEAR_MODES|boolean} clear Clear flag.
+   * @param {object} currentState Current filter state.
+   * @returns {void}
+   */
+  apply(filterSystem, input, output, clear, currentState) {
+    return this.applyWithLock(filterSystem, input, output, clear, currentState, {
+      area: "sceneRect",
+      setDeviceToCss: false,
+    });
+  }
+
+  /**
+   * Apply and clamp Vision Mode options.
+   *
+   * @param {object} [options={}] Options payload.
+   * @returns {void}
+   * @private
+   */
+  _applyVisionOptions(options = {}) {
+    const source = options && typeof options === "object" ? options : {};
+    const defaults = this.constructor.default;
+    const u = this.uniforms;
+
+    if (source.look !== undefined || !this._look) {
+      this._look = Object.hasOwn(VISION_LOOK_VALUES, source.look) ? source.look : defaults.look ?? "nightVision";
+    }
+
+    if (!u) return;
+    u.look = VISION_LOOK_VALUES[this._look];
+    if (source.strength !== undefined) u.strength = clamp01(source.strength, defaults.strength ?? 1);
+    if (source.brightness !== undefined) u.gain = clampRange(source.brightness, 0, 2, defaults.brightness ?? 1);
+    if (source.scanlines !== undefined) u.scanlines = clamp01(source.scanlines, defaults.scanlines ?? 0.3);
+    if (source.noise !== undefined) u.noiseAmt = clamp01(source.noise, defaults.noise ?? 0.25);
+    if (source.vignette !== undefined) u.vignette = clamp01(source.vignette, defaults.vignette ?? 0.4);
+    if (source.color !== undefined || source.look !== undefined) {
+      const fallback = DEFAULT_LOOK_TINT[this._look];
+      const rgb =
+        this.parseColorOption(source.color ?? this.options?.color, { defaultHex: fallback }) ??
+        this.parseColorOption(fallback);
+      const target = u.lookTint instanceof Float32Array ? u.lookTint : new Float32Array(3);
+      target.set(Array.from(rgb).slice(0, 3));
+      u.lookTint = target;
+    }
+
+    this.applyMaskOptionsFrom(source);
+    this.applyFadeOptionsFrom(source);
+  }
+}
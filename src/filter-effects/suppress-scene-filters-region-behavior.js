@@ -1,5 +1,7 @@
 import { fxmReadRegionBehaviorRuntimeState, resetFlag } from "../utils.js";
 import { packageId } from "../constants.js";
+import { regionTokenGateEmpty, regionTokenGatePredicate } from "../common/region-token-gates.js";
+import { createRegionTokenGateFields, REGION_TOKEN_GATE_CHOICES } from "../utils/region-schema.js";
 
 /**
  * Region behavior that suppresses scene-level Filter Effects within its area.
@@ -27,6 +29,7 @@ export class SuppressSceneFiltersBehaviorType extends foundry.data.regionBehavio
         none: "FXMASTER.Regions.ElevationVisibility.None",
         pov: "FXMASTER.Regions.ElevationVisibility.POV",
         targets: "FXMASTER.Regions.ElevationVisibility.Targets",
+        ...REGION_TOKEN_GATE_CHOICES,
       },
       label: "FXMASTER.Regions.ElevationVisibility.Label",
       localize: true,
@@ -43,6 +46,8 @@ export class SuppressSceneFiltersBehaviorType extends foundry.data.regionBehavio
       localize: true,
     });
 
+    Object.assign(schema, createRegionTokenGateFields());
+
     schema._elev_gmAlwaysVisible = new foundry.data.fields.BooleanField({
       required: false,
       nullable: false,
@@ -171,25 +176,15 @@ export class SuppressSceneFiltersBehaviorType extends foundry.data.regionBehavio
     const prev = runtimeGate.eventGate || { mode, latched: false };
     let latched = !!prev.latched;
 
-    const fxGateMode = runtimeGate.gateMode;
-    const targetIds = new Set(runtimeGate.tokenTargets ?? []);
     const tokensInRegion = Array.from(event.region?.tokens ?? []);
-    const isTargetToken = (t) => targetIds.has(t.document.id) || targetIds.has(t.document.uuid);
-
-    const countTargets = () => {
-      if (fxGateMode !== "targets" || targetIds.size === 0) return null;
-      let n = 0;
-      for (const t of tokensInRegion) if (isTargetToken(t)) n++;
-      return n;
-    };
+    const matchesGate = regionTokenGateEmpty(runtimeGate) ? null : regionTokenGatePredicate(runtimeGate);
+    const occupied = matchesGate ? tokensInRegion.some(matchesGate) : tokensInRegion.length > 0;
 
     if (mode === "enterExit") {
-      latched =
-        fxGateMode === "targets" && targetIds.size > 0 ? (countTargets() ?? 0) > 0 : (tokensInRegion.length ?? 0) > 0;
+      latched = occupied;
     } else if (mode === "enter") {
       if (evt !== CONST.REGION_EVENTS.TOKEN_ENTER) return;
-      latched =
-        fxGateMode === "targets" && targetIds.size > 0 ? (countTargets() ?? 0) > 0 : (tokensInRegion.length ?? 0) > 0;
+      latched = occupied;
     }
 
     if (prev.mode !== mode || !!prev.latched !== !!latched) {
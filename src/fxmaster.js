@@ -5,6 +5,8 @@ import { registerHandlebarsHelpers } from "./handlebars-helpers.js";
 import { registerGetSceneControlButtonsHook } from "./controls.js";
 import { packageId } from "./constants.js";
 import { registerPresetApi } from "./api.js";
+import { registerWeatherApi } from "./weather/weather-api.js";
+import { registerSceneConfigApi } from "./scene-config/scene-config-api.js";
 import { ParticleEffectsLayer } from "./particle-effects/particle-effects-layer.js";
 import { registerParticleBackgroundQueries } from "./particle-effects/backgrounds/particle-background-query-sync.js";
 import { createParticleBackgroundSurface } from "./particle-effects/backgrounds/background-surface-factory.js";
@@ -21,6 +23,7 @@ import { SuppressSceneParticlesBehaviorType } from "./particle-effects/suppress-
 import { FilterEffectsSceneManager } from "./filter-effects/filter-effects-scene-manager.js";
 import { FilterEffectsLayer } from "./filter-effects/filter-effects-layer.js";
 import { FilterRegionBehaviorType } from "./filter-effects/filter-effects-region-behavior.js";
+import { PresetRegionBehaviorType } from "./presets/preset-region-behavior.js";
 import { FXMasterFilterEffectMixin } from "./filter-effects/filters/mixins/filter.js";
 import { SuppressSceneFiltersBehaviorType } from "./filter-effects/suppress-scene-filters-region-behavior.js";
 import { SpecialEffectsLayer } from "./special-effects/special-effects-layer.js";
@@ -71,6 +74,8 @@ import "../css/filters-config.css";
 import "../css/particle-effects-config.css";
 import "../css/common.css";
 import "../css/fx-layers.css";
+import "../css/weather.css";
+import "../css/presets.css";
 
 CONFIG.fxmaster = CONFIG.fxmaster || {};
 CONFIG.fxmaster.FXMasterParticleEffect = FXMasterParticleEffect;
@@ -165,6 +170,7 @@ const PARTICLE_REGION_BEHAVIOR_TYPE = `${packageId}.particleEffectsRegion`;
 const FILTER_REGION_BEHAVIOR_TYPE = `${packageId}.filterEffectsRegion`;
 const SUPPRESS_SCENE_FILTERS_REGION_BEHAVIOR_TYPE = `${packageId}.suppressSceneFilters`;
 const SUPPRESS_SCENE_PARTICLES_REGION_BEHAVIOR_TYPE = `${packageId}.suppressSceneParticles`;
+const PRESET_REGION_BEHAVIOR_TYPE = `${packageId}.presetRegion`;
 
 function registerRegionBehaviorTypes() {
   const config = CONFIG?.RegionBehavior ?? null;
@@ -174,12 +180,14 @@ function registerRegionBehaviorTypes() {
   config.dataModels[FILTER_REGION_BEHAVIOR_TYPE] = FilterRegionBehaviorType;
   config.dataModels[SUPPRESS_SCENE_FILTERS_REGION_BEHAVIOR_TYPE] = SuppressSceneFiltersBehaviorType;
   config.dataModels[SUPPRESS_SCENE_PARTICLES_REGION_BEHAVIOR_TYPE] = SuppressSceneParticlesBehaviorType;
+  config.dataModels[PRESET_REGION_BEHAVIOR_TYPE] = PresetRegionBehaviorType;
 
   if (config.typeIcons) {
     config.typeIcons[PARTICLE_REGION_BEHAVIOR_TYPE] = "fas fa-hat-wizard";
     config.typeIcons[FILTER_REGION_BEHAVIOR_TYPE] = "fas fa-filter";
     config.typeIcons[SUPPRESS_SCENE_FILTERS_REGION_BEHAVIOR_TYPE] = "fas fa-ban";
     config.typeIcons[SUPPRESS_SCENE_PARTICLES_REGION_BEHAVIOR_TYPE] = "fas fa-cloud-slash";
+    config.typeIcons[PRESET_REGION_BEHAVIOR_TYPE] = "fas fa-cloud-bolt";
   }
 
   if (config.typeLabels) {
@@ -190,6 +198,7 @@ function registerRegionBehaviorTypes() {
       "FXMASTER.Regions.BehaviorNames.SuppressSceneFiltersRegionBehaviorName";
     config.typeLabels[SUPPRESS_SCENE_PARTICLES_REGION_BEHAVIOR_TYPE] =
       "FXMASTER.Regions.BehaviorNames.SuppressSceneParticlesRegionBehaviorName";
+    config.typeLabels[PRESET_REGION_BEHAVIOR_TYPE] = "FXMASTER.Regions.BehaviorNames.PresetRegionBehaviorName";
   }
 
   return true;
@@ -264,6 +273,8 @@ Hooks.once("init", function () {
   registerParticleBackgroundQueries();
   registerHandlebarsHelpers();
   registerPresetApi();
+  registerWeatherApi();
+  registerSceneConfigApi();
 
   foundry.utils.mergeObject(CONFIG.fxmaster, {
     filterEffects: FXMASTER.filterEffects,
@@ -0,0 +1,66 @@
+/**
+ * FXMaster: Accessibility Hooks
+ *
+ * Publishes each client's reduced motion state on its User and tells GMs when connected players have it on.
+ *
+ * @module hooks/accessibility-hooks
+ */
+
+import { packageId } from "../constants.js";
+import { logger } from "../logger.js";
+import { reducedMotion } from "../settings.js";
+
+/** User flag mirroring the client's reduced motion state. */
+const REDUCED_MOTION_FLAG = "reducedMotion";
+
+/**
+ * Return whether another user has published reduced motion as on.
+ *
+ * @param {User} user
+ * @returns {boolean}
+ */
+function hasReducedMotion(user) {
+  return !user?.isSelf && user?.getFlag?.(packageId, REDUCED_MOTION_FLAG) === true;
+}
+
+/**
+ * Tell the GM which users have reduced motion on.
+ *
+ * @param {User[]} users
+ * @returns {void}
+ */
+function notifyReducedMotionUsers(users) {
+  if (!game.user?.isGM || !users.length) return;
+  const names = users.map((user) => user.name).join(", ");
+  ui?.notifications?.info?.(game.i18n.format("FXMASTER.Settings.ReducedMotionNotice", { names }));
+}
+
+/**
+ * Register accessibility hooks.
+ *
+ * @param {object} _ctx - Shared hook context from {@link createHookContext}.
+ */
+export function registerAccessibilityHooks(_ctx) {
+  Hooks.once("ready", async () => {
+    const enabled = reducedMotion();
+    if (game.user && game.user.getFlag(packageId, REDUCED_MOTION_FLAG) !== enabled) {
+      try {
+        await game.user.setFlag(packageId, REDUCED_MOTION_FLAG, enabled);
+      } catch (err) {
+        logger.debug("FXMaster:", err);
+      }
+    }
+
+    notifyReducedMotionUsers(game.users?.filter((user) => user.active && hasReducedMotion(user)) ?? []);
+  });
+
+  Hooks.on("userConnected", (user, connected) => {
+    if (connected && hasReducedMotion(user)) notifyReducedMotionUsers([user]);
+  });
+
+  Hooks.on("updateUser", (user, changes) => {
+    if (!user.active || !hasReducedMotion(user)) return;
+    if (foundry.utils.getProperty(changes, `flags.${packageId}.${REDUCED_MOTION_FLAG}`) !== true) return;
+    notifyReducedMotionUsers([user]);
+  });
+}
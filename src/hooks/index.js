@@ -9,6 +9,9 @@
  * - **Canvas hooks** - canvasInit/canvasReady setup
  * - **Scene hooks** - updateScene, dropCanvasData, hotbarDrop, pan/zoom
  * - **UI hooks** - Management window tracking, scene controls, settings
+ * - **World time hooks** - updateWorldTime → scheduled weather
+ * - **Accessibility hooks** - reduced motion user flag → GM notice
+ * - **Performance hooks** - canvasReady/canvasTearDown → adaptive quality governor
  *
  * @module hooks
  */
@@ -20,6 +23,9 @@ import { registerCanvasHooks } from "./canvas-hooks.js";
 import { registerSceneHooks } from "./scene-hooks.js";
 import { registerUIHooks } from "./ui-hooks.js";
 import { registerTileConfigHooks } from "./tile-config-hooks.js";
+import { registerWorldTimeHooks } from "./world-time-hooks.js";
+import { registerAccessibilityHooks } from "./accessibility-hooks.js";
+import { registerPerformanceHooks } from "./performance-hooks.js";
 
 /**
  * Register all FXMaster Foundry VTT hooks.
@@ -35,4 +41,7 @@ export const registerHooks = function () {
   registerRegionHooks(ctx);
   registerCanvasHooks(ctx);
   registerSceneHooks(ctx);
+  registerWorldTimeHooks(ctx);
+  registerAccessibilityHooks(ctx);
+  registerPerformanceHooks(ctx);
 };
@@ -0,0 +1,24 @@
+/**
+ * FXMaster: Performance Hooks
+ *
+ * Attaches the adaptive quality governor to the canvas ticker and keeps Scene loads out of its frame samples.
+ *
+ * @module hooks/performance-hooks
+ */
+
+import { QualityGovernor } from "../common/quality-governor.js";
+
+/**
+ * Register performance hooks.
+ *
+ * @param {object} _ctx - Shared hook context from {@link createHookContext}.
+ */
+export function registerPerformanceHooks(_ctx) {
+  Hooks.on("canvasReady", () => {
+    const governor = QualityGovernor.instance;
+    governor.resetSamples();
+    governor.refresh();
+  });
+
+  Hooks.on("canvasTearDown", () => QualityGovernor.instance.resetSamples());
+}
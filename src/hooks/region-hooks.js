@@ -6,7 +6,7 @@
  * @module hooks/region-hooks
  */
 
-import { packageId } from "../constants.js";
+import { packageId, REGION_LIVE_UPDATE_OPTION } from "../constants.js";
 import { logger } from "../logger.js";
 import {
   coalesceNextFrame,
@@ -193,6 +193,22 @@ function syncRegionScopedEffects(regionDoc, { behaviorDocs = null, kinds = null
   }
 }
 
+/**
+ * Apply a live behavior update to the Region's running effects in place, without rebuilding emitters, filters or masks.
+ *
+ * @param {foundry.documents.RegionDocument} regionDoc
+ * @param {foundry.documents.RegionBehavior} behaviorDoc
+ * @returns {Promise<boolean>} False when the Region has to be redrawn instead.
+ * @private
+ */
+async function updateRegionScopedEffectsInPlace(regionDoc, behaviorDoc) {
+  if (!isEnabled() || !regionDocumentCanApplyInCurrentView(regionDoc, canvas?.scene ?? null)) return false;
+  if (behaviorDoc.type === PARTICLE_TYPE) {
+    return (await canvas.particleeffects?.updateRegionParticleOptions?.(regionDoc.id, behaviorDoc)) === true;
+  }
+  return canvas.filtereffects?.updateRegionFilterOptions?.(regionDoc.id, behaviorDoc) === true;
+}
+
 /**
  * Determine whether a region update originated from behavior CRUD or FXMaster behavior-side flag churn.
  *
@@ -531,7 +547,7 @@ export function registerRegionHooks(ctx) {
     }
   });
 
-  Hooks.on("updateRegionBehavior", (behaviorDoc) => {
+  Hooks.on("updateRegionBehavior", (behaviorDoc, _changed, options) => {
     const type = behaviorDoc?.type;
     const regionDoc = behaviorDoc?.parent;
     if (!type || regionDoc?.parent !== canvas.scene) return;
@@ -541,10 +557,21 @@ export function registerRegionHooks(ctx) {
 
     if (type === PARTICLE_TYPE || type === FILTER_TYPE) {
       const behaviorDocs = buildBehaviorHookSnapshot(regionDoc, behaviorDoc);
-      requestDeferredRegionScopedEffectsSync(regionDoc.id, behaviorDocs, {
-        particles: type === PARTICLE_TYPE,
-        filters: type === FILTER_TYPE,
-      });
+      const sync = () =>
+        requestDeferredRegionScopedEffectsSync(regionDoc.id, behaviorDocs, {
+          particles: type === PARTICLE_TYPE,
+          filters: type === FILTER_TYPE,
+        });
+      if (options?.[REGION_LIVE_UPDATE_OPTION]) {
+        updateRegionScopedEffectsInPlace(regionDoc, behaviorDoc)
+          .then((updated) => {
+            if (!updated) sync();
+          })
+          .catch((err) => {
+            logger.debug("FXMaster:", err);
+            sync();
+          });
+      } else sync();
       ctx.scheduleOpenWindowsRefresh();
     }
   });
@@ -8,6 +8,7 @@
 
 import { API_EFFECT_UPDATE_OPTIONS_FLAG, packageId } from "../constants.js";
 import { logger } from "../logger.js";
+import { easeFunctions } from "../ease.js";
 import {
   coalesceNextFrame,
   getRegionEffectPlaceablesForCurrentView,
@@ -52,8 +53,7 @@ const POST_CANVAS_PAN_RADIAL_FOLLOWUP_DELAY_MS = 10;
  */
 function shouldSkipApiEffectFading(scene, flat) {
   const base = "flags." + packageId + "." + API_EFFECT_UPDATE_OPTIONS_FLAG;
-  const touched = Object.keys(flat ?? {}).some((key) => key === base || key.startsWith(base + "."));
-  if (!touched) return false;
+  if (!touchesApiEffectUpdateOptions(flat)) return false;
 
   if (flat?.[base]?.skipFading === true) return true;
   if (flat?.[base]?.skipFading === false) return false;
@@ -63,6 +63,42 @@ function shouldSkipApiEffectFading(scene, flat) {
   return scene?.getFlag?.(packageId, API_EFFECT_UPDATE_OPTIONS_FLAG)?.skipFading === true;
 }
 
+/**
+ * Return whether a flattened scene update touched the one-shot API effect render options.
+ *
+ * @param {object} flat Flattened updateScene data.
+ * @returns {boolean}
+ */
+function touchesApiEffectUpdateOptions(flat) {
+  const base = "flags." + packageId + "." + API_EFFECT_UPDATE_OPTIONS_FLAG;
+  return Object.keys(flat ?? {}).some((key) => key === base || key.startsWith(base + "."));
+}
+
+/**
+ * Read the preset transition attached to the same scene update that changed the effect flags.
+ *
+ * The stored value is always read back from the scene because an unchanged transition is omitted from Foundry's update diff while the nonce still marks the flag as touched.
+ *
+ * @param {Scene} scene
+ * @param {object} flat Flattened updateScene data.
+ * @returns {{duration:number, ease:(t:number)=>number, pairs:Record<string,string>}|null}
+ */
+function getApiEffectTransition(scene, flat) {
+  if (!touchesApiEffectUpdateOptions(flat)) return null;
+
+  const raw = scene?.getFlag?.(packageId, API_EFFECT_UPDATE_OPTIONS_FLAG)?.transition;
+  const duration = Number(raw?.duration);
+  if (!raw || !Number.isFinite(duration) || duration < 0) return null;
+
+  const pairs = Object.fromEntries(
+    (Array.isArray(raw.pairs) ? raw.pairs : []).filter(
+      (pair) => Array.isArray(pair) && typeof pair[0] === "string" && typeof pair[1] === "string",
+    ),
+  );
+
+  return { duration, ease: easeFunctions[raw.ease] ?? easeFunctions.InOutSine, pairs };
+}
+
 /**
  * Determine whether a scene update removed the scene-level Screen Shake filter row.
  *
@@ -193,18 +229,19 @@ export function registerSceneHooks(ctx) {
     );
 
     const skipFading = shouldSkipApiEffectFading(scene, flat);
+    const transition = skipFading ? null : getApiEffectTransition(scene, flat);
     const screenShakeDeleted = filtersChanged && updateDeletesScreenShakeFilter(flat);
 
     if (effectsChanged || filtersChanged || stackChanged || data.active === true) invalidateEffectStackCache();
 
     if (effectsChanged) {
-      if (isEnabled()) await canvas.particleeffects?.drawParticleEffects?.({ soft: !skipFading });
+      if (isEnabled()) await canvas.particleeffects?.drawParticleEffects?.({ soft: !skipFading, transition });
       ctx.requestSceneParticlesSuppressionRefresh();
     }
 
     if (filtersChanged) {
       if (isEnabled()) {
-        await FilterEffectsSceneManager.instance.update({ skipFading });
+        await FilterEffectsSceneManager.instance.update({ skipFading, transition });
         ctx.ensurePinned();
       }
     }
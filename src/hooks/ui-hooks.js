@@ -1,7 +1,7 @@
 /**
  * FXMaster: UI & Window Hooks
  *
- * Tracks open management windows, updates scene control button highlights, and handles settings changes and resize events.
+ * Tracks open management windows, updates scene control button highlights, handles settings changes and resize events, and adds the scene configuration export/import entries to the Scenes directory.
  *
  * @module hooks/ui-hooks
  */
@@ -10,6 +10,7 @@ import { packageId } from "../constants.js";
 import { logger } from "../logger.js";
 import { coalesceNextFrame, updateSceneControlHighlights } from "../utils.js";
 import { isEnabled } from "../settings.js";
+import { downloadSceneConfig, promptImportSceneConfig } from "../scene-config/scene-config.js";
 
 /**
  * Register UI lifecycle hooks.
@@ -77,4 +78,22 @@ export function registerUIHooks(ctx) {
   });
 
   Hooks.on("canvasReady", () => scheduleSceneControlHighlights());
+
+  Hooks.on("getSceneContextOptions", (_app, options) => {
+    const sceneFromEntry = (li) => game.scenes?.get(li?.dataset?.entryId ?? li?.[0]?.dataset?.entryId) ?? null;
+    options.push(
+      {
+        name: "FXMASTER.SceneConfig.Export",
+        icon: '<i class="fas fa-file-export"></i>',
+        condition: () => game.user.isGM,
+        callback: (li) => downloadSceneConfig(sceneFromEntry(li)),
+      },
+      {
+        name: "FXMASTER.SceneConfig.Import",
+        icon: '<i class="fas fa-file-import"></i>',
+        condition: () => game.user.isGM,
+        callback: (li) => promptImportSceneConfig(sceneFromEntry(li)),
+      },
+    );
+  });
 }
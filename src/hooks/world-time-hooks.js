@@ -0,0 +1,29 @@
+/**
+ * FXMaster: World Time Hooks
+ *
+ * Advances world-time driven weather (schedules and generators) when `game.time.worldTime` changes.
+ *
+ * @module hooks/world-time-hooks
+ */
+
+import { isEnabled } from "../settings.js";
+import { evaluateAllWeatherSchedules } from "../weather/weather-schedule.js";
+import { advanceAllWeatherGenerators } from "../weather/weather-generator.js";
+
+/**
+ * Register world-time hooks.
+ *
+ * @param {object} _ctx - Shared hook context from {@link createHookContext}.
+ */
+export function registerWorldTimeHooks(_ctx) {
+  Hooks.once("ready", () => {
+    if (!game.user?.isGM || !isEnabled()) return;
+    void evaluateAllWeatherSchedules();
+  });
+
+  Hooks.on("updateWorldTime", (worldTime) => {
+    if (!game.user?.isGM || !isEnabled()) return;
+    void evaluateAllWeatherSchedules(worldTime);
+    void advanceAllWeatherGenerators(worldTime);
+  });
+}
@@ -130,6 +130,20 @@ function getMacroEffectEntries(scene, particleEffectFlags, filterFlags) {
   return entries;
 }
 
+/**
+ * Snapshot a scene's particle and filter effects in the current FX stack order.
+ *
+ * @param {Scene|null|undefined} [scene]
+ * @returns {Array<object>} Effect infos tagged with their `kind`.
+ */
+export function getSceneEffectEntries(scene = canvas?.scene ?? null) {
+  return getMacroEffectEntries(
+    scene,
+    scene?.getFlag(packageId, "effects") ?? {},
+    scene?.getFlag(packageId, "filters") ?? {},
+  );
+}
+
 /**
  * Build a macro command that replays the saved effects through the API-effect path.
  *
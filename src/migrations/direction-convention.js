@@ -194,6 +194,31 @@ async function migrateScene(scene) {
   return Object.keys(update).length > 1;
 }
 
+export function migrateSceneFlagsDirectionConvention(fxmasterFlags, fromVersion = 0) {
+  if (!isPlainObject(fxmasterFlags)) return false;
+  let changed = false;
+  if ((Number(fromVersion) || 0) < DIRECTION_CONVENTION_MIGRATION_VERSION) {
+    if (migrateSceneEffectMapInPlace(fxmasterFlags.effects)) changed = true;
+    if (migrateSceneEffectMapInPlace(fxmasterFlags.filters)) changed = true;
+  }
+  fxmasterFlags[DOCUMENT_MIGRATION_FLAG] = DIRECTION_CONVENTION_MIGRATION_VERSION;
+  return changed;
+}
+
+export function migrateRegionBehaviorDirectionConvention(source, fromVersion = 0) {
+  if (!isPlainObject(source) || !isEffectRegionBehavior(source)) return false;
+  source.flags ??= {};
+  source.flags[packageId] ??= {};
+
+  let changed = false;
+  if ((Number(fromVersion) || 0) < DIRECTION_CONVENTION_MIGRATION_VERSION) {
+    if (migrateRegionBehaviorSystemInPlace(source.system)) changed = true;
+    if (migrateRegionBehaviorFlagsInPlace(source.flags[packageId]).length) changed = true;
+  }
+  source.flags[packageId][DOCUMENT_MIGRATION_FLAG] = DIRECTION_CONVENTION_MIGRATION_VERSION;
+  return changed;
+}
+
 async function migrateRegionBehavior(behavior) {
   const source = behavior.toObject?.() ?? {};
   if (!isEffectRegionBehavior(source)) return false;
@@ -214,6 +214,35 @@ async function migrateScene(scene) {
   return Object.keys(update).length > 1;
 }
 
+export function migrateSceneFlagsParameterRanges(fxmasterFlags, fromVersion = 0) {
+  if (!isPlainObject(fxmasterFlags)) return false;
+  let changed = false;
+  if ((Number(fromVersion) || 0) < PARAMETER_RANGE_MIGRATION_VERSION) {
+    assertNoUnknownEffects("Scene particle effects", unknownEffectTypesInMap("particle", fxmasterFlags.effects));
+    assertNoUnknownEffects("Scene filter effects", unknownEffectTypesInMap("filter", fxmasterFlags.filters));
+    if (migrateSceneEffectMapInPlace("particle", fxmasterFlags.effects)) changed = true;
+    if (migrateSceneEffectMapInPlace("filter", fxmasterFlags.filters)) changed = true;
+  }
+  fxmasterFlags[DOCUMENT_MIGRATION_FLAG] = PARAMETER_RANGE_MIGRATION_VERSION;
+  return changed;
+}
+
+export function migrateRegionBehaviorParameterRanges(source, fromVersion = 0) {
+  if (!isPlainObject(source) || !isEffectRegionBehavior(source)) return false;
+  source.flags ??= {};
+  source.flags[packageId] ??= {};
+
+  let changed = false;
+  if ((Number(fromVersion) || 0) < PARAMETER_RANGE_MIGRATION_VERSION) {
+    const kind = regionBehaviorEffectKind(source);
+    assertNoUnknownEffects(`Region behavior ${kind} system`, unknownEnabledFlatEffectTypes(kind, source.system));
+    if (migrateRegionBehaviorSystemInPlace(kind, source.system)) changed = true;
+    if (migrateRegionBehaviorFlagsInPlace(kind, source.flags[packageId])) changed = true;
+  }
+  source.flags[packageId][DOCUMENT_MIGRATION_FLAG] = PARAMETER_RANGE_MIGRATION_VERSION;
+  return changed;
+}
+
 async function migrateRegionBehavior(behavior) {
   const source = behavior.toObject?.() ?? {};
   if (!isEffectRegionBehavior(source)) return false;
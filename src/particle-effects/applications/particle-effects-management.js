@@ -3,6 +3,7 @@ import { packageId } from "../../constants.js";
 import { resetFlag, updateSceneControlHighlights } from "../../utils.js";
 import { logger } from "../../logger.js";
 import { getHiddenEffectsCount, openEffectsVisibilityManager } from "../../common/effects-visibility-manager.js";
+import { getKeyframeableEffectTypes, openKeyframeEditor } from "../../common/keyframe-editor.js";
 import { buildSceneEffectUid, promoteEffectStackUids } from "../../common/effect-stack.js";
 import { reconcileParticleBackgroundState } from "../backgrounds/background-state.js";
 
@@ -31,6 +32,7 @@ export class ParticleEffectsManagement extends FXMasterBaseFormV2 {
       updateParam: ParticleEffectsManagement.updateParam,
       particleEffectAction: ParticleEffectsManagement.particleEffectAction,
       openHideEffects: ParticleEffectsManagement.openHideEffects,
+      openKeyframes: ParticleEffectsManagement.openKeyframes,
     },
     window: {
       title: "FXMASTER.Common.ParticleEffectsManagementTitle",
@@ -132,9 +134,23 @@ export class ParticleEffectsManagement extends FXMasterBaseFormV2 {
       particleEffectGroups: ordered,
       activeEffects,
       passiveEffects,
+      keyframeTypes: getKeyframeableEffectTypes("particle"),
     };
   }
 
+  /**
+   * Open the keyframe timeline editor for the effect row that owns the clicked button.
+   * @param {PointerEvent} event
+   * @param {HTMLElement} button
+   * @returns {void}
+   */
+  static openKeyframes(event, button) {
+    event?.preventDefault?.();
+    event?.stopPropagation?.();
+    const type = button?.dataset?.effectType;
+    if (type) openKeyframeEditor({ kind: "particle", type });
+  }
+
   /**
    * Invoke a particle effect-provided action from an effect option row.
    *
@@ -420,6 +436,7 @@ export class ParticleEffectsManagement extends FXMasterBaseFormV2 {
 
         const definition = cur[`core_${type}`];
         const prev = definition?.options ?? {};
+        if (prev.keyframes) options.keyframes = prev.keyframes;
         const nextState = reconcileParticleBackgroundState(definition, options);
         const previousState = definition?.state ?? null;
         const a = foundry.utils.diffObject(prev, options);
@@ -8,6 +8,7 @@ import {
   unwrapParticleBackgroundOption,
 } from "./background-state.js";
 import { logger } from "../../logger.js";
+import { adaptiveResolutionScale } from "../../common/quality-governor.js";
 import { snappedStageMatrix } from "../../utils/viewport.js";
 
 const VERTEX_SHADER = `
@@ -143,7 +144,7 @@ export function resolveDimensions(source) {
 
 function resolveFilterResolution(renderer) {
   const resolution = Number(renderer?.resolution ?? globalThis.canvas?.app?.renderer?.resolution ?? 1);
-  return clamp(resolution, 1, 2, 1);
+  return clamp(resolution, 1, 2, 1) * adaptiveResolutionScale();
 }
 
 export class ParticleAccumulationBackgroundSurface {
@@ -265,7 +266,7 @@ void main() {
     });
     this.filter.padding = 0;
     this.filter.autoFit = true;
-    this.filter.resolution = resolveFilterResolution(renderer);
+    this.filter.resolution = this._filterResolution(renderer);
 
     this.displayObject = new PIXI.Sprite(PIXI.Texture.WHITE);
     this.displayObject.name = "fxmParticleBackgroundSurface";
@@ -331,7 +332,7 @@ void main() {
     this.filter.uniforms.uDriftScale = this.driftScale;
     this.filter.uniforms.uWind = resolveWindVector(this.options);
     this.filter.uniforms.uTrailStrength = this.trailStrength;
-    this.filter.resolution = resolveFilterResolution(renderer);
+    this.filter.resolution = this._filterResolution(renderer);
 
     if (dimensions) this.setDimensions(dimensions);
     this._configureTrailStore();
@@ -549,6 +550,16 @@ void main() {
     return clamp(this._progressBase + elapsed / (this.durationSeconds * 1000), 0, 1, 0);
   }
 
+  /**
+   * Resolution for the surface filter. Follows the adaptive quality governor, so it is re-resolved every frame.
+   *
+   * @param {object|null} [renderer]
+   * @returns {number}
+   */
+  _filterResolution(renderer = null) {
+    return resolveFilterResolution(renderer);
+  }
+
   /**
    * @param {{fx?:PIXI.DisplayObject|null, now?:number, tick?:number}} [config]
    */
@@ -566,6 +577,8 @@ void main() {
         CONFIG.fxmaster?.getParticleContext?.(this.owner ?? this.options) ?? this.options?.__fxmParticleContext ?? null;
       uniforms.uCssToWorld = updateCssToWorldMatrix(uniforms.uCssToWorld, particleContext);
       this._syncTrailUniforms(tick);
+      const resolution = this._filterResolution();
+      if (Math.abs((Number(this.filter.resolution) || 1) - resolution) > 0.01) this.filter.resolution = resolution;
       this._updateSurfaceUniforms?.({ now, tick, progress, uniforms, fx });
     }
 
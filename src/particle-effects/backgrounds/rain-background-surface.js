@@ -4,6 +4,7 @@ import {
   unwrapParticleBackgroundOption,
 } from "./background-state.js";
 import { ParticleAccumulationBackgroundSurface, clamp } from "./background-surface-base.js";
+import { adaptiveResolutionScale } from "../../common/quality-governor.js";
 
 const RAIN_FRAGMENT_SHADER = `
 #ifdef GL_FRAGMENT_PRECISION_HIGH
@@ -832,6 +833,12 @@ export class RainBackgroundSurface extends ParticleAccumulationBackgroundSurface
     uniforms.uRainSheetTime = this._rainSheetTime;
   }
 
+  /** @override */
+  _filterResolution() {
+    const resolution = rainBackgroundFilterResolutionForQuality(this.filter, rainBackgroundQualityForZoom());
+    return resolution * adaptiveResolutionScale();
+  }
+
   /** @override */
   _trailActivityDurationSeconds() {
     return this.interactionEnabled ? clamp(this.interactionSettleTime, 0.4, 5, 2.8) + 0.35 : 0;
@@ -851,12 +858,7 @@ export class RainBackgroundSurface extends ParticleAccumulationBackgroundSurface
     uniforms.uRainSpeed = clamp(this.rainSpeed, 0.1, 5, 1);
     uniforms.uRainTopDown = this.rainTopDown ? 1 : 0;
     this._syncRainSheetWindUniform({ uniforms, tick });
-    const backgroundQuality = rainBackgroundQualityForZoom();
-    uniforms.uRainBackgroundQuality = backgroundQuality;
-    const filterResolution = rainBackgroundFilterResolutionForQuality(this.filter, backgroundQuality);
-    if (this.filter && Math.abs((Number(this.filter.resolution) || 1) - filterResolution) > 0.01) {
-      this.filter.resolution = filterResolution;
-    }
+    uniforms.uRainBackgroundQuality = rainBackgroundQualityForZoom();
     uniforms.uRainInteractionStrength = this.interactionEnabled ? clamp(this.interactionStrength, 0, 1, 0.75) : 0;
     uniforms.uRainInteractionLiftChance = this.interactionEnabled ? clamp(this.interactionLiftChance, 0, 1, 0.35) : 0;
     uniforms.uRainInteractionSettleTime = clamp(this.interactionSettleTime, 0.4, 5, 2.8);
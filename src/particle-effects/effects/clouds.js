@@ -54,6 +54,14 @@ export class CloudsParticleEffect extends FXMasterParticleEffect {
     return false;
   }
 
+  /**
+   * Clouds spawn upwind of the scene, so a direction change rebuilds the emitter.
+   * @override
+   */
+  static get liveParameters() {
+    return ["density", "speed"];
+  }
+
   /**
    * Configuration for the particle emitter for drifting clouds
    * @type {PIXI.particles.EmitterConfigV3}
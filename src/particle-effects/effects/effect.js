@@ -7,6 +7,7 @@
  * PIXI emitter configs.
  * - Provides helpers for pre-warming (play) and graceful teardown (fadeOut).
  * - Includes V1-V2 option converters for scene-dimension-aware values.
+ * - Caps speed at the authored default while reduced motion is on.
  */
 
 import {
@@ -15,6 +16,9 @@ import {
   roundToDecimals,
 } from "../../utils.js";
 import { logger } from "../../logger.js";
+import { PARTICLE_KEYFRAME_PARAMETERS } from "../../common/keyframes.js";
+import { reducedMotion } from "../../settings-access.js";
+import { adaptiveDensityScale } from "../../common/quality-governor.js";
 
 /** ------------------------------------------------------------------------- */
 /** Lateral Movement Helpers                                                  */
@@ -429,6 +433,84 @@ function fxmRetargetEmitterRotationBehaviors(emitter, targetRadians) {
   }
 }
 
+/**
+ * Blend the live parameters of two stored option sets. Numbers interpolate linearly and direction takes the shorter arc; every other option comes from `to`.
+ *
+ * @param {string[]} names - Live parameter names.
+ * @param {object} from - Stored options at progress 0.
+ * @param {object} to - Stored options at progress 1.
+ * @param {number} k - Eased progress in [0, 1].
+ * @returns {object}
+ */
+function fxmBlendLiveOptions(names, from, to, k) {
+  const out = { ...(to ?? {}) };
+  for (const name of names) {
+    const a = Number(fxmOptionValue(from?.[name], NaN));
+    const b = Number(fxmOptionValue(to?.[name], NaN));
+    if (!Number.isFinite(a) || !Number.isFinite(b)) continue;
+
+    const delta = name === "direction" ? ((((b - a) % 360) + 540) % 360) - 180 : b - a;
+    const value = k >= 1 ? b : a + delta * k;
+    const source = to?.[name];
+    out[name] = source && typeof source === "object" && "value" in source ? { ...source, value } : value;
+  }
+  return out;
+}
+
+/**
+ * Turn an emitter's spawn heading and its live particles by an angle. Velocities, movePath headings, sprite rotations and cached movement headings all turn together, so particles keep flying without respawning.
+ *
+ * @param {PIXI.particles.Emitter} emitter
+ * @param {number} radians - Clockwise screen-space turn.
+ * @returns {void}
+ */
+function fxmTurnEmitter(emitter, radians) {
+  if (!emitter || !Number.isFinite(radians) || radians === 0) return;
+
+  const rotation = typeof emitter.getBehavior === "function" ? emitter.getBehavior("rotation") : null;
+  if (rotation && Number.isFinite(rotation.minStart) && Number.isFinite(rotation.maxStart)) {
+    rotation.minStart += radians;
+    rotation.maxStart += radians;
+  }
+
+  const rotationStatic = typeof emitter.getBehavior === "function" ? emitter.getBehavior("rotationStatic") : null;
+  if (rotationStatic && Number.isFinite(rotationStatic.min) && Number.isFinite(rotationStatic.max)) {
+    rotationStatic.min += radians;
+    rotationStatic.max += radians;
+  }
+
+  const pathBehavior = typeof emitter.getBehavior === "function" ? emitter.getBehavior("movePath") : null;
+
+  fxmForEachEmitterParticle(emitter, (particle) => {
+    if (!particle) return;
+
+    const initRotation = Number(particle.config?.initRotation);
+    const turnedPath =
+      pathBehavior && Number.isFinite(initRotation)
+        ? fxmRetargetMovePathParticle(particle, pathBehavior, initRotation + radians, 1)
+        : false;
+
+    const velocity = particle.config?.velocity ?? particle.velocity ?? particle._velocity;
+    if (!turnedPath && velocity && Number.isFinite(velocity.x) && Number.isFinite(velocity.y)) {
+      const turned = fxmRotatePointRadians(radians, velocity.x, velocity.y);
+      if (typeof velocity.set === "function") velocity.set(turned.x, turned.y);
+      else {
+        velocity.x = turned.x;
+        velocity.y = turned.y;
+      }
+    }
+
+    if (typeof particle.rotation === "number") particle.rotation += radians;
+    if (typeof particle._fxmLM_baseRot === "number") particle._fxmLM_baseRot += radians;
+    if (typeof particle._fxmLM_visRot === "number") particle._fxmLM_visRot += radians;
+    if (typeof particle._fxmTA_forwardX === "number" && typeof particle._fxmTA_forwardY === "number") {
+      const forward = fxmRotatePointRadians(radians, particle._fxmTA_forwardX, particle._fxmTA_forwardY);
+      particle._fxmTA_forwardX = forward.x;
+      particle._fxmTA_forwardY = forward.y;
+    }
+  });
+}
+
 /**
  * Locate the rectangle used for orbit geometry.
  *
@@ -650,7 +732,33 @@ export class FXMasterParticleEffect extends CONFIG.fxmaster.ParticleEffectNS {
       }
     }
 
-    return CONFIG.fxmaster?.normalizeEffectOptionsForRuntime?.(this, merged) ?? merged;
+    const runtime = CONFIG.fxmaster?.normalizeEffectOptionsForRuntime?.(this, merged) ?? merged;
+    return this._applyReducedMotionToOptions(runtime);
+  }
+
+  /**
+   * Fastest runtime speed allowed while reduced motion is on. Defaults to the effect's authored default speed.
+   *
+   * @returns {number}
+   */
+  static get reducedMotionMaxSpeed() {
+    const parameter = this.parameters?.speed;
+    return Number(parameter?.__fxmInternalRange?.value ?? parameter?.value) || 1;
+  }
+
+  /**
+   * Cap the runtime speed at {@link reducedMotionMaxSpeed} while reduced motion is on.
+   *
+   * @param {object} options Runtime options.
+   * @returns {object}
+   */
+  static _applyReducedMotionToOptions(options) {
+    const speed = options?.speed;
+    if (!speed || typeof speed !== "object" || !reducedMotion()) return options;
+
+    const cap = this.reducedMotionMaxSpeed;
+    if (!(Number(speed.value) > cap)) return options;
+    return { ...options, speed: { ...speed, value: cap } };
   }
 
   /**
@@ -702,6 +810,22 @@ export class FXMasterParticleEffect extends CONFIG.fxmaster.ParticleEffectNS {
     return false;
   }
 
+  /**
+   * Parameters that keyframe timelines may animate on a running instance. Only parameters that can be applied to live emitters belong here; everything else is baked into emitter configs at construction.
+   * @returns {string[]}
+   */
+  static get keyframeParameters() {
+    return PARTICLE_KEYFRAME_PARAMETERS;
+  }
+
+  /**
+   * Parameters that {@link updateParticleOptions} applies to a running instance without rebuilding its emitters. Density and speed rescale the emitters; direction turns their rotation behaviors and live particles.
+   * @returns {string[]}
+   */
+  static get liveParameters() {
+    return ["density", "speed", "direction"];
+  }
+
   /**
    * Compute a density scale factor from Foundry's canvas Performance Mode. MAX = 1.0, HIGH = 0.75, MED = 0.5, LOW = 0.25 Falls back to 1.0 if the setting or CONST are unavailable.
    */
@@ -1072,6 +1196,7 @@ export class FXMasterParticleEffect extends CONFIG.fxmaster.ParticleEffectNS {
       this._fxmInstallOrbitMovement(emitter, opts, { wrap: true });
       this._fxmInstallSynchronizedDirection(emitter, opts, { wrap: true });
       this._fxmInstallTokenAvoidance(emitter, opts, { wrap: true });
+      this._fxmInstallLiveTimeScale(emitter);
     } catch (err) {
       logger.debug("FXMaster:", err);
     }
@@ -1435,6 +1560,197 @@ export class FXMasterParticleEffect extends CONFIG.fxmaster.ParticleEffectNS {
     if (wasAuto) emitter.autoUpdate = true;
   }
 
+  /**
+   * Apply live density and speed values to the running emitters.
+   *
+   * Values are in stored (UI) ranges. Density scales each emitter's particle budget and spawn rate relative to the configured density. Speed becomes a simulation time scale relative to the configured speed, which matches how speed is baked into emitter configs (velocity up, lifetime and spawn interval down). Passing an empty object restores the configured values.
+   *
+   * @param {Record<string, number>} [values]
+   * @returns {void}
+   */
+  _fxmApplyLiveValues(values = {}) {
+    const options = this._fxmLastOptions ?? this.options ?? {};
+    const runtimeValues =
+      CONFIG.fxmaster?.normalizeEffectOptionsForRuntime?.(this.constructor, { ...values }) ?? values;
+    const ratio = (name) => {
+      const value = Number(runtimeValues?.[name]);
+      const base = Number(options?.[name]?.value ?? this.constructor.parameters?.[name]?.value);
+      return Number.isFinite(value) && Number.isFinite(base) && base > 0 ? Math.max(0, value / base) : 1;
+    };
+
+    let timeScale = ratio("speed");
+    if (reducedMotion()) {
+      const base = Number(options?.speed?.value ?? this.constructor.parameters?.speed?.value);
+      if (base > 0) timeScale = Math.min(timeScale, this.constructor.reducedMotionMaxSpeed / base);
+    }
+    this._fxmLiveTimeScale = timeScale;
+
+    this._fxmLiveDensity = ratio("density");
+    for (const emitter of this.emitters ?? []) this._fxmApplyEmitterDensity(emitter);
+  }
+
+  /**
+   * Density multiplier applied on top of the configured and keyframed density: the adaptive quality governor's scale times the Region intensity falloff.
+   *
+   * @returns {number}
+   */
+  _fxmRuntimeDensityScale() {
+    return adaptiveDensityScale() * (this._fxmRegionIntensity ?? 1);
+  }
+
+  /**
+   * Set the Region intensity falloff multiplier. Running emitters and procedural surfaces pick it up on their next update.
+   *
+   * @param {number} intensity - Multiplier in [0..1].
+   * @returns {void}
+   */
+  setRegionIntensity(intensity) {
+    const value = Number(intensity);
+    this._fxmRegionIntensity = Number.isFinite(value) ? Math.max(0, Math.min(1, value)) : 1;
+  }
+
+  /**
+   * Scale an emitter's particle budget and spawn rate from its configured values by the live density and {@link _fxmRuntimeDensityScale}.
+   *
+   * @param {PIXI.particles.Emitter} emitter
+   * @returns {void}
+   */
+  _fxmApplyEmitterDensity(emitter) {
+    emitter._fxmLiveBase ??= { maxParticles: emitter.maxParticles, frequency: emitter.frequency };
+    const base = emitter._fxmLiveBase;
+    const runtimeScale = this._fxmRuntimeDensityScale();
+    const density = (this._fxmLiveDensity ?? 1) * runtimeScale;
+    emitter._fxmRuntimeDensityScale = runtimeScale;
+    emitter.maxParticles = Math.max(1, Math.round(base.maxParticles * density));
+    emitter.frequency = base.frequency / Math.max(0.01, density);
+  }
+
+  /**
+   * Apply keyframed parameter values to the running emitters, on top of the values last applied by {@link updateParticleOptions}. Passing an empty object restores those values, or the configured ones.
+   *
+   * @param {Record<string, number>} [values]
+   * @returns {void}
+   */
+  applyKeyframeValues(values = {}) {
+    this._fxmKeyframeValues = values;
+    this._fxmApplyLiveValues({ ...(this._fxmLiveOptionValues ?? {}), ...values });
+  }
+
+  /**
+   * Whether an option edit only changes {@link liveParameters}, which {@link updateParticleOptions} can apply to the running emitters.
+   *
+   * @param {object} previous Previous wrapped options.
+   * @param {object} next Next wrapped options.
+   * @returns {boolean}
+   */
+  canUpdateParticleOptionsInPlace(previous = {}, next = {}) {
+    const live = new Set(this.constructor.liveParameters ?? []);
+    if (!live.size) return false;
+
+    let changed = false;
+    for (const key of new Set([...Object.keys(previous ?? {}), ...Object.keys(next ?? {})])) {
+      if (key.startsWith("__fxm")) continue;
+      if (JSON.stringify(previous?.[key]) === JSON.stringify(next?.[key])) continue;
+      if (!live.has(key)) return false;
+      changed = true;
+    }
+    return changed;
+  }
+
+  /**
+   * Apply new {@link liveParameters} values to the running emitters without rebuilding them. Density and speed become the baseline that keyframe timelines fall back to; a direction change turns the emitters with {@link _fxmApplyLiveDirection}.
+   *
+   * @param {object} options Wrapped stored options.
+   * @returns {boolean} False when the values could not be applied, so the caller rebuilds the effect instead.
+   */
+  updateParticleOptions(options = {}) {
+    const live = this.constructor.liveParameters ?? [];
+    const values = {};
+    for (const name of live) {
+      if (name === "direction") continue;
+      const value = Number(fxmOptionValue(options?.[name], NaN));
+      if (Number.isFinite(value)) values[name] = value;
+    }
+    this._fxmLiveOptionValues = values;
+    this.applyKeyframeValues(this._fxmKeyframeValues ?? {});
+    if (live.includes("direction")) this._fxmApplyLiveDirection(options);
+    return true;
+  }
+
+  /**
+   * Turn the running emitters to a new direction option. Spawn rotation ranges and live particles turn by the change in heading, so particles keep their positions and ages.
+   *
+   * Directions that do not apply to the emitters (top-down, orbit, or Directional Movement off) only record the new value. Emitters synchronized to a wind source steer toward it on their own and fall back to the new value.
+   *
+   * @param {object} options Wrapped stored options.
+   * @returns {void}
+   */
+  _fxmApplyLiveDirection(options = {}) {
+    const runtime = this.constructor.mergeWithDefaults(options);
+    const next = Number(fxmOptionValue(runtime?.direction, NaN));
+    if (!Number.isFinite(next)) return;
+
+    const configured = this._fxmLastOptions ?? this.options ?? {};
+    const previous = Number(this._fxmLiveDirection ?? fxmOptionValue(configured?.direction, NaN));
+    this._fxmLiveDirection = next;
+    if (!Number.isFinite(previous) || previous === next) return;
+
+    if (fxmOptionValue(runtime?.topDown, false) || fxmOptionValue(runtime?.orbit, false)) return;
+    if (runtime?.directionalMovement && !fxmOptionValue(runtime.directionalMovement, false)) return;
+    if (CONFIG.fxmaster?.synchronizedDirectionOptionEnabled?.(runtime)) return;
+
+    const turn =
+      ((geometricDirectionToScreenDegrees(next) - geometricDirectionToScreenDegrees(previous)) * Math.PI) / 180;
+    for (const emitter of this.emitters ?? []) {
+      try {
+        fxmTurnEmitter(emitter, turn);
+      } catch (err) {
+        logger.debug("FXMaster:", err);
+      }
+    }
+  }
+
+  /**
+   * Reconfigure a procedural surface with the {@link liveParameters} from new options. The surface keeps its motion state, so the field does not restart.
+   *
+   * @param {{options?: object, configure: Function, destroyed?: boolean}|null} surface
+   * @param {object} options Wrapped stored options.
+   * @returns {boolean} False without a live surface, so the caller rebuilds the effect instead.
+   */
+  _fxmConfigureLiveSurface(surface, options = {}) {
+    if (!surface || surface.destroyed) return false;
+    const runtime = this.constructor.mergeWithDefaults(options);
+    const next = { ...(surface.options ?? {}) };
+    for (const name of this.constructor.liveParameters ?? []) {
+      if (runtime?.[name] !== undefined) next[name] = runtime[name];
+    }
+    surface.configure({ options: next });
+    return true;
+  }
+
+  /**
+   * Wrap an emitter's update so a live speed value can scale simulation time, and so adaptive quality and Region falloff changes reach the emitter's density.
+   *
+   * @param {PIXI.particles.Emitter} emitter
+   * @returns {void}
+   */
+  _fxmInstallLiveTimeScale(emitter) {
+    if (!emitter || emitter._fxmLiveTimeScaleWrapped) return;
+
+    const wasAuto = !!emitter.autoUpdate;
+    if (wasAuto) emitter.autoUpdate = false;
+
+    const origUpdate = emitter.update.bind(emitter);
+    emitter.update = (delta) => {
+      if ((emitter._fxmRuntimeDensityScale ?? 1) !== this._fxmRuntimeDensityScale())
+        this._fxmApplyEmitterDensity(emitter);
+      return origUpdate(delta * (this._fxmLiveTimeScale ?? 1));
+    };
+    emitter._fxmLiveTimeScaleWrapped = true;
+
+    if (wasAuto) emitter.autoUpdate = true;
+  }
+
   /**
    * Install circular orbit movement onto an emitter.
    *
@@ -1556,13 +1872,14 @@ export class FXMasterParticleEffect extends CONFIG.fxmaster.ParticleEffectNS {
     }
 
     const fallbackDirection = Number(fxmOptionValue(options?.direction, this.constructor.defaultDirection ?? 0));
-    const fallback = Number.isFinite(fallbackDirection) ? fallbackDirection : 0;
+    const configuredFallback = Number.isFinite(fallbackDirection) ? fallbackDirection : 0;
 
     emitter._fxmSynchronizedDirectionUpdate = (delta, phase = "after") => {
       const dtRaw = fxmDeltaSeconds(delta);
       const dt = Math.min(0.06, Math.max(0, dtRaw));
       if (!(dt > 0)) return;
 
+      const fallback = this._fxmLiveDirection ?? configuredFallback;
       const direction =
         CONFIG.fxmaster?.resolveSynchronizedDirection?.(options, fallback, options?.__fxmParticleContext) ?? fallback;
       const screenRadians = (geometricDirectionToScreenDegrees(direction) * Math.PI) / 180;
@@ -2109,11 +2426,13 @@ export class FXMasterParticleEffect extends CONFIG.fxmaster.ParticleEffectNS {
 
   /**
    * Fade to transparent over a timeout and resolve when complete.
-   * @param {{timeout?: number}} [options]
+   *
+   * Emitters normally stop immediately so live particles drain while the effect fades. Preset transitions pass `keepEmitting` so an outgoing effect keeps its density while it cross-fades into its replacement.
+   * @param {{timeout?: number, ease?: (t: number) => number, keepEmitting?: boolean}} [options]
    * @returns {Promise<void>}
    */
-  async fadeOut({ timeout = undefined } = {}) {
-    for (const emitter of this.emitters) {
+  async fadeOut({ timeout = undefined, ease = undefined, keepEmitting = false } = {}) {
+    for (const emitter of keepEmitting ? [] : this.emitters) {
       try {
         emitter.emit = false;
       } catch (err) {
@@ -2149,7 +2468,7 @@ export class FXMasterParticleEffect extends CONFIG.fxmaster.ParticleEffectNS {
         }
         const now = ticker.lastTime ?? performance.now();
         const u = Math.min(1, (now - start) / duration);
-        this.alpha = startAlpha * (1 - u);
+        this.alpha = Math.max(0, startAlpha * (1 - this._fxmFadeProgress(u, ease)));
         this._fxmSyncBackgroundSurfaceAlpha();
         if (u >= 1) this._fxmCancelAlphaFade({ resolve: true });
       };
@@ -2157,8 +2476,22 @@ export class FXMasterParticleEffect extends CONFIG.fxmaster.ParticleEffectNS {
     });
   }
 
-  /** Fade alpha from current value to a target over a timeout. */
-  async fadeToAlpha({ to = 1, timeout = undefined } = {}) {
+  /**
+   * Resolve eased fade progress, keeping the endpoints exact so a fade always lands on its target alpha.
+   * @param {number} u Linear progress in [0, 1].
+   * @param {((t: number) => number)|undefined} ease
+   * @returns {number}
+   * @protected
+   */
+  _fxmFadeProgress(u, ease) {
+    if (u >= 1) return 1;
+    if (typeof ease !== "function") return u;
+    const k = Number(ease(u));
+    return Number.isFinite(k) ? k : u;
+  }
+
+  /** Fade alpha from current value to a target over a timeout, optionally shaped by an easing function. */
+  async fadeToAlpha({ to = 1, timeout = undefined, ease = undefined } = {}) {
     const duration = this._fxmFadeDuration(timeout);
     const target = Number(to);
     const resolvedTarget = Number.isFinite(target) ? target : 1;
@@ -2190,7 +2523,7 @@ export class FXMasterParticleEffect extends CONFIG.fxmaster.ParticleEffectNS {
         }
         const now = ticker.lastTime ?? performance.now();
         const u = Math.min(1, (now - start) / duration);
-        this.alpha = from + (resolvedTarget - from) * u;
+        this.alpha = Math.max(0, from + (resolvedTarget - from) * this._fxmFadeProgress(u, ease));
         this._fxmSyncBackgroundSurfaceAlpha();
         if (u >= 1) this._fxmCancelAlphaFade({ resolve: true });
       };
@@ -2199,8 +2532,56 @@ export class FXMasterParticleEffect extends CONFIG.fxmaster.ParticleEffectNS {
   }
 
   /** Symmetric fade-in helper. */
-  async fadeIn({ timeout = undefined } = {}) {
-    return this.fadeToAlpha({ to: 1, timeout });
+  async fadeIn({ timeout = undefined, ease = undefined } = {}) {
+    return this.fadeToAlpha({ to: 1, timeout, ease });
+  }
+
+  /**
+   * Tween the {@link liveParameters} from one set of stored options to another, applying each step with {@link updateParticleOptions}. Preset transitions run it on both effects of a cross-fading pair, so their density, speed and direction move together instead of jumping.
+   *
+   * The first step is applied synchronously, so a freshly built effect can start from the outgoing values before it prewarms. The tween stops as soon as {@link updateParticleOptions} declines a step, for example when a procedural surface is not built yet.
+   *
+   * @param {{from?: object, to?: object, timeout?: number, ease?: (t: number) => number}} [options]
+   * @returns {Promise<boolean>} True once the incoming values are applied; false when a step was declined, the effect was destroyed, or another tween replaced this one.
+   */
+  async tweenLiveOptions({ from = {}, to = {}, timeout = undefined, ease = undefined } = {}) {
+    this._fxmLiveTweenFinish?.(false);
+
+    const names = this.constructor.liveParameters ?? [];
+    const apply = (k) => {
+      try {
+        return this.updateParticleOptions(fxmBlendLiveOptions(names, from, to, k)) !== false;
+      } catch (err) {
+        logger.debug("FXMaster:", err);
+        return false;
+      }
+    };
+
+    const duration = this._fxmFadeDuration(timeout);
+    const ticker = duration ? this._fxmFadeTicker() : null;
+    if (!ticker) return apply(1);
+    if (!apply(0)) return false;
+
+    return new Promise((resolve) => {
+      const start = ticker.lastTime ?? performance.now();
+      const step = () => {
+        if (this.destroyed) {
+          finish(false);
+          return;
+        }
+        const now = ticker.lastTime ?? performance.now();
+        const u = Math.min(1, (now - start) / duration);
+        if (!apply(this._fxmFadeProgress(u, ease))) finish(false);
+        else if (u >= 1) finish(true);
+      };
+      const finish = (result) => {
+        ticker.remove(step);
+        if (this._fxmLiveTweenFinish === finish) this._fxmLiveTweenFinish = null;
+        resolve(result);
+      };
+      this._fxmLiveTweenFinish = finish;
+      ticker.add(step);
+    });
   }
 
   /**
@@ -523,6 +523,16 @@ export class AutumnLeavesParticleEffect extends DefaultRectangleSpawnMixin(FXMas
     return this.leafMotionProfileForTexture(particle?.texture, options);
   }
 
+  /**
+   * The upwind spawn band is placed from the direction, so a direction change rebuilds the emitter in that mode.
+   * @override
+   */
+  canUpdateParticleOptionsInPlace(previous = {}, next = {}) {
+    const upwind = String(leafOptionValue(next?.spawnMode, "full")) === "upwind";
+    if (upwind && JSON.stringify(previous?.direction) !== JSON.stringify(next?.direction)) return false;
+    return super.canUpdateParticleOptionsInPlace(previous, next);
+  }
+
   /** @override */
   applyOptionsToConfig(options, config) {
     const rotationBehavior = (config.behaviors ?? []).find((behavior) => behavior?.type === "rotation");
@@ -1,4 +1,5 @@
 import { logger } from "../../logger.js";
+import { adaptiveDensityScale } from "../../common/quality-governor.js";
 import { geometricDirectionToCanvasVector } from "../../utils/math.js";
 import { getCssViewportMetrics, rawStageMatrix } from "../../utils/viewport.js";
 
@@ -805,6 +806,16 @@ export class RainProceduralSurface {
     }
   }
 
+  /**
+   * Density multiplier from the owning effect (adaptive quality and Region falloff), or the adaptive quality alone without an owner.
+   *
+   * @returns {number}
+   * @private
+   */
+  _resolveRuntimeDensityScale() {
+    return this.owner?._fxmRuntimeDensityScale?.() ?? adaptiveDensityScale();
+  }
+
   /**
    * @param {{options?:object, dimensions?:object, renderer?:object, ticker?:object}} [config]
    */
@@ -826,7 +837,9 @@ export class RainProceduralSurface {
     if (uniforms) {
       const direction = this._resolveSynchronizedDirectionVector();
       const density = clamp(unwrapOption(this.options?.density), 0.01, 5.8, 0.5);
-      const performanceScale = clamp(this.owner?.constructor?.getPerformanceDensityScale?.(), 0.25, 1, 1);
+      this._runtimeDensityScale = this._resolveRuntimeDensityScale();
+      const performanceScale =
+        clamp(this.owner?.constructor?.getPerformanceDensityScale?.(), 0.25, 1, 1) * this._runtimeDensityScale;
 
       if (topDown !== this._configuredTopDown) {
         this._viewInitialized = false;
@@ -1220,6 +1233,7 @@ export class RainProceduralSurface {
     const deltaMs = resolveDeltaMS(delta, this.ticker);
     const uniforms = this.shader?.uniforms;
     if (!uniforms) return;
+    if (this._runtimeDensityScale !== this._resolveRuntimeDensityScale()) this.configure();
     const now = monotonicNow(this.ticker);
 
     if (this.running) {
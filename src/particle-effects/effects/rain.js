@@ -19,6 +19,22 @@ export class RainParticleEffect extends FXMasterParticleEffect {
     return "weather";
   }
 
+  /**
+   * Density and speed drive the procedural surface as well as the emitters, so they cannot be keyframed on a running instance.
+   * @override
+   */
+  static get keyframeParameters() {
+    return [];
+  }
+
+  /**
+   * Density, speed and direction reconfigure the procedural rain surface in place.
+   * @override
+   */
+  static get liveParameters() {
+    return ["density", "speed", "direction"];
+  }
+
   /**
    * Make rain a bit denser than the global default while still respecting performance mode scaling.
    */
@@ -872,6 +888,19 @@ export class RainParticleEffect extends FXMasterParticleEffect {
     return true;
   }
 
+  /**
+   * Reconfigure the procedural rain surface and rescale the splash emitters' density without rebuilding them. Rain keeps falling from its current position at the new speed and angle.
+   * @override
+   */
+  updateParticleOptions(options = {}) {
+    if (!this._fxmConfigureLiveSurface(this._fxmRainProceduralSurface, options)) return false;
+
+    const density = Number(options?.density?.value ?? options?.density);
+    this._fxmLiveOptionValues = Number.isFinite(density) ? { density } : {};
+    this.applyKeyframeValues(this._fxmKeyframeValues ?? {});
+    return true;
+  }
+
   /** @override */
   play(options = {}) {
     this._fxmRainProceduralSurface?.start?.();
@@ -1,4 +1,5 @@
 import { logger } from "../../logger.js";
+import { adaptiveDensityScale } from "../../common/quality-governor.js";
 import { geometricDirectionToCanvasVector } from "../../utils/math.js";
 import { getCssViewportMetrics, rawStageMatrix } from "../../utils/viewport.js";
 
@@ -703,6 +704,7 @@ export class SnowstormProceduralSurface {
     this._topDownDeadzoneLastUpdate = 0;
     this._cameraChangePending = false;
     this._canvasPanHookId = undefined;
+    this._timeOffset = 0;
     this._uniforms = {
       translationMatrix: new Float32Array([1, 0, 0, 0, 1, 0, 0, 0, 1]),
       uBoundsOriginGrid: new Float32Array([0, 0]),
@@ -766,6 +768,16 @@ export class SnowstormProceduralSurface {
     }
   }
 
+  /**
+   * Density multiplier from the owning effect (adaptive quality and Region falloff), or the adaptive quality alone without an owner.
+   *
+   * @returns {number}
+   * @private
+   */
+  _resolveRuntimeDensityScale() {
+    return this.owner?._fxmRuntimeDensityScale?.() ?? adaptiveDensityScale();
+  }
+
   /**
    * @param {{options?:object, dimensions?:object, renderer?:object, ticker?:object}} [config]
    */
@@ -790,7 +802,9 @@ export class SnowstormProceduralSurface {
     const uniforms = this.shader?.uniforms;
     if (uniforms) {
       const direction = this._resolveSynchronizedDirectionVector();
-      const performanceScale = clamp(this.owner?.constructor?.getPerformanceDensityScale?.(), 0.25, 1, 1);
+      this._runtimeDensityScale = this._resolveRuntimeDensityScale();
+      const performanceScale =
+        clamp(this.owner?.constructor?.getPerformanceDensityScale?.(), 0.25, 1, 1) * this._runtimeDensityScale;
       const density = clamp(unwrapOption(this.options?.density), 0, 2.4, 0.72);
       if (topDown !== this._configuredTopDown) {
         this._viewInitialized = false;
@@ -814,7 +828,9 @@ export class SnowstormProceduralSurface {
       const topDownBaseSpeed = speed * (1.0 + 0.32 * Math.pow(topDownSpeedFraction, 1.1));
       const topDownSceneSpeedScale = 1.0 + largeSceneSpeedBoost * 0.85 * Math.pow(topDownSpeedFraction, 1.55);
       const topDownMaxSpeed = 13.2 * (1.0 + largeSceneSpeedBoost * 0.85);
-      uniforms.uSpeed = topDown ? clamp(topDownBaseSpeed * topDownSceneSpeedScale, 0.1, topDownMaxSpeed, speed) : speed;
+      const nextSpeed = topDown ? clamp(topDownBaseSpeed * topDownSceneSpeedScale, 0.1, topDownMaxSpeed, speed) : speed;
+      this._rebaseTimeForSpeed(uniforms.uSpeed, nextSpeed);
+      uniforms.uSpeed = nextSpeed;
       uniforms.uLifetime = clamp(unwrapOption(this.options?.lifetime), 0.1, 5, 1);
       uniforms.uGustStrength = topDown ? 1.0 : 0.9;
       uniforms.uTopDown = topDown ? 1 : 0;
@@ -837,6 +853,21 @@ export class SnowstormProceduralSurface {
     this.update(0);
   }
 
+  /**
+   * Shift the shader clock so the storm's phase (time times speed) is unchanged by a speed change, letting a live speed edit accelerate the field instead of jumping it.
+   *
+   * @param {number} previous Previous uSpeed.
+   * @param {number} next New uSpeed.
+   * @private
+   */
+  _rebaseTimeForSpeed(previous, next) {
+    const from = Math.max(0.05, Number(previous) || 0);
+    const to = Math.max(0.05, Number(next) || 0);
+    if (from === to) return;
+    const nowSeconds = monotonicNow(this.ticker) / 1000;
+    this._timeOffset = ((nowSeconds + this._timeOffset) * from) / to - nowSeconds;
+  }
+
   _hasScopedContext() {
     return CONFIG.fxmaster?.isScopedParticleContext?.(this.context) ?? !!this.context?.dimensions;
   }
@@ -1150,8 +1181,9 @@ export class SnowstormProceduralSurface {
   /** @param {number|object} [_delta] */
   update(_delta = 0) {
     if (this.destroyed || !this.displayObject || this.displayObject.destroyed || !this.shader?.uniforms) return;
+    if (this._runtimeDensityScale !== this._resolveRuntimeDensityScale()) this.configure();
     const now = monotonicNow(this.ticker);
-    this.shader.uniforms.uTime = now / 1000;
+    this.shader.uniforms.uTime = now / 1000 + this._timeOffset;
     this._updateDirectionUniform();
     this._updateViewUniforms(now);
   }
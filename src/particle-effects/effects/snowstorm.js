@@ -112,6 +112,22 @@ export class SnowstormParticleEffect extends FXMasterParticleEffect {
     return "weather";
   }
 
+  /**
+   * Density and speed drive the procedural surface as well as the emitters, so they cannot be keyframed on a running instance.
+   * @override
+   */
+  static get keyframeParameters() {
+    return [];
+  }
+
+  /**
+   * Density, speed and direction reconfigure the procedural snowstorm surface in place.
+   * @override
+   */
+  static get liveParameters() {
+    return ["density", "speed", "direction"];
+  }
+
   static get densityScalar() {
     return 0.1;
   }
@@ -439,6 +455,14 @@ export class SnowstormParticleEffect extends FXMasterParticleEffect {
     return [];
   }
 
+  /**
+   * Reconfigure the procedural snowstorm surface without rebuilding it.
+   * @override
+   */
+  updateParticleOptions(options = {}) {
+    return this._fxmConfigureLiveSurface(this._fxmSnowstormProceduralSurface, options);
+  }
+
   /** @override */
   play({ prewarm = false } = {}) {
     this._fxmSnowstormProceduralSurface?.start?.();
@@ -4,6 +4,7 @@
  * Builds and maintains scene-scoped and region-scoped particle runtimes for FXMaster.
  * - Preserves suppression masks, token cutouts, and region mask state.
  * - Registers renderable particle slots for the global compositor stack.
+ * - Fires the effect lifecycle hooks from `common/effect-events.js` for scene-scoped runtimes.
  */
 import { packageId } from "../constants.js";
 import { isEnabled } from "../settings.js";
@@ -35,6 +36,8 @@ import {
   getSceneDarknessLevel,
   isEffectActiveForSceneDarkness,
   isEffectActiveForCurrentOrVisibleCanvasLevel,
+  isEffectAddressedToUser,
+  applyClientEffectOverride,
   getSelectedSceneLevelIds,
   normalizeSceneLevelSelection,
   resolveDocumentOcclusionElevation,
@@ -49,6 +52,7 @@ import {
   tileHasActiveOcclusion,
   tileDocumentRestrictsParticles,
   getRegionBehaviorEdgeFadePercent,
+  fxmGetRegionBehaviorFalloff,
   getRegionParticleEffectDefinitions,
   getRegionSoftMaskData,
   fxmUpdateDisplayObjectWorldTransform,
@@ -73,6 +77,16 @@ import {
 } from "../common/effect-stack.js";
 import { SceneMaskManager } from "../common/base-effects-scene-manager.js";
 import { fxmForEachEmitterParticle } from "./effects/effect.js";
+import { regionFalloffIntensity } from "../common/region-falloff.js";
+import { evaluateKeyframes, getKeyframeClockMs, keyframesSettled, normalizeKeyframes } from "../common/keyframes.js";
+import {
+  EFFECT_EVENTS,
+  callEffectEvent,
+  createRegionEffectEvent,
+  createSceneEffectEvent,
+  effectEventOptionsChanged,
+  reconcileRegionEffectEvents,
+} from "../common/effect-events.js";
 import { createParticleBackgroundSurface } from "./backgrounds/background-surface-factory.js";
 import { createParticleBackgroundTrailStore } from "./backgrounds/snow-trail-store.js";
 import {
@@ -245,6 +259,17 @@ function particleEffectFadeDurationMs(EffectClass) {
   return Number.isFinite(duration) ? Math.max(0, duration) : 3000;
 }
 
+/**
+ * Resolve the fade duration for a scene particle update, preferring an explicit preset transition duration.
+ *
+ * @param {Function} EffectClass
+ * @param {{duration:number}|null} transition
+ * @returns {number}
+ */
+function particleTransitionFadeDurationMs(EffectClass, transition) {
+  return transition ? transition.duration : particleEffectFadeDurationMs(EffectClass);
+}
+
 function particleEffectUsesSoftFade(EffectClass, soft) {
   return !!soft || EffectClass?.alwaysSoftToggleFade === true;
 }
@@ -709,6 +734,7 @@ function destroyParticleMaskSprite(maskSprite, container = null) {
 }
 
 const PARTICLE_RUNTIME_IN_PLACE_OPTION_KEYS = new Set([
+  "keyframes",
   "belowTokens",
   "belowTiles",
   "belowForeground",
@@ -821,6 +847,28 @@ function particleOptionsCanUpdateInPlace(EffectClass, existing, previous, next)
   return false;
 }
 
+/**
+ * Tween both effects of a preset transition pair from the outgoing effect's options to the incoming options, over the transition duration and with its ease.
+ *
+ * @param {PIXI.DisplayObject} outgoing Fading effect being replaced.
+ * @param {PIXI.DisplayObject} incoming New effect, before it plays.
+ * @param {object} options Incoming stored options.
+ * @param {{duration:number, ease:(t:number)=>number}} transition
+ * @returns {void}
+ */
+function tweenParticlePair(outgoing, incoming, options, transition) {
+  const tween = {
+    from: outgoing._fxmOptsCache ?? {},
+    to: options,
+    timeout: transition.duration,
+    ease: transition.ease,
+  };
+  for (const fx of [outgoing, incoming]) {
+    if (typeof fx?.tweenLiveOptions !== "function") continue;
+    void fx.tweenLiveOptions(tween).catch((err) => logger.debug("FXMaster:", err));
+  }
+}
+
 async function updateParticleOptionsInPlace(existing, options, previous) {
   if (typeof existing?.updateParticleOptions !== "function") return false;
   try {
@@ -845,6 +893,8 @@ export class ParticleEffectsLayer extends BaseEffectsLayer {
 
     this.particleEffects = new Map();
     this.regionEffects = new Map();
+    /** Lifecycle payloads last reported per Region, keyed by stack UID. */
+    this._regionEffectEvents = new Map();
     this.stackEntries = new Map();
     this._stackRoots = new Map();
     this._transientStackRows = new Map();
@@ -3107,6 +3157,7 @@ export class ParticleEffectsLayer extends BaseEffectsLayer {
       }
     }
     this.regionEffects.clear();
+    this._regionEffectEvents.clear();
 
     try {
       for (const rtPair of this._regionMaskRTs.values()) {
@@ -3783,12 +3834,26 @@ export class ParticleEffectsLayer extends BaseEffectsLayer {
     return parts.sort().join("|");
   }
 
-  async drawParticleEffects({ soft = false } = {}) {
+  /**
+   * Reconcile scene particle runtimes with the scene `effects` flag.
+   *
+   * Rows whose `users` option does not include the current user are skipped, so targeted effects only render on the addressed clients. Types this client has blocked are skipped too, and the client's intensity override scales density.
+   *
+   * A preset `transition` (`{duration, ease, pairs}`) replaces the per-effect fade duration with the transition duration and shapes every fade with its ease. Rows listed in `pairs` (incoming id → outgoing id) cross-fade: the outgoing effect keeps emitting while it fades and the incoming effect is prewarmed. Both effects of a pair also tween their density, speed and direction from the outgoing values to the incoming ones with the same ease (see `tweenLiveOptions`), so the pair reads as one effect changing. Tint, alpha and the remaining options change through the cross-fade itself.
+   *
+   * @param {{ soft?: boolean, transition?: {duration:number, ease:(t:number)=>number, pairs:Record<string,string>}|null }} [options]
+   * @returns {Promise<void>}
+   */
+  async drawParticleEffects({ soft = false, transition = null } = {}) {
     if (!canvas.scene) return;
 
     this._ensureSceneContainers();
 
     const cur = this.particleEffects;
+    const transitionEase = transition?.ease;
+    const pairedIncoming = new Set(Object.keys(transition?.pairs ?? {}));
+    const pairedOutgoing = new Set(Object.values(transition?.pairs ?? {}));
+    const pairedOutgoingRuntimes = new Map();
     const darknessLevel = getSceneDarknessLevel();
     let flags = canvas.scene.getFlag(packageId, "effects") ?? {};
     const activeFlags = Object.fromEntries(
@@ -3798,9 +3863,12 @@ export class ParticleEffectsLayer extends BaseEffectsLayer {
           info.options && typeof info.options === "object" ? { ...info.options } : {},
           canvas?.scene,
         );
+        if (!isEffectAddressedToUser(options)) return [];
         if (!isEffectActiveForSceneDarkness(options, darknessLevel)) return [];
         if (!isEffectActiveForCurrentOrVisibleCanvasLevel(options, canvas?.scene)) return [];
-        return [[id, { ...info, options }]];
+        const clientOptions = applyClientEffectOverride("particle", info.type, options);
+        if (!clientOptions) return [];
+        return [[id, { ...info, options: clientOptions }]];
       }),
     );
 
@@ -3814,16 +3882,23 @@ export class ParticleEffectsLayer extends BaseEffectsLayer {
 
         this._dyingSceneEffects.add(fx);
         cur.delete(id);
+        if (pairedOutgoing.has(id)) pairedOutgoingRuntimes.set(id, fx);
+        callEffectEvent(EFFECT_EVENTS.stopped, fx.__fxmEvent);
 
         removalPromises.push(
           (async () => {
             try {
-              if (useSoftFade && fx.fadeOut)
-                await fx.fadeOut({ timeout: particleEffectFadeDurationMs(fx.constructor) });
-              else fx.stop?.();
+              if (useSoftFade && fx.fadeOut) {
+                await fx.fadeOut({
+                  timeout: particleTransitionFadeDurationMs(fx.constructor, transition),
+                  ease: transitionEase,
+                  keepEmitting: pairedOutgoing.has(id),
+                });
+              } else fx.stop?.();
             } catch (err) {
               logger.debug("FXMaster:", err);
             }
+            callEffectEvent(EFFECT_EVENTS.fadeComplete, fx.__fxmEvent, { fade: "out" });
             try {
               fx.parent?.removeChild?.(fx);
             } catch (err) {
@@ -3872,6 +3947,7 @@ export class ParticleEffectsLayer extends BaseEffectsLayer {
       const belowForeground = particleBelowForegroundEnabled(options?.belowForeground);
       const runtimeUid = buildSceneEffectUid("particle", id);
       const backgroundState = flagState && typeof flagState === "object" ? flagState : {};
+      const event = createSceneEffectEvent("particle", id, type, flagOptions);
 
       const addToLayer = (fx) => {
         const { layerLevel = "belowDarkness" } = EffectClass.defaultConfig || {};
@@ -3913,7 +3989,7 @@ export class ParticleEffectsLayer extends BaseEffectsLayer {
       };
 
       if (existing) {
-        const XFADE_MS = particleEffectFadeDurationMs(EffectClass);
+        const XFADE_MS = particleTransitionFadeDurationMs(EffectClass, transition);
         try {
           existing.zIndex = zIndex++;
         } catch (err) {
@@ -3947,6 +4023,9 @@ export class ParticleEffectsLayer extends BaseEffectsLayer {
           continue;
         }
 
+        if (effectEventOptionsChanged(existing.__fxmEvent, event)) callEffectEvent(EFFECT_EVENTS.updated, event);
+        existing.__fxmEvent = event;
+
         if (particleOptionsChangedOnlyRuntimeRoutingOrBackground(prev, options)) {
           try {
             existing._fxmOptsCache = foundry.utils.deepClone(options);
@@ -3986,6 +4065,7 @@ export class ParticleEffectsLayer extends BaseEffectsLayer {
           ec.zIndex = existing.zIndex ?? zIndex - 1;
           ec.blendMode = defaultBlend;
           ec._fxmOptsCache = foundry.utils.deepClone(options);
+          ec.__fxmEvent = event;
           ec.alpha = 0;
           addToLayer(ec);
           cur.set(id, ec);
@@ -3997,10 +4077,14 @@ export class ParticleEffectsLayer extends BaseEffectsLayer {
           removalPromises.push(
             (async () => {
               try {
-                await Promise.all([existing?.fadeOut?.({ timeout: XFADE_MS }), ec?.fadeIn?.({ timeout: XFADE_MS })]);
+                await Promise.all([
+                  existing?.fadeOut?.({ timeout: XFADE_MS, ease: transitionEase, keepEmitting: !!transition }),
+                  ec?.fadeIn?.({ timeout: XFADE_MS, ease: transitionEase }),
+                ]);
               } catch (err) {
                 logger.debug("FXMaster:", err);
               }
+              callEffectEvent(EFFECT_EVENTS.fadeComplete, event, { fade: "in" });
               try {
                 existing.parent?.removeChild?.(existing);
               } catch (err) {
@@ -4049,6 +4133,7 @@ export class ParticleEffectsLayer extends BaseEffectsLayer {
         ec.zIndex = existing.zIndex ?? zIndex - 1;
         ec.blendMode = defaultBlend;
         ec._fxmOptsCache = foundry.utils.deepClone(options);
+        ec.__fxmEvent = event;
         if (useSoftFade && typeof ec.fadeIn === "function") ec.alpha = 0;
         addToLayer(ec);
         cur.set(id, ec);
@@ -4056,9 +4141,10 @@ export class ParticleEffectsLayer extends BaseEffectsLayer {
         ec.play({ prewarm: particleEffectPrewarmForSoftFade(EffectClass, useSoftFade) });
         if (useSoftFade && typeof ec.fadeIn === "function") {
           void ec
-            .fadeIn({ timeout: particleEffectFadeDurationMs(EffectClass) })
+            .fadeIn({ timeout: particleTransitionFadeDurationMs(EffectClass, transition), ease: transitionEase })
+            .then(() => callEffectEvent(EFFECT_EVENTS.fadeComplete, event, { fade: "in" }))
             .catch((err) => logger.debug("FXMaster:", err));
-        }
+        } else callEffectEvent(EFFECT_EVENTS.fadeComplete, event, { fade: "in" });
         continue;
       }
 
@@ -4070,16 +4156,23 @@ export class ParticleEffectsLayer extends BaseEffectsLayer {
         logger.debug("FXMaster:", err);
       }
       ec._fxmOptsCache = foundry.utils.deepClone(options);
+      ec.__fxmEvent = event;
       if (useSoftFade && typeof ec.fadeIn === "function") ec.alpha = 0;
       addToLayer(ec);
       cur.set(id, ec);
       registerRuntime(ec);
-      ec.play({ prewarm: particleEffectPrewarmForSoftFade(EffectClass, useSoftFade) });
+      const pairedFrom = pairedIncoming.has(id) ? pairedOutgoingRuntimes.get(transition.pairs[id]) : null;
+      if (pairedFrom?.constructor === EffectClass) tweenParticlePair(pairedFrom, ec, options, transition);
+      ec.play({
+        prewarm: pairedIncoming.has(id) || particleEffectPrewarmForSoftFade(EffectClass, useSoftFade),
+      });
+      callEffectEvent(EFFECT_EVENTS.started, event);
       if (useSoftFade && typeof ec.fadeIn === "function") {
         void ec
-          .fadeIn({ timeout: particleEffectFadeDurationMs(EffectClass) })
+          .fadeIn({ timeout: particleTransitionFadeDurationMs(EffectClass, transition), ease: transitionEase })
+          .then(() => callEffectEvent(EFFECT_EVENTS.fadeComplete, event, { fade: "in" }))
           .catch((err) => logger.debug("FXMaster:", err));
-      }
+      } else callEffectEvent(EFFECT_EVENTS.fadeComplete, event, { fade: "in" });
     }
 
     try {
@@ -4171,12 +4264,23 @@ export class ParticleEffectsLayer extends BaseEffectsLayer {
         if (!isEffectActiveForSceneDarkness(params?.options, darknessLevel)) continue;
         const EffectClass = CONFIG.fxmaster.particleEffects[type];
         if (!EffectClass) continue;
+        const clientOptions = applyClientEffectOverride("particle", type, params?.options ?? {});
+        if (!clientOptions) continue;
         const belowTokens = particleBelowTokensEnabled(params?.belowTokens ?? params?.options?.belowTokens);
         const belowTiles = particleBelowTilesEnabled(params?.belowTiles ?? params?.options?.belowTiles);
         const belowForeground = particleBelowForegroundEnabled(
           params?.belowForeground ?? params?.options?.belowForeground,
         );
-        activeParticleSpecs.push({ behavior, type, params, EffectClass, belowTokens, belowTiles, belowForeground });
+        activeParticleSpecs.push({
+          behavior,
+          type,
+          storedOptions: params?.options ?? {},
+          params: { ...params, options: clientOptions },
+          EffectClass,
+          belowTokens,
+          belowTiles,
+          belowForeground,
+        });
         if (!activeBehaviorIds.has(behavior.id)) {
           activeBehaviorIds.add(behavior.id);
           activeBehaviors.push(behavior);
@@ -4269,6 +4373,7 @@ export class ParticleEffectsLayer extends BaseEffectsLayer {
     for (const {
       behavior,
       type,
+      storedOptions,
       params,
       EffectClass,
       belowTokens,
@@ -4302,6 +4407,9 @@ export class ParticleEffectsLayer extends BaseEffectsLayer {
       const fx = new EffectClass(effectOptions);
       if (useSoftFade && typeof fx.fadeIn === "function") fx.alpha = 0;
       if (scopedParticleContext) fx.__fxmParticleContext = scopedParticleContext;
+      const falloff = fxmGetRegionBehaviorFalloff(behavior);
+      const falloffState = {};
+      if (falloff) fx.setRegionIntensity?.(regionFalloffIntensity(placeable, falloff, falloffState));
       fx.__fxmOptions = effectOptions;
       fx.__fxmBackgroundState = params?.state && typeof params.state === "object" ? params.state : {};
       fx.__fxmBackgroundUid = uid;
@@ -4361,6 +4469,10 @@ export class ParticleEffectsLayer extends BaseEffectsLayer {
         edgeFadeMaskEntry: null,
         edgeFadePreviousFilterArea: null,
         edgeFadePreviousFilterAreaCaptured: false,
+        falloff,
+        falloffState,
+        event: createRegionEffectEvent("particle", regionId, behavior.id, type, type, storedOptions),
+        fadeIn: null,
       };
       this._syncRegionSurfaceEdgeFadeFilter(entry, useSurfaceEdgeFade ? surfaceEdgeFadeMask : null);
       if (edgeFadeCtx && !useSurfaceEdgeFade) this._applyPerParticleEdgeFadeToEffect(fx, edgeFadeCtx);
@@ -4392,7 +4504,7 @@ export class ParticleEffectsLayer extends BaseEffectsLayer {
       });
       fx.play({ prewarm: particleEffectPrewarmForInstanceSoftFade(fx, useSoftFade) });
       if (useSoftFade && typeof fx.fadeIn === "function") {
-        void fx
+        entry.fadeIn = fx
           .fadeIn({ timeout: particleEffectFadeDurationMs(EffectClass) })
           .catch((err) => logger.debug("FXMaster:", err));
       }
@@ -4411,11 +4523,80 @@ export class ParticleEffectsLayer extends BaseEffectsLayer {
       regionId,
       this._buildRegionDarknessActivationSignature(placeable, darknessLevel),
     );
+    this._syncRegionEffectEvents(regionId);
     this._applyElevationGate(placeable, { force: true });
     this._updateOcclusionGates();
     this._updateRegionBelowTokensNeeded();
   }
 
+  /**
+   * Apply updated behavior options to a Region's running particle effects without rebuilding their emitters.
+   *
+   * Only succeeds when the behavior still drives the same effect types with the same mask routing and every changed option can be applied live; otherwise the caller should redraw the Region.
+   *
+   * @param {string} regionId
+   * @param {foundry.documents.RegionBehavior} behavior
+   * @returns {Promise<boolean>} True when every running effect of the behavior was updated in place.
+   */
+  async updateRegionParticleOptions(regionId, behavior) {
+    if (!behavior || behavior.type !== TYPE || behavior.disabled) return false;
+    const entries = (this.regionEffects.get(regionId) ?? []).filter(
+      (entry) => entry?.event?.behaviorId === behavior.id,
+    );
+    if (!entries.length) return false;
+
+    const darknessLevel = getSceneDarknessLevel();
+    const specs = new Map();
+    for (const [type, params] of Object.entries(getRegionParticleEffectDefinitions(behavior) ?? {})) {
+      if (!isEffectActiveForSceneDarkness(params?.options, darknessLevel)) continue;
+      const EffectClass = CONFIG.fxmaster.particleEffects[type];
+      if (!EffectClass) continue;
+      const clientOptions = applyClientEffectOverride("particle", type, params?.options ?? {});
+      if (!clientOptions) continue;
+      specs.set(type, { params, EffectClass, clientOptions });
+    }
+    if (specs.size !== entries.length) return false;
+
+    const updates = [];
+    for (const entry of entries) {
+      const spec = specs.get(entry.event.effectId);
+      if (!spec) return false;
+      const { params, EffectClass, clientOptions } = spec;
+      if (
+        entry.belowTokens !== particleBelowTokensEnabled(params?.belowTokens ?? params?.options?.belowTokens) ||
+        entry.belowTiles !== particleBelowTilesEnabled(params?.belowTiles ?? params?.options?.belowTiles) ||
+        entry.belowForeground !==
+          particleBelowForegroundEnabled(params?.belowForeground ?? params?.options?.belowForeground)
+      )
+        return false;
+
+      const previous = entry.fx?.__fxmOptions ?? {};
+      const next = wrapStoredParticleOptions(clientOptions);
+      if (previous.__fxmParticleContext) next.__fxmParticleContext = previous.__fxmParticleContext;
+      const changed = !foundry.utils.isEmpty(foundry.utils.diffObject(previous, next));
+      if (changed && !particleOptionsCanUpdateInPlace(EffectClass, entry.fx, previous, next)) return false;
+      updates.push({ entry, next, changed, storedOptions: params?.options ?? {} });
+    }
+
+    for (const { entry, next, changed, storedOptions } of updates) {
+      if (changed) {
+        if (!(await updateParticleOptionsInPlace(entry.fx, next, entry.fx.__fxmOptions))) return false;
+        entry.fx.__fxmOptions = next;
+      }
+      entry.event = createRegionEffectEvent(
+        "particle",
+        regionId,
+        behavior.id,
+        entry.event.effectId,
+        entry.event.effectId,
+        storedOptions,
+      );
+    }
+
+    this._syncRegionEffectEvents(regionId);
+    return true;
+  }
+
   forceRegionMaskRefreshAll() {
     if (!this.regionEffects.size) return;
     for (const [regionId] of this.regionEffects.entries()) {
@@ -4513,6 +4694,21 @@ export class ParticleEffectsLayer extends BaseEffectsLayer {
     this._tokensDirty = false;
   }
 
+  /**
+   * Fire lifecycle hooks for the difference between a Region's running particle effects and the ones last reported for it.
+   *
+   * @param {string} regionId
+   * @returns {void}
+   */
+  _syncRegionEffectEvents(regionId) {
+    const next = reconcileRegionEffectEvents(
+      this._regionEffectEvents.get(regionId),
+      this.regionEffects.get(regionId) ?? [],
+    );
+    if (next.size) this._regionEffectEvents.set(regionId, next);
+    else this._regionEffectEvents.delete(regionId);
+  }
+
   destroyRegionParticleEffects(regionId) {
     const entries = this.regionEffects.get(regionId) || [];
     for (const entry of entries) {
@@ -4554,6 +4750,7 @@ export class ParticleEffectsLayer extends BaseEffectsLayer {
     }
     this.regionEffects.delete(regionId);
     this._lastRegionDarknessSignatures.delete(regionId);
+    this._syncRegionEffectEvents(regionId);
     this._updateRegionBelowTokensNeeded();
 
     const rt = this._regionMaskRTs.get(regionId);
@@ -5542,6 +5739,47 @@ export class ParticleEffectsLayer extends BaseEffectsLayer {
     }
   }
 
+  /**
+   * Evaluate keyframe timelines on scene particle effects against the shared clock and push the values into their emitters. Effects whose timeline was removed are restored to their configured values.
+   */
+  _stepSceneParticleKeyframes() {
+    let now = null;
+
+    for (const fx of this.particleEffects.values()) {
+      if (typeof fx?.applyKeyframeValues !== "function") continue;
+
+      const source = fx.__fxmOptions?.keyframes?.value ?? null;
+      let state = fx._fxmKeyframeState;
+      if (!source) {
+        if (state) {
+          fx._fxmKeyframeState = null;
+          fx.applyKeyframeValues({});
+        }
+        continue;
+      }
+
+      if (!state || state.source !== source) {
+        const timeline = normalizeKeyframes(source);
+        const allowed = new Set(fx.constructor.keyframeParameters ?? []);
+        for (const param of Object.keys(timeline?.tracks ?? {})) {
+          if (!allowed.has(param)) delete timeline.tracks[param];
+        }
+        state = fx._fxmKeyframeState = { source, timeline, signature: "", settled: false };
+        if (!timeline) fx.applyKeyframeValues({});
+      }
+      if (!state.timeline || state.settled) continue;
+
+      now ??= getKeyframeClockMs();
+      const values = evaluateKeyframes(state.timeline, now);
+      const signature = JSON.stringify(values);
+      if (signature !== state.signature) {
+        state.signature = signature;
+        fx.applyKeyframeValues(values);
+      }
+      state.settled = keyframesSettled(state.timeline, now);
+    }
+  }
+
   _animate() {
     super._animate();
 
@@ -5569,6 +5807,12 @@ export class ParticleEffectsLayer extends BaseEffectsLayer {
       logger.debug("FXMaster:", err);
     }
 
+    try {
+      this._stepSceneParticleKeyframes();
+    } catch (err) {
+      logger.debug("FXMaster:", err);
+    }
+
     try {
       const darknessLevel = getSceneDarknessLevel();
       const previousDarknessLevel = this._lastDarknessLevel;
@@ -5630,13 +5874,32 @@ export class ParticleEffectsLayer extends BaseEffectsLayer {
           continue;
         }
         const reg = canvas.regions?.get(regionId) ?? getRegionPlaceableOrDocumentAdapter(regionDoc);
-        if (reg) this._applyElevationGate(reg);
+        if (!reg) continue;
+        this._applyElevationGate(reg);
+        this._applyRegionFalloff(reg);
       }
     } catch (err) {
       logger.debug("FXMaster:", err);
     }
   }
 
+  /**
+   * Update the intensity falloff of a Region's particle effects for the current camera or token position.
+   *
+   * @param {PlaceableObject} placeable
+   * @returns {void}
+   */
+  _applyRegionFalloff(placeable) {
+    for (const entry of this.regionEffects.get(placeable.id) ?? []) {
+      if (!entry?.falloff) continue;
+      try {
+        entry.fx?.setRegionIntensity?.(regionFalloffIntensity(placeable, entry.falloff, entry.falloffState));
+      } catch (err) {
+        logger.debug("FXMaster:", err);
+      }
+    }
+  }
+
   applyElevationGateForAll() {
     try {
       for (const [regionId] of this.regionEffects.entries()) {
@@ -4,8 +4,23 @@ import {
   resetFlag,
   normalizeDarknessActivationRange,
 } from "../utils.js";
-import { packageId } from "../constants.js";
-import { applyLegacyRangeTolerance, createRegionNumberField } from "../utils/region-schema.js";
+import { packageId, REGION_LIVE_UPDATE_OPTION } from "../constants.js";
+import { regionTokenGateEmpty, regionTokenGatePredicate } from "../common/region-token-gates.js";
+import {
+  applyLegacyRangeTolerance,
+  createRegionConditionFields,
+  createRegionFalloffFields,
+  createRegionNumberField,
+  createRegionTokenGateFields,
+  createRegionTriggerFields,
+  REGION_TOKEN_GATE_CHOICES,
+} from "../utils/region-schema.js";
+import {
+  hasRegionTriggerEvents,
+  regionTriggerEventNames,
+  regionTriggerField,
+  resolveRegionTriggerGate,
+} from "../common/region-triggers.js";
 import { buildRegionEffectUid, promoteEffectStackUids } from "../common/effect-stack.js";
 import { reconcileParticleBackgroundState } from "./backgrounds/background-state.js";
 
@@ -16,7 +31,7 @@ export class ParticleRegionBehaviorType extends foundry.data.regionBehaviors.Reg
     const schema = {};
 
     schema.events = this._createEventsField({
-      events: [CONST.REGION_EVENTS.TOKEN_ENTER, CONST.REGION_EVENTS.TOKEN_EXIT],
+      events: [CONST.REGION_EVENTS.TOKEN_ENTER, CONST.REGION_EVENTS.TOKEN_EXIT, ...regionTriggerEventNames()],
     });
 
     schema._elev_gateMode = new foundry.data.fields.StringField({
@@ -27,6 +42,7 @@ export class ParticleRegionBehaviorType extends foundry.data.regionBehaviors.Reg
         none: "FXMASTER.Regions.ElevationVisibility.None",
         pov: "FXMASTER.Regions.ElevationVisibility.POV",
         targets: "FXMASTER.Regions.ElevationVisibility.Targets",
+        ...REGION_TOKEN_GATE_CHOICES,
       },
       label: "FXMASTER.Regions.ElevationVisibility.Label",
       localize: true,
@@ -40,6 +56,8 @@ export class ParticleRegionBehaviorType extends foundry.data.regionBehaviors.Reg
       localize: true,
     });
 
+    Object.assign(schema, createRegionTokenGateFields());
+
     schema._elev_gmAlwaysVisible = new foundry.data.fields.BooleanField({
       required: false,
       initial: false,
@@ -64,6 +82,15 @@ export class ParticleRegionBehaviorType extends foundry.data.regionBehaviors.Reg
       localize: true,
     });
 
+    /** Region-only: scale particle density by the camera's or a token's distance to the Region center or boundary. */
+    Object.assign(schema, createRegionFalloffFields());
+
+    /** Region-only: show the effects only within a scene darkness range and a world-time window. */
+    Object.assign(schema, createRegionConditionFields());
+
+    /** Actions run by the trigger events beyond token enter/exit. */
+    Object.assign(schema, createRegionTriggerFields());
+
     for (const [type, cls] of Object.entries(CONFIG.fxmaster.particleEffects).sort(([, a], [, b]) => {
       const labelA = game.i18n.localize(a.label);
       const labelB = game.i18n.localize(b.label);
@@ -186,7 +213,7 @@ export class ParticleRegionBehaviorType extends foundry.data.regionBehaviors.Reg
 
   /**
    * Derive the current event gate mode from the selected events.
-   * @returns {"enterExit"|"enter"|"exitOnly"|"none"}
+   * @returns {"enterExit"|"enter"|"trigger"|"exitOnly"|"none"}
    */
   _getEventModeFromSelection() {
     const evs = this.events instanceof Set ? this.events : new Set();
@@ -196,6 +223,7 @@ export class ParticleRegionBehaviorType extends foundry.data.regionBehaviors.Reg
     const hasExit = evs.has(EXIT);
     if (hasEnter && hasExit) return "enterExit";
     if (hasEnter) return "enter";
+    if (hasRegionTriggerEvents(evs)) return "trigger";
     if (hasExit) return "exitOnly";
     return "none";
   }
@@ -210,9 +238,10 @@ export class ParticleRegionBehaviorType extends foundry.data.regionBehaviors.Reg
 
   /**
    * Collect enabled particle effects + options, persist flags, and sync elevation gate flags. Mirrors FilterRegionBehaviorType._applyFilters().
+   * @param {object} [updateOptions] Options for the effects flag write, e.g. a live update marker.
    * @returns {Promise<boolean>} true if any region flag changed
    */
-  async _applyParticles() {
+  async _applyParticles(updateOptions = undefined) {
     const system = this.toObject();
     const prevFX = this.parent.getFlag(packageId, "particleEffects") ?? {};
 
@@ -257,7 +286,7 @@ export class ParticleRegionBehaviorType extends foundry.data.regionBehaviors.Reg
     const diff2 = foundry.utils.diffObject(nextFX, prevFX);
     if (!foundry.utils.isEmpty(diff1) || !foundry.utils.isEmpty(diff2)) {
       if (game.user.isGM) {
-        if (Object.keys(nextFX).length) await resetFlag(this.parent, "particleEffects", nextFX);
+        if (Object.keys(nextFX).length) await resetFlag(this.parent, "particleEffects", nextFX, updateOptions);
         else await this.parent.unsetFlag(packageId, "particleEffects");
 
         const regionId = this.parent?.parent?.id ?? this.parent?.region?.id ?? null;
@@ -322,7 +351,7 @@ export class ParticleRegionBehaviorType extends foundry.data.regionBehaviors.Reg
   }
 
   /**
-   * Region token enter/exit events - update only the event gate (no flag churn for particles).
+   * Region events - update only the event gate (no flag churn for particles). Token enter/exit track token presence; trigger events run their configured action.
    */
   async _handleRegionEvent(event) {
     if (!this.events?.size) return;
@@ -331,6 +360,14 @@ export class ParticleRegionBehaviorType extends foundry.data.regionBehaviors.Reg
     const evt = event.name;
     if (!evs.has(evt)) return;
 
+    if (regionTriggerField(evt)) {
+      const runtime = fxmReadRegionBehaviorRuntimeState(this.parent, packageId);
+      const gate = { ...(runtime.eventGate ?? {}), mode: this._getEventModeFromSelection() };
+      const next = resolveRegionTriggerGate(this, event, gate, runtime);
+      if (next && game.user.isGM) await this.parent.setFlag(packageId, "eventGate", next);
+      return;
+    }
+
     const ENTER = CONST.REGION_EVENTS.TOKEN_ENTER;
 
     const mode = this._getEventModeFromSelection();
@@ -339,27 +376,16 @@ export class ParticleRegionBehaviorType extends foundry.data.regionBehaviors.Reg
     const runtimeGate = fxmReadRegionBehaviorRuntimeState(this.parent, packageId);
     const prev = runtimeGate.eventGate || { mode, latched: false };
 
-    const fxGateMode = runtimeGate.gateMode;
-    const targetIds = new Set(runtimeGate.tokenTargets ?? []);
     const tokensInRegion = Array.from(event.region?.tokens ?? []);
-
-    const isTargetToken = (t) => targetIds.has(t.document.id) || targetIds.has(t.document?.uuid);
-
-    const countTargets = () => {
-      if (fxGateMode !== "targets" || targetIds.size === 0) return null;
-      let n = 0;
-      for (const t of tokensInRegion) if (isTargetToken(t)) n++;
-      return n;
-    };
+    const matchesGate = regionTokenGateEmpty(runtimeGate) ? null : regionTokenGatePredicate(runtimeGate);
+    const occupied = matchesGate ? tokensInRegion.some(matchesGate) : tokensInRegion.length > 0;
 
     let latched = !!prev.latched;
     if (mode === "enterExit") {
-      latched =
-        fxGateMode === "targets" && targetIds.size > 0 ? (countTargets() ?? 0) > 0 : (tokensInRegion.length ?? 0) > 0;
+      latched = occupied;
     } else if (mode === "enter") {
       if (evt !== ENTER) return;
-      latched =
-        fxGateMode === "targets" && targetIds.size > 0 ? (countTargets() ?? 0) > 0 : (tokensInRegion.length ?? 0) > 0;
+      latched = occupied;
     }
 
     if (prev.mode !== mode || !!prev.latched !== !!latched) {
@@ -377,13 +403,15 @@ export class ParticleRegionBehaviorType extends foundry.data.regionBehaviors.Reg
     try {
       await super._onUpdate(changed, options, userId);
 
-      await this._applyParticles();
+      await this._applyParticles(
+        options?.[REGION_LIVE_UPDATE_OPTION] ? { [REGION_LIVE_UPDATE_OPTION]: true } : undefined,
+      );
 
       const mode = this._getEventModeFromSelection();
       const prevEG = this.parent.getFlag(packageId, "eventGate") || {};
       let latched = false;
 
-      if (!this.disabled && (mode === "enter" || mode === "enterExit")) {
+      if (!this.disabled && (mode === "enter" || mode === "enterExit" || mode === "trigger")) {
         if (prevEG?.mode === mode) latched = !!prevEG.latched;
       }
       if (prevEG.mode !== mode || !!prevEG.latched !== !!latched) {
@@ -0,0 +1,309 @@
+import { FXMasterBaseFormV2 } from "../../base-form.js";
+import { packageId } from "../../constants.js";
+import { logger } from "../../logger.js";
+import { normalizePresetName, playPreset } from "../../api.js";
+import {
+  WORLD_PRESET_VARIANTS,
+  captureScenePresetVariant,
+  deleteWorldPreset,
+  getWorldPresets,
+  isValidWorldPresetName,
+  setWorldPreset,
+} from "../world-presets.js";
+
+/**
+ * PresetManagement
+ * ----------------
+ * Creates and edits world presets. Each preset has a normal and an optional top-down variant, captured from the current Scene's effects and editable entry by entry or as raw JSON. Every action writes straight to the `worldPresets` setting.
+ */
+export class PresetManagement extends FXMasterBaseFormV2 {
+  static FXMASTER_DETACHED_WINDOW_FIT = true;
+  static FXMASTER_POSITION_FLAG = "dialog-position-presets";
+  /** @type {PresetManagement|undefined} */
+  static #instance;
+
+  /** @returns {PresetManagement|undefined} */
+  static get instance() {
+    return this.#instance;
+  }
+
+  constructor(options = {}) {
+    super(options);
+    PresetManagement.#instance = this;
+
+    /** @type {string|null} */
+    this.selected = null;
+  }
+
+  static DEFAULT_OPTIONS = {
+    id: "presets-config",
+    tag: "section",
+    classes: ["fxmaster", "form-v2", "world-presets", "ui-control"],
+    actions: {
+      ...FXMasterBaseFormV2.DEFAULT_OPTIONS.actions,
+      createPreset: PresetManagement.createPreset,
+      selectPreset: PresetManagement.selectPreset,
+      deletePreset: PresetManagement.deletePreset,
+      captureVariant: PresetManagement.captureVariant,
+      clearVariant: PresetManagement.clearVariant,
+      removeEntry: PresetManagement.removeEntry,
+      applyJson: PresetManagement.applyJson,
+      playVariant: PresetManagement.playVariant,
+    },
+    window: {
+      title: "FXMASTER.Presets.Title",
+      resizable: true,
+      minimizable: true,
+    },
+    position: {
+      width: 640,
+      height: "auto",
+    },
+  };
+
+  static PARTS = [
+    {
+      template: "modules/fxmaster/templates/preset-management.hbs",
+    },
+  ];
+
+  async _prepareContext() {
+    const presets = getWorldPresets();
+    const names = Object.keys(presets).sort();
+    if (!this.selected || !(this.selected in presets)) this.selected = names[0] ?? null;
+
+    const preset = this.selected ? presets[this.selected] : null;
+
+    return {
+      hasScene: !!canvas?.scene,
+      presets: names.map((name) => ({ name, selected: name === this.selected })),
+      selected: preset
+        ? {
+            name: this.selected,
+            variants: WORLD_PRESET_VARIANTS.map((key) => buildVariantContext(key, preset[key])),
+          }
+        : null,
+    };
+  }
+
+  async _onRender(...args) {
+    await super._onRender(...args);
+
+    const pos = this._fxmIsDetachedHost() ? null : game.user.getFlag(packageId, "dialog-position-presets");
+    if (!pos) return;
+
+    await new Promise((r) => requestAnimationFrame(r));
+
+    const element = this.element?.[0] ?? this.element ?? null;
+    if (!element || element.isConnected === false) return;
+
+    const next = {};
+    if (Number.isFinite(pos.top)) next.top = pos.top;
+    if (Number.isFinite(pos.left)) next.left = pos.left;
+    if (Number.isFinite(pos.width)) next.width = pos.width;
+    if (!Object.keys(next).length) return;
+
+    try {
+      await this.setPosition(next);
+    } catch (err) {
+      logger.debug("FXMaster:", err);
+    }
+  }
+
+  async _onClose(...args) {
+    super._onClose(...args);
+    this._persistPositionFlag(this.position);
+    try {
+      if (PresetManagement.instance === this) PresetManagement.#instance = undefined;
+    } catch (err) {
+      logger.debug("FXMaster:", err);
+    }
+  }
+
+  /**
+   * Write a new version of the selected preset and re-render.
+   *
+   * @param {(preset: import("../world-presets.js").WorldPreset) => object} mutate Returns the preset to store.
+   * @returns {Promise<void>}
+   */
+  async _updateSelected(mutate) {
+    const name = this.selected;
+    const preset = name ? getWorldPresets()[name] : null;
+    if (!preset) return;
+
+    try {
+      const saved = await setWorldPreset(name, mutate(foundry.utils.deepClone(preset)));
+      if (!saved) ui.notifications?.warn?.(game.i18n.localize("FXMASTER.Presets.EmptyPreset"));
+    } catch (err) {
+      logger.debug("FXMaster:", err);
+    }
+    this.render(false);
+  }
+
+  static async createPreset(event) {
+    event?.preventDefault?.();
+    const input = this.element?.querySelector?.('input[name="newName"]');
+    const name = normalizePresetName(input?.value);
+
+    if (!isValidWorldPresetName(name)) {
+      ui.notifications?.warn?.(game.i18n.format("FXMASTER.Presets.InvalidName", { name }));
+      return;
+    }
+    if (name in getWorldPresets()) {
+      ui.notifications?.warn?.(game.i18n.format("FXMASTER.Presets.NameTaken", { name }));
+      return;
+    }
+
+    const normal = captureScenePresetVariant(canvas?.scene);
+    if (!normal) {
+      ui.notifications?.warn?.(game.i18n.localize("FXMASTER.Presets.SceneEmpty"));
+      return;
+    }
+
+    try {
+      await setWorldPreset(name, { normal, topDown: null });
+      this.selected = name;
+      ui.notifications?.info?.(game.i18n.format("FXMASTER.Presets.Saved", { name }));
+    } catch (err) {
+      logger.debug("FXMaster:", err);
+    }
+    this.render(false);
+  }
+
+  static selectPreset(event, button) {
+    event?.preventDefault?.();
+    const name = button?.dataset?.name;
+    if (!name) return;
+    this.selected = name;
+    this.render(false);
+  }
+
+  static async deletePreset(event) {
+    event?.preventDefault?.();
+    const name = this.selected;
+    if (!name) return;
+
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: game.i18n.localize("FXMASTER.Presets.DeleteTitle") },
+      content: `<p>${game.i18n.format("FXMASTER.Presets.DeleteContent", { name })}</p>`,
+      rejectClose: false,
+    });
+    if (!confirmed) return;
+
+    try {
+      await deleteWorldPreset(name);
+      this.selected = null;
+    } catch (err) {
+      logger.debug("FXMaster:", err);
+    }
+    this.render(false);
+  }
+
+  static async captureVariant(event, button) {
+    event?.preventDefault?.();
+    const key = variantKey(button);
+    const variant = captureScenePresetVariant(canvas?.scene);
+    if (!key || !variant) {
+      if (!variant) ui.notifications?.warn?.(game.i18n.localize("FXMASTER.Presets.SceneEmpty"));
+      return;
+    }
+    await this._updateSelected((preset) => ({ ...preset, [key]: variant }));
+  }
+
+  static async clearVariant(event, button) {
+    event?.preventDefault?.();
+    const key = variantKey(button);
+    if (!key) return;
+    await this._updateSelected((preset) => ({ ...preset, [key]: null }));
+  }
+
+  static async removeEntry(event, button) {
+    event?.preventDefault?.();
+    const key = variantKey(button);
+    const list = button?.dataset?.kind === "filter" ? "filters" : "particles";
+    const index = Number(button?.dataset?.index);
+    if (!key || !Number.isInteger(index)) return;
+
+    await this._updateSelected((preset) => {
+      preset[key]?.[list]?.splice(index, 1);
+      return preset;
+    });
+  }
+
+  static async applyJson(event, button) {
+    event?.preventDefault?.();
+    const key = variantKey(button);
+    const textarea = key ? this.element?.querySelector?.(`textarea[name="json-${key}"]`) : null;
+    if (!textarea) return;
+
+    let variant;
+    try {
+      variant = textarea.value.trim() ? JSON.parse(textarea.value) : null;
+    } catch (err) {
+      logger.debug("FXMaster:", err);
+      ui.notifications?.warn?.(game.i18n.localize("FXMASTER.Presets.InvalidJson"));
+      return;
+    }
+    await this._updateSelected((preset) => ({ ...preset, [key]: variant }));
+  }
+
+  static async playVariant(event, button) {
+    event?.preventDefault?.();
+    const key = variantKey(button);
+    if (!key || !this.selected || !canvas?.scene) return;
+    await playPreset(this.selected, { scene: canvas.scene, topDown: key === "topDown", silent: false });
+  }
+}
+
+/**
+ * Read the variant key from an action button.
+ *
+ * @param {HTMLElement} button
+ * @returns {"normal"|"topDown"|null}
+ */
+function variantKey(button) {
+  const key = button?.closest?.("[data-variant]")?.dataset?.variant;
+  return WORLD_PRESET_VARIANTS.includes(key) ? key : null;
+}
+
+/**
+ * Build the template context for one preset variant.
+ *
+ * @param {"normal"|"topDown"} key
+ * @param {import("../world-presets.js").WorldPresetVariant|null} variant
+ * @returns {object}
+ */
+function buildVariantContext(key, variant) {
+  const describe = (kind, registry) => (entry, index) => ({
+    kind,
+    index,
+    icon: kind === "filter" ? "fas fa-filter" : "fas fa-cloud-rain",
+    type: entry.type,
+    label: registry?.[entry.type]?.label ?? entry.type,
+    missing: !registry?.[entry.type],
+  });
+
+  const effects = [
+    ...(variant?.particles ?? []).map(describe("particle", CONFIG.fxmaster?.particleEffects)),
+    ...(variant?.filters ?? []).map(describe("filter", CONFIG.fxmaster?.filterEffects)),
+  ];
+
+  const json = variant
+    ? JSON.stringify(
+        {
+          particles: variant.particles.map(({ type, options }) => ({ type, options })),
+          filters: variant.filters.map(({ type, options }) => ({ type, options })),
+        },
+        null,
+        2,
+      )
+    : "";
+
+  return {
+    key,
+    label: `FXMASTER.Presets.Variants.${key}`,
+    hasEffects: effects.length > 0,
+    effects,
+    json,
+  };
+}
@@ -0,0 +1,303 @@
+/**
+ * FXMaster: Preset Region Behavior
+ *
+ * Plays a named preset from the Presets API inside its Region while tokens occupy the Region, and stops it once the last token leaves. The behavior accepts the same overrides as {@link playPreset}, except Scene Levels.
+ *
+ * Playing expands the preset into Particle and Filter Effects behaviors on the same Region, so the effects render through the Region layers. The active GM creates and deletes them, and each carries a `presetSource` flag naming the behavior that created it. The preset counts as playing while those behaviors exist, so deleting them by hand lets the next token replay it.
+ *
+ * @module presets/preset-region-behavior
+ */
+
+import { PRESET_SOURCE_FLAG, packageId } from "../constants.js";
+import { logger } from "../logger.js";
+import { buildPresetRegionBehaviorData, listPresets, normalizePresetName } from "../api.js";
+
+/** Compass directions offered by the Direction override, in {@link parseDirectionDegrees} notation. */
+const PRESET_DIRECTIONS = Object.freeze(["n", "ne", "e", "se", "s", "sw", "w", "nw"]);
+
+/** Relative levels offered by the Speed and Density overrides. */
+const PRESET_RELATIVE_LEVELS = Object.freeze(["very-low", "low", "medium", "high", "very-high"]);
+
+/** Schema fields passed through to {@link buildPresetRegionBehaviorData}. Changing one while the preset plays restarts it. */
+const PRESET_OPTION_FIELDS = Object.freeze(["preset", "topDown", "direction", "speed", "density", "color"]);
+
+/**
+ * StringField listing the built-in and world presets as a select. Choices are not enforced, so deleting a world preset does not invalidate the behavior.
+ */
+class PresetNameField extends foundry.data.fields.StringField {
+  /** @override */
+  _toInput(config = {}) {
+    const options = listPresets({ withSource: true }).map(({ name, source }) => ({
+      value: name,
+      label: name,
+      group: source === "world" ? "FXMASTER.Regions.Preset.SourceWorld" : "FXMASTER.Regions.Preset.SourceBuiltin",
+    }));
+    const value = normalizePresetName(config.value);
+    if (value && !options.some((option) => option.value === value)) options.push({ value, label: value });
+
+    return foundry.applications.fields.createSelectInput({
+      ...config,
+      value,
+      options,
+      groups: ["FXMASTER.Regions.Preset.SourceBuiltin", "FXMASTER.Regions.Preset.SourceWorld"],
+      blank: "",
+      localize: true,
+    });
+  }
+}
+
+/**
+ * Build a choices map from option values, labelled under a localization prefix.
+ *
+ * @param {string[]} values
+ * @param {string} prefix
+ * @returns {Record<string, string>}
+ */
+function labelledChoices(values, prefix) {
+  const choices = { "": "FXMASTER.Regions.Preset.Default" };
+  for (const value of values) choices[value] = `${prefix}.${value}`;
+  return choices;
+}
+
+/**
+ * Return whether this client is the GM responsible for playing and stopping Region presets.
+ *
+ * @returns {boolean}
+ */
+function isResponsibleGM() {
+  const user = game?.user;
+  if (!user?.isGM) return false;
+  const activeGM = game?.users?.activeGM ?? null;
+  return !activeGM || activeGM.id === user.id;
+}
+
+/**
+ * Region behavior that plays a preset while tokens are inside its Region.
+ */
+export class PresetRegionBehaviorType extends foundry.data.regionBehaviors.RegionBehaviorType {
+  static LOCALIZATION_PREFIXES = ["FXMASTER.Regions.Preset"];
+
+  /**
+   * Build the editable schema: the Region events, the preset, and the {@link playPreset} overrides.
+   */
+  static defineSchema() {
+    const fields = foundry.data.fields;
+    const schema = {};
+
+    schema.events = this._createEventsField({
+      events: [CONST.REGION_EVENTS.TOKEN_ENTER, CONST.REGION_EVENTS.TOKEN_EXIT],
+    });
+
+    schema.preset = new PresetNameField({
+      required: true,
+      blank: true,
+      initial: "",
+      label: "FXMASTER.Regions.Preset.Name",
+      hint: "FXMASTER.Regions.Preset.NameHint",
+      localize: true,
+    });
+
+    schema.topDown = new fields.BooleanField({
+      required: false,
+      nullable: false,
+      initial: false,
+      label: "FXMASTER.Regions.Preset.TopDown",
+      hint: "FXMASTER.Regions.Preset.TopDownHint",
+      localize: true,
+    });
+
+    schema.direction = new fields.StringField({
+      required: false,
+      blank: true,
+      initial: "",
+      choices: labelledChoices(PRESET_DIRECTIONS, "FXMASTER.Regions.Preset.Directions"),
+      label: "FXMASTER.Regions.Preset.Direction",
+      localize: true,
+    });
+
+    schema.speed = new fields.StringField({
+      required: false,
+      blank: true,
+      initial: "",
+      choices: labelledChoices(PRESET_RELATIVE_LEVELS, "FXMASTER.Regions.Preset.Levels"),
+      label: "FXMASTER.Regions.Preset.Speed",
+      localize: true,
+    });
+
+    schema.density = new fields.StringField({
+      required: false,
+      blank: true,
+      initial: "",
+      choices: labelledChoices(PRESET_RELATIVE_LEVELS, "FXMASTER.Regions.Preset.Levels"),
+      label: "FXMASTER.Regions.Preset.Density",
+      localize: true,
+    });
+
+    schema.color = new fields.ColorField({
+      required: false,
+      nullable: true,
+      initial: null,
+      label: "FXMASTER.Regions.Preset.Color",
+      hint: "FXMASTER.Regions.Preset.ColorHint",
+      localize: true,
+    });
+
+    return schema;
+  }
+
+  /**
+   * Return the normalized preset name, or an empty string when none is selected.
+   *
+   * @returns {string}
+   */
+  get presetName() {
+    return normalizePresetName(this.preset);
+  }
+
+  /**
+   * Build the {@link buildPresetRegionBehaviorData} options.
+   *
+   * @returns {import("../api.js").PresetPlayOptions}
+   */
+  _getPresetOptions() {
+    const opts = { topDown: !!this.topDown, silent: true };
+    if (this.direction) opts.direction = this.direction;
+    if (this.speed) opts.speed = this.speed;
+    if (this.density) opts.density = this.density;
+    if (this.color) opts.color = String(this.color);
+    return opts;
+  }
+
+  /**
+   * Return whether any token is inside the Region.
+   *
+   * @returns {boolean}
+   */
+  _isRegionOccupied() {
+    return (this.parent?.parent?.tokens?.size ?? 0) > 0;
+  }
+
+  /**
+   * Return the effect behaviors this behavior generated on its Region.
+   *
+   * @returns {RegionBehavior[]}
+   */
+  _getPresetBehaviors() {
+    const id = this.parent?.id;
+    if (!id) return [];
+    return Array.from(this.parent?.parent?.behaviors ?? []).filter(
+      (behavior) => behavior.getFlag?.(packageId, PRESET_SOURCE_FLAG) === id,
+    );
+  }
+
+  /**
+   * Return whether the preset is playing, meaning its generated effect behaviors are on the Region.
+   *
+   * @returns {boolean}
+   */
+  get isPresetPlaying() {
+    return this._getPresetBehaviors().length > 0;
+  }
+
+  /**
+   * Expand the preset into effect behaviors on this Region.
+   *
+   * @returns {Promise<void>}
+   */
+  async _startPreset() {
+    const name = this.presetName;
+    const region = this.parent?.parent;
+    if (!name || !region) return;
+
+    const built = buildPresetRegionBehaviorData(region.parent, name, this._getPresetOptions());
+    if (!built?.behaviors.length) return;
+
+    if (built.resolved.tier === "plus" && !built.plusActive) {
+      logger.warn(game.i18n.format("FXMASTER.API.PlusPresetInactive", { name: built.resolved.presetName }));
+    }
+
+    await region.createEmbeddedDocuments(
+      "RegionBehavior",
+      built.behaviors.map(({ type, system }) => ({
+        type,
+        name: built.resolved.presetName,
+        system,
+        flags: { [packageId]: { [PRESET_SOURCE_FLAG]: this.parent.id } },
+      })),
+    );
+  }
+
+  /**
+   * Delete the effect behaviors this behavior generated.
+   *
+   * @returns {Promise<void>}
+   */
+  async _stopPreset() {
+    const ids = this._getPresetBehaviors().map((behavior) => behavior.id);
+    if (ids.length) await this.parent.parent.deleteEmbeddedDocuments("RegionBehavior", ids);
+  }
+
+  /**
+   * Play the preset when a token enters the Region and stop it when the last token leaves.
+   *
+   * @param {object} event - Foundry Region event payload.
+   */
+  async _handleRegionEvent(event) {
+    if (!isResponsibleGM() || !this.events?.has(event.name)) return;
+
+    try {
+      if (event.name === CONST.REGION_EVENTS.TOKEN_ENTER) {
+        if (!this.isPresetPlaying) await this._startPreset();
+      } else if (event.name === CONST.REGION_EVENTS.TOKEN_EXIT) {
+        if (!this._isRegionOccupied()) await this._stopPreset();
+      }
+    } catch (err) {
+      logger.debug("FXMaster:", err);
+    }
+  }
+
+  /**
+   * Stop the preset when the behavior is disabled, restart it with the new options when they change while it plays, and start it when the behavior is enabled with tokens already inside.
+   */
+  async _onUpdate(changed, options, userId) {
+    await super._onUpdate(changed, options, userId);
+    if (!isResponsibleGM()) return;
+
+    try {
+      const playing = this.isPresetPlaying;
+      const active = !this.parent?.disabled && !!this.presetName;
+      const canStart = active && this.events?.has(CONST.REGION_EVENTS.TOKEN_ENTER) && this._isRegionOccupied();
+
+      if (!playing) {
+        if (canStart && changed?.disabled === false) await this._startPreset();
+        return;
+      }
+      if (!active) {
+        await this._stopPreset();
+        return;
+      }
+
+      const system = changed?.system ?? {};
+      if (!PRESET_OPTION_FIELDS.some((key) => key in system)) return;
+
+      await this._stopPreset();
+      if (canStart) await this._startPreset();
+    } catch (err) {
+      logger.debug("FXMaster:", err);
+    }
+  }
+
+  /**
+   * Delete the generated effect behaviors when the behavior is deleted.
+   */
+  async _onDelete(options, userId) {
+    await super._onDelete(options, userId);
+    if (!isResponsibleGM()) return;
+
+    try {
+      await this._stopPreset();
+    } catch (err) {
+      logger.debug("FXMaster:", err);
+    }
+  }
+}
@@ -0,0 +1,191 @@
+/**
+ * FXMaster: World Presets
+ *
+ * GM-authored presets stored in the world setting `worldPresets`. Each preset mirrors the built-in `API_EFFECTS` shape with a single tier:
+ *
+ * ```js
+ * {
+ *   "foggy-dawn": {
+ *     normal: { particles: [{ type: "fog", options: {...}, currentRanges: true }], filters: [...] },
+ *     topDown: null, // optional variant, same shape as `normal`
+ *     updatedAt: 1718000000000,
+ *   },
+ * }
+ * ```
+ *
+ * Entries are captured from stored scene options, which already use the current parameter ranges, so they are marked `currentRanges` and skip the legacy range conversion applied to built-in presets.
+ *
+ * @module presets/world-presets
+ */
+
+import { packageId } from "../constants.js";
+import { logger } from "../logger.js";
+import { API_EFFECTS } from "../api-effects.js";
+import { getSceneEffectEntries } from "../macro.js";
+
+/** World setting key holding user-defined presets. */
+export const WORLD_PRESETS_SETTING = "worldPresets";
+
+/** Preset variant keys, in the order the editor shows them. */
+export const WORLD_PRESET_VARIANTS = ["normal", "topDown"];
+
+/** Names must be usable inside scene flag keys (`apiPreset_<name>_p0`), so dots and spaces are not allowed. */
+const WORLD_PRESET_NAME_RE = /^[a-z0-9][a-z0-9_-]*$/;
+
+/**
+ * @typedef {object} WorldPresetEntry
+ * @property {string} type
+ * @property {object} options
+ * @property {true} currentRanges
+ */
+
+/**
+ * @typedef {object} WorldPresetVariant
+ * @property {WorldPresetEntry[]} particles
+ * @property {WorldPresetEntry[]} filters
+ */
+
+/**
+ * @typedef {object} WorldPreset
+ * @property {WorldPresetVariant|null} normal
+ * @property {WorldPresetVariant|null} topDown
+ * @property {number} updatedAt
+ */
+
+/**
+ * Sanitize one preset entry.
+ *
+ * @param {unknown} entry
+ * @returns {WorldPresetEntry|null}
+ */
+function sanitizeEntry(entry) {
+  const type = typeof entry?.type === "string" ? entry.type.trim() : "";
+  if (!type) return null;
+
+  const options =
+    entry.options && typeof entry.options === "object" && !Array.isArray(entry.options)
+      ? foundry.utils.deepClone(entry.options)
+      : {};
+  delete options.levels;
+
+  return { type, options, currentRanges: true };
+}
+
+/**
+ * Sanitize one preset variant, or return `null` when it has no effects.
+ *
+ * @param {unknown} variant
+ * @returns {WorldPresetVariant|null}
+ */
+function sanitizeVariant(variant) {
+  if (!variant || typeof variant !== "object") return null;
+  const particles = (Array.isArray(variant.particles) ? variant.particles : []).map(sanitizeEntry).filter(Boolean);
+  const filters = (Array.isArray(variant.filters) ? variant.filters : []).map(sanitizeEntry).filter(Boolean);
+  return particles.length || filters.length ? { particles, filters } : null;
+}
+
+/**
+ * Sanitize a stored preset, or return `null` when neither variant has effects.
+ *
+ * @param {unknown} preset
+ * @returns {WorldPreset|null}
+ */
+export function sanitizeWorldPreset(preset) {
+  const normal = sanitizeVariant(preset?.normal);
+  const topDown = sanitizeVariant(preset?.topDown);
+  if (!normal && !topDown) return null;
+
+  const updatedAt = Number(preset?.updatedAt);
+  return { normal, topDown, updatedAt: Number.isFinite(updatedAt) ? updatedAt : 0 };
+}
+
+/**
+ * Return whether a normalized name can be used for a world preset. Built-in preset names are reserved.
+ *
+ * @param {string} name Normalized preset name.
+ * @returns {boolean}
+ */
+export function isValidWorldPresetName(name) {
+  return WORLD_PRESET_NAME_RE.test(String(name ?? "")) && !Object.hasOwn(API_EFFECTS, name);
+}
+
+/**
+ * Read every world preset.
+ *
+ * @returns {Record<string, WorldPreset>}
+ */
+export function getWorldPresets() {
+  let raw = {};
+  try {
+    raw = game.settings.get(packageId, WORLD_PRESETS_SETTING) ?? {};
+  } catch (err) {
+    logger.debug("FXMaster:", err);
+  }
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return {};
+
+  const presets = {};
+  for (const [name, preset] of Object.entries(raw)) {
+    if (!isValidWorldPresetName(name)) continue;
+    const clean = sanitizeWorldPreset(preset);
+    if (clean) presets[name] = clean;
+  }
+  return presets;
+}
+
+/**
+ * Read one world preset.
+ *
+ * @param {string} name Normalized preset name.
+ * @returns {WorldPreset|null}
+ */
+export function getWorldPreset(name) {
+  return getWorldPresets()[name] ?? null;
+}
+
+/**
+ * Create or replace a world preset.
+ *
+ * @param {string} name Normalized preset name.
+ * @param {{normal?: WorldPresetVariant|null, topDown?: WorldPresetVariant|null}} preset
+ * @returns {Promise<WorldPreset|null>} The stored preset, or `null` when the name is invalid or the preset is empty.
+ */
+export async function setWorldPreset(name, preset) {
+  if (!isValidWorldPresetName(name)) return null;
+  const clean = sanitizeWorldPreset({ ...preset, updatedAt: Date.now() });
+  if (!clean) return null;
+
+  const presets = getWorldPresets();
+  presets[name] = clean;
+  await game.settings.set(packageId, WORLD_PRESETS_SETTING, presets);
+  return clean;
+}
+
+/**
+ * Delete a world preset.
+ *
+ * @param {string} name Normalized preset name.
+ * @returns {Promise<boolean>} Whether a preset was removed.
+ */
+export async function deleteWorldPreset(name) {
+  const presets = getWorldPresets();
+  if (!(name in presets)) return false;
+  delete presets[name];
+  await game.settings.set(packageId, WORLD_PRESETS_SETTING, presets);
+  return true;
+}
+
+/**
+ * Capture a scene's current particles and filters as a preset variant. Scene-specific Level selections are dropped.
+ *
+ * @param {Scene|null|undefined} scene
+ * @returns {WorldPresetVariant|null} `null` when the scene has no effects.
+ */
+export function captureScenePresetVariant(scene) {
+  if (!scene) return null;
+
+  const entries = getSceneEffectEntries(scene);
+  return sanitizeVariant({
+    particles: entries.filter((entry) => entry.kind === "particle"),
+    filters: entries.filter((entry) => entry.kind === "filter"),
+  });
+}
@@ -0,0 +1,53 @@
+/**
+ * FXMaster Scene Configuration API.
+ *
+ * Exposes scene configuration export and import to macros and other modules.
+ *
+ * @example
+ * const config = FXMASTER.api.sceneConfig.export();
+ * await FXMASTER.api.sceneConfig.import(config, { scene: "Scene.abc123" });
+ * FXMASTER.api.sceneConfig.download();
+ */
+
+import { packageId } from "../constants.js";
+import { logger } from "../logger.js";
+import { resolveScene } from "../api.js";
+import { downloadSceneConfig, exportSceneConfig, importSceneConfig, promptImportSceneConfig } from "./scene-config.js";
+
+/**
+ * Resolve the target Scene for a scene configuration API call, defaulting to the viewed Scene.
+ *
+ * @param {Scene|string|null} scene
+ * @returns {Scene|null}
+ */
+function targetScene(scene) {
+  return scene ? resolveScene(scene) : canvas?.scene ?? null;
+}
+
+/**
+ * Register the scene configuration API onto the fxmaster module and global FXMASTER object. Call during init.
+ */
+export function registerSceneConfigApi() {
+  try {
+    const mod = game?.modules?.get?.(packageId);
+    if (!mod) return;
+
+    mod.api ||= {};
+    mod.api.sceneConfig = {
+      export: ({ scene = null } = {}) => exportSceneConfig(targetScene(scene)),
+      import: (data, { scene = null } = {}) => importSceneConfig(targetScene(scene), data),
+      download: ({ scene = null } = {}) => downloadSceneConfig(targetScene(scene)),
+      promptImport: ({ scene = null } = {}) => promptImportSceneConfig(targetScene(scene)),
+    };
+
+    try {
+      globalThis.FXMASTER ||= {};
+      globalThis.FXMASTER.api ||= {};
+      globalThis.FXMASTER.api.sceneConfig = mod.api.sceneConfig;
+    } catch (err) {
+      logger.debug("FXMaster:", err);
+    }
+  } catch (err) {
+    logger.error("Failed to register scene configuration API", err);
+  }
+}
@@ -0,0 +1,383 @@
+/**
+ * FXMaster: Scene Configuration Import/Export
+ *
+ * Serializes everything FXMaster stores on a Scene into one versioned JSON document so a map setup can move between worlds:
+ *
+ * ```js
+ * {
+ *   format: "fxmaster-scene-config",
+ *   version: 1,
+ *   moduleVersion: "8.3.4",
+ *   exportedAt: "2026-01-01T00:00:00.000Z",
+ *   migrations: { directionConvention: 1, parameterRanges: 1 },
+ *   scene: { id: "abc123", name: "Docks" },
+ *   flags: { effects: {...}, filters: {...}, stack: [...], ... }, // flags.fxmaster: core rows, API rows, layer stack, weather
+ *   regions: [{ id, name, behaviors: [{ id, name, type, disabled, system, flags }] }],
+ * }
+ * ```
+ *
+ * `migrations` records the direction-convention and parameter-range data versions of the exporting world. Importing older documents runs them through the same normalizers as the world migrations before anything is written.
+ *
+ * @module scene-config/scene-config
+ */
+
+import { PRESET_SOURCE_FLAG, packageId } from "../constants.js";
+import { logger } from "../logger.js";
+import {
+  buildRegionEffectUid,
+  buildSuppressionEffectUid,
+  getEffectStackFlagName,
+  getStoredEffectStack,
+  invalidateEffectStackCache,
+  parseEffectUid,
+} from "../common/effect-stack.js";
+import { addReplacementKey, getSceneRegionDocuments } from "../utils/compat.js";
+import { collectionValues, isPlainObject } from "../utils/object.js";
+import {
+  migrateRegionBehaviorDirectionConvention,
+  migrateSceneFlagsDirectionConvention,
+} from "../migrations/direction-convention.js";
+import {
+  migrateRegionBehaviorParameterRanges,
+  migrateSceneFlagsParameterRanges,
+} from "../migrations/parameter-ranges.js";
+
+/** Document format identifier. */
+export const SCENE_CONFIG_FORMAT = "fxmaster-scene-config";
+
+/** Current document version. Bump when the document layout changes. */
+export const SCENE_CONFIG_VERSION = 1;
+
+/**
+ * @typedef {object} SceneConfigImportResult
+ * @property {number} behaviors Region behaviors created or updated.
+ * @property {string[]} skippedRegions Names of exported Regions with no match on the target Scene.
+ * @property {boolean} migrated Whether any option was converted from an older data version.
+ */
+
+/**
+ * Return whether a Region behavior type belongs to FXMaster.
+ *
+ * @param {string} type
+ * @returns {boolean}
+ */
+function isFxmasterBehaviorType(type) {
+  return String(type ?? "").startsWith(`${packageId}.`);
+}
+
+/**
+ * Read the world's completed migration version for a data convention.
+ *
+ * @param {string} setting
+ * @returns {number}
+ */
+function worldMigrationVersion(setting) {
+  try {
+    return Number(game.settings.get(packageId, setting) ?? 0) || 0;
+  } catch (err) {
+    logger.debug("FXMaster:", err);
+    return 0;
+  }
+}
+
+/**
+ * Serialize one FXMaster Region behavior.
+ *
+ * @param {RegionBehavior} behavior
+ * @returns {object}
+ */
+function exportBehavior(behavior) {
+  const source = behavior.toObject?.() ?? {};
+  return {
+    id: behavior.id,
+    name: source.name ?? "",
+    type: source.type,
+    disabled: !!source.disabled,
+    system: foundry.utils.deepClone(source.system ?? {}),
+    flags: foundry.utils.deepClone(source.flags?.[packageId] ?? {}),
+  };
+}
+
+/**
+ * Build the scene configuration document for a Scene.
+ *
+ * @param {Scene} scene
+ * @returns {object|null} `null` when no Scene is given.
+ */
+export function exportSceneConfig(scene) {
+  if (!scene) return null;
+
+  const flags = foundry.utils.deepClone(scene.flags?.[packageId] ?? {});
+  flags[getEffectStackFlagName()] = getStoredEffectStack(scene);
+
+  const regions = [];
+  for (const region of getSceneRegionDocuments(scene)) {
+    const behaviors = collectionValues(region.behaviors)
+      .filter((behavior) => isFxmasterBehaviorType(behavior.type) && !behavior.getFlag?.(packageId, PRESET_SOURCE_FLAG))
+      .map(exportBehavior);
+    if (behaviors.length) regions.push({ id: region.id, name: region.name ?? "", behaviors });
+  }
+
+  return {
+    format: SCENE_CONFIG_FORMAT,
+    version: SCENE_CONFIG_VERSION,
+    moduleVersion: game.modules.get(packageId)?.version ?? null,
+    exportedAt: new Date().toISOString(),
+    migrations: {
+      directionConvention: worldMigrationVersion("directionConventionMigrationVersion"),
+      parameterRanges: worldMigrationVersion("parameterRangeMigrationVersion"),
+    },
+    scene: { id: scene.id, name: scene.name ?? "" },
+    flags,
+    regions,
+  };
+}
+
+/**
+ * Parse and validate a scene configuration document.
+ *
+ * @param {object|string} data Document object or JSON text.
+ * @returns {object} A deep copy of the document.
+ * @throws {Error} When the document is not a supported FXMaster scene configuration.
+ */
+export function parseSceneConfig(data) {
+  let doc = data;
+  if (typeof doc === "string") {
+    try {
+      doc = JSON.parse(doc);
+    } catch (err) {
+      logger.debug("FXMaster:", err);
+      throw new Error(game.i18n.localize("FXMASTER.SceneConfig.InvalidJson"));
+    }
+  }
+
+  if (!isPlainObject(doc) || doc.format !== SCENE_CONFIG_FORMAT) {
+    throw new Error(game.i18n.localize("FXMASTER.SceneConfig.InvalidFormat"));
+  }
+
+  const version = Number(doc.version);
+  if (!Number.isInteger(version) || version < 1 || version > SCENE_CONFIG_VERSION) {
+    throw new Error(game.i18n.format("FXMASTER.SceneConfig.UnsupportedVersion", { version: doc.version }));
+  }
+
+  return foundry.utils.deepClone(doc);
+}
+
+/**
+ * Find the Region on the target Scene that matches an exported Region: same id first, then a unique name.
+ *
+ * @param {Scene} scene
+ * @param {{id?: string, name?: string}} exported
+ * @returns {RegionDocument|null}
+ */
+function matchRegion(scene, exported) {
+  const regions = getSceneRegionDocuments(scene);
+  const byId = regions.find((region) => region.id === exported.id);
+  if (byId) return byId;
+
+  const named = regions.filter((region) => exported.name && region.name === exported.name);
+  return named.length === 1 ? named[0] : null;
+}
+
+/**
+ * Replace the FXMaster behaviors of a Region with the exported ones. Existing behaviors are updated in place when they share the exported id, or the same type and name; the rest are created or deleted.
+ *
+ * @param {RegionDocument} region
+ * @param {object[]} behaviors Normalized behavior sources.
+ * @returns {Promise<Map<string, string>>} Exported behavior id → target behavior id.
+ */
+async function importRegionBehaviors(region, behaviors) {
+  const existing = collectionValues(region.behaviors).filter((behavior) => isFxmasterBehaviorType(behavior.type));
+  const claimed = new Set();
+  const idMap = new Map();
+  const updates = [];
+  const creates = [];
+
+  for (const behavior of behaviors) {
+    const match =
+      existing.find((doc) => !claimed.has(doc.id) && doc.id === behavior.id && doc.type === behavior.type) ??
+      existing.find((doc) => !claimed.has(doc.id) && doc.type === behavior.type && doc.name === behavior.name);
+
+    const data = {
+      name: behavior.name,
+      disabled: !!behavior.disabled,
+      system: behavior.system,
+      flags: addReplacementKey({}, packageId, behavior.flags),
+    };
+
+    if (match) {
+      claimed.add(match.id);
+      idMap.set(behavior.id, match.id);
+      updates.push({ _id: match.id, ...data });
+    } else {
+      creates.push({
+        exportedId: behavior.id,
+        data: { type: behavior.type, ...data, flags: { [packageId]: behavior.flags } },
+      });
+    }
+  }
+
+  const stale = existing.filter((doc) => !claimed.has(doc.id)).map((doc) => doc.id);
+  if (stale.length) await region.deleteEmbeddedDocuments("RegionBehavior", stale);
+  if (updates.length) await region.updateEmbeddedDocuments("RegionBehavior", updates, { diff: false });
+  if (creates.length) {
+    const created = await region.createEmbeddedDocuments(
+      "RegionBehavior",
+      creates.map((entry) => entry.data),
+    );
+    created.forEach((doc, i) => idMap.set(creates[i].exportedId, doc.id));
+  }
+
+  return idMap;
+}
+
+/**
+ * Rewrite stored stack UIDs so region rows point at the imported Regions and behaviors. Rows whose Region was not matched are dropped.
+ *
+ * @param {Array<{uid: string}>} stack
+ * @param {Map<string, {regionId: string, behaviors: Map<string, string>}>} regionMap
+ * @returns {Array<{uid: string}>}
+ */
+function remapStack(stack, regionMap) {
+  const next = [];
+  for (const entry of Array.isArray(stack) ? stack : []) {
+    const parsed = parseEffectUid(entry?.uid);
+    if (!parsed) continue;
+    if (parsed.scope === "scene") {
+      next.push({ uid: entry.uid });
+      continue;
+    }
+
+    const region = regionMap.get(parsed.regionId);
+    const behaviorId = region?.behaviors.get(parsed.behaviorId);
+    if (!behaviorId) continue;
+
+    const uid =
+      parsed.kind === "suppression"
+        ? buildSuppressionEffectUid(parsed.suppressionKind, region.regionId, behaviorId)
+        : buildRegionEffectUid(parsed.kind, region.regionId, behaviorId, parsed.effectId);
+    next.push({ uid });
+  }
+  return next;
+}
+
+/**
+ * Import a scene configuration document into a Scene, replacing its FXMaster flags and the FXMaster behaviors of every matched Region.
+ *
+ * @param {Scene} scene Target Scene.
+ * @param {object|string} data Document object or JSON text.
+ * @returns {Promise<SceneConfigImportResult>}
+ * @throws {Error} When the document is invalid or references unknown effect types that need conversion.
+ */
+export async function importSceneConfig(scene, data) {
+  if (!scene) throw new Error(game.i18n.localize("FXMASTER.SceneConfig.NoScene"));
+
+  const doc = parseSceneConfig(data);
+  const fromDirection = Number(doc.migrations?.directionConvention ?? 0) || 0;
+  const fromRanges = Number(doc.migrations?.parameterRanges ?? 0) || 0;
+  let migrated = false;
+
+  const flags = isPlainObject(doc.flags) ? doc.flags : {};
+  if (migrateSceneFlagsDirectionConvention(flags, fromDirection)) migrated = true;
+  if (migrateSceneFlagsParameterRanges(flags, fromRanges)) migrated = true;
+
+  const regions = (Array.isArray(doc.regions) ? doc.regions : []).filter((region) => isPlainObject(region));
+  for (const region of regions) {
+    region.behaviors = (Array.isArray(region.behaviors) ? region.behaviors : [])
+      .filter((behavior) => isPlainObject(behavior) && isFxmasterBehaviorType(behavior.type))
+      .map((behavior) => {
+        const source = {
+          type: behavior.type,
+          system: isPlainObject(behavior.system) ? behavior.system : {},
+          flags: { [packageId]: isPlainObject(behavior.flags) ? behavior.flags : {} },
+        };
+        if (migrateRegionBehaviorDirectionConvention(source, fromDirection)) migrated = true;
+        if (migrateRegionBehaviorParameterRanges(source, fromRanges)) migrated = true;
+        return {
+          id: behavior.id,
+          name: String(behavior.name ?? ""),
+          type: behavior.type,
+          disabled: !!behavior.disabled,
+          system: source.system,
+          flags: source.flags[packageId],
+        };
+      });
+  }
+
+  const regionMap = new Map();
+  const skippedRegions = [];
+  let behaviorCount = 0;
+
+  for (const region of regions) {
+    const target = matchRegion(scene, region);
+    if (!target) {
+      if (region.behaviors.length) skippedRegions.push(region.name || region.id);
+      continue;
+    }
+    const behaviors = await importRegionBehaviors(target, region.behaviors);
+    regionMap.set(region.id, { regionId: target.id, behaviors });
+    behaviorCount += region.behaviors.length;
+  }
+
+  const stackFlag = getEffectStackFlagName();
+  flags[stackFlag] = remapStack(flags[stackFlag], regionMap);
+
+  await scene.update({ flags: addReplacementKey({}, packageId, flags) }, { diff: false });
+  invalidateEffectStackCache();
+
+  return { behaviors: behaviorCount, skippedRegions, migrated };
+}
+
+/**
+ * Download a Scene's configuration as a JSON file.
+ *
+ * @param {Scene} scene
+ * @returns {void}
+ */
+export function downloadSceneConfig(scene) {
+  const doc = exportSceneConfig(scene);
+  if (!doc) return;
+  const slug = String(scene.name ?? "scene").slugify({ strict: true }) || "scene";
+  foundry.utils.saveDataToFile(JSON.stringify(doc, null, 2), "text/json", `fxmaster-${slug}.json`);
+}
+
+/**
+ * Ask the GM for a scene configuration file and import it into a Scene.
+ *
+ * @param {Scene} scene
+ * @returns {Promise<SceneConfigImportResult|null>} `null` when the dialog was cancelled or the import failed.
+ */
+export async function promptImportSceneConfig(scene) {
+  if (!scene || !game.user?.isGM) return null;
+
+  const file = await foundry.applications.api.DialogV2.prompt({
+    window: { title: game.i18n.format("FXMASTER.SceneConfig.ImportTitle", { scene: scene.name }) },
+    content: `<p>${game.i18n.localize(
+      "FXMASTER.SceneConfig.ImportHint",
+    )}</p><input type="file" name="data" accept=".json">`,
+    ok: {
+      label: game.i18n.localize("FXMASTER.SceneConfig.Import"),
+      icon: "fas fa-file-import",
+      callback: (_event, button) => button.form.elements.data.files?.[0] ?? null,
+    },
+    rejectClose: false,
+  });
+  if (!file) return null;
+
+  try {
+    const result = await importSceneConfig(scene, await foundry.utils.readTextFromFile(file));
+    ui.notifications?.info?.(
+      game.i18n.format("FXMASTER.SceneConfig.Imported", { scene: scene.name, behaviors: result.behaviors }),
+    );
+    if (result.skippedRegions.length) {
+      ui.notifications?.warn?.(
+        game.i18n.format("FXMASTER.SceneConfig.SkippedRegions", { regions: result.skippedRegions.join(", ") }),
+      );
+    }
+    return result;
+  } catch (err) {
+    logger.error("FXMaster scene configuration import failed.", err);
+    ui.notifications?.error?.(err?.message ?? String(err));
+    return null;
+  }
+}
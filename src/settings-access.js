@@ -49,3 +49,52 @@ export function displayEffectsOverVision() {
     return false;
   }
 }
+
+/**
+ * Return whether flashing and violent motion should be toned down on this client, through FXMaster's reduced motion setting or Foundry's photosensitive mode.
+ *
+ * @returns {boolean}
+ */
+export function reducedMotion() {
+  try {
+    const settings = globalThis.game?.settings;
+    return settings?.get(packageId, "reducedMotion") === true || settings?.get("core", "photosensitiveMode") === true;
+  } catch (_err) {
+    return false;
+  }
+}
+
+/**
+ * Return this client's per-effect blocklist and intensity overrides, keyed by effect kind and then effect type.
+ *
+ * @returns {{particle?: Record<string, {blocked?: boolean, intensity?: number}>, filter?: Record<string, {blocked?: boolean, intensity?: number}>}}
+ */
+export function clientEffectOverrides() {
+  try {
+    const value = globalThis.game?.settings?.get(packageId, "clientEffectOverrides");
+    return value && typeof value === "object" ? value : {};
+  } catch (_err) {
+    return {};
+  }
+}
+
+/**
+ * Return this client's adaptive quality governor settings.
+ *
+ * @returns {{enabled: boolean, targetFps: number, minimumQuality: number, showReadout: boolean}}
+ */
+export function adaptiveQualitySettings() {
+  try {
+    const settings = globalThis.game?.settings;
+    const targetFps = Number(settings?.get(packageId, "adaptiveQualityTargetFps"));
+    const minimumQuality = Number(settings?.get(packageId, "adaptiveQualityMinimum"));
+    return {
+      enabled: settings?.get(packageId, "adaptiveQuality") === true,
+      targetFps: Number.isFinite(targetFps) ? Math.min(120, Math.max(15, targetFps)) : 45,
+      minimumQuality: Number.isFinite(minimumQuality) ? Math.min(1, Math.max(0.25, minimumQuality)) : 0.4,
+      showReadout: settings?.get(packageId, "adaptiveQualityReadout") === true,
+    };
+  } catch (_err) {
+    return { enabled: false, targetFps: 45, minimumQuality: 0.4, showReadout: false };
+  }
+}
@@ -2,6 +2,7 @@ import { packageId } from "./constants.js";
 import { invalidateEffectStackCache } from "./common/effect-stack.js";
 import { fxmDocumentId } from "./utils/foundry-public.js";
 import { logger } from "./logger.js";
+import { QualityGovernor } from "./common/quality-governor.js";
 
 const LEGACY_CLEANUP_VERSION = 1;
 
@@ -33,6 +34,62 @@ export function registerSettings() {
     requiresReload: true,
   });
 
+  game.settings.register(packageId, "reducedMotion", {
+    name: "FXMASTER.Settings.ReducedMotion",
+    hint: "FXMASTER.Settings.ReducedMotionHint",
+    default: false,
+    scope: "client",
+    type: Boolean,
+    config: true,
+    requiresReload: true,
+  });
+
+  game.settings.register(packageId, "adaptiveQuality", {
+    name: "FXMASTER.Settings.AdaptiveQuality",
+    hint: "FXMASTER.Settings.AdaptiveQualityHint",
+    default: false,
+    scope: "client",
+    type: Boolean,
+    config: true,
+    requiresReload: false,
+    onChange: () => QualityGovernor.instance.refresh(),
+  });
+
+  game.settings.register(packageId, "adaptiveQualityTargetFps", {
+    name: "FXMASTER.Settings.AdaptiveQualityTargetFps",
+    hint: "FXMASTER.Settings.AdaptiveQualityTargetFpsHint",
+    default: 45,
+    scope: "client",
+    type: Number,
+    range: { min: 15, max: 120, step: 5 },
+    config: true,
+    requiresReload: false,
+    onChange: () => QualityGovernor.instance.refresh(),
+  });
+
+  game.settings.register(packageId, "adaptiveQualityMinimum", {
+    name: "FXMASTER.Settings.AdaptiveQualityMinimum",
+    hint: "FXMASTER.Settings.AdaptiveQualityMinimumHint",
+    default: 0.4,
+    scope: "client",
+    type: Number,
+    range: { min: 0.25, max: 1, step: 0.05 },
+    config: true,
+    requiresReload: false,
+    onChange: () => QualityGovernor.instance.refresh(),
+  });
+
+  game.settings.register(packageId, "adaptiveQualityReadout", {
+    name: "FXMASTER.Settings.AdaptiveQualityReadoutName",
+    hint: "FXMASTER.Settings.AdaptiveQualityReadoutHint",
+    default: false,
+    scope: "client",
+    type: Boolean,
+    config: true,
+    requiresReload: false,
+    onChange: () => QualityGovernor.instance.refresh(),
+  });
+
   game.settings.register(packageId, "enableTooltips", {
     name: "FXMASTER.Common.EnableTooltips",
     hint: "FXMASTER.Common.EnableTooltipsHint",
@@ -89,7 +146,16 @@ export function registerSettings() {
     type: Boolean,
     config: true,
     requiresReload: false,
-    onChange: () => refreshRegionBehaviorOverheadSetting(),
+    onChange: () => redrawRegionBehaviorEffects(),
+  });
+
+  game.settings.register(packageId, "clientEffectOverrides", {
+    name: "clientEffectOverrides",
+    default: {},
+    scope: "client",
+    type: Object,
+    config: false,
+    onChange: () => refreshClientEffectOverridesSetting(),
   });
 
   game.settings.register(packageId, "passiveFilterConfig", {
@@ -108,6 +174,14 @@ export function registerSettings() {
     config: false,
   });
 
+  game.settings.register(packageId, "worldPresets", {
+    name: "worldPresets",
+    default: {},
+    scope: "world",
+    type: Object,
+    config: false,
+  });
+
   game.settings.register(packageId, "enableLogger", {
     name: "FXMASTER.Settings.EnableLogger",
     hint: "FXMASTER.Settings.EnableLoggerHint",
@@ -169,6 +243,15 @@ export function registerSettings() {
     config: false,
   });
 
+  game.settings.registerMenu(packageId, "clientEffectOverridesMenu", {
+    name: "FXMASTER.Settings.ClientEffectOverridesName",
+    label: "FXMASTER.Settings.ClientEffectOverridesLabel",
+    hint: "FXMASTER.Settings.ClientEffectOverridesHint",
+    icon: "fas fa-sliders",
+    type: ClientEffectOverridesMenu,
+    restricted: false,
+  });
+
   game.settings.registerMenu(packageId, "patreonSupport", {
     name: "FXMASTER.Settings.PatreonSupportName",
     label: "FXMASTER.Settings.PatreonSupportLabel",
@@ -182,21 +265,24 @@ export function registerSettings() {
 }
 
 export {
+  adaptiveQualitySettings,
   applyRegionBehaviorsToOverheadLevels,
+  clientEffectOverrides,
   compositeGridInFxStack,
   displayEffectsOverVision,
   isEnabled,
+  reducedMotion,
 } from "./settings-access.js";
 export { migrateDirectionConventionData } from "./migrations/direction-convention.js";
 export { migrateParameterRangeData } from "./migrations/parameter-ranges.js";
 
 /**
- * Refresh live Region runtimes and scene suppression masks after the overhead Region behavior setting changes. This is intentionally best-effort so the setting remains safe during early startup or canvas teardown.
+ * Rebuild live Region runtimes and scene suppression masks after a setting that changes how Region behaviors render. This is intentionally best-effort so the setting remains safe during early startup or canvas teardown.
  *
  * @returns {void}
  * @private
  */
-function refreshRegionBehaviorOverheadSetting() {
+function redrawRegionBehaviorEffects() {
   const scene = globalThis.canvas?.scene ?? null;
   if (!scene || !globalThis.canvas?.ready) return;
 
@@ -341,6 +427,20 @@ export async function cleanupLegacyAnimationData() {
   }
 }
 
+/**
+ * Settings menu that opens this client's effect blocklist and intensity overrides.
+ */
+class ClientEffectOverridesMenu extends foundry.applications.api.HandlebarsApplicationMixin(
+  foundry.applications.api.ApplicationV2,
+) {
+  render() {
+    void import("./common/effects-visibility-manager.js")
+      .then(({ openClientEffectOverrides }) => openClientEffectOverrides())
+      .catch((err) => logger.debug("FXMaster:", err));
+    return this;
+  }
+}
+
 class PatreonSupportMenu extends foundry.applications.api.HandlebarsApplicationMixin(
   foundry.applications.api.ApplicationV2,
 ) {
@@ -361,6 +461,31 @@ class PatreonSupportMenu extends foundry.applications.api.HandlebarsApplicationM
   }
 }
 
+/**
+ * Redraw scene and Region effects after this client's effect overrides change, so blocked types drop out and intensity changes take effect.
+ *
+ * @returns {void}
+ * @private
+ */
+function refreshClientEffectOverridesSetting() {
+  if (!globalThis.canvas?.ready || !canvas.scene) return;
+
+  void (async () => {
+    try {
+      await canvas.particleeffects?.drawParticleEffects?.({ soft: true });
+    } catch (err) {
+      logger.debug("FXMaster:", err);
+    }
+    try {
+      const { FilterEffectsSceneManager } = await import("./filter-effects/filter-effects-scene-manager.js");
+      await FilterEffectsSceneManager.instance.update();
+    } catch (err) {
+      logger.debug("FXMaster:", err);
+    }
+    redrawRegionBehaviorEffects();
+  })().catch((err) => logger.debug("FXMaster:", err));
+}
+
 /**
  * Refresh compositor output after the grid-compositing setting changes.
  *
@@ -308,9 +308,10 @@ export function deletionUpdate(key) {
  * @param {foundry.abstract.Document} document
  * @param {string} key
  * @param {*} value
+ * @param {object} [options] Update options; when given, the flag is written with `update` so they reach the update hooks.
  * @returns {Promise<foundry.abstract.Document>}
  */
-export async function resetFlag(document, key, value) {
+export async function resetFlag(document, key, value, options = undefined) {
   if (typeof value === "object" && !Array.isArray(value) && value !== null) {
     const oldFlags = document.getFlag(packageId, key);
     const keys = oldFlags ? Object.keys(oldFlags) : [];
@@ -320,6 +321,7 @@ export async function resetFlag(document, key, value) {
       addDeletionKey(value, k);
     }
   }
+  if (options) return document.update({ flags: { [packageId]: { [key]: value } } }, options);
   return document.setFlag(packageId, key, value);
 }
 
@@ -4,6 +4,7 @@
 
 import { packageId } from "../constants.js";
 import { normalizeDarknessActivationRange } from "./darkness.js";
+import { regionTriggerEventNames } from "../common/region-triggers.js";
 
 let _snapshotFrameKey = null;
 let _snapshotCache = new WeakMap();
@@ -1022,6 +1023,38 @@ export function fxmGetRegionBehaviorEdgeFadePercent(behavior) {
   return Number.isFinite(value) ? Math.min(Math.max(value, 0), 1) : 0;
 }
 
+/** @param {*} behavior @returns {{mode:"center"|"boundary", source:"camera"|"token", minimum:number}|null} */
+export function fxmGetRegionBehaviorFalloff(behavior) {
+  const mode = String(fxmGetRegionBehaviorValue(behavior, "falloffMode", "_falloffMode", "none") ?? "none");
+  if (mode !== "center" && mode !== "boundary") return null;
+  const source =
+    fxmGetRegionBehaviorValue(behavior, "falloffSource", "_falloffSource", "camera") === "token" ? "token" : "camera";
+  const minimum = Number(fxmGetRegionBehaviorValue(behavior, "falloffMinimum", "_falloffMinimum", 0.25));
+  return { mode, source, minimum: Number.isFinite(minimum) ? Math.min(Math.max(minimum, 0), 1) : 0.25 };
+}
+
+/** @param {*} behavior @returns {{darknessRange:{min:number,max:number}|null, timeWindow:{start:string,end:string}|null}} */
+export function fxmGetRegionBehaviorConditions(behavior) {
+  const darknessEnabled = !!fxmGetRegionBehaviorValue(
+    behavior,
+    "darknessActivationEnabled",
+    "_region_darknessActivationEnabled",
+    false,
+  );
+  const darknessRange = darknessEnabled
+    ? normalizeDarknessActivationRange({
+        min: fxmGetRegionBehaviorValue(behavior, "darknessActivationMin", "_region_darknessActivationRange_min", 0),
+        max: fxmGetRegionBehaviorValue(behavior, "darknessActivationMax", "_region_darknessActivationRange_max", 1),
+      })
+    : null;
+
+  const start = String(fxmGetRegionBehaviorValue(behavior, "timeWindowStart", "_region_timeWindowStart", "") ?? "");
+  const end = String(fxmGetRegionBehaviorValue(behavior, "timeWindowEnd", "_region_timeWindowEnd", "") ?? "");
+  const timeWindow = start.trim() && end.trim() ? { start: start.trim(), end: end.trim() } : null;
+
+  return { darknessRange, timeWindow };
+}
+
 function eventModeFromBehaviorEvents(behavior, system) {
   const rawEvents = system?.events ?? behavior?.events ?? null;
   const events = rawEvents instanceof Set ? rawEvents : new Set(normalizeStringArray(rawEvents));
@@ -1039,11 +1072,12 @@ function eventModeFromBehaviorEvents(behavior, system) {
     events.has("TOKEN_EXIT");
   if (hasEnter && hasExit) return "enterExit";
   if (hasEnter) return "enter";
+  if (regionTriggerEventNames().some((name) => events.has(name))) return "trigger";
   if (hasExit) return "exitOnly";
   return null;
 }
 
-/** @param {*} behavior @returns {{mode:string,latched:boolean}} */
+/** @param {*} behavior @returns {{mode:string,latched:boolean,pulseUntil:number}} */
 export function fxmGetRegionBehaviorEventGate(behavior) {
   const system = fxmGetRegionBehaviorSystem(behavior);
   const flagGate = behavior?.getFlag?.(packageId, "eventGate") ?? null;
@@ -1051,7 +1085,8 @@ export function fxmGetRegionBehaviorEventGate(behavior) {
   const selectedMode = eventModeFromBehaviorEvents(behavior, system);
   const mode = selectedMode ?? systemGate?.mode ?? flagGate?.mode ?? "none";
   const latched = flagGate?.mode === mode || selectedMode == null ? !!flagGate?.latched : !!systemGate?.latched;
-  return { mode, latched };
+  const pulseUntil = Number(flagGate?.pulseUntil) || 0;
+  return { mode, latched, pulseUntil };
 }
 
 /** @param {*} behavior @param {string} [packageIdOverride] @returns {object} */
@@ -1061,12 +1096,21 @@ export function fxmReadRegionBehaviorRuntimeState(behavior, packageIdOverride =
   const gateMode = String(system?._elev_gateMode ?? flag("gateMode") ?? "none");
   const tokenTargets = normalizeStringArray(system?._elev_tokenTargets ?? flag("tokenTargets") ?? []);
   const edgeFade = Number(system?._edgeFadePercent ?? flag("edgeFadePercent") ?? 0);
+  const tokenGate = {
+    dispositions: normalizeStringArray(system?._elev_dispositions ?? flag("dispositions") ?? []),
+    actorTypes: normalizeStringArray(system?._elev_actorTypes ?? flag("actorTypes") ?? []),
+    ownership: String(system?._elev_ownership ?? flag("ownership") ?? "player"),
+    statuses: normalizeStringArray(system?._elev_statuses ?? flag("statuses") ?? []),
+  };
   const eventGate = fxmGetRegionBehaviorEventGate(behavior);
   return {
     gmAlwaysVisible: Boolean(system?._elev_gmAlwaysVisible ?? flag("gmAlwaysVisible") ?? false),
     gateMode,
     tokenTargets,
+    tokenGate,
     edgeFadePercent: Number.isFinite(edgeFade) ? Math.min(Math.max(edgeFade, 0), 1) : 0,
+    falloff: fxmGetRegionBehaviorFalloff(behavior),
+    conditions: fxmGetRegionBehaviorConditions(behavior),
     eventGate,
     system,
   };
@@ -1084,7 +1128,16 @@ export function fxmRegionBehaviorRuntimeSignature(behavior) {
     state.eventGate?.mode ?? "none",
     state.eventGate?.latched ? 1 : 0,
     state.tokenTargets.join(","),
+    state.tokenGate.dispositions.join(","),
+    state.tokenGate.actorTypes.join(","),
+    state.tokenGate.ownership,
+    state.tokenGate.statuses.join(","),
     state.edgeFadePercent.toFixed(4),
+    state.falloff ? `${state.falloff.mode}:${state.falloff.source}:${state.falloff.minimum.toFixed(2)}` : "none",
+    state.conditions.darknessRange
+      ? `${state.conditions.darknessRange.min.toFixed(2)}-${state.conditions.darknessRange.max.toFixed(2)}`
+      : "any",
+    state.conditions.timeWindow ? `${state.conditions.timeWindow.start}-${state.conditions.timeWindow.end}` : "always",
   ].join("~");
 }
 
@@ -1281,15 +1281,62 @@ export function estimateRegionInradius(placeable) {
   return 1e-6;
 }
 
+/**
+ * Compute an intensity gradient for a point relative to a Region.
+ *
+ * - `center`: 1 at the center of the Region bounds, falling to 0 at the ellipse inscribed in the bounds. The ellipse ignores the Region's outline, so in concave or L-shaped Regions interior points beyond it read 0.
+ * - `boundary`: 0 on the Region boundary, rising to 1 at {@link estimateRegionInradius} inside it.
+ *
+ * Points outside the Region return 0.
+ *
+ * @param {PlaceableObject} placeable
+ * @param {{x:number,y:number}} point
+ * @param {"center"|"boundary"} mode
+ * @param {{edges?: Float32Array|null, inradius?: number|null}} [opts] - Cached {@link buildPolygonEdges} and {@link estimateRegionInradius} output for `boundary` mode.
+ * @returns {number} Gradient in [0..1].
+ */
+export function regionFalloffAt(placeable, point, mode, { edges = null, inradius = null } = {}) {
+  if (!regionContainsPoint(placeable, point)) return 0;
+  const x = Number(point.x);
+  const y = Number(point.y);
+
+  if (mode === "boundary") {
+    const E = edges ?? buildPolygonEdges(placeable);
+    let minD2 = Infinity;
+    for (let i = 0; i + 3 < E.length; i += 4) {
+      const ax = E[i];
+      const ay = E[i + 1];
+      const abx = E[i + 2] - ax;
+      const aby = E[i + 3] - ay;
+      const len2 = abx * abx + aby * aby;
+      const t = len2 > 1e-6 ? Math.min(1, Math.max(0, ((x - ax) * abx + (y - ay) * aby) / len2)) : 0;
+      const dx = x - (ax + abx * t);
+      const dy = y - (ay + aby * t);
+      minD2 = Math.min(minD2, dx * dx + dy * dy);
+    }
+    if (minD2 === Infinity) return 1;
+    const reach = inradius ?? estimateRegionInradius(placeable);
+    return Math.min(1, Math.sqrt(minD2) / Math.max(1e-6, reach));
+  }
+
+  const b = regionWorldBounds(placeable) ?? regionWorldBoundsAligned(placeable);
+  if (!b) return 1;
+  const hx = Math.max(1e-6, (b.maxX - b.minX) / 2);
+  const hy = Math.max(1e-6, (b.maxY - b.minY) / 2);
+  const nx = (x - (b.minX + hx)) / hx;
+  const ny = (y - (b.minY + hy)) / hy;
+  return Math.max(0, 1 - Math.hypot(nx, ny));
+}
+
 /**
  * Get the event gate settings for a region behavior.
  * @param {PlaceableObject} placeable
  * @param {string} behaviorType
- * @returns {{mode:string,latched:boolean}}
+ * @returns {{mode:string,latched:boolean,pulseUntil:number}}
  */
 export function getEventGate(placeable, behaviorType) {
   const fxBeh = placeable?.document?.behaviors?.find((b) => b.type === behaviorType && !b.disabled);
-  if (!fxBeh) return { mode: "none", latched: false };
+  if (!fxBeh) return { mode: "none", latched: false, pulseUntil: 0 };
   return fxmGetRegionBehaviorEventGate(fxBeh);
 }
 
@@ -12,7 +12,7 @@
  * - {@link module:geometry}      - Region shape tracing, polygon edges, SDF helpers
  * - {@link module:masks}         - Render-texture masking pipeline
  * - {@link module:coalesce}      - Animation-frame call coalescing
- * - {@link module:scene-effects} - Scene-level effect toggling and UI highlights
+ * - {@link module:scene-effects} - Scene-level effect toggling, user targeting, and UI highlights
  */
 
 export { isPlainObject, hasOwn, collectionValues } from "./object.js";
@@ -126,6 +126,7 @@ export {
   fxmGetRegionBehaviorTokenTargets,
   fxmGetRegionBehaviorGMAlwaysVisible,
   fxmGetRegionBehaviorEdgeFadePercent,
+  fxmGetRegionBehaviorFalloff,
   fxmGetRegionBehaviorEventGate,
   fxmReadRegionBehaviorRuntimeState,
   fxmRegionBehaviorRuntimeSignature,
@@ -195,6 +196,7 @@ export {
   edgeFadeWorldWidth,
   estimateShapeInradiusWorld,
   estimateRegionInradius,
+  regionFalloffAt,
   getEventGate,
   getRegionElevationWindow,
   inRangeElev,
@@ -266,4 +268,9 @@ export {
   cleanupRegionParticleEffects,
   updateSceneControlHighlights,
   prepareFilterOptionsForSceneStorage,
+  normalizeEffectUsers,
+  isEffectAddressedToUser,
+  getClientEffectOverride,
+  applyClientEffectOverride,
+  blendEffectOptionsTowardNeutral,
 } from "./scene-effects.js";
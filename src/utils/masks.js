@@ -8,6 +8,9 @@
 
 import { packageId } from "../constants.js";
 import { logger } from "../logger.js";
+import { regionEventGateVisible } from "../common/region-triggers.js";
+import { regionTokenGateEmpty, regionTokenGatePredicate } from "../common/region-token-gates.js";
+import { regionConditionsPass } from "../common/region-conditions.js";
 import {
   traceRegionShapePIXI,
   traceRegionShapePath2D,
@@ -5977,12 +5980,14 @@ export function computeRegionGatePass(placeable, { behaviorType }) {
   if (!fxBeh) return true;
 
   const runtime = fxmReadRegionBehaviorRuntimeState(fxBeh, packageId);
+  if (!regionConditionsPass(runtime.conditions)) return false;
   if (runtime.gmAlwaysVisible && game.user?.isGM) return true;
 
   const eventGate = runtime.eventGate ?? getEventGate(placeable, behaviorType);
-  const { mode, latched } = eventGate;
-  if (mode === "enterExit") return !!latched;
-  if (mode === "enter" && !latched) return false;
+  const { mode } = eventGate;
+  const eventVisible = regionEventGateVisible(eventGate);
+  if (mode === "enterExit") return eventVisible;
+  if ((mode === "enter" || mode === "trigger") && !eventVisible) return false;
 
   const win = getRegionElevationWindow(doc);
   const gateMode = runtime.gateMode;
@@ -6005,19 +6010,14 @@ export function computeRegionGatePass(placeable, { behaviorType }) {
     return false;
   }
 
-  if (gateMode === "targets") {
-    const ids = runtime.tokenTargets ?? [];
-    if (!ids.length) return false;
+  const matchesGate = regionTokenGatePredicate(runtime);
+  if (matchesGate) {
+    if (regionTokenGateEmpty(runtime)) return false;
 
     const selected = canvas.tokens?.controlled ?? [];
     if (!selected.length) return false;
 
-    const inList = (t) => {
-      const id = t?.document?.id;
-      const uuid = t?.document?.uuid;
-      return ids.includes(id) || ids.includes(uuid);
-    };
-    const pool = selected.filter(inList);
+    const pool = selected.filter(matchesGate);
     if (!pool.length) return false;
 
     if (!win) return true;
@@ -1,4 +1,6 @@
 import { compressNormalizedRangeValue } from "../common/effect-parameter-normalization.js";
+import { REGION_TRIGGER_ACTIONS, REGION_TRIGGER_EVENT_FIELDS } from "../common/region-triggers.js";
+import { REGION_GATE_DISPOSITIONS, REGION_GATE_OWNERSHIP } from "../common/region-token-gates.js";
 import { isPlainObject } from "./object.js";
 
 /**
@@ -110,6 +112,221 @@ export function createRegionNumberField(options, parameterConfig = null) {
   return new NormalizedRegionNumberField(options, {}, parameterConfig);
 }
 
+/**
+ * Create the intensity falloff fields shared by the particle and filter Region behaviors.
+ *
+ * @returns {{_falloffMode: foundry.data.fields.StringField, _falloffSource: foundry.data.fields.StringField, _falloffMinimum: foundry.data.fields.NumberField}}
+ */
+export function createRegionFalloffFields() {
+  const { NumberField, StringField } = foundry.data.fields;
+  return {
+    _falloffMode: new StringField({
+      required: false,
+      nullable: true,
+      initial: "none",
+      choices: {
+        none: "FXMASTER.Regions.Falloff.None",
+        center: "FXMASTER.Regions.Falloff.Center",
+        boundary: "FXMASTER.Regions.Falloff.Boundary",
+      },
+      label: "FXMASTER.Regions.Falloff.Label",
+      hint: "FXMASTER.Regions.Falloff.Hint",
+      localize: true,
+    }),
+    _falloffSource: new StringField({
+      required: false,
+      nullable: true,
+      initial: "camera",
+      choices: {
+        camera: "FXMASTER.Regions.Falloff.Camera",
+        token: "FXMASTER.Regions.Falloff.Token",
+      },
+      label: "FXMASTER.Regions.Falloff.Source",
+      hint: "FXMASTER.Regions.Falloff.SourceHint",
+      localize: true,
+    }),
+    _falloffMinimum: new NumberField({
+      required: false,
+      nullable: true,
+      initial: 0.25,
+      min: 0,
+      max: 1,
+      step: 0.05,
+      label: "FXMASTER.Regions.Falloff.Minimum",
+      hint: "FXMASTER.Regions.Falloff.MinimumHint",
+      localize: true,
+    }),
+  };
+}
+
+/**
+ * Create the behavior-level condition fields shared by the particle and filter Region behaviors: a scene darkness range and a world-time window.
+ *
+ * The darkness fields reuse the `_darknessActivationRange_min` / `_max` naming of the per-effect darkness range, so the Region config renders them with the same compact inputs.
+ *
+ * @returns {Record<string, foundry.data.fields.DataField>}
+ */
+export function createRegionConditionFields() {
+  const { BooleanField, NumberField, StringField } = foundry.data.fields;
+  const timeField = (label) =>
+    new StringField({
+      required: false,
+      blank: true,
+      initial: "",
+      label,
+      hint: "FXMASTER.Regions.Conditions.TimeWindowHint",
+      localize: true,
+      validate: (value) => !value || /^\s*\d{1,2}\s*:\s*\d{1,2}\s*$/.test(value),
+      validationError: "must be a time of day in HH:MM format",
+    });
+
+  return {
+    _region_darknessActivationEnabled: new BooleanField({
+      required: false,
+      initial: false,
+      label: "FXMASTER.Regions.Conditions.DarknessEnabled",
+      hint: "FXMASTER.Regions.Conditions.DarknessEnabledHint",
+      localize: true,
+    }),
+    _region_darknessActivationRange_min: new NumberField({
+      required: false,
+      nullable: true,
+      initial: 0,
+      min: 0,
+      max: 1,
+      step: 0.01,
+      label: "FXMASTER.Params.DarknessActivationMin",
+      localize: true,
+    }),
+    _region_darknessActivationRange_max: new NumberField({
+      required: false,
+      nullable: true,
+      initial: 1,
+      min: 0,
+      max: 1,
+      step: 0.01,
+      label: "FXMASTER.Params.DarknessActivationMax",
+      localize: true,
+    }),
+    _region_timeWindowStart: timeField("FXMASTER.Regions.Conditions.TimeWindowStart"),
+    _region_timeWindowEnd: timeField("FXMASTER.Regions.Conditions.TimeWindowEnd"),
+  };
+}
+
+/** Gate mode choices resolved by a token rule, added to every behavior's `_elev_gateMode` after None, Tokens POV, and Specific Tokens POV. */
+export const REGION_TOKEN_GATE_CHOICES = Object.freeze({
+  disposition: "FXMASTER.Regions.ElevationVisibility.Disposition",
+  actorType: "FXMASTER.Regions.ElevationVisibility.ActorType",
+  ownership: "FXMASTER.Regions.ElevationVisibility.Ownership",
+  status: "FXMASTER.Regions.ElevationVisibility.Status",
+});
+
+/**
+ * Create the token rule fields for the disposition, actor type, ownership, and status gate modes, shared by every Region behavior with a visibility gate.
+ *
+ * @returns {Record<string, foundry.data.fields.DataField>}
+ */
+export function createRegionTokenGateFields() {
+  const { SetField, StringField } = foundry.data.fields;
+  const capitalize = (key) => key.charAt(0).toUpperCase() + key.slice(1);
+
+  return {
+    _elev_dispositions: new SetField(
+      new StringField({
+        required: true,
+        blank: false,
+        choices: Object.fromEntries(
+          Object.keys(REGION_GATE_DISPOSITIONS).map((key) => [
+            key,
+            `FXMASTER.Regions.ElevationVisibility.Dispositions.${capitalize(key)}`,
+          ]),
+        ),
+      }),
+      {
+        required: false,
+        nullable: true,
+        label: "FXMASTER.Regions.ElevationVisibility.DispositionList",
+        localize: true,
+      },
+    ),
+    _elev_actorTypes: new SetField(new StringField({ required: false, nullable: true }), {
+      required: false,
+      nullable: true,
+      label: "FXMASTER.Regions.ElevationVisibility.ActorTypes",
+      hint: "FXMASTER.Regions.ElevationVisibility.ActorTypesHint",
+      localize: true,
+    }),
+    _elev_ownership: new StringField({
+      required: false,
+      nullable: true,
+      initial: "player",
+      choices: Object.fromEntries(
+        REGION_GATE_OWNERSHIP.map((key) => [key, `FXMASTER.Regions.ElevationVisibility.OwnedBy.${capitalize(key)}`]),
+      ),
+      label: "FXMASTER.Regions.ElevationVisibility.OwnershipRule",
+      localize: true,
+    }),
+    _elev_statuses: new SetField(new StringField({ required: false, nullable: true }), {
+      required: false,
+      nullable: true,
+      label: "FXMASTER.Regions.ElevationVisibility.Statuses",
+      hint: "FXMASTER.Regions.ElevationVisibility.StatusesHint",
+      localize: true,
+    }),
+  };
+}
+
+/** Localization key suffixes for trigger actions and trigger event fields. */
+const TRIGGER_LABEL_KEYS = Object.freeze({
+  show: "Show",
+  hide: "Hide",
+  pulse: "Pulse",
+  toggle: "Toggle",
+  _trigger_moveWithin: "MoveWithin",
+  _trigger_turnStart: "TurnStart",
+  _trigger_turnEnd: "TurnEnd",
+  _trigger_roundStart: "RoundStart",
+  _trigger_roundEnd: "RoundEnd",
+  _trigger_activated: "Activated",
+});
+
+/**
+ * Create the trigger event action fields shared by the particle and filter Region behaviors: one action per trigger event, plus the pulse length.
+ *
+ * @returns {Record<string, foundry.data.fields.DataField>}
+ */
+export function createRegionTriggerFields() {
+  const { NumberField, StringField } = foundry.data.fields;
+  const choices = Object.fromEntries(
+    REGION_TRIGGER_ACTIONS.map((action) => [action, `FXMASTER.Regions.Triggers.Actions.${TRIGGER_LABEL_KEYS[action]}`]),
+  );
+
+  const fields = {};
+  for (const field of Object.values(REGION_TRIGGER_EVENT_FIELDS)) {
+    fields[field] = new StringField({
+      required: false,
+      nullable: true,
+      initial: "pulse",
+      choices,
+      label: `FXMASTER.Regions.Triggers.${TRIGGER_LABEL_KEYS[field]}`,
+      localize: true,
+    });
+  }
+
+  fields._triggerPulseSeconds = new NumberField({
+    required: false,
+    nullable: true,
+    initial: 3,
+    min: 0.5,
+    max: 60,
+    step: 0.5,
+    label: "FXMASTER.Regions.Triggers.PulseSeconds",
+    hint: "FXMASTER.Regions.Triggers.PulseSecondsHint",
+    localize: true,
+  });
+  return fields;
+}
+
 /**
  * Apply normalized public range attributes to Region behavior form inputs.
  *
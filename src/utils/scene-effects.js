@@ -1,7 +1,7 @@
 /**
  * FXMaster: Scene Effect Helpers
  *
- * High-level operations for toggling particle effects, cleaning up region effects, and updating scene control button highlights.
+ * High-level operations for toggling particle effects, cleaning up region effects, resolving per-user effect targeting, applying per-client effect overrides, and updating scene control button highlights.
  */
 
 import { packageId } from "../constants.js";
@@ -10,6 +10,7 @@ import { ensureSingleSceneLevelSelection, isLegacyOperatorKey, resetFlag } from
 import { omit } from "./math.js";
 import { buildSceneEffectUid, promoteEffectStackUids } from "../common/effect-stack.js";
 import { reconcileParticleBackgroundState } from "../particle-effects/backgrounds/background-state.js";
+import { clientEffectOverrides } from "../settings-access.js";
 
 /**
  * Toggle a named core particle effect in the current scene.
@@ -141,3 +142,118 @@ export function prepareFilterOptionsForSceneStorage(type, options = {}, context
     return options;
   }
 }
+
+/**
+ * Normalize an effect `users` option into a list of unique User ids.
+ *
+ * Accepts a single id, a User document, or an array of either. An empty result means the effect is addressed to every user.
+ *
+ * @param {*} value
+ * @returns {string[]}
+ */
+export function normalizeEffectUsers(value) {
+  const raw = Array.isArray(value) ? value : value === null || value === undefined ? [] : [value];
+  const ids = new Set();
+  for (const entry of raw) {
+    const id = typeof entry === "string" ? entry.trim() : String(entry?.id ?? "").trim();
+    if (id) ids.add(id);
+  }
+  return [...ids];
+}
+
+/**
+ * Determine whether an effect should render for a user. Effects without a `users` list render for everyone.
+ *
+ * @param {object|null|undefined} options
+ * @param {User|null|undefined} [user=game.user]
+ * @returns {boolean}
+ */
+export function isEffectAddressedToUser(options, user = game?.user) {
+  const users = normalizeEffectUsers(options?.users);
+  if (!users.length) return true;
+  return !!user?.id && users.includes(user.id);
+}
+
+/**
+ * Return this client's override for an effect type. An intensity of 1 leaves the effect as authored.
+ *
+ * @param {"particle"|"filter"} kind
+ * @param {string} type
+ * @returns {{blocked:boolean, intensity:number}}
+ */
+export function getClientEffectOverride(kind, type) {
+  const entry = clientEffectOverrides()?.[kind]?.[type];
+  const intensity = Number(entry?.intensity);
+  return {
+    blocked: entry?.blocked === true,
+    intensity: Number.isFinite(intensity) ? Math.min(1, Math.max(0, intensity)) : 1,
+  };
+}
+
+/**
+ * Apply this client's override to effect options before they reach a runtime layer.
+ *
+ * Blocked types return `null`. Below full intensity, the options are scaled with {@link blendEffectOptionsTowardNeutral}, for example a lower filter `strength`.
+ *
+ * @param {"particle"|"filter"} kind
+ * @param {string} type
+ * @param {object} options Stored effect options; raw and `{value}`-wrapped values are both accepted.
+ * @returns {object|null}
+ */
+export function applyClientEffectOverride(kind, type, options) {
+  const { blocked, intensity } = getClientEffectOverride(kind, type);
+  if (blocked) return null;
+  return blendEffectOptionsTowardNeutral(kind, type, options, intensity);
+}
+
+/**
+ * Scale effect options by an intensity. Particle density and each numeric option in a filter's `neutral` set are blended from the given value toward neutral; options at full intensity are returned as-is.
+ *
+ * @param {"particle"|"filter"} kind
+ * @param {string} type
+ * @param {object} options Stored effect options; raw and `{value}`-wrapped values are both accepted.
+ * @param {number} intensity 0..1, where 1 keeps the options.
+ * @returns {object}
+ */
+export function blendEffectOptionsTowardNeutral(kind, type, options, intensity) {
+  if (intensity >= 1 || !options || typeof options !== "object") return options;
+
+  const EffectClass =
+    kind === "filter" ? CONFIG.fxmaster?.filterEffects?.[type] : CONFIG.fxmaster?.particleEffects?.[type];
+  if (!EffectClass) return options;
+
+  let neutral;
+  let defaults;
+  try {
+    neutral = kind === "filter" ? EffectClass.neutral ?? {} : { density: 0 };
+    defaults = EffectClass.default ?? {};
+  } catch (err) {
+    logger.debug("FXMaster:", err);
+    return options;
+  }
+
+  const out = { ...options };
+  for (const [key, target] of Object.entries(neutral)) {
+    if (typeof target !== "number") continue;
+    const value = key in out ? out[key] : defaults[key];
+    if (value === undefined) continue;
+    out[key] = blendTowardNeutral(value, target, intensity);
+  }
+  return out;
+}
+
+/**
+ * Blend a raw or `{value}`-wrapped numeric option toward a neutral value.
+ *
+ * @param {*} value
+ * @param {number} neutral
+ * @param {number} intensity 0..1, where 1 keeps the value.
+ * @returns {*}
+ */
+function blendTowardNeutral(value, neutral, intensity) {
+  if (value && typeof value === "object" && "value" in value) {
+    return { ...value, value: blendTowardNeutral(value.value, neutral, intensity) };
+  }
+  const n = typeof value === "number" ? value : typeof value === "string" && value.trim() ? Number(value) : NaN;
+  return Number.isFinite(n) ? neutral + (n - neutral) * intensity : value;
+}
@@ -0,0 +1,287 @@
+import { FXMasterBaseFormV2 } from "../../base-form.js";
+import { packageId } from "../../constants.js";
+import { logger } from "../../logger.js";
+import { listValidPresets } from "../../api.js";
+import {
+  formatScheduleTime,
+  getTimeOfDaySeconds,
+  getWeatherSchedule,
+  resolveScheduledEntry,
+  setWeatherSchedule,
+} from "../weather-schedule.js";
+import {
+  CLEAR_WEATHER_STATE,
+  CLIMATE_NAMES,
+  configureWeatherGenerator,
+  getWeatherGenerator,
+  stepWeatherGenerator,
+} from "../weather-generator.js";
+
+/**
+ * WeatherScheduleManagement
+ * -------------------------
+ * Edits the world-time weather schedule and the weather generator of the current Scene. Schedule rows are kept as an unsaved draft until the GM saves, at which point the schedule is written to the Scene and evaluated against the current world time.
+ */
+export class WeatherScheduleManagement extends FXMasterBaseFormV2 {
+  static FXMASTER_DETACHED_WINDOW_FIT = true;
+  static FXMASTER_POSITION_FLAG = "dialog-position-weatherschedule";
+  /** @type {WeatherScheduleManagement|undefined} */
+  static #instance;
+
+  /** @returns {WeatherScheduleManagement|undefined} */
+  static get instance() {
+    return this.#instance;
+  }
+
+  constructor(options = {}) {
+    super(options);
+    WeatherScheduleManagement.#instance = this;
+    this.scene = null;
+    this._draft = null;
+    this._worldTimeHook = null;
+  }
+
+  static DEFAULT_OPTIONS = {
+    id: "weather-schedule-config",
+    tag: "section",
+    classes: ["fxmaster", "form-v2", "weather-schedule", "ui-control"],
+    actions: {
+      ...FXMasterBaseFormV2.DEFAULT_OPTIONS.actions,
+      addScheduleEntry: WeatherScheduleManagement.addScheduleEntry,
+      removeScheduleEntry: WeatherScheduleManagement.removeScheduleEntry,
+      saveSchedule: WeatherScheduleManagement.saveSchedule,
+      saveGenerator: WeatherScheduleManagement.saveGenerator,
+      stepGenerator: WeatherScheduleManagement.stepGenerator,
+    },
+    window: {
+      title: "FXMASTER.Weather.Title",
+      resizable: true,
+      minimizable: true,
+    },
+    position: {
+      width: 620,
+      height: "auto",
+    },
+  };
+
+  static PARTS = [
+    {
+      template: "modules/fxmaster/templates/weather-schedule-management.hbs",
+    },
+  ];
+
+  /**
+   * Return the scene this window edits.
+   *
+   * @returns {Scene|null}
+   */
+  _getScene() {
+    return this.scene ?? canvas?.scene ?? null;
+  }
+
+  /**
+   * Lazily seed the draft from the stored schedule.
+   *
+   * @returns {{enabled: boolean, entries: Array<object>}}
+   */
+  _getDraft() {
+    if (!this._draft) {
+      const stored = getWeatherSchedule(this._getScene());
+      this._draft = { enabled: stored.enabled, entries: stored.entries.map((e) => ({ ...e })) };
+    }
+    return this._draft;
+  }
+
+  /**
+   * Copy the current form values back into the draft so re-renders keep unsaved edits.
+   */
+  _syncDraftFromForm() {
+    const element = this.element;
+    const draft = this._getDraft();
+    if (!element?.querySelector) return draft;
+
+    const enabledInput = element.querySelector('input[name="enabled"]');
+    if (enabledInput) draft.enabled = !!enabledInput.checked;
+
+    draft.entries = Array.from(element.querySelectorAll(".fxmaster-weather-schedule-row[data-entry-id]")).map(
+      (row) => ({
+        id: row.dataset.entryId,
+        preset: row.querySelector('[name="preset"]')?.value ?? "",
+        start: row.querySelector('[name="start"]')?.value?.trim() ?? "",
+        end: row.querySelector('[name="end"]')?.value?.trim() ?? "",
+        topDown: !!row.querySelector('[name="topDown"]')?.checked,
+      }),
+    );
+    return draft;
+  }
+
+  async _prepareContext() {
+    const scene = this._getScene();
+    const draft = this._getDraft();
+    const stored = getWeatherSchedule(scene);
+    const presets = listValidPresets();
+
+    const timeOfDay = getTimeOfDaySeconds();
+    const current = stored.enabled ? resolveScheduledEntry(stored.entries, timeOfDay) : null;
+
+    const entries = draft.entries.map((entry) => ({
+      ...entry,
+      active: !!current && current.id === entry.id,
+      presets: presets.map((name) => ({ name, selected: name === entry.preset })),
+    }));
+
+    const generator = getWeatherGenerator(scene);
+
+    return {
+      enabled: draft.enabled,
+      entries,
+      hasScene: !!scene,
+      currentTime: formatScheduleTime(timeOfDay),
+      activePreset: stored.state.preset ?? "",
+      generator: {
+        enabled: generator.enabled,
+        intervalHours: generator.intervalHours,
+        topDown: generator.topDown,
+        current: generator.state.current,
+        isClear: generator.state.current === CLEAR_WEATHER_STATE,
+        climates: CLIMATE_NAMES.map((name) => ({
+          name,
+          label: game.i18n.localize(`FXMASTER.Weather.Climates.${name}`),
+          selected: name === generator.climate,
+        })),
+      },
+    };
+  }
+
+  async _onRender(...args) {
+    await super._onRender(...args);
+
+    if (this._worldTimeHook === null) {
+      this._worldTimeHook = Hooks.on("updateWorldTime", () => {
+        this._syncDraftFromForm();
+        this.render(false);
+      });
+    }
+
+    const pos = this._fxmIsDetachedHost() ? null : game.user.getFlag(packageId, "dialog-position-weatherschedule");
+    if (!pos) return;
+
+    await new Promise((r) => requestAnimationFrame(r));
+
+    const element = this.element?.[0] ?? this.element ?? null;
+    if (!element || element.isConnected === false) return;
+
+    const next = {};
+    if (Number.isFinite(pos.top)) next.top = pos.top;
+    if (Number.isFinite(pos.left)) next.left = pos.left;
+    if (Number.isFinite(pos.width)) next.width = pos.width;
+    if (!Object.keys(next).length) return;
+
+    try {
+      await this.setPosition(next);
+    } catch (err) {
+      logger.debug("FXMaster:", err);
+    }
+  }
+
+  async _onClose(...args) {
+    super._onClose(...args);
+    this._persistPositionFlag(this.position);
+    if (this._worldTimeHook !== null) {
+      Hooks.off("updateWorldTime", this._worldTimeHook);
+      this._worldTimeHook = null;
+    }
+    try {
+      if (WeatherScheduleManagement.instance === this) WeatherScheduleManagement.#instance = undefined;
+    } catch (err) {
+      logger.debug("FXMaster:", err);
+    }
+  }
+
+  static addScheduleEntry(event) {
+    event?.preventDefault?.();
+    const draft = this._syncDraftFromForm();
+    const last = draft.entries.at(-1);
+    draft.entries.push({
+      id: foundry.utils.randomID(),
+      preset: last?.preset ?? listValidPresets()[0] ?? "",
+      start: last?.end || "",
+      end: "",
+      topDown: last?.topDown ?? false,
+    });
+    this.render(false);
+  }
+
+  static removeScheduleEntry(event, button) {
+    event?.preventDefault?.();
+    const id = button?.closest?.("[data-entry-id]")?.dataset?.entryId;
+    if (!id) return;
+    const draft = this._syncDraftFromForm();
+    draft.entries = draft.entries.filter((entry) => entry.id !== id);
+    this.render(false);
+  }
+
+  static async saveSchedule(event) {
+    event?.preventDefault?.();
+    const scene = this._getScene();
+    if (!scene) return;
+
+    const draft = this._syncDraftFromForm();
+    try {
+      const saved = await setWeatherSchedule(scene, draft);
+      if (saved.entries.length !== draft.entries.length) {
+        ui.notifications?.warn?.(game.i18n.localize("FXMASTER.Weather.InvalidEntriesDropped"));
+      }
+      this._draft = null;
+    } catch (err) {
+      logger.debug("FXMaster:", err);
+    }
+
+    this.render(false);
+  }
+
+  /**
+   * Read the generator controls from the form.
+   *
+   * @returns {{enabled: boolean, climate: string, intervalHours: number, topDown: boolean}}
+   */
+  _readGeneratorForm() {
+    const element = this.element;
+    return {
+      enabled: !!element?.querySelector?.('input[name="generatorEnabled"]')?.checked,
+      climate: element?.querySelector?.('select[name="generatorClimate"]')?.value ?? "temperate",
+      intervalHours: Number(element?.querySelector?.('input[name="generatorInterval"]')?.value),
+      topDown: !!element?.querySelector?.('input[name="generatorTopDown"]')?.checked,
+    };
+  }
+
+  static async saveGenerator(event) {
+    event?.preventDefault?.();
+    const scene = this._getScene();
+    if (!scene) return;
+
+    this._syncDraftFromForm();
+    try {
+      await configureWeatherGenerator(scene, this._readGeneratorForm());
+    } catch (err) {
+      logger.debug("FXMaster:", err);
+    }
+
+    this.render(false);
+  }
+
+  static async stepGenerator(event) {
+    event?.preventDefault?.();
+    const scene = this._getScene();
+    if (!scene) return;
+
+    this._syncDraftFromForm();
+    try {
+      await stepWeatherGenerator(scene);
+    } catch (err) {
+      logger.debug("FXMaster:", err);
+    }
+
+    this.render(false);
+  }
+}
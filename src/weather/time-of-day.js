@@ -0,0 +1,92 @@
+/**
+ * FXMaster: Time of Day
+ *
+ * Calendar-aware time-of-day helpers shared by the Weather Schedule and the Region behaviors' world-time window. Times of day are `"HH:MM"` strings or seconds since the start of the in-game day.
+ *
+ * @module weather/time-of-day
+ */
+
+import { logger } from "../logger.js";
+
+/**
+ * Read the active calendar's day structure, falling back to a 24 hour day.
+ *
+ * @returns {{hoursPerDay:number, minutesPerHour:number, secondsPerMinute:number, secondsPerDay:number}}
+ */
+export function getCalendarDayMetrics() {
+  let days = null;
+  try {
+    days = game?.time?.calendar?.days ?? null;
+  } catch (err) {
+    logger.debug("FXMaster:", err);
+  }
+
+  const hoursPerDay = Math.max(1, Math.trunc(Number(days?.hoursPerDay) || 24));
+  const minutesPerHour = Math.max(1, Math.trunc(Number(days?.minutesPerHour) || 60));
+  const secondsPerMinute = Math.max(1, Math.trunc(Number(days?.secondsPerMinute) || 60));
+
+  return {
+    hoursPerDay,
+    minutesPerHour,
+    secondsPerMinute,
+    secondsPerDay: hoursPerDay * minutesPerHour * secondsPerMinute,
+  };
+}
+
+/**
+ * Return the number of seconds elapsed since the start of the current in-game day.
+ *
+ * @param {number} [worldTime=game.time.worldTime]
+ * @returns {number}
+ */
+export function getTimeOfDaySeconds(worldTime = game?.time?.worldTime ?? 0) {
+  const { minutesPerHour, secondsPerMinute, secondsPerDay } = getCalendarDayMetrics();
+
+  try {
+    const components = game?.time?.calendar?.timeToComponents?.(worldTime);
+    if (components && Number.isFinite(components.hour)) {
+      const hour = Number(components.hour) || 0;
+      const minute = Number(components.minute) || 0;
+      const second = Number(components.second) || 0;
+      return (hour * minutesPerHour + minute) * secondsPerMinute + second;
+    }
+  } catch (err) {
+    logger.debug("FXMaster:", err);
+  }
+
+  const t = Number(worldTime) || 0;
+  return ((t % secondsPerDay) + secondsPerDay) % secondsPerDay;
+}
+
+/**
+ * Parse an `"HH:MM"` time-of-day string into seconds since the start of the day.
+ *
+ * @param {unknown} value
+ * @returns {number|null} Seconds, or `null` when the value is empty or invalid for the active calendar.
+ */
+export function parseScheduleTime(value) {
+  if (typeof value !== "string") return null;
+  const match = /^\s*(\d{1,2})\s*:\s*(\d{1,2})\s*$/.exec(value);
+  if (!match) return null;
+
+  const { hoursPerDay, minutesPerHour, secondsPerMinute } = getCalendarDayMetrics();
+  const hour = Number(match[1]);
+  const minute = Number(match[2]);
+  if (hour >= hoursPerDay || minute >= minutesPerHour) return null;
+
+  return (hour * minutesPerHour + minute) * secondsPerMinute;
+}
+
+/**
+ * Format seconds since the start of the day as `"HH:MM"`.
+ *
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatScheduleTime(seconds) {
+  const { minutesPerHour, secondsPerMinute } = getCalendarDayMetrics();
+  const totalMinutes = Math.floor((Number(seconds) || 0) / secondsPerMinute);
+  const hour = Math.floor(totalMinutes / minutesPerHour);
+  const minute = totalMinutes % minutesPerHour;
+  return `${String(hour).padStart(2, "0")}:${String(minute).padStart(2, "0")}`;
+}
@@ -0,0 +1,68 @@
+/**
+ * FXMaster Weather API.
+ *
+ * Exposes the world-time weather schedule and the Markov weather generator to macros and other modules.
+ *
+ * @example
+ * await FXMASTER.api.weather.schedule.set({ enabled: true, entries: [{ preset: "drizzle", start: "06:00", end: "09:00" }, { preset: "overcast", start: "09:00" }] });
+ * await FXMASTER.api.weather.generator.configure({ enabled: true, climate: "arctic", intervalHours: 6 });
+ * const next = await FXMASTER.api.weather.generator.step();
+ */
+
+import { packageId } from "../constants.js";
+import { logger } from "../logger.js";
+import { resolveScene } from "../api.js";
+import { evaluateWeatherSchedule, getWeatherSchedule, setWeatherSchedule } from "./weather-schedule.js";
+import {
+  CLIMATE_NAMES,
+  CLIMATE_TABLES,
+  configureWeatherGenerator,
+  getWeatherGenerator,
+  stepWeatherGenerator,
+} from "./weather-generator.js";
+
+/**
+ * Resolve the target Scene for a weather API call, defaulting to the viewed Scene.
+ *
+ * @param {Scene|string|null} scene
+ * @returns {Scene|null}
+ */
+function targetScene(scene) {
+  return scene ? resolveScene(scene) : canvas?.scene ?? null;
+}
+
+/**
+ * Register the weather API onto the fxmaster module and global FXMASTER object. Call during init.
+ */
+export function registerWeatherApi() {
+  try {
+    const mod = game?.modules?.get?.(packageId);
+    if (!mod) return;
+
+    mod.api ||= {};
+    mod.api.weather = {
+      schedule: {
+        get: ({ scene = null } = {}) => getWeatherSchedule(targetScene(scene)),
+        set: ({ scene = null, ...schedule } = {}) => setWeatherSchedule(targetScene(scene), schedule),
+        evaluate: ({ scene = null } = {}) => evaluateWeatherSchedule(targetScene(scene)),
+      },
+      generator: {
+        climates: () => [...CLIMATE_NAMES],
+        climateTable: (climate) => foundry.utils.deepClone(CLIMATE_TABLES[climate] ?? null),
+        get: ({ scene = null } = {}) => getWeatherGenerator(targetScene(scene)),
+        configure: ({ scene = null, ...config } = {}) => configureWeatherGenerator(targetScene(scene), config),
+        step: ({ scene = null, steps = 1 } = {}) => stepWeatherGenerator(targetScene(scene), { steps }),
+      },
+    };
+
+    try {
+      globalThis.FXMASTER ||= {};
+      globalThis.FXMASTER.api ||= {};
+      globalThis.FXMASTER.api.weather = mod.api.weather;
+    } catch (err) {
+      logger.debug("FXMaster:", err);
+    }
+  } catch (err) {
+    logger.error("Failed to register weather API", err);
+  }
+}
@@ -0,0 +1,370 @@
+/**
+ * FXMaster: Weather Generator
+ *
+ * Moves a Scene between built-in presets with a Markov chain. Each Scene stores its climate, transition table, and current state under `flags.fxmaster.weatherGenerator`. Rolls are derived from a stored seed and step counter, so every GM client reproduces the same sequence from the same Scene data.
+ *
+ * The generator steps once per configured interval of world time, or on demand, and applies its state through {@link switchPreset}. The special `"clear"` state stops the active API presets instead of playing one.
+ *
+ * A Scene's weather schedule takes precedence: while it is enabled, the generator neither steps nor applies states on that Scene, so the two never switch presets against each other.
+ *
+ * @module weather/weather-generator
+ */
+
+import { WEATHER_GENERATOR_FLAG, packageId } from "../constants.js";
+import { logger } from "../logger.js";
+import { addReplacementKey, collectionValues } from "../utils.js";
+import { listValidPresets, normalizePresetName, switchPreset } from "../api.js";
+import { getCalendarDayMetrics, getWeatherSchedule, isResponsibleGM } from "./weather-schedule.js";
+
+/** State name used for "no weather preset". */
+export const CLEAR_WEATHER_STATE = "clear";
+
+/** Upper bound on chain steps replayed after a single large world-time jump. */
+const MAX_CATCH_UP_STEPS = 48;
+
+/**
+ * Built-in climate transition tables. Each state maps to relative weights for the next state; weights do not need to sum to 1.
+ *
+ * @type {Record<string, Record<string, Record<string, number>>>}
+ */
+export const CLIMATE_TABLES = {
+  temperate: {
+    clear: { clear: 5, "partly-cloudy": 3, mist: 1, fog: 1 },
+    "partly-cloudy": { clear: 3, "partly-cloudy": 3, cloudy: 3, drizzle: 1 },
+    cloudy: { "partly-cloudy": 3, cloudy: 3, overcast: 2, drizzle: 2 },
+    overcast: { cloudy: 3, overcast: 3, drizzle: 2, rain: 2 },
+    drizzle: { overcast: 3, drizzle: 3, rain: 3, "partly-cloudy": 1 },
+    rain: { drizzle: 3, rain: 3, thunderstorm: 2, overcast: 2 },
+    thunderstorm: { rain: 5, thunderstorm: 2, overcast: 3 },
+    mist: { clear: 4, mist: 3, fog: 2, "partly-cloudy": 1 },
+    fog: { mist: 4, fog: 3, overcast: 2, clear: 1 },
+  },
+  arctic: {
+    clear: { clear: 5, "partly-cloudy": 3, fog: 1, snow: 1 },
+    "partly-cloudy": { clear: 3, "partly-cloudy": 3, overcast: 3, snow: 1 },
+    overcast: { "partly-cloudy": 2, overcast: 3, snow: 4, sleet: 1 },
+    snow: { overcast: 3, snow: 4, blizzard: 2, sleet: 1 },
+    blizzard: { snow: 5, blizzard: 3, "ice-storm": 1, overcast: 1 },
+    sleet: { overcast: 3, snow: 3, sleet: 2, "ice-storm": 2 },
+    "ice-storm": { sleet: 4, snow: 3, overcast: 3 },
+    fog: { clear: 4, fog: 3, overcast: 3 },
+  },
+  desert: {
+    clear: { clear: 6, "heat-wave": 2, "partly-cloudy": 1, "dust-devil": 1 },
+    "heat-wave": { clear: 3, "heat-wave": 4, "dust-devil": 2, sandstorm: 1 },
+    "partly-cloudy": { clear: 5, "partly-cloudy": 3, cloudy: 1, drizzle: 1 },
+    cloudy: { "partly-cloudy": 5, cloudy: 2, drizzle: 2, clear: 1 },
+    drizzle: { cloudy: 5, clear: 4, drizzle: 1 },
+    "dust-devil": { clear: 4, "heat-wave": 2, "dust-devil": 2, sandstorm: 2 },
+    sandstorm: { "dust-devil": 4, sandstorm: 3, clear: 3 },
+  },
+  tropical: {
+    clear: { clear: 4, "partly-cloudy": 4, sunshower: 1, mist: 1 },
+    "partly-cloudy": { clear: 3, "partly-cloudy": 3, sunshower: 2, cloudy: 2 },
+    cloudy: { "partly-cloudy": 2, cloudy: 3, rain: 3, sunshower: 2 },
+    sunshower: { "partly-cloudy": 4, sunshower: 2, rain: 2, clear: 2 },
+    rain: { cloudy: 3, rain: 3, monsoon: 2, thunderstorm: 2 },
+    monsoon: { rain: 4, monsoon: 3, thunderstorm: 2, hurricane: 1 },
+    thunderstorm: { rain: 4, thunderstorm: 3, monsoon: 2, cloudy: 1 },
+    hurricane: { monsoon: 5, thunderstorm: 3, hurricane: 2 },
+    mist: { clear: 5, mist: 3, "partly-cloudy": 2 },
+  },
+};
+
+/** Names of the built-in climates. */
+export const CLIMATE_NAMES = Object.freeze(Object.keys(CLIMATE_TABLES));
+
+/**
+ * Scene-stored generator configuration and chain state.
+ *
+ * @typedef {object} WeatherGenerator
+ * @property {boolean} enabled Whether world-time changes step the chain.
+ * @property {string} climate Climate the transition table was seeded from.
+ * @property {number} intervalHours In-game hours between automatic steps.
+ * @property {boolean} topDown Play top-down preset variants.
+ * @property {Record<string, Record<string, number>>} transitions Transition weights keyed by state.
+ * @property {{current: string, step: number, seed: string, lastStepTime: number|null}} state Chain state.
+ */
+
+/**
+ * Deep copy a climate table.
+ *
+ * @param {string} climate
+ * @returns {Record<string, Record<string, number>>}
+ */
+function cloneClimateTable(climate) {
+  return foundry.utils.deepClone(CLIMATE_TABLES[climate] ?? CLIMATE_TABLES.temperate);
+}
+
+/**
+ * Normalize a transition table, dropping non-positive weights and empty rows.
+ *
+ * @param {unknown} raw
+ * @returns {Record<string, Record<string, number>>}
+ */
+function normalizeTransitions(raw) {
+  const out = {};
+  if (!raw || typeof raw !== "object") return out;
+
+  for (const [from, row] of Object.entries(raw)) {
+    const state = normalizePresetName(from);
+    if (!state || !row || typeof row !== "object") continue;
+
+    const weights = {};
+    for (const [to, weight] of Object.entries(row)) {
+      const target = normalizePresetName(to);
+      const w = Number(weight);
+      if (target && Number.isFinite(w) && w > 0) weights[target] = w;
+    }
+    if (Object.keys(weights).length) out[state] = weights;
+  }
+
+  return out;
+}
+
+/**
+ * Map a seed and step counter to a uniform value in [0, 1).
+ *
+ * @param {string} seed
+ * @param {number} step
+ * @returns {number}
+ */
+function seededRoll(seed, step) {
+  let h = 0x811c9dc5;
+  const input = `${seed}:${step}`;
+  for (let i = 0; i < input.length; i++) {
+    h ^= input.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return (h >>> 0) / 0x100000000;
+}
+
+/**
+ * Read and normalize the generator stored on a Scene.
+ *
+ * @param {Scene|null|undefined} scene
+ * @returns {WeatherGenerator}
+ */
+export function getWeatherGenerator(scene) {
+  let raw = null;
+  try {
+    raw = scene?.getFlag?.(packageId, WEATHER_GENERATOR_FLAG) ?? null;
+  } catch (err) {
+    logger.debug("FXMaster:", err);
+  }
+
+  const climate = CLIMATE_NAMES.includes(raw?.climate) ? raw.climate : "temperate";
+  const transitions = normalizeTransitions(raw?.transitions);
+  const intervalHours = Number(raw?.intervalHours);
+  const lastStepTime = raw?.state?.lastStepTime;
+
+  return {
+    enabled: raw?.enabled === true,
+    climate,
+    intervalHours: Number.isFinite(intervalHours) && intervalHours > 0 ? intervalHours : 4,
+    topDown: raw?.topDown === true,
+    transitions: Object.keys(transitions).length ? transitions : cloneClimateTable(climate),
+    state: {
+      current: normalizePresetName(raw?.state?.current) || CLEAR_WEATHER_STATE,
+      step: Math.max(0, Math.trunc(Number(raw?.state?.step) || 0)),
+      seed: typeof raw?.state?.seed === "string" && raw.state.seed ? raw.state.seed : "",
+      lastStepTime: Number.isFinite(lastStepTime) ? lastStepTime : null,
+    },
+  };
+}
+
+/**
+ * Pick the next chain state from a transition table.
+ *
+ * Targets whose preset is not valid in this world (for example FXMaster+ presets without FXMaster+) are skipped and the remaining weights are renormalized. A state without any valid targets stays where it is.
+ *
+ * @param {Record<string, Record<string, number>>} transitions
+ * @param {string} current
+ * @param {number} roll Uniform value in [0, 1).
+ * @param {Set<string>} validPresets
+ * @returns {string}
+ */
+export function pickNextWeatherState(transitions, current, roll, validPresets) {
+  const row = transitions?.[current] ?? null;
+  if (!row) return current;
+
+  const candidates = Object.entries(row).filter(
+    ([state, weight]) => weight > 0 && (state === CLEAR_WEATHER_STATE || validPresets.has(state)),
+  );
+  const total = candidates.reduce((sum, [, weight]) => sum + weight, 0);
+  if (!(total > 0)) return current;
+
+  let threshold = roll * total;
+  for (const [state, weight] of candidates) {
+    threshold -= weight;
+    if (threshold < 0) return state;
+  }
+  return candidates.at(-1)[0];
+}
+
+/**
+ * Play the preset for a chain state, or stop API presets for the clear state.
+ *
+ * @param {Scene} scene
+ * @param {string} state
+ * @param {boolean} topDown
+ * @returns {Promise<boolean>}
+ */
+async function applyWeatherState(scene, state, topDown) {
+  if (state === CLEAR_WEATHER_STATE) return switchPreset(null, { scene });
+  return switchPreset(state, { scene, topDown });
+}
+
+/**
+ * Return whether a Scene's weather schedule is enabled, which suspends its generator.
+ *
+ * @param {Scene} scene
+ * @returns {boolean}
+ */
+function isScheduleDriven(scene) {
+  return getWeatherSchedule(scene).enabled;
+}
+
+/**
+ * Advance a Scene's generator by a number of steps and apply the resulting state. Only the active GM steps generators.
+ *
+ * @param {Scene} scene
+ * @param {{ steps?: number, worldTime?: number|null }} [opts]
+ * @returns {Promise<string|null>} The new state, or `null` when the Scene could not be updated or its weather schedule is enabled.
+ */
+export async function stepWeatherGenerator(scene, { steps = 1, worldTime = null } = {}) {
+  if (!scene || !isResponsibleGM() || isScheduleDriven(scene)) return null;
+
+  const generator = getWeatherGenerator(scene);
+  const validPresets = new Set(listValidPresets());
+  const seed = generator.state.seed || foundry.utils.randomID();
+
+  let current = generator.state.current;
+  let step = generator.state.step;
+  const count = Math.max(0, Math.min(MAX_CATCH_UP_STEPS, Math.trunc(Number(steps) || 0)));
+  for (let i = 0; i < count; i++) {
+    current = pickNextWeatherState(generator.transitions, current, seededRoll(seed, step), validPresets);
+    step += 1;
+  }
+
+  if (current !== generator.state.current) await applyWeatherState(scene, current, generator.topDown);
+
+  await scene.setFlag(packageId, WEATHER_GENERATOR_FLAG, {
+    state: {
+      current,
+      step,
+      seed,
+      lastStepTime: worldTime ?? generator.state.lastStepTime ?? game.time?.worldTime ?? 0,
+    },
+  });
+
+  return current;
+}
+
+/**
+ * Step a Scene's generator for every full interval of world time that elapsed since its last step.
+ *
+ * @param {Scene} scene
+ * @param {number} worldTime
+ * @returns {Promise<void>}
+ */
+async function advanceWeatherGenerator(scene, worldTime) {
+  const generator = getWeatherGenerator(scene);
+  if (!generator.enabled || isScheduleDriven(scene)) return;
+
+  const { secondsPerDay, hoursPerDay } = getCalendarDayMetrics();
+  const interval = (secondsPerDay / hoursPerDay) * generator.intervalHours;
+  const last = generator.state.lastStepTime;
+
+  if (last === null || worldTime < last) {
+    await scene.setFlag(packageId, WEATHER_GENERATOR_FLAG, { state: { lastStepTime: worldTime } });
+    return;
+  }
+
+  const due = Math.floor((worldTime - last) / interval);
+  if (due < 1) return;
+
+  await stepWeatherGenerator(scene, { steps: due, worldTime: last + due * interval });
+}
+
+/** @type {Map<string, Promise<void>>} */
+const pendingAdvances = new Map();
+
+/**
+ * Advance every Scene with an enabled generator. Only the active GM writes updates.
+ *
+ * @param {number} [worldTime=game.time.worldTime]
+ * @returns {Promise<void>}
+ */
+export async function advanceAllWeatherGenerators(worldTime = game?.time?.worldTime ?? 0) {
+  if (!isResponsibleGM()) return;
+
+  const scenes = collectionValues(game?.scenes).filter(
+    (scene) => scene?.getFlag?.(packageId, WEATHER_GENERATOR_FLAG)?.enabled === true,
+  );
+
+  await Promise.all(
+    scenes.map((scene) => {
+      const previous = pendingAdvances.get(scene.id) ?? Promise.resolve();
+      const next = previous
+        .then(() => advanceWeatherGenerator(scene, worldTime))
+        .catch((err) => logger.debug("FXMaster:", err))
+        .finally(() => {
+          if (pendingAdvances.get(scene.id) === next) pendingAdvances.delete(scene.id);
+        });
+      pendingAdvances.set(scene.id, next);
+      return next;
+    }),
+  );
+}
+
+/**
+ * Configure a Scene's generator.
+ *
+ * Changing the climate (or passing `resetTransitions`) replaces the stored transition table with the climate's built-in table. Explicit `transitions` are stored as given after normalization.
+ *
+ * @param {Scene} scene
+ * @param {{ enabled?: boolean, climate?: string, intervalHours?: number, topDown?: boolean, transitions?: object, state?: string, resetTransitions?: boolean }} [config]
+ * @returns {Promise<WeatherGenerator>}
+ */
+export async function configureWeatherGenerator(scene, config = {}) {
+  if (!scene) return getWeatherGenerator(scene);
+
+  const current = getWeatherGenerator(scene);
+  const climate = CLIMATE_NAMES.includes(config.climate) ? config.climate : current.climate;
+  const climateChanged = climate !== current.climate;
+
+  let transitions = current.transitions;
+  if (config.transitions) transitions = normalizeTransitions(config.transitions);
+  else if (climateChanged || config.resetTransitions) transitions = cloneClimateTable(climate);
+
+  const intervalHours = Number(config.intervalHours);
+  const requestedState = config.state !== undefined ? normalizePresetName(config.state) : null;
+
+  const update = {
+    enabled: config.enabled ?? current.enabled,
+    climate,
+    intervalHours: Number.isFinite(intervalHours) && intervalHours > 0 ? intervalHours : current.intervalHours,
+    topDown: config.topDown ?? current.topDown,
+    state: {
+      current: requestedState || current.state.current,
+      step: current.state.step,
+      seed: current.state.seed || foundry.utils.randomID(),
+      lastStepTime: game.time?.worldTime ?? 0,
+    },
+  };
+
+  addReplacementKey(update, "transitions", transitions);
+  await scene.setFlag(packageId, WEATHER_GENERATOR_FLAG, update);
+
+  if (requestedState && requestedState !== current.state.current && !isScheduleDriven(scene)) {
+    await applyWeatherState(scene, requestedState, update.topDown);
+  }
+
+  return getWeatherGenerator(scene);
+}
@@ -0,0 +1,249 @@
+/**
+ * FXMaster: Weather Schedule
+ *
+ * Drives preset API weather from `game.time.worldTime`. Each Scene stores a list of GM-defined time-of-day windows under `flags.fxmaster.weatherSchedule`. Whenever world time advances, the active GM resolves which window covers the current time of day and plays, cross-fades, or stops presets through {@link switchPreset} and {@link stopPreset}.
+ *
+ * An entry without an end time lasts until the next scheduled start, so "drizzle from 06:00 to 09:00, then overcast" is two entries: drizzle (06:00-09:00) and overcast (09:00, open ended).
+ *
+ * @module weather/weather-schedule
+ */
+
+import { WEATHER_SCHEDULE_FLAG, packageId } from "../constants.js";
+import { logger } from "../logger.js";
+import { collectionValues } from "../utils.js";
+import { normalizePresetName, resolvePresetVariant, stopPreset, switchPreset } from "../api.js";
+import { formatScheduleTime, getCalendarDayMetrics, getTimeOfDaySeconds, parseScheduleTime } from "./time-of-day.js";
+
+export { formatScheduleTime, getCalendarDayMetrics, getTimeOfDaySeconds, parseScheduleTime };
+
+/**
+ * A single scheduled preset window.
+ *
+ * @typedef {object} WeatherScheduleEntry
+ * @property {string} id Stable entry id.
+ * @property {string} preset Preset name from the preset API.
+ * @property {string} start Start time of day (`"HH:MM"`).
+ * @property {string} [end] Optional end time of day (`"HH:MM"`). Empty means "until the next entry starts".
+ * @property {boolean} [topDown=false] Play the preset's top-down variant.
+ */
+
+/**
+ * Normalized weather schedule stored on a Scene.
+ *
+ * @typedef {object} WeatherSchedule
+ * @property {boolean} enabled Whether world-time changes drive this Scene's weather.
+ * @property {WeatherScheduleEntry[]} entries Scheduled preset windows.
+ * @property {{entryId: string|null, preset: string|null, topDown: boolean}} state Entry and preset variant currently applied by the scheduler.
+ */
+
+/** @type {Map<string, Promise<void>>} */
+const pendingEvaluations = new Map();
+
+/**
+ * Normalize a raw schedule entry. Entries without a preset or a valid start time are dropped.
+ *
+ * @param {unknown} entry
+ * @returns {WeatherScheduleEntry|null}
+ */
+export function normalizeWeatherScheduleEntry(entry) {
+  if (!entry || typeof entry !== "object") return null;
+
+  const preset = normalizePresetName(entry.preset);
+  const start = parseScheduleTime(entry.start);
+  if (!preset || start === null) return null;
+
+  const end = parseScheduleTime(entry.end);
+  const id = String(entry.id ?? "").trim() || foundry.utils.randomID();
+
+  return {
+    id,
+    preset,
+    start: formatScheduleTime(start),
+    end: end === null ? "" : formatScheduleTime(end),
+    topDown: entry.topDown === true,
+  };
+}
+
+/**
+ * Read and normalize the weather schedule stored on a Scene.
+ *
+ * @param {Scene|null|undefined} scene
+ * @returns {WeatherSchedule}
+ */
+export function getWeatherSchedule(scene) {
+  let raw = null;
+  try {
+    raw = scene?.getFlag?.(packageId, WEATHER_SCHEDULE_FLAG) ?? null;
+  } catch (err) {
+    logger.debug("FXMaster:", err);
+  }
+
+  const rawEntries = Array.isArray(raw?.entries) ? raw.entries : Object.values(raw?.entries ?? {});
+  const entries = rawEntries.map(normalizeWeatherScheduleEntry).filter(Boolean);
+
+  return {
+    enabled: raw?.enabled === true,
+    entries,
+    state: {
+      entryId: typeof raw?.state?.entryId === "string" ? raw.state.entryId : null,
+      preset: typeof raw?.state?.preset === "string" ? raw.state.preset : null,
+      topDown: raw?.state?.topDown === true,
+    },
+  };
+}
+
+/**
+ * Resolve which schedule entry covers a time of day.
+ *
+ * Windows may wrap past midnight. When several windows overlap, the one that started most recently wins.
+ *
+ * @param {WeatherScheduleEntry[]} entries
+ * @param {number} timeOfDay Seconds since the start of the day.
+ * @returns {WeatherScheduleEntry|null}
+ */
+export function resolveScheduledEntry(entries, timeOfDay) {
+  const { secondsPerDay } = getCalendarDayMetrics();
+
+  const slots = (entries ?? [])
+    .map((entry) => ({ entry, start: parseScheduleTime(entry?.start), end: parseScheduleTime(entry?.end) }))
+    .filter((slot) => slot.start !== null)
+    .sort((a, b) => a.start - b.start);
+  if (!slots.length) return null;
+
+  let best = null;
+  let bestAge = Infinity;
+
+  for (const slot of slots) {
+    let end = slot.end;
+    if (end === null) {
+      const next = slots.find((s) => s.start > slot.start) ?? slots.find((s) => s.start < slot.start);
+      end = next ? next.start : null;
+    }
+
+    const age = (((timeOfDay - slot.start) % secondsPerDay) + secondsPerDay) % secondsPerDay;
+    const length = end === null ? secondsPerDay : (end - slot.start + secondsPerDay) % secondsPerDay || secondsPerDay;
+    if (age >= length || age >= bestAge) continue;
+
+    best = slot.entry;
+    bestAge = age;
+  }
+
+  return best;
+}
+
+/**
+ * Return whether this client is the GM responsible for scheduler and generator writes.
+ *
+ * @returns {boolean}
+ */
+export function isResponsibleGM() {
+  const user = game?.user;
+  if (!user?.isGM) return false;
+  const activeGM = game?.users?.activeGM ?? null;
+  return !activeGM || activeGM.id === user.id;
+}
+
+/**
+ * Apply the scheduled preset for the current world time to a Scene.
+ *
+ * A scheduled preset that cannot be resolved leaves the recorded state untouched, so the schedule keeps tracking the preset that is actually playing.
+ *
+ * @param {Scene} scene
+ * @param {number} worldTime
+ * @returns {Promise<void>}
+ */
+async function applyWeatherSchedule(scene, worldTime) {
+  const schedule = getWeatherSchedule(scene);
+  if (!schedule.enabled) return;
+
+  const entry = resolveScheduledEntry(schedule.entries, getTimeOfDaySeconds(worldTime));
+  const entryId = entry?.id ?? null;
+  const preset = entry?.preset ?? null;
+  const topDown = entry?.topDown === true;
+  const { state } = schedule;
+  if (entryId === state.entryId && preset === state.preset && topDown === state.topDown) return;
+
+  if (entry) {
+    if (!resolvePresetVariant(preset, { topDown: entry.topDown })) {
+      logger.warn(game.i18n.format("FXMASTER.API.PresetNotFound", { name: preset }));
+      return;
+    }
+    await switchPreset(preset, { scene, topDown: entry.topDown });
+  } else if (state.preset) {
+    await stopPreset(state.preset, { scene });
+  }
+
+  await scene.setFlag(packageId, WEATHER_SCHEDULE_FLAG, { state: { entryId, preset, topDown } });
+}
+
+/**
+ * Evaluate a Scene's weather schedule against the given world time.
+ *
+ * Only the active GM writes scene updates. Evaluations for the same Scene are serialized so rapid world-time advances cannot interleave preset switches.
+ *
+ * @param {Scene} scene
+ * @param {{ worldTime?: number }} [opts]
+ * @returns {Promise<void>}
+ */
+export function evaluateWeatherSchedule(scene, { worldTime = game?.time?.worldTime ?? 0 } = {}) {
+  if (!scene?.id || !isResponsibleGM()) return Promise.resolve();
+
+  const previous = pendingEvaluations.get(scene.id) ?? Promise.resolve();
+  const next = previous
+    .then(() => applyWeatherSchedule(scene, worldTime))
+    .catch((err) => logger.debug("FXMaster:", err))
+    .finally(() => {
+      if (pendingEvaluations.get(scene.id) === next) pendingEvaluations.delete(scene.id);
+    });
+
+  pendingEvaluations.set(scene.id, next);
+  return next;
+}
+
+/**
+ * Evaluate every Scene that has an enabled weather schedule.
+ *
+ * @param {number} [worldTime=game.time.worldTime]
+ * @returns {Promise<void>}
+ */
+export async function evaluateAllWeatherSchedules(worldTime = game?.time?.worldTime ?? 0) {
+  if (!isResponsibleGM()) return;
+
+  const scenes = collectionValues(game?.scenes).filter(
+    (scene) => scene?.getFlag?.(packageId, WEATHER_SCHEDULE_FLAG)?.enabled === true,
+  );
+  await Promise.all(scenes.map((scene) => evaluateWeatherSchedule(scene, { worldTime })));
+}
+
+/**
+ * Persist a Scene's weather schedule and immediately evaluate it.
+ *
+ * Disabling a schedule stops the preset it last applied.
+ *
+ * @param {Scene} scene
+ * @param {{ enabled?: boolean, entries?: Array<Partial<WeatherScheduleEntry>> }} schedule
+ * @returns {Promise<WeatherSchedule>}
+ */
+export async function setWeatherSchedule(scene, { enabled = false, entries = [] } = {}) {
+  if (!scene) return getWeatherSchedule(scene);
+
+  const current = getWeatherSchedule(scene);
+  const normalized = (entries ?? []).map(normalizeWeatherScheduleEntry).filter(Boolean);
+
+  if (!enabled && current.state.preset) {
+    try {
+      await stopPreset(current.state.preset, { scene });
+    } catch (err) {
+      logger.debug("FXMaster:", err);
+    }
+  }
+
+  await scene.setFlag(packageId, WEATHER_SCHEDULE_FLAG, {
+    enabled: !!enabled,
+    entries: normalized,
+    state: enabled ? current.state : { entryId: null, preset: null, topDown: false },
+  });
+
+  if (enabled) await evaluateWeatherSchedule(scene);
+  return getWeatherSchedule(scene);
+}